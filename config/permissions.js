@@ -0,0 +1,71 @@
+/**
+ * Role-based access control
+ * Maps each permission to the roles that hold it
+ */
+
+const ROLES = ['requester', 'buyer', 'approver', 'admin'];
+
+const PERMISSIONS = {
+  // RFPs
+  'rfps:read': ['requester', 'buyer', 'approver', 'admin'],
+  'rfps:create': ['requester', 'buyer', 'admin'],
+  'rfps:update': ['buyer', 'admin'],
+  'rfps:delete': ['admin'],
+  'rfps:submit': ['requester', 'buyer', 'admin'],
+  'rfps:approve': ['approver', 'admin'],
+  'rfps:send': ['buyer', 'admin'],
+  'rfps:evaluate': ['buyer', 'approver', 'admin'],
+  'rfps:award': ['buyer', 'admin'],
+
+  // Vendors
+  'vendors:read': ['requester', 'buyer', 'approver', 'admin'],
+  'vendors:write': ['buyer', 'admin'],
+  'vendors:delete': ['admin'],
+
+  // Proposals
+  'proposals:read': ['buyer', 'approver', 'admin'],
+  'proposals:write': ['buyer', 'admin'],
+  'proposals:delete': ['admin'],
+
+  // Vendor questions and published answers
+  'clarifications:read': ['buyer', 'approver', 'admin'],
+  'clarifications:write': ['buyer', 'admin'],
+
+  // Purchase orders
+  'purchaseOrders:read': ['buyer', 'approver', 'admin'],
+  'purchaseOrders:write': ['buyer', 'admin'],
+
+  // Background jobs
+  'jobs:read': ['buyer', 'approver', 'admin'],
+  'jobs:write': ['buyer', 'admin'],
+
+  // AI call audit log and usage
+  'aiCalls:read': ['buyer', 'approver', 'admin'],
+
+  // Administration
+  'organization:manage': ['admin'],
+  'users:manage': ['admin'],
+  'activity:read': ['approver', 'admin']
+};
+
+/**
+ * Check whether a role holds a permission
+ */
+function hasPermission(role, permission) {
+  const roles = PERMISSIONS[permission];
+  return Array.isArray(roles) && roles.includes(role);
+}
+
+/**
+ * List all permissions held by a role
+ */
+function getPermissionsForRole(role) {
+  return Object.keys(PERMISSIONS).filter(permission => hasPermission(role, permission));
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  hasPermission,
+  getPermissionsForRole
+};
@@ -0,0 +1,97 @@
+const AICall = require('../models/AICall');
+const aiAuditService = require('../services/aiAuditService');
+
+/**
+ * Get AI calls, newest first. Prompts and raw replies are left out of the list.
+ * GET /api/ai-calls
+ */
+exports.getAllCalls = async (req, res) => {
+  try {
+    const { task, provider, status, rfpId, proposalId, from, to, limit } = req.query;
+
+    let query = { organization: req.user.organization };
+    if (task) query.task = task;
+    if (provider) query.provider = provider;
+    if (status) query.status = status;
+    if (rfpId) query.rfp = rfpId;
+    if (proposalId) query.proposal = proposalId;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const calls = await AICall.find(query)
+      .select('-messages -response -attempts')
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(limit) || 50, 200));
+
+    res.json({
+      success: true,
+      count: calls.length,
+      data: calls
+    });
+  } catch (error) {
+    console.error('Error fetching AI calls:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching AI calls',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Monthly AI usage: calls, fallbacks, tokens and estimated cost per task and model
+ * GET /api/ai-calls/usage
+ */
+exports.getUsage = async (req, res) => {
+  try {
+    const months = Math.min(Math.max(parseInt(req.query.months) || 12, 1), 36);
+    const usage = await aiAuditService.getUsage(req.user.organization, { months });
+
+    res.json({
+      success: true,
+      data: usage
+    });
+  } catch (error) {
+    console.error('Error fetching AI usage:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching AI usage',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get one AI call with its full prompt, raw replies and validation errors
+ * GET /api/ai-calls/:id
+ */
+exports.getCallById = async (req, res) => {
+  try {
+    const call = await AICall.findOne({ _id: req.params.id, organization: req.user.organization })
+      .populate('rfp', 'title status')
+      .populate('vendor', 'name company')
+      .populate('user', 'name email');
+
+    if (!call) {
+      return res.status(404).json({
+        success: false,
+        message: 'AI call not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: call
+    });
+  } catch (error) {
+    console.error('Error fetching AI call:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching AI call',
+      error: error.message
+    });
+  }
+};
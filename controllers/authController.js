@@ -0,0 +1,218 @@
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const authService = require('../services/authService');
+const { getPermissionsForRole } = require('../config/permissions');
+
+/**
+ * Build a URL-safe slug from an organization name
+ */
+function slugify(name) {
+  return name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Register the first organization together with its administrator
+ * (only allowed while no users exist; later users are created by an administrator)
+ * POST /api/auth/register
+ */
+exports.register = async (req, res) => {
+  try {
+    const { organizationName, name, email, password } = req.body;
+
+    if (!organizationName || !name || !email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Organization name, name, email and password are required'
+      });
+    }
+
+    const userCount = await User.countDocuments();
+    if (userCount > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Registration is closed. Ask an administrator to create your account'
+      });
+    }
+
+    const slug = slugify(organizationName);
+    if (!slug) {
+      return res.status(400).json({
+        success: false,
+        message: 'Organization name must contain letters or numbers'
+      });
+    }
+
+    const existingOrganization = await Organization.findOne({ slug });
+    if (existingOrganization) {
+      return res.status(400).json({
+        success: false,
+        message: 'An organization with this name already exists'
+      });
+    }
+
+    const organization = new Organization({ name: organizationName, slug });
+    await organization.save();
+
+    const user = new User({
+      organization: organization._id,
+      name,
+      email,
+      password,
+      role: 'admin'
+    });
+
+    try {
+      await user.save();
+    } catch (error) {
+      // Don't leave an organization without an administrator behind
+      await Organization.findByIdAndDelete(organization._id);
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Organization and administrator account created successfully',
+      data: {
+        token: authService.signToken(user),
+        user,
+        organization
+      }
+    });
+  } catch (error) {
+    console.error('Error registering user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error registering user',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Log in with email and password
+ * POST /api/auth/login
+ */
+exports.login = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email and password are required'
+      });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase() }).select('+password');
+
+    if (!user || !user.isActive || !(await user.comparePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid email or password'
+      });
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Logged in successfully',
+      data: {
+        token: authService.signToken(user),
+        user
+      }
+    });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging in',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Log out of all sessions by invalidating issued tokens
+ * POST /api/auth/logout
+ */
+exports.logout = async (req, res) => {
+  try {
+    req.user.tokenVersion += 1;
+    await req.user.save();
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging out',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the current user and their permissions
+ * GET /api/auth/me
+ */
+exports.getMe = async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      user: req.user,
+      permissions: getPermissionsForRole(req.user.role)
+    }
+  });
+};
+
+/**
+ * Change the current user's password
+ * PUT /api/auth/password
+ */
+exports.changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'currentPassword and newPassword are required'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+    if (!(await user.comparePassword(currentPassword))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    user.password = newPassword;
+    user.tokenVersion += 1;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      data: {
+        token: authService.signToken(user)
+      }
+    });
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error changing password',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,444 @@
+const Clarification = require('../models/Clarification');
+const RFP = require('../models/RFP');
+const Vendor = require('../models/Vendor');
+const jobQueue = require('../services/jobQueue');
+const proposalIntakeService = require('../services/proposalIntakeService');
+const { logActivity } = require('../services/activityService');
+const { anonymizeQuestion } = require('../utils/clarificationDetector');
+const { JOB_TYPES } = require('../jobs');
+
+async function findRFP(req) {
+  return RFP.findOne({ _id: req.params.id, organization: req.user.organization });
+}
+
+async function findClarification(req) {
+  return Clarification.findOne({
+    _id: req.params.clarificationId,
+    rfp: req.params.id,
+    organization: req.user.organization
+  });
+}
+
+/**
+ * Get the vendor questions for an RFP and the bulletins their answers went out in
+ * GET /api/rfps/:id/clarifications
+ */
+exports.getClarifications = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const rfp = await findRFP(req);
+    if (!rfp) {
+      return res.status(404).json({
+        success: false,
+        message: 'RFP not found'
+      });
+    }
+
+    let query = { rfp: rfp._id, organization: req.user.organization };
+    if (status) query.status = status;
+
+    const clarifications = await Clarification.find(query)
+      .populate('vendor', 'name email company')
+      .populate('answeredBy', 'name email')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      count: clarifications.length,
+      data: {
+        clarifications,
+        bulletins: rfp.clarificationBulletins
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching clarifications:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching clarifications',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Record a vendor question that did not arrive by email (e.g. asked on a call)
+ * POST /api/rfps/:id/clarifications
+ */
+exports.createClarification = async (req, res) => {
+  try {
+    const { question, vendorId, answer } = req.body;
+
+    if (typeof question !== 'string' || !question.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'question is required'
+      });
+    }
+
+    if (answer !== undefined && answer !== null && typeof answer !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'answer must be text'
+      });
+    }
+
+    const rfp = await findRFP(req);
+    if (!rfp) {
+      return res.status(404).json({
+        success: false,
+        message: 'RFP not found'
+      });
+    }
+
+    let vendor = null;
+    if (vendorId) {
+      vendor = await Vendor.findOne({ _id: vendorId, organization: req.user.organization });
+      if (!vendor) {
+        return res.status(404).json({
+          success: false,
+          message: 'Vendor not found'
+        });
+      }
+    }
+
+    const clarification = await Clarification.create({
+      organization: req.user.organization,
+      rfp: rfp._id,
+      vendor: vendor?._id,
+      round: rfp.currentRound,
+      questions: [question.trim()],
+      question: anonymizeQuestion(question, vendor || {}),
+      source: 'manual',
+      createdBy: req.user._id,
+      ...(answer && answer.trim() && {
+        answer: answer.trim(),
+        status: 'answered',
+        answeredBy: req.user._id,
+        answeredAt: new Date()
+      })
+    });
+
+    await logActivity(req.user, 'clarification.received', 'Clarification', clarification._id, {
+      rfp: rfp._id,
+      source: 'manual'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Question recorded',
+      data: clarification
+    });
+  } catch (error) {
+    console.error('Error creating clarification:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating clarification',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Answer a vendor question, optionally rewording the question vendors will see
+ * PUT /api/rfps/:id/clarifications/:clarificationId
+ */
+exports.answerClarification = async (req, res) => {
+  try {
+    const { answer, question } = req.body;
+
+    if ((question !== undefined && typeof question !== 'string') ||
+        (answer !== undefined && answer !== null && typeof answer !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        message: 'question and answer must be text'
+      });
+    }
+
+    const clarification = await findClarification(req);
+    if (!clarification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Clarification not found'
+      });
+    }
+
+    if (['published', 'dismissed'].includes(clarification.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Clarification has already been ${clarification.status}`
+      });
+    }
+
+    if (question !== undefined) {
+      if (!question.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'question cannot be empty'
+        });
+      }
+      clarification.question = question.trim();
+    }
+
+    if (answer !== undefined) {
+      if (answer && answer.trim()) {
+        clarification.answer = answer.trim();
+        clarification.status = 'answered';
+        clarification.answeredBy = req.user._id;
+        clarification.answeredAt = new Date();
+      } else {
+        clarification.answer = undefined;
+        clarification.status = 'open';
+        clarification.answeredBy = undefined;
+        clarification.answeredAt = undefined;
+      }
+    }
+
+    await clarification.save();
+
+    await logActivity(req.user, 'clarification.answered', 'Clarification', clarification._id, {
+      rfp: clarification.rfp,
+      status: clarification.status
+    });
+
+    res.json({
+      success: true,
+      message: clarification.status === 'answered' ? 'Answer saved' : 'Question updated',
+      data: clarification
+    });
+  } catch (error) {
+    console.error('Error answering clarification:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error answering clarification',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Dismiss a question that needs no public answer
+ * POST /api/rfps/:id/clarifications/:clarificationId/dismiss
+ */
+exports.dismissClarification = async (req, res) => {
+  try {
+    const clarification = await findClarification(req);
+    if (!clarification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Clarification not found'
+      });
+    }
+
+    if (['published', 'dismissed'].includes(clarification.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Clarification has already been ${clarification.status}`
+      });
+    }
+
+    clarification.status = 'dismissed';
+    clarification.dismissedBy = req.user._id;
+    clarification.dismissedAt = new Date();
+    await clarification.save();
+
+    await logActivity(req.user, 'clarification.dismissed', 'Clarification', clarification._id, {
+      rfp: clarification.rfp
+    });
+
+    res.json({
+      success: true,
+      message: 'Clarification dismissed',
+      data: clarification
+    });
+  } catch (error) {
+    console.error('Error dismissing clarification:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error dismissing clarification',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * File an email taken for a question as the vendor's proposal instead
+ * POST /api/rfps/:id/clarifications/:clarificationId/proposal
+ */
+exports.fileAsProposal = async (req, res) => {
+  try {
+    const clarification = await findClarification(req);
+    if (!clarification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Clarification not found'
+      });
+    }
+
+    if (!clarification.emailBody || !clarification.vendor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only questions received by email from a vendor can be filed as proposals'
+      });
+    }
+
+    if (clarification.status === 'published') {
+      return res.status(400).json({
+        success: false,
+        message: 'Clarification has already been published'
+      });
+    }
+
+    const rfp = await findRFP(req);
+    const vendor = await Vendor.findOne({ _id: clarification.vendor, organization: req.user.organization });
+    if (!rfp || !vendor) {
+      return res.status(404).json({
+        success: false,
+        message: 'RFP or Vendor not found'
+      });
+    }
+
+    const { action, proposal } = await proposalIntakeService.ingestEmail({
+      messageId: clarification.emailMessageId,
+      subject: clarification.emailSubject,
+      text: clarification.emailBody,
+      fromAddress: clarification.emailFrom,
+      date: clarification.emailDate
+    }, {
+      rfp,
+      vendor,
+      round: clarification.round,
+      actor: req.user,
+      source: 'clarification'
+    });
+
+    if (action !== 'duplicate') {
+      await proposalIntakeService.markResponsesReceived(rfp);
+    }
+
+    clarification.status = 'dismissed';
+    clarification.dismissedBy = req.user._id;
+    clarification.dismissedAt = new Date();
+    clarification.proposal = proposal._id;
+    await clarification.save();
+
+    res.json({
+      success: true,
+      message: action === 'duplicate'
+        ? 'Email was already filed on this proposal'
+        : `Email filed as ${action === 'created' ? 'a new proposal' : `revision ${proposal.revision}`}`,
+      data: {
+        clarification,
+        proposal
+      }
+    });
+  } catch (error) {
+    console.error('Error filing clarification as proposal:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error filing clarification as proposal',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Publish answered questions to every vendor invited to the current round in
+ * one email, without naming the vendors who asked (background job)
+ * POST /api/rfps/:id/clarifications/publish
+ */
+exports.publishClarifications = async (req, res) => {
+  try {
+    const { clarificationIds, message } = req.body;
+
+    if (message !== undefined && message !== null && typeof message !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'message must be text'
+      });
+    }
+
+    const rfp = await findRFP(req);
+    if (!rfp) {
+      return res.status(404).json({
+        success: false,
+        message: 'RFP not found'
+      });
+    }
+
+    if (!proposalIntakeService.OPEN_STATUSES.includes(rfp.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Answers can only be published while the RFP is out with vendors (status is ${rfp.status})`
+      });
+    }
+
+    let query = { rfp: rfp._id, organization: req.user.organization, status: 'answered' };
+    if (Array.isArray(clarificationIds) && clarificationIds.length > 0) {
+      query._id = { $in: clarificationIds };
+    }
+
+    const clarifications = await Clarification.find(query).sort({ createdAt: 1 });
+    if (clarifications.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No answered questions to publish'
+      });
+    }
+
+    const vendors = rfp.getRoundVendorIds(rfp.currentRound);
+    if (vendors.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `No vendors are invited to round ${rfp.currentRound}`
+      });
+    }
+
+    const number = rfp.clarificationBulletins.length + 1;
+    const publishedAt = new Date();
+    rfp.clarificationBulletins.push({
+      number,
+      round: rfp.currentRound,
+      message,
+      entries: clarifications.map(c => ({ clarification: c._id, question: c.question, answer: c.answer })),
+      vendors,
+      publishedBy: req.user._id,
+      publishedAt
+    });
+    rfp.updatedBy = req.user._id;
+    await rfp.save();
+
+    await Clarification.updateMany(
+      { _id: { $in: clarifications.map(c => c._id) } },
+      { $set: { status: 'published', bulletin: number, publishedAt, updatedAt: publishedAt } }
+    );
+
+    const job = await jobQueue.enqueue(JOB_TYPES.SEND_CLARIFICATIONS, { rfpId: rfp._id.toString(), bulletin: number }, {
+      organization: req.user.organization,
+      createdBy: req.user._id
+    });
+
+    await logActivity(req.user, 'rfp.clarifications_published', 'RFP', rfp._id, {
+      bulletin: number,
+      questions: clarifications.length,
+      vendorCount: vendors.length
+    });
+
+    res.status(202).json({
+      success: true,
+      message: `Publishing ${clarifications.length} answers to ${vendors.length} vendors`,
+      data: {
+        rfpId: rfp._id,
+        bulletin: rfp.getClarificationBulletin(number),
+        jobId: job._id
+      }
+    });
+  } catch (error) {
+    console.error('Error publishing clarifications:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error publishing clarifications',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,60 @@
+const ParsingCorrection = require('../models/ParsingCorrection');
+const correctionService = require('../services/correctionService');
+
+/**
+ * Get parsing corrections, newest first
+ * GET /api/corrections
+ */
+exports.getAllCorrections = async (req, res) => {
+  try {
+    const { proposalId, vendorId, rfpId, field, limit } = req.query;
+
+    let query = { organization: req.user.organization };
+    if (proposalId) query.proposal = proposalId;
+    if (vendorId) query.vendor = vendorId;
+    if (rfpId) query.rfp = rfpId;
+    if (field) query.fieldKey = field;
+
+    const corrections = await ParsingCorrection.find(query)
+      .populate('vendor', 'name company')
+      .populate('correctedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(limit) || 50, 200));
+
+    res.json({
+      success: true,
+      count: corrections.length,
+      data: corrections
+    });
+  } catch (error) {
+    console.error('Error fetching corrections:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching corrections',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Fields buyers correct most often
+ * GET /api/corrections/report
+ */
+exports.getReport = async (req, res) => {
+  try {
+    const { from, to, vendorId, rfpId } = req.query;
+    const report = await correctionService.getReport(req.user.organization, { from, to, vendorId, rfpId });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error building corrections report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building corrections report',
+      error: error.message
+    });
+  }
+};
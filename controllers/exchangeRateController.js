@@ -0,0 +1,262 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const currencyService = require('../services/currencyService');
+const { CURRENCY_CODES } = require('../utils/currency');
+const { logActivity } = require('../services/activityService');
+
+// Rates apply per calendar day (UTC)
+function toEffectiveDate(value) {
+  const date = value ? new Date(value) : new Date();
+  if (Number.isNaN(date.getTime())) return null;
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+// Upper-cased currency code from a request value; null for anything but text
+function toCurrencyCode(value) {
+  return typeof value === 'string' ? value.trim().toUpperCase() : null;
+}
+
+function validateRate({ fromCurrency, toCurrency, rate }) {
+  if (!CURRENCY_CODES.includes(fromCurrency) || !CURRENCY_CODES.includes(toCurrency)) {
+    return `Currencies must be one of: ${CURRENCY_CODES.join(', ')}`;
+  }
+  if (fromCurrency === toCurrency) return 'From and to currencies must differ';
+  if (typeof rate !== 'number' || !(rate > 0)) return 'Rate must be a positive number';
+  return null;
+}
+
+/**
+ * Get exchange rates, newest first per currency pair
+ * GET /api/exchange-rates
+ */
+exports.getExchangeRates = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    if ((from !== undefined && !toCurrencyCode(from)) || (to !== undefined && !toCurrencyCode(to))) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be currency codes'
+      });
+    }
+
+    let query = { organization: req.user.organization };
+    if (from) query.fromCurrency = toCurrencyCode(from);
+    if (to) query.toCurrency = toCurrencyCode(to);
+
+    const rates = await ExchangeRate.find(query)
+      .populate('createdBy', 'name email')
+      .sort({ fromCurrency: 1, toCurrency: 1, effectiveDate: -1 });
+
+    res.json({
+      success: true,
+      count: rates.length,
+      data: rates
+    });
+  } catch (error) {
+    console.error('Error fetching exchange rates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching exchange rates',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Look up the rate that applies to a currency pair on a date (defaults to today)
+ * GET /api/exchange-rates/lookup
+ */
+exports.lookupExchangeRate = async (req, res) => {
+  try {
+    const from = toCurrencyCode(req.query.from);
+    const to = toCurrencyCode(req.query.to);
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+
+    if (!from || !to || Number.isNaN(date.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'from, to and a valid date are required'
+      });
+    }
+
+    const rate = await currencyService.getRate(req.user.organization, from, to, date);
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        message: `No ${from} to ${to} exchange rate effective on ${date.toISOString().slice(0, 10)}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { from, to, date, ...rate }
+    });
+  } catch (error) {
+    console.error('Error looking up exchange rate:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error looking up exchange rate',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Add an exchange rate
+ * POST /api/exchange-rates
+ */
+exports.createExchangeRate = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const fromCurrency = toCurrencyCode(body.fromCurrency);
+    const toCurrency = toCurrencyCode(body.toCurrency);
+    const { rate, source } = body;
+    const effectiveDate = toEffectiveDate(body.effectiveDate);
+
+    const error = validateRate({ fromCurrency, toCurrency, rate }) ||
+      (!effectiveDate ? 'Invalid effective date' : null) ||
+      (source !== undefined && source !== null && typeof source !== 'string' ? 'source must be text' : null);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const existing = await ExchangeRate.findOne({ organization: req.user.organization, fromCurrency, toCurrency, effectiveDate });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${fromCurrency} to ${toCurrency} rate already exists for ${effectiveDate.toISOString().slice(0, 10)}`
+      });
+    }
+
+    const exchangeRate = await ExchangeRate.create({
+      organization: req.user.organization,
+      fromCurrency,
+      toCurrency,
+      rate,
+      effectiveDate,
+      source,
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+
+    await logActivity(req.user, 'exchangeRate.created', 'ExchangeRate', exchangeRate._id, {
+      fromCurrency, toCurrency, rate, effectiveDate
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Exchange rate created successfully',
+      data: exchangeRate
+    });
+  } catch (error) {
+    console.error('Error creating exchange rate:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating exchange rate',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Correct an exchange rate
+ * PUT /api/exchange-rates/:id
+ */
+exports.updateExchangeRate = async (req, res) => {
+  try {
+    const exchangeRate = await ExchangeRate.findOne({ _id: req.params.id, organization: req.user.organization });
+    if (!exchangeRate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exchange rate not found'
+      });
+    }
+
+    const body = req.body || {};
+    const { rate, source, effectiveDate } = body;
+    if (source !== undefined && source !== null && typeof source !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'source must be text'
+      });
+    }
+    if (rate !== undefined) {
+      const error = validateRate({ fromCurrency: exchangeRate.fromCurrency, toCurrency: exchangeRate.toCurrency, rate });
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+      exchangeRate.rate = rate;
+    }
+    if (effectiveDate !== undefined) {
+      const date = toEffectiveDate(effectiveDate);
+      if (!date) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid effective date'
+        });
+      }
+      exchangeRate.effectiveDate = date;
+    }
+    if (source !== undefined) exchangeRate.source = source;
+    exchangeRate.updatedBy = req.user._id;
+
+    await exchangeRate.save();
+
+    await logActivity(req.user, 'exchangeRate.updated', 'ExchangeRate', exchangeRate._id, {
+      fields: Object.keys(body)
+    });
+
+    res.json({
+      success: true,
+      message: 'Exchange rate updated successfully',
+      data: exchangeRate
+    });
+  } catch (error) {
+    console.error('Error updating exchange rate:', error);
+    res.status(error.code === 11000 ? 400 : 500).json({
+      success: false,
+      message: error.code === 11000 ? 'A rate for this currency pair already exists on that date' : 'Error updating exchange rate',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete an exchange rate
+ * DELETE /api/exchange-rates/:id
+ */
+exports.deleteExchangeRate = async (req, res) => {
+  try {
+    const exchangeRate = await ExchangeRate.findOneAndDelete({ _id: req.params.id, organization: req.user.organization });
+    if (!exchangeRate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exchange rate not found'
+      });
+    }
+
+    await logActivity(req.user, 'exchangeRate.deleted', 'ExchangeRate', exchangeRate._id, {
+      fromCurrency: exchangeRate.fromCurrency,
+      toCurrency: exchangeRate.toCurrency,
+      effectiveDate: exchangeRate.effectiveDate
+    });
+
+    res.json({
+      success: true,
+      message: 'Exchange rate deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting exchange rate:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting exchange rate',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,106 @@
+const Job = require('../models/Job');
+
+/**
+ * Get all jobs
+ * GET /api/jobs
+ */
+exports.getAllJobs = async (req, res) => {
+  try {
+    const { type, status, rfpId, limit } = req.query;
+
+    let query = { organization: req.user.organization };
+    if (type) query.type = type;
+    if (status) query.status = status;
+    if (rfpId) query['payload.rfpId'] = rfpId;
+
+    const jobs = await Job.find(query)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(limit) || 50, 200));
+
+    res.json({
+      success: true,
+      count: jobs.length,
+      data: jobs
+    });
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching jobs',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get job status and result
+ * GET /api/jobs/:id
+ */
+exports.getJobById = async (req, res) => {
+  try {
+    const job = await Job.findOne({ _id: req.params.id, organization: req.user.organization });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching job',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Queue a failed job to run again
+ * POST /api/jobs/:id/retry
+ */
+exports.retryJob = async (req, res) => {
+  try {
+    const job = await Job.findOne({ _id: req.params.id, organization: req.user.organization });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    if (job.status !== 'failed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only failed jobs can be retried'
+      });
+    }
+
+    // Give the job a fresh set of attempts
+    job.status = 'queued';
+    job.maxAttempts = job.attempts + (job.maxAttempts || 3);
+    job.runAt = new Date();
+    job.completedAt = undefined;
+    await job.save();
+
+    res.json({
+      success: true,
+      message: 'Job queued for retry',
+      data: job
+    });
+  } catch (error) {
+    console.error('Error retrying job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrying job',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,221 @@
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const MailboxState = require('../models/MailboxState');
+const mailboxWatcher = require('../services/mailboxWatcher');
+const { logActivity } = require('../services/activityService');
+
+const EMAIL_FIELDS = ['fromName', 'user', 'pass', 'smtpHost', 'smtpPort', 'smtpSecure', 'imapHost', 'imapPort', 'watchInbox', 'autoParse',
+  'plusAddressing'];
+const AI_FIELDS = ['provider', 'apiKey', 'model', 'baseUrl', 'compatibleApiKey'];
+const AI_TASKS = ['rfpParsing', 'proposalParsing', 'comparison', 'emailGeneration'];
+const AI_TASK_FIELDS = ['provider', 'model', 'temperature'];
+
+/**
+ * Copy allowed settings onto the organization. Masked secrets sent back
+ * unchanged by the client are ignored, null clears a value.
+ */
+function applySettings(target, updates, fields) {
+  const changed = [];
+  for (const field of fields) {
+    if (updates[field] === undefined || updates[field] === Organization.SECRET_MASK) continue;
+    target[field] = updates[field] === null ? undefined : updates[field];
+    changed.push(field);
+  }
+  return changed;
+}
+
+/**
+ * Returns an error message for an invalid provider or per-task AI settings, or null
+ */
+function validateAISettings(ai) {
+  const providers = Organization.AI_PROVIDERS;
+  if (ai.provider && !providers.includes(ai.provider)) {
+    return `AI provider must be one of: ${providers.join(', ')}`;
+  }
+  if (ai.baseUrl && !/^https?:\/\/[^\s/]+/i.test(ai.baseUrl)) {
+    return 'AI base URL must be an http:// or https:// address';
+  }
+
+  for (const [task, config] of Object.entries(ai.tasks || {})) {
+    if (!AI_TASKS.includes(task)) return `Unknown AI task '${task}'. Valid tasks: ${AI_TASKS.join(', ')}`;
+    if (config === null) continue;
+    if (config.provider && !providers.includes(config.provider)) {
+      return `AI provider for ${task} must be one of: ${providers.join(', ')}`;
+    }
+    if (config.temperature != null && !(config.temperature >= 0 && config.temperature <= 2)) {
+      return `Temperature for ${task} must be between 0 and 2`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the current user's organization
+ * GET /api/organizations/current
+ */
+exports.getCurrentOrganization = async (req, res) => {
+  res.json({
+    success: true,
+    data: req.organization
+  });
+};
+
+/**
+ * Update the current organization's name, email/AI settings and approval rules
+ * PUT /api/organizations/current
+ */
+exports.updateCurrentOrganization = async (req, res) => {
+  try {
+    const { name, settings } = req.body;
+    const organization = req.organization;
+    const changed = [];
+
+    if (name !== undefined) {
+      organization.name = name;
+      changed.push('name');
+    }
+
+    if (settings?.email) {
+      changed.push(...applySettings(organization.settings.email, settings.email, EMAIL_FIELDS)
+        .map(field => `settings.email.${field}`));
+    }
+
+    if (settings?.ai) {
+      const error = validateAISettings(settings.ai);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+
+      changed.push(...applySettings(organization.settings.ai, settings.ai, AI_FIELDS)
+        .map(field => `settings.ai.${field}`));
+
+      // null removes a task's overrides
+      for (const [task, config] of Object.entries(settings.ai.tasks || {})) {
+        if (config === null) {
+          organization.settings.ai.tasks[task] = undefined;
+          changed.push(`settings.ai.tasks.${task}`);
+          continue;
+        }
+        if (!organization.settings.ai.tasks[task]) organization.settings.ai.tasks[task] = {};
+        changed.push(...applySettings(organization.settings.ai.tasks[task], config, AI_TASK_FIELDS)
+          .map(field => `settings.ai.tasks.${task}.${field}`));
+      }
+    }
+
+    if (settings?.approvalRules !== undefined) {
+      if (!Array.isArray(settings.approvalRules)) {
+        return res.status(400).json({
+          success: false,
+          message: 'approvalRules must be an array'
+        });
+      }
+
+      // Named approvers must belong to this organization
+      const approverIds = settings.approvalRules.flatMap(rule => rule.approvers || []);
+      if (approverIds.length > 0) {
+        const approverCount = await User.countDocuments({
+          _id: { $in: approverIds },
+          organization: organization._id
+        });
+        if (approverCount !== new Set(approverIds.map(String)).size) {
+          return res.status(400).json({
+            success: false,
+            message: 'One or more approver IDs are invalid'
+          });
+        }
+      }
+
+      organization.settings.approvalRules = settings.approvalRules;
+      changed.push('settings.approvalRules');
+    }
+
+    await organization.save();
+
+    await logActivity(req.user, 'organization.updated', 'Organization', organization._id, { fields: changed });
+
+    res.json({
+      success: true,
+      message: 'Organization updated successfully',
+      data: organization
+    });
+  } catch (error) {
+    console.error('Error updating organization:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating organization',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the inbox watcher's checkpoint and counters
+ * GET /api/organizations/current/mailbox
+ */
+exports.getMailboxStatus = async (req, res) => {
+  try {
+    const state = await MailboxState.findOne({ organization: req.organization._id });
+
+    res.json({
+      success: true,
+      data: {
+        watchInbox: !!req.organization.settings.email?.watchInbox,
+        autoParse: !!req.organization.settings.email?.autoParse,
+        lastUid: state?.lastUid || 0,
+        lastCheckedAt: state?.lastCheckedAt || null,
+        lastError: state?.lastError || null,
+        polling: !!state?.lockedAt,
+        stats: state?.stats || null
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching mailbox status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching mailbox status',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Poll the inbox now instead of waiting for the watcher
+ * POST /api/organizations/current/mailbox/poll
+ */
+exports.pollMailbox = async (req, res) => {
+  try {
+    const summary = await mailboxWatcher.pollOrganization(req.organization);
+
+    if (!summary) {
+      return res.status(409).json({
+        success: false,
+        message: 'The inbox is already being checked'
+      });
+    }
+
+    const state = await MailboxState.findOne({ organization: req.organization._id });
+    if (state?.lastError) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to check emails',
+        error: state.lastError
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Processed ${summary.emailsProcessed} emails, created ${summary.proposalsCreated} new proposals, revised ${summary.proposalsRevised}`,
+      data: summary
+    });
+  } catch (error) {
+    console.error('Error polling mailbox:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error polling mailbox',
+      error: error.message
+    });
+  }
+};
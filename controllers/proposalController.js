@@ -1,8 +1,24 @@
 const Proposal = require('../models/Proposal');
 const RFP = require('../models/RFP');
 const Vendor = require('../models/Vendor');
-const aiService = require('../services/aiService');
 const emailService = require('../services/emailService');
+const jobQueue = require('../services/jobQueue');
+const proposalIntakeService = require('../services/proposalIntakeService');
+const attachmentService = require('../services/attachmentService');
+const correctionService = require('../services/correctionService');
+const { logActivity } = require('../services/activityService');
+const { diffParsedData } = require('../utils/proposalDiff');
+const { matchLineItems } = require('../utils/lineItemMatcher');
+const { REVIEWED_FIELDS } = require('../utils/fieldEvidence');
+const { detectClarification } = require('../utils/clarificationDetector');
+const { validate } = require('../utils/schema');
+const { SCHEMAS } = require('../services/llm/schemas');
+const { TASKS } = require('../services/llm/tasks');
+const { JOB_TYPES } = require('../jobs');
+
+// The only fields an update may set. The RFP, vendor, round, revisions and
+// status belong to intake, parsing and the workflow endpoints
+const EDITABLE_FIELDS = ['parsedData', 'notes'];
 
 /**
  * Create a proposal manually (for testing or manual entry)
@@ -10,7 +26,7 @@ const emailService = require('../services/emailService');
  */
 exports.createProposal = async (req, res) => {
   try {
-    const { rfpId, vendorId, emailSubject, emailBody } = req.body;
+    const { rfpId, vendorId, emailSubject, emailBody, round } = req.body;
 
     if (!rfpId || !vendorId) {
       return res.status(400).json({
@@ -20,7 +36,7 @@ exports.createProposal = async (req, res) => {
     }
 
     // Verify RFP exists
-    const rfp = await RFP.findById(rfpId);
+    const rfp = await RFP.findOne({ _id: rfpId, organization: req.user.organization });
     if (!rfp) {
       return res.status(404).json({
         success: false,
@@ -29,7 +45,7 @@ exports.createProposal = async (req, res) => {
     }
 
     // Verify vendor exists
-    const vendor = await Vendor.findById(vendorId);
+    const vendor = await Vendor.findOne({ _id: vendorId, organization: req.user.organization });
     if (!vendor) {
       return res.status(404).json({
         success: false,
@@ -37,25 +53,54 @@ exports.createProposal = async (req, res) => {
       });
     }
 
-    // Check if proposal already exists for this RFP-Vendor combination
-    const existingProposal = await Proposal.findOne({ rfpId, vendorId });
+    // Proposals belong to the current round unless one is given explicitly
+    const proposalRound = round ? parseInt(round) : rfp.currentRound;
+    if (proposalRound < 1 || proposalRound > rfp.currentRound) {
+      return res.status(400).json({
+        success: false,
+        message: `Round must be between 1 and ${rfp.currentRound}`
+      });
+    }
+
+    // Check if proposal already exists for this RFP-Vendor-Round combination
+    const existingProposal = await Proposal.findOne({
+      rfpId,
+      vendorId,
+      organization: req.user.organization,
+      round: proposalRound
+    });
     if (existingProposal) {
       return res.status(400).json({
         success: false,
-        message: 'A proposal from this vendor already exists for this RFP'
+        message: `A proposal from this vendor already exists for round ${proposalRound} of this RFP`
       });
     }
 
     const proposal = new Proposal({
+      organization: req.user.organization,
       rfpId,
       vendorId,
+      round: proposalRound,
       emailSubject,
       emailBody,
       emailFrom: vendor.email,
-      status: 'received'
+      status: 'received',
+      createdBy: req.user._id,
+      updatedBy: req.user._id
     });
 
-    await proposal.save();
+    try {
+      await proposal.save();
+    } catch (error) {
+      // Filed from the inbox between the check above and this save
+      if (error.code !== 11000) throw error;
+      return res.status(400).json({
+        success: false,
+        message: `A proposal from this vendor already exists for round ${proposalRound} of this RFP`
+      });
+    }
+
+    await logActivity(req.user, 'proposal.created', 'Proposal', proposal._id, { rfpId, vendorId });
 
     // Update RFP status if needed
     if (rfp.status === 'sent') {
@@ -84,12 +129,13 @@ exports.createProposal = async (req, res) => {
  */
 exports.getAllProposals = async (req, res) => {
   try {
-    const { rfpId, vendorId, status } = req.query;
+    const { rfpId, vendorId, status, round } = req.query;
     
-    let query = {};
+    let query = { organization: req.user.organization };
     if (rfpId) query.rfpId = rfpId;
     if (vendorId) query.vendorId = vendorId;
     if (status) query.status = status;
+    if (round) query.round = parseInt(round);
 
     const proposals = await Proposal.find(query)
       .populate('rfpId', 'title status')
@@ -117,7 +163,7 @@ exports.getAllProposals = async (req, res) => {
  */
 exports.getProposalById = async (req, res) => {
   try {
-    const proposal = await Proposal.findById(req.params.id)
+    const proposal = await Proposal.findOne({ _id: req.params.id, organization: req.user.organization })
       .populate('rfpId', 'title description budget items requirements')
       .populate('vendorId', 'name email company phone');
 
@@ -145,11 +191,11 @@ exports.getProposalById = async (req, res) => {
 /**
  * Parse proposal with AI
  * POST /api/proposals/:id/parse
+ * Parsing runs in a background job; responds with the job id.
  */
 exports.parseProposal = async (req, res) => {
   try {
-    const proposal = await Proposal.findById(req.params.id)
-      .populate('rfpId', 'title description items');
+    const proposal = await Proposal.findOne({ _id: req.params.id, organization: req.user.organization });
 
     if (!proposal) {
       return res.status(404).json({
@@ -158,42 +204,27 @@ exports.parseProposal = async (req, res) => {
       });
     }
 
-    if (!proposal.emailBody) {
+    if (!proposal.emailBody && !proposal.attachments.some(att => att.parsedContent)) {
       return res.status(400).json({
         success: false,
-        message: 'No email body to parse'
+        message: 'No email body or readable attachments to parse'
       });
     }
 
-    // Use AI to parse the proposal
-    const rfpContext = proposal.rfpId ? 
-      `${proposal.rfpId.title}: ${proposal.rfpId.description || ''}` : 
-      'Unknown RFP';
-
-    const parseResult = await aiService.parseVendorProposal(
-      proposal.emailBody,
-      proposal.emailSubject || '',
-      rfpContext
+    const job = await jobQueue.enqueue(
+      JOB_TYPES.PARSE_PROPOSAL,
+      { proposalId: proposal._id.toString(), revision: proposal.revision },
+      { organization: req.user.organization, createdBy: req.user._id }
     );
 
-    if (!parseResult.success) {
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to parse proposal',
-        error: parseResult.error
-      });
-    }
-
-    // Update proposal with parsed data
-    proposal.parsedData = parseResult.data;
-    proposal.isParsingComplete = true;
-    proposal.status = 'parsed';
-    await proposal.save();
-
-    res.json({
+    res.status(202).json({
       success: true,
-      message: 'Proposal parsed successfully',
-      data: proposal
+      message: 'Proposal parsing started',
+      data: {
+        proposalId: proposal._id,
+        revision: proposal.revision,
+        jobId: job._id
+      }
     });
   } catch (error) {
     console.error('Error parsing proposal:', error);
@@ -208,12 +239,45 @@ exports.parseProposal = async (req, res) => {
 /**
  * Update proposal
  * PUT /api/proposals/:id
+ * Changes to parsedData are recorded as parsing corrections.
  */
 exports.updateProposal = async (req, res) => {
   try {
-    const proposal = await Proposal.findByIdAndUpdate(
-      req.params.id,
-      { ...req.body, updatedAt: Date.now() },
+    // Anything else in the body (e.g. a whole proposal sent back by the client) is ignored
+    const body = req.body || {};
+    const updates = Object.fromEntries(EDITABLE_FIELDS
+      .filter(field => body[field] !== undefined)
+      .map(field => [field, body[field]]));
+
+    if (updates.parsedData !== undefined &&
+        (updates.parsedData === null || typeof updates.parsedData !== 'object' || Array.isArray(updates.parsedData))) {
+      return res.status(400).json({
+        success: false,
+        message: 'parsedData must be an object'
+      });
+    }
+
+    const existing = updates.parsedData
+      ? await Proposal.findOne({ _id: req.params.id, organization: req.user.organization })
+      : null;
+    const before = existing?.parsedData ? existing.parsedData.toObject() : null;
+
+    // Keep the parser's evidence; fields the buyer changed are marked corrected
+    if (before?.fieldEvidence?.length && !updates.parsedData.fieldEvidence) {
+      updates.parsedData = {
+        ...updates.parsedData,
+        fieldEvidence: before.fieldEvidence.map(evidence => (
+          evidence.field in updates.parsedData &&
+            String(updates.parsedData[evidence.field]) !== String(before[evidence.field])
+            ? { ...evidence, corrected: true, confirmed: true }
+            : evidence
+        ))
+      };
+    }
+
+    const proposal = await Proposal.findOneAndUpdate(
+      { _id: req.params.id, organization: req.user.organization },
+      { ...updates, updatedAt: Date.now(), updatedBy: req.user._id },
       { new: true, runValidators: true }
     )
     .populate('vendorId', 'name email company');
@@ -225,6 +289,18 @@ exports.updateProposal = async (req, res) => {
       });
     }
 
+    let corrections = [];
+    if (updates.parsedData && before) {
+      corrections = await correctionService.recordCorrections(
+        proposal, before, proposal.parsedData?.toObject(), req.user, Object.keys(body.parsedData)
+      );
+    }
+
+    await logActivity(req.user, 'proposal.updated', 'Proposal', proposal._id, {
+      fields: Object.keys(updates),
+      corrections: corrections.length
+    });
+
     res.json({
       success: true,
       message: 'Proposal updated successfully',
@@ -246,7 +322,7 @@ exports.updateProposal = async (req, res) => {
  */
 exports.deleteProposal = async (req, res) => {
   try {
-    const proposal = await Proposal.findByIdAndDelete(req.params.id);
+    const proposal = await Proposal.findOneAndDelete({ _id: req.params.id, organization: req.user.organization });
 
     if (!proposal) {
       return res.status(404).json({
@@ -255,6 +331,16 @@ exports.deleteProposal = async (req, res) => {
       });
     }
 
+    const files = [proposal, ...proposal.revisions].flatMap(v => v.attachments.map(a => a.path)).filter(Boolean);
+    for (const file of new Set(files)) {
+      await attachmentService.deleteAttachmentFile(file);
+    }
+
+    await logActivity(req.user, 'proposal.deleted', 'Proposal', proposal._id, {
+      rfpId: proposal.rfpId,
+      vendorId: proposal.vendorId
+    });
+
     res.json({
       success: true,
       message: 'Proposal deleted successfully'
@@ -278,7 +364,7 @@ exports.checkEmails = async (req, res) => {
     const { rfpId } = req.body;
 
     // Get the RFP and its selected vendors
-    const rfp = await RFP.findById(rfpId).populate('selectedVendors', 'email name');
+    const rfp = await RFP.findOne({ _id: rfpId, organization: req.user.organization });
     
     if (!rfp) {
       return res.status(404).json({
@@ -287,70 +373,88 @@ exports.checkEmails = async (req, res) => {
       });
     }
 
-    const vendorEmails = rfp.selectedVendors.map(v => v.email);
-    
-    // Check for emails since the RFP was sent
-    const sinceDate = rfp.sentAt || rfp.createdAt;
-    const result = await emailService.checkForVendorResponses(
-      rfpId, 
-      vendorEmails, 
-      sinceDate
-    );
+    // Check for emails since the current round was opened
+    const round = rfp.currentRound;
+    const sinceDate = rfp.getRound(round)?.openedAt || rfp.sentAt || rfp.createdAt;
+
+    // The shared inbox holds every organization's mail; only what matched is ours
+    const sharedInbox = !emailService.hasOwnMailbox(req.organization.settings.email);
 
-    if (!result.success) {
+    let emails;
+    try {
+      emails = await emailService.fetchNewEmails(sinceDate, req.organization.settings.email);
+    } catch (fetchError) {
+      console.error('Error fetching emails:', fetchError);
       return res.status(500).json({
         success: false,
         message: 'Failed to check emails',
-        error: result.error
+        error: fetchError.message
       });
     }
 
-    // Create proposals for each vendor response found
+    // File each reply that belongs to this RFP; replies to other RFPs are left
+    // for those RFPs and anything unmatched goes to the triage queue when the
+    // organization reads its own mailbox.
+    // Vendor questions are stored as clarifications, not proposals.
     const newProposals = [];
-    for (const email of result.responses) {
-      // Find the vendor by email
-      const vendor = rfp.selectedVendors.find(
-        v => v.email.toLowerCase() === email.fromAddress.toLowerCase()
-      );
+    const revisedProposals = [];
+    const clarifications = [];
+    let matchedCount = 0;
+    let triagedCount = 0;
+    for (const email of emails) {
+      const routing = await proposalIntakeService.routeEmail(email, req.user.organization);
 
-      if (vendor) {
-        // Check if proposal already exists
-        const existingProposal = await Proposal.findOne({ 
-          rfpId: rfp._id, 
-          vendorId: vendor._id 
-        });
+      if (!routing.matched) {
+        if (sharedInbox) continue;
+        await proposalIntakeService.sendToTriage(email, req.user.organization, routing);
+        triagedCount++;
+        continue;
+      }
+      if (!routing.rfp._id.equals(rfp._id)) continue;
 
-        if (!existingProposal) {
-          const proposal = new Proposal({
-            rfpId: rfp._id,
-            vendorId: vendor._id,
-            emailSubject: email.subject,
-            emailBody: email.text || email.html,
-            emailFrom: email.fromAddress,
-            emailDate: email.date,
-            attachments: email.attachments,
-            status: 'received'
-          });
-
-          await proposal.save();
-          newProposals.push(proposal);
-        }
+      matchedCount++;
+      const detected = detectClarification(email);
+      if (detected.isClarification) {
+        const { action, clarification } = await proposalIntakeService.ingestClarification(email, {
+          rfp,
+          vendor: routing.vendor,
+          round: routing.round,
+          actor: req.user,
+          detected
+        });
+        if (action === 'created') clarifications.push(clarification);
+        continue;
       }
+
+      const { action, proposal } = await proposalIntakeService.ingestEmail(email, {
+        rfp,
+        vendor: routing.vendor,
+        round: routing.round,
+        actor: req.user
+      });
+
+      if (action === 'created') newProposals.push(proposal);
+      if (action === 'revised') revisedProposals.push(proposal);
     }
 
     // Update RFP status if we received any proposals
-    if (newProposals.length > 0 && rfp.status === 'sent') {
-      rfp.status = 'responses_received';
-      await rfp.save();
+    if (newProposals.length > 0 || revisedProposals.length > 0) {
+      await proposalIntakeService.markResponsesReceived(rfp);
     }
 
     res.json({
       success: true,
-      message: `Found ${result.responses.length} emails, created ${newProposals.length} new proposals`,
+      message: `Found ${matchedCount} emails, created ${newProposals.length} new proposals, revised ${revisedProposals.length}, received ${clarifications.length} questions`,
       data: {
-        emailsFound: result.responses.length,
+        round,
+        emailsFound: matchedCount,
+        emailsTriaged: triagedCount,
         proposalsCreated: newProposals.length,
-        proposals: newProposals
+        proposalsRevised: revisedProposals.length,
+        clarificationsReceived: clarifications.length,
+        proposals: newProposals,
+        revisions: revisedProposals,
+        clarifications
       }
     });
   } catch (error) {
@@ -379,8 +483,8 @@ exports.simulateProposal = async (req, res) => {
     }
 
     // Verify RFP and vendor exist
-    const rfp = await RFP.findById(rfpId);
-    const vendor = await Vendor.findById(vendorId);
+    const rfp = await RFP.findOne({ _id: rfpId, organization: req.user.organization });
+    const vendor = await Vendor.findOne({ _id: vendorId, organization: req.user.organization });
 
     if (!rfp || !vendor) {
       return res.status(404).json({
@@ -389,33 +493,45 @@ exports.simulateProposal = async (req, res) => {
       });
     }
 
-    // Create the proposal
-    const proposal = new Proposal({
-      rfpId,
-      vendorId,
+    const emailData = {
       emailSubject: `RE: RFP - ${rfp.title}`,
       emailBody: proposalText,
       emailFrom: vendor.email,
-      emailDate: new Date(),
-      status: 'received'
+      emailDate: new Date()
+    };
+
+    // A repeat response in the same round becomes a new revision
+    let proposal = await Proposal.findOne({
+      rfpId,
+      vendorId,
+      organization: req.user.organization,
+      round: rfp.currentRound
     });
+    if (proposal) {
+      proposal.addRevision(emailData);
+    } else {
+      proposal = new Proposal({
+        organization: req.user.organization,
+        rfpId,
+        vendorId,
+        round: rfp.currentRound,
+        ...emailData,
+        status: 'received',
+        createdBy: req.user._id
+      });
+    }
+    proposal.updatedBy = req.user._id;
 
     await proposal.save();
 
-    // Parse the proposal with AI
-    const rfpContext = `${rfp.title}: ${rfp.description || ''}`;
-    const parseResult = await aiService.parseVendorProposal(
-      proposalText,
-      proposal.emailSubject,
-      rfpContext
-    );
+    await logActivity(req.user, 'proposal.simulated', 'Proposal', proposal._id, { revision: proposal.revision });
 
-    if (parseResult.success) {
-      proposal.parsedData = parseResult.data;
-      proposal.isParsingComplete = true;
-      proposal.status = 'parsed';
-      await proposal.save();
-    }
+    // Parse the proposal with AI in the background
+    const job = await jobQueue.enqueue(
+      JOB_TYPES.PARSE_PROPOSAL,
+      { proposalId: proposal._id.toString(), revision: proposal.revision },
+      { organization: req.user.organization, createdBy: req.user._id }
+    );
 
     // Update RFP status
     if (rfp.status === 'sent') {
@@ -428,8 +544,11 @@ exports.simulateProposal = async (req, res) => {
 
     res.status(201).json({
       success: true,
-      message: 'Proposal simulated and parsed successfully',
-      data: populatedProposal
+      message: 'Proposal simulated, parsing in progress',
+      data: {
+        proposal: populatedProposal,
+        jobId: job._id
+      }
     });
   } catch (error) {
     console.error('Error simulating proposal:', error);
@@ -441,3 +560,480 @@ exports.simulateProposal = async (req, res) => {
   }
 };
 
+
+/**
+ * List all revisions of a proposal
+ * GET /api/proposals/:id/revisions
+ */
+exports.getProposalRevisions = async (req, res) => {
+  try {
+    const proposal = await Proposal.findOne({ _id: req.params.id, organization: req.user.organization });
+
+    if (!proposal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proposal not found'
+      });
+    }
+
+    const revisions = [];
+    for (let number = 1; number <= proposal.revision; number++) {
+      const revision = proposal.getRevision(number);
+      if (revision) revisions.push(revision);
+    }
+
+    res.json({
+      success: true,
+      count: revisions.length,
+      data: {
+        proposalId: proposal._id,
+        latestRevision: proposal.revision,
+        revisions
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching proposal revisions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching proposal revisions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Field-by-field diff between two revisions of a proposal
+ * GET /api/proposals/:id/revisions/diff?from=1&to=2
+ * Defaults to the previous revision compared with the latest.
+ */
+exports.diffProposalRevisions = async (req, res) => {
+  try {
+    const proposal = await Proposal.findOne({ _id: req.params.id, organization: req.user.organization });
+
+    if (!proposal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proposal not found'
+      });
+    }
+
+    const to = req.query.to ? parseInt(req.query.to) : proposal.revision;
+    const from = req.query.from ? parseInt(req.query.from) : to - 1;
+
+    const fromRevision = proposal.getRevision(from);
+    const toRevision = proposal.getRevision(to);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({
+        success: false,
+        message: `Revision not found (available: 1-${proposal.revision})`
+      });
+    }
+
+    const changes = diffParsedData(fromRevision.parsedData, toRevision.parsedData);
+
+    res.json({
+      success: true,
+      data: {
+        proposalId: proposal._id,
+        from,
+        to,
+        parsed: {
+          from: !!fromRevision.isParsingComplete,
+          to: !!toRevision.isParsingComplete
+        },
+        changes
+      }
+    });
+  } catch (error) {
+    console.error('Error diffing proposal revisions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error diffing proposal revisions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Find an attachment on the current version or any earlier revision
+ */
+function findAttachment(proposal, attachmentId) {
+  const versions = [proposal, ...proposal.revisions];
+  for (const version of versions) {
+    const attachment = version.attachments.find(a => a._id.toString() === attachmentId);
+    if (attachment) return attachment;
+  }
+  return null;
+}
+
+/**
+ * Upload documents to a proposal (quotes received by courier or through a vendor portal)
+ * POST /api/proposals/:id/attachments
+ */
+exports.uploadAttachments = async (req, res) => {
+  try {
+    const proposal = await Proposal.findOne({ _id: req.params.id, organization: req.user.organization });
+
+    if (!proposal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proposal not found'
+      });
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No files uploaded'
+      });
+    }
+
+    const attachments = [];
+    for (const file of req.files) {
+      const attachment = await attachmentService.saveAttachment(req.user.organization, 'proposals', {
+        filename: file.originalname,
+        content: file.buffer,
+        contentType: file.mimetype
+      });
+      attachments.push({ ...attachment, uploadedBy: req.user._id });
+    }
+
+    proposal.attachments.push(...attachments);
+    proposal.updatedBy = req.user._id;
+    await proposal.save();
+
+    await logActivity(req.user, 'proposal.attachments_uploaded', 'Proposal', proposal._id, {
+      files: attachments.map(a => a.originalName)
+    });
+
+    // Multipart fields arrive as strings
+    let job = null;
+    if (req.body.reparse === true || req.body.reparse === 'true') {
+      job = await jobQueue.enqueue(
+        JOB_TYPES.PARSE_PROPOSAL,
+        { proposalId: proposal._id.toString(), revision: proposal.revision },
+        { organization: req.user.organization, createdBy: req.user._id }
+      );
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${attachments.length} file(s) uploaded${job ? ', parsing started' : ''}`,
+      data: {
+        attachments: proposal.attachments.slice(-attachments.length),
+        jobId: job?._id
+      }
+    });
+  } catch (error) {
+    console.error('Error uploading proposal attachments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error uploading proposal attachments',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Download a proposal attachment
+ * GET /api/proposals/:id/attachments/:attachmentId
+ */
+exports.downloadAttachment = async (req, res) => {
+  try {
+    const proposal = await Proposal.findOne({ _id: req.params.id, organization: req.user.organization });
+    const attachment = proposal && findAttachment(proposal, req.params.attachmentId);
+
+    if (!attachment || !attachment.path) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    res.download(attachmentService.resolvePath(attachment.path), attachment.originalName || attachment.filename, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({
+          success: false,
+          message: 'Attachment file is missing'
+        });
+      }
+    });
+  } catch (error) {
+    console.error('Error downloading proposal attachment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error downloading proposal attachment',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete an attachment from the current version of a proposal
+ * DELETE /api/proposals/:id/attachments/:attachmentId
+ */
+exports.deleteAttachment = async (req, res) => {
+  try {
+    const proposal = await Proposal.findOne({ _id: req.params.id, organization: req.user.organization });
+    const attachment = proposal?.attachments.id(req.params.attachmentId);
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    attachment.deleteOne();
+    proposal.updatedBy = req.user._id;
+    await proposal.save();
+
+    // Earlier revisions keep their own reference to the same file
+    const stillReferenced = proposal.revisions.some(r => r.attachments.some(a => a.path === attachment.path));
+    if (attachment.path && !stillReferenced) {
+      await attachmentService.deleteAttachmentFile(attachment.path);
+    }
+
+    await logActivity(req.user, 'proposal.attachment_deleted', 'Proposal', proposal._id, {
+      file: attachment.originalName
+    });
+
+    res.json({
+      success: true,
+      message: 'Attachment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting proposal attachment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting proposal attachment',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * How the proposal's quoted items match the RFP's items
+ * GET /api/proposals/:id/item-matches
+ */
+exports.getItemMatches = async (req, res) => {
+  try {
+    const proposal = await Proposal.findOne({ _id: req.params.id, organization: req.user.organization });
+    const rfp = proposal && await RFP.findOne({ _id: proposal.rfpId, organization: req.user.organization });
+
+    if (!proposal || !rfp) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proposal not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        overrides: proposal.itemMatchOverrides,
+        ...matchLineItems(rfp.items, proposal.parsedData?.itemPricing || [], proposal.itemMatchOverrides)
+      }
+    });
+  } catch (error) {
+    console.error('Error matching line items:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error matching line items',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Correct line-item matching by hand
+ * PUT /api/proposals/:id/item-matches
+ * Body: { overrides: [{ quotedItemName, rfpItemId }] } (rfpItemId null = not an RFP item)
+ */
+exports.updateItemMatches = async (req, res) => {
+  try {
+    const { overrides } = req.body;
+
+    if (!Array.isArray(overrides) || overrides.some(o => !o.quotedItemName)) {
+      return res.status(400).json({
+        success: false,
+        message: 'overrides must be an array of { quotedItemName, rfpItemId }'
+      });
+    }
+
+    const proposal = await Proposal.findOne({ _id: req.params.id, organization: req.user.organization });
+    const rfp = proposal && await RFP.findOne({ _id: proposal.rfpId, organization: req.user.organization });
+
+    if (!proposal || !rfp) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proposal not found'
+      });
+    }
+
+    const rfpItemIds = rfp.items.map(item => item._id.toString());
+    const invalid = overrides.filter(o => o.rfpItemId && !rfpItemIds.includes(o.rfpItemId.toString()));
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown RFP item: ${invalid.map(o => o.rfpItemId).join(', ')}`
+      });
+    }
+
+    proposal.itemMatchOverrides = overrides.map(o => ({
+      quotedItemName: o.quotedItemName,
+      rfpItemId: o.rfpItemId || null
+    }));
+    proposal.updatedBy = req.user._id;
+    await proposal.save();
+
+    await logActivity(req.user, 'proposal.item_matches_updated', 'Proposal', proposal._id, {
+      overrides: proposal.itemMatchOverrides.length
+    });
+
+    res.json({
+      success: true,
+      message: 'Item matches updated successfully',
+      data: {
+        overrides: proposal.itemMatchOverrides,
+        ...matchLineItems(rfp.items, proposal.parsedData?.itemPricing || [], proposal.itemMatchOverrides)
+      }
+    });
+  } catch (error) {
+    console.error('Error updating item matches:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating item matches',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Proposals waiting for a buyer to confirm doubtful parsed fields, oldest first
+ * GET /api/proposals/review-queue
+ */
+exports.getReviewQueue = async (req, res) => {
+  try {
+    const { rfpId } = req.query;
+
+    let query = { organization: req.user.organization, status: 'needs_review' };
+    if (rfpId) query.rfpId = rfpId;
+
+    const proposals = await Proposal.find(query)
+      .select('-emailBody -attachments.parsedContent -revisions')
+      .populate('rfpId', 'title status currency')
+      .populate('vendorId', 'name email company')
+      .sort({ receivedAt: 1 });
+
+    res.json({
+      success: true,
+      count: proposals.length,
+      data: proposals.map(proposal => ({
+        ...proposal.toObject(),
+        flaggedFields: (proposal.parsedData?.fieldEvidence || [])
+          .filter(evidence => evidence.confidence === 'low' || evidence.conflict)
+          .map(evidence => ({ ...evidence.toObject(), value: proposal.parsedData[evidence.field] ?? null }))
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching review queue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching review queue',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Confirm a proposal's parsed fields, correcting any that were read wrongly
+ * POST /api/proposals/:id/review
+ * Body: { corrections: { totalPrice: 12500, deliveryDays: 30, ... } } (optional)
+ */
+exports.reviewProposal = async (req, res) => {
+  try {
+    const corrections = req.body.corrections || {};
+    const reviewedKeys = REVIEWED_FIELDS.map(field => field.key);
+
+    const unknown = Object.keys(corrections).filter(key => !reviewedKeys.includes(key));
+    if (typeof corrections !== 'object' || Array.isArray(corrections) || unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `corrections may only contain ${reviewedKeys.join(', ')}`
+      });
+    }
+
+    // Corrections are coerced like parsed values ("$12,500" -> 12500, "3 weeks" -> 21)
+    const fieldSchemas = SCHEMAS[TASKS.PROPOSAL_PARSING].properties;
+    const { value, errors } = validate({
+      type: 'object',
+      properties: Object.fromEntries(Object.keys(corrections).map(key => [key, fieldSchemas[key]]))
+    }, corrections);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid corrections',
+        errors
+      });
+    }
+
+    const proposal = await Proposal.findOne({ _id: req.params.id, organization: req.user.organization });
+
+    if (!proposal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proposal not found'
+      });
+    }
+
+    if (!proposal.isParsingComplete) {
+      return res.status(400).json({
+        success: false,
+        message: 'Proposal has not been parsed yet'
+      });
+    }
+
+    const before = proposal.parsedData.toObject();
+    const evidence = (proposal.parsedData.fieldEvidence || []).map(entry => entry.toObject());
+    for (const [key, corrected] of Object.entries(value)) {
+      proposal.parsedData[key] = corrected;
+      const entry = evidence.find(e => e.field === key);
+      if (entry) {
+        entry.corrected = true;
+      } else {
+        evidence.push({ field: key, confidence: 'high', source: 'entered by a buyer', corrected: true });
+      }
+    }
+    proposal.parsedData.fieldEvidence = evidence.map(entry => ({ ...entry, confirmed: true }));
+
+    if (proposal.status === 'needs_review') proposal.status = 'parsed';
+    proposal.review = {
+      reasons: proposal.review?.reasons || [],
+      reviewedBy: req.user._id,
+      reviewedAt: new Date()
+    };
+    proposal.updatedBy = req.user._id;
+    await proposal.save();
+
+    await correctionService.recordCorrections(proposal, before, proposal.parsedData.toObject(), req.user, Object.keys(value));
+
+    await logActivity(req.user, 'proposal.reviewed', 'Proposal', proposal._id, {
+      corrected: Object.keys(value)
+    });
+
+    res.json({
+      success: true,
+      message: 'Proposal review saved successfully',
+      data: proposal
+    });
+  } catch (error) {
+    console.error('Error reviewing proposal:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reviewing proposal',
+      error: error.message
+    });
+  }
+};
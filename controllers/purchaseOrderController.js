@@ -0,0 +1,390 @@
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Counter = require('../models/Counter');
+const RFP = require('../models/RFP');
+const Proposal = require('../models/Proposal');
+const pdfService = require('../services/pdfService');
+const emailService = require('../services/emailService');
+const { logActivity } = require('../services/activityService');
+
+// Allowed status changes; receiving may start before the vendor acknowledges
+const STATUS_TRANSITIONS = {
+  issued: ['acknowledged', 'partially_received', 'received', 'closed'],
+  acknowledged: ['partially_received', 'received', 'closed'],
+  partially_received: ['received', 'closed'],
+  received: ['closed'],
+  closed: []
+};
+
+/**
+ * Build a PO number such as PO-2026-00042
+ */
+async function nextPONumber(organizationId) {
+  const seq = await Counter.next(organizationId, 'purchaseOrder');
+  return `PO-${new Date().getFullYear()}-${String(seq).padStart(5, '0')}`;
+}
+
+/**
+ * Load a purchase order with the data needed to render it
+ */
+function findPurchaseOrder(req) {
+  return PurchaseOrder.findOne({ _id: req.params.id, organization: req.user.organization })
+    .populate('vendorId', 'name email company phone address')
+    .populate('rfpId', 'title currency');
+}
+
+/**
+ * Create a purchase order from an awarded RFP's winning proposal
+ * POST /api/purchase-orders
+ */
+exports.createPurchaseOrder = async (req, res) => {
+  try {
+    const { rfpId, notes } = req.body;
+
+    if (!rfpId) {
+      return res.status(400).json({
+        success: false,
+        message: 'rfpId is required'
+      });
+    }
+
+    const rfp = await RFP.findOne({ _id: rfpId, organization: req.user.organization });
+    if (!rfp) {
+      return res.status(404).json({
+        success: false,
+        message: 'RFP not found'
+      });
+    }
+
+    if (rfp.status !== 'awarded' || !rfp.award?.proposal) {
+      return res.status(400).json({
+        success: false,
+        message: 'A purchase order can only be created for an awarded RFP'
+      });
+    }
+
+    const existingPO = await PurchaseOrder.findOne({ rfpId: rfp._id, organization: req.user.organization });
+    if (existingPO) {
+      return res.status(400).json({
+        success: false,
+        message: `Purchase order ${existingPO.poNumber} already exists for this RFP`
+      });
+    }
+
+    const proposal = await Proposal.findOne({ _id: rfp.award.proposal, organization: req.user.organization });
+    if (!proposal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Winning proposal not found'
+      });
+    }
+
+    const parsed = proposal.parsedData || {};
+
+    // Use the quoted line items, or a single line for the quoted total
+    let items = (parsed.itemPricing || []).map(item => ({
+      itemName: item.itemName,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      totalPrice: item.totalPrice ?? (item.quantity != null && item.unitPrice != null ? item.quantity * item.unitPrice : undefined),
+      notes: item.notes
+    }));
+    if (items.length === 0) {
+      items = [{
+        itemName: rfp.title,
+        description: rfp.items.map(item => `${item.name} x${item.quantity}`).join(', '),
+        quantity: 1,
+        unitPrice: parsed.totalPrice,
+        totalPrice: parsed.totalPrice
+      }];
+    }
+
+    const itemsTotal = items.reduce((sum, item) => sum + (item.totalPrice || 0), 0);
+
+    let expectedDeliveryDate;
+    if (parsed.deliveryDays) {
+      expectedDeliveryDate = new Date();
+      expectedDeliveryDate.setDate(expectedDeliveryDate.getDate() + parsed.deliveryDays);
+    }
+
+    const purchaseOrder = new PurchaseOrder({
+      organization: req.user.organization,
+      poNumber: await nextPONumber(req.user.organization),
+      rfpId: rfp._id,
+      proposalId: proposal._id,
+      vendorId: proposal.vendorId,
+      items,
+      // The order is placed in the currency the vendor quoted
+      currency: parsed.currency || rfp.currency || 'USD',
+      totalAmount: parsed.totalPrice ?? itemsTotal,
+      paymentTerms: parsed.paymentTerms || rfp.requirements?.paymentTerms,
+      warranty: parsed.warranty || rfp.requirements?.warranty,
+      deliveryTimeline: parsed.deliveryTimeline,
+      deliveryDays: parsed.deliveryDays,
+      expectedDeliveryDate,
+      deliveryLocation: rfp.requirements?.deliveryLocation,
+      notes,
+      status: 'issued',
+      statusHistory: [{ status: 'issued', user: req.user._id }],
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+
+    try {
+      await purchaseOrder.save();
+    } catch (error) {
+      // Another request created the RFP's purchase order after the check above
+      if (error.code !== 11000 || !error.keyPattern?.rfpId) throw error;
+      const createdPO = await PurchaseOrder.findOne({ rfpId: rfp._id, organization: req.user.organization });
+      return res.status(400).json({
+        success: false,
+        message: `Purchase order ${createdPO?.poNumber} already exists for this RFP`
+      });
+    }
+
+    await logActivity(req.user, 'purchase_order.created', 'PurchaseOrder', purchaseOrder._id, {
+      rfpId: rfp._id,
+      poNumber: purchaseOrder.poNumber
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Purchase order ${purchaseOrder.poNumber} created`,
+      data: purchaseOrder
+    });
+  } catch (error) {
+    console.error('Error creating purchase order:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating purchase order',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get all purchase orders
+ * GET /api/purchase-orders
+ */
+exports.getAllPurchaseOrders = async (req, res) => {
+  try {
+    const { rfpId, vendorId, status } = req.query;
+
+    let query = { organization: req.user.organization };
+    if (rfpId) query.rfpId = rfpId;
+    if (vendorId) query.vendorId = vendorId;
+    if (status) query.status = status;
+
+    const purchaseOrders = await PurchaseOrder.find(query)
+      .populate('vendorId', 'name email company')
+      .populate('rfpId', 'title')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: purchaseOrders.length,
+      data: purchaseOrders
+    });
+  } catch (error) {
+    console.error('Error fetching purchase orders:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching purchase orders',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get single purchase order by ID
+ * GET /api/purchase-orders/:id
+ */
+exports.getPurchaseOrderById = async (req, res) => {
+  try {
+    const purchaseOrder = await findPurchaseOrder(req);
+
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: purchaseOrder
+    });
+  } catch (error) {
+    console.error('Error fetching purchase order:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching purchase order',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Change the status of a purchase order
+ * PUT /api/purchase-orders/:id/status
+ */
+exports.updatePurchaseOrderStatus = async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    if (!PurchaseOrder.STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${PurchaseOrder.STATUSES.join(', ')}`
+      });
+    }
+
+    const purchaseOrder = await PurchaseOrder.findOne({ _id: req.params.id, organization: req.user.organization });
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    if (!STATUS_TRANSITIONS[purchaseOrder.status].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change status from '${purchaseOrder.status}' to '${status}'`
+      });
+    }
+
+    purchaseOrder.status = status;
+    purchaseOrder.statusHistory.push({ status, note, user: req.user._id });
+    purchaseOrder.updatedBy = req.user._id;
+    await purchaseOrder.save();
+
+    await logActivity(req.user, 'purchase_order.status_changed', 'PurchaseOrder', purchaseOrder._id, { status, note });
+
+    res.json({
+      success: true,
+      message: `Purchase order marked as ${status.replace(/_/g, ' ')}`,
+      data: purchaseOrder
+    });
+  } catch (error) {
+    console.error('Error updating purchase order status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating purchase order status',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Download a purchase order as PDF
+ * GET /api/purchase-orders/:id/pdf
+ */
+exports.downloadPurchaseOrderPDF = async (req, res) => {
+  try {
+    const purchaseOrder = await findPurchaseOrder(req);
+
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    const pdf = await pdfService.generatePurchaseOrderPDF(purchaseOrder, {
+      organization: req.organization,
+      vendor: purchaseOrder.vendorId,
+      rfp: purchaseOrder.rfpId
+    });
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${purchaseOrder.poNumber}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error('Error generating purchase order PDF:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating purchase order PDF',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Email a purchase order to the vendor with the PDF attached
+ * POST /api/purchase-orders/:id/send
+ */
+exports.sendPurchaseOrder = async (req, res) => {
+  try {
+    const purchaseOrder = await findPurchaseOrder(req);
+
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    const vendor = purchaseOrder.vendorId;
+    const pdf = await pdfService.generatePurchaseOrderPDF(purchaseOrder, {
+      organization: req.organization,
+      vendor,
+      rfp: purchaseOrder.rfpId
+    });
+
+    const subject = `Purchase Order ${purchaseOrder.poNumber}: ${purchaseOrder.rfpId?.title || ''}`.trim();
+    const body = `Dear ${vendor.name},
+
+Please find attached purchase order ${purchaseOrder.poNumber} for "${purchaseOrder.rfpId?.title || 'your awarded proposal'}".
+
+TOTAL: ${purchaseOrder.currency} ${(purchaseOrder.totalAmount || 0).toLocaleString()}
+PAYMENT TERMS: ${purchaseOrder.paymentTerms || 'As agreed'}
+DELIVERY LOCATION: ${purchaseOrder.deliveryLocation || 'As agreed'}
+
+Please reply to acknowledge receipt of this purchase order.
+
+Best regards,
+Procurement Team`;
+
+    const sendResult = await emailService.sendEmail(
+      vendor.email,
+      subject,
+      body,
+      [{ filename: `${purchaseOrder.poNumber}.pdf`, content: pdf, contentType: 'application/pdf' }],
+      req.organization.settings.email
+    );
+
+    if (!sendResult.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to send purchase order',
+        error: sendResult.error
+      });
+    }
+
+    purchaseOrder.sentAt = new Date();
+    purchaseOrder.updatedBy = req.user._id;
+    await purchaseOrder.save();
+
+    await logActivity(req.user, 'purchase_order.sent', 'PurchaseOrder', purchaseOrder._id, { email: vendor.email });
+
+    res.json({
+      success: true,
+      message: `Purchase order sent to ${vendor.email}`,
+      data: {
+        purchaseOrderId: purchaseOrder._id,
+        sentAt: purchaseOrder.sentAt,
+        messageId: sendResult.messageId
+      }
+    });
+  } catch (error) {
+    console.error('Error sending purchase order:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending purchase order',
+      error: error.message
+    });
+  }
+};
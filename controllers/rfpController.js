@@ -1,8 +1,26 @@
+const mongoose = require('mongoose');
 const RFP = require('../models/RFP');
 const Vendor = require('../models/Vendor');
 const Proposal = require('../models/Proposal');
+const AICall = require('../models/AICall');
+const Clarification = require('../models/Clarification');
 const aiService = require('../services/aiService');
-const emailService = require('../services/emailService');
+const approvalService = require('../services/approvalService');
+const notificationService = require('../services/notificationService');
+const jobQueue = require('../services/jobQueue');
+const attachmentService = require('../services/attachmentService');
+const comparisonService = require('../services/comparisonService');
+const currencyService = require('../services/currencyService');
+const { logActivity } = require('../services/activityService');
+const scoringModel = require('../utils/scoringModel');
+const { JOB_TYPES } = require('../jobs');
+
+// Fields whose change invalidates an approval in progress or already given
+const APPROVAL_FIELDS = ['title', 'description', 'budget', 'currency', 'deadline', 'deliveryDays', 'items', 'requirements'];
+
+// The only fields an update may set. Status, vendors, rounds, awards and approvals
+// change through their own endpoints
+const EDITABLE_FIELDS = APPROVAL_FIELDS;
 
 /**
  * Create a new RFP from natural language input
@@ -19,8 +37,15 @@ exports.createRFP = async (req, res) => {
       });
     }
 
+    // The id is fixed up front so the AI call is recorded against the RFP it creates
+    const rfpId = new mongoose.Types.ObjectId();
+
     // Parse natural language to structured RFP using AI
-    const parseResult = await aiService.parseRFPFromNaturalLanguage(naturalLanguageInput);
+    const parseResult = await aiService.parseRFPFromNaturalLanguage(
+      naturalLanguageInput,
+      req.organization.settings.ai,
+      { organization: req.user.organization, rfp: rfpId, user: req.user._id }
+    );
 
     if (!parseResult.success) {
       return res.status(500).json({
@@ -34,6 +59,8 @@ exports.createRFP = async (req, res) => {
 
     // Create RFP document
     const rfp = new RFP({
+      _id: rfpId,
+      organization: req.user.organization,
       title: parsedData.title,
       description: parsedData.description,
       originalInput: naturalLanguageInput,
@@ -42,11 +69,15 @@ exports.createRFP = async (req, res) => {
       deliveryDays: parsedData.deliveryDays,
       items: parsedData.items || [],
       requirements: parsedData.requirements || {},
-      status: 'draft'
+      status: 'draft',
+      createdBy: req.user._id,
+      updatedBy: req.user._id
     });
 
-    // Calculate deadline if delivery days specified
-    if (parsedData.deliveryDays) {
+    // Use the stated response deadline, otherwise derive one from the delivery days
+    if (parsedData.deadline) {
+      rfp.deadline = parsedData.deadline;
+    } else if (parsedData.deliveryDays) {
       const deadline = new Date();
       deadline.setDate(deadline.getDate() + parsedData.deliveryDays);
       rfp.deadline = deadline;
@@ -54,6 +85,8 @@ exports.createRFP = async (req, res) => {
 
     await rfp.save();
 
+    await logActivity(req.user, 'rfp.created', 'RFP', rfp._id);
+
     res.status(201).json({
       success: true,
       message: 'RFP created successfully',
@@ -75,7 +108,7 @@ exports.createRFP = async (req, res) => {
  */
 exports.getAllRFPs = async (req, res) => {
   try {
-    const rfps = await RFP.find()
+    const rfps = await RFP.find({ organization: req.user.organization })
       .populate('selectedVendors', 'name email company')
       .sort({ createdAt: -1 });
 
@@ -100,7 +133,7 @@ exports.getAllRFPs = async (req, res) => {
  */
 exports.getRFPById = async (req, res) => {
   try {
-    const rfp = await RFP.findById(req.params.id)
+    const rfp = await RFP.findOne({ _id: req.params.id, organization: req.user.organization })
       .populate('selectedVendors', 'name email company');
 
     if (!rfp) {
@@ -130,19 +163,49 @@ exports.getRFPById = async (req, res) => {
  */
 exports.updateRFP = async (req, res) => {
   try {
-    const rfp = await RFP.findByIdAndUpdate(
-      req.params.id,
-      { ...req.body, updatedAt: Date.now() },
-      { new: true, runValidators: true }
-    );
+    // Anything else in the body (e.g. a whole RFP sent back by the client) is ignored
+    const body = req.body || {};
+    const updates = Object.fromEntries(EDITABLE_FIELDS
+      .filter(field => body[field] !== undefined)
+      .map(field => [field, body[field]]));
 
-    if (!rfp) {
+    const existingRFP = await RFP.findOne({ _id: req.params.id, organization: req.user.organization });
+    if (!existingRFP) {
       return res.status(404).json({
         success: false,
         message: 'RFP not found'
       });
     }
 
+    if (body.status !== undefined && body.status !== existingRFP.status) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status can only be changed through the approval, send, award and close endpoints'
+      });
+    }
+
+    // Changing the substance of a submitted or approved RFP sends it back to draft
+    const approvalReset = ['pending_approval', 'approved'].includes(existingRFP.status) &&
+      APPROVAL_FIELDS.some(field => updates[field] !== undefined);
+    if (approvalReset) {
+      updates.status = 'draft';
+      updates.approval = { steps: [], currentStep: 0 };
+      updates.$push = {
+        approvalHistory: { user: req.user._id, action: 'reset', comment: 'RFP changed after submission' }
+      };
+    }
+
+    const rfp = await RFP.findOneAndUpdate(
+      { _id: existingRFP._id, organization: req.user.organization },
+      { ...updates, updatedAt: Date.now(), updatedBy: req.user._id },
+      { new: true, runValidators: true }
+    );
+
+    await logActivity(req.user, 'rfp.updated', 'RFP', rfp._id, {
+      fields: Object.keys(updates).filter(field => field !== '$push'),
+      approvalReset
+    });
+
     res.json({
       success: true,
       message: 'RFP updated successfully',
@@ -158,13 +221,61 @@ exports.updateRFP = async (req, res) => {
   }
 };
 
+/**
+ * Close an RFP without awarding it
+ * POST /api/rfps/:id/close
+ */
+exports.closeRFP = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const rfp = await RFP.findOne({ _id: req.params.id, organization: req.user.organization });
+    if (!rfp) {
+      return res.status(404).json({
+        success: false,
+        message: 'RFP not found'
+      });
+    }
+
+    if (['awarded', 'closed'].includes(rfp.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `RFP is already ${rfp.status}`
+      });
+    }
+
+    const previousStatus = rfp.status;
+    rfp.status = 'closed';
+    rfp.updatedBy = req.user._id;
+    await rfp.save();
+
+    await logActivity(req.user, 'rfp.closed', 'RFP', rfp._id, {
+      previousStatus,
+      reason: typeof reason === 'string' ? reason : undefined
+    });
+
+    res.json({
+      success: true,
+      message: 'RFP closed',
+      data: rfp
+    });
+  } catch (error) {
+    console.error('Error closing RFP:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error closing RFP',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Delete RFP
  * DELETE /api/rfps/:id
  */
 exports.deleteRFP = async (req, res) => {
   try {
-    const rfp = await RFP.findByIdAndDelete(req.params.id);
+    const rfp = await RFP.findOneAndDelete({ _id: req.params.id, organization: req.user.organization });
 
     if (!rfp) {
       return res.status(404).json({
@@ -173,8 +284,19 @@ exports.deleteRFP = async (req, res) => {
       });
     }
 
-    // Also delete associated proposals
-    await Proposal.deleteMany({ rfpId: req.params.id });
+    // Also delete associated proposals, vendor questions and all stored documents
+    const proposals = await Proposal.find({ rfpId: rfp._id, organization: req.user.organization });
+    const files = [
+      ...rfp.attachments.map(a => a.path),
+      ...proposals.flatMap(p => [p, ...p.revisions].flatMap(v => v.attachments.map(a => a.path)))
+    ].filter(Boolean);
+    await Proposal.deleteMany({ rfpId: rfp._id, organization: req.user.organization });
+    await Clarification.deleteMany({ rfp: rfp._id, organization: req.user.organization });
+    for (const file of new Set(files)) {
+      await attachmentService.deleteAttachmentFile(file);
+    }
+
+    await logActivity(req.user, 'rfp.deleted', 'RFP', rfp._id, { title: rfp.title });
 
     res.json({
       success: true,
@@ -205,7 +327,7 @@ exports.selectVendors = async (req, res) => {
       });
     }
 
-    const rfp = await RFP.findById(req.params.id);
+    const rfp = await RFP.findOne({ _id: req.params.id, organization: req.user.organization });
     if (!rfp) {
       return res.status(404).json({
         success: false,
@@ -214,7 +336,7 @@ exports.selectVendors = async (req, res) => {
     }
 
     // Verify all vendors exist
-    const vendors = await Vendor.find({ _id: { $in: vendorIds } });
+    const vendors = await Vendor.find({ _id: { $in: vendorIds }, organization: req.user.organization });
     if (vendors.length !== vendorIds.length) {
       return res.status(400).json({
         success: false,
@@ -223,9 +345,12 @@ exports.selectVendors = async (req, res) => {
     }
 
     rfp.selectedVendors = vendorIds;
+    rfp.updatedBy = req.user._id;
     await rfp.save();
 
-    const updatedRFP = await RFP.findById(req.params.id)
+    await logActivity(req.user, 'rfp.vendors_selected', 'RFP', rfp._id, { vendorIds });
+
+    const updatedRFP = await RFP.findById(rfp._id)
       .populate('selectedVendors', 'name email company');
 
     res.json({
@@ -246,11 +371,11 @@ exports.selectVendors = async (req, res) => {
 /**
  * Send RFP to selected vendors via email
  * POST /api/rfps/:id/send
+ * The emails are sent by a background job; responds with the job id.
  */
 exports.sendRFPToVendors = async (req, res) => {
   try {
-    const rfp = await RFP.findById(req.params.id)
-      .populate('selectedVendors', 'name email company');
+    const rfp = await RFP.findOne({ _id: req.params.id, organization: req.user.organization });
 
     if (!rfp) {
       return res.status(404).json({
@@ -266,49 +391,50 @@ exports.sendRFPToVendors = async (req, res) => {
       });
     }
 
-    // Send emails to all selected vendors
-    const sendResults = [];
-    for (const vendor of rfp.selectedVendors) {
-      // Generate personalized email content using AI
-      const emailResult = await aiService.generateRFPEmail(rfp, vendor.name);
-      
-      if (emailResult.success) {
-        const sendResult = await emailService.sendEmail(
-          vendor.email,
-          emailResult.data.subject,
-          emailResult.data.body
-        );
-        
-        sendResults.push({
-          vendorId: vendor._id,
-          vendorName: vendor.name,
-          email: vendor.email,
-          sent: sendResult.success,
-          error: sendResult.error
-        });
-      } else {
-        sendResults.push({
-          vendorId: vendor._id,
-          vendorName: vendor.name,
-          email: vendor.email,
-          sent: false,
-          error: 'Failed to generate email content'
-        });
-      }
+    if (!approvalService.canSend(rfp, req.organization.settings.approvalRules)) {
+      return res.status(403).json({
+        success: false,
+        message: rfp.status === 'pending_approval'
+          ? 'RFP is still awaiting approval'
+          : 'RFP requires approval before it can be sent'
+      });
+    }
+
+    // Later rounds go out through their own endpoint; sending again would
+    // reset the round 1 deliveries of an RFP already with vendors
+    if (!['draft', 'approved'].includes(rfp.status) || rfp.rounds.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `RFP has already been sent (status is '${rfp.status}')`
+      });
     }
 
     // Update RFP status
     rfp.status = 'sent';
     rfp.sentAt = new Date();
+
+    // Record the invitation list for the initial pricing round
+    rfp.rounds.push({
+      number: 1,
+      type: 'initial',
+      vendors: rfp.selectedVendors,
+      openedAt: rfp.sentAt
+    });
+    rfp.updatedBy = req.user._id;
     await rfp.save();
 
-    res.json({
+    const job = await jobQueue.enqueue(JOB_TYPES.SEND_ROUND, { rfpId: rfp._id.toString(), round: 1 }, {
+      organization: req.user.organization,
+      createdBy: req.user._id
+    });
+
+    res.status(202).json({
       success: true,
-      message: 'RFP sent to vendors',
+      message: `Sending RFP to ${rfp.selectedVendors.length} vendors`,
       data: {
         rfpId: rfp._id,
         sentAt: rfp.sentAt,
-        results: sendResults
+        jobId: job._id
       }
     });
   } catch (error) {
@@ -327,7 +453,10 @@ exports.sendRFPToVendors = async (req, res) => {
  */
 exports.getRFPProposals = async (req, res) => {
   try {
-    const proposals = await Proposal.find({ rfpId: req.params.id })
+    const query = { rfpId: req.params.id, organization: req.user.organization };
+    if (req.query.round) query.round = parseInt(req.query.round);
+
+    const proposals = await Proposal.find(query)
       .populate('vendorId', 'name email company')
       .sort({ receivedAt: -1 });
 
@@ -347,12 +476,12 @@ exports.getRFPProposals = async (req, res) => {
 };
 
 /**
- * Compare proposals and get AI recommendation
- * GET /api/rfps/:id/compare
+ * Start comparing proposals for a round in the background
+ * POST /api/rfps/:id/compare { round } (defaults to the current round)
  */
 exports.compareProposals = async (req, res) => {
   try {
-    const rfp = await RFP.findById(req.params.id);
+    const rfp = await RFP.findOne({ _id: req.params.id, organization: req.user.organization });
     if (!rfp) {
       return res.status(404).json({
         success: false,
@@ -360,78 +489,1140 @@ exports.compareProposals = async (req, res) => {
       });
     }
 
-    const proposals = await Proposal.find({ 
-      rfpId: req.params.id,
+    // A comparison would overwrite the scores and statuses the award was decided on
+    if (['awarded', 'closed'].includes(rfp.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Proposals cannot be compared once the RFP is ${rfp.status}`
+      });
+    }
+
+    const round = req.body.round ? parseInt(req.body.round) : rfp.currentRound;
+
+    const parsedCount = await Proposal.countDocuments({ 
+      rfpId: rfp._id,
+      organization: req.user.organization,
+      round,
       isParsingComplete: true 
-    }).populate('vendorId', 'name email company');
+    });
 
-    if (proposals.length === 0) {
+    if (parsedCount === 0) {
       return res.status(400).json({
         success: false,
-        message: 'No parsed proposals available for comparison'
+        message: `No parsed proposals available for comparison in round ${round}`
       });
     }
 
-    if (proposals.length === 1) {
-      return res.json({
-        success: true,
-        message: 'Only one proposal available',
-        data: {
-          comparison: null,
-          recommendation: {
-            recommendedVendorId: proposals[0].vendorId._id,
-            recommendedVendorName: proposals[0].vendorId.name,
-            reasoning: 'Only one proposal received',
-            risks: ['Single vendor option - no competitive comparison possible']
-          },
-          proposals: proposals
-        }
+    const job = await jobQueue.enqueue(JOB_TYPES.COMPARE_PROPOSALS, { rfpId: rfp._id.toString(), round }, {
+      organization: req.user.organization,
+      createdBy: req.user._id
+    });
+
+    res.status(202).json({
+      success: true,
+      message: `Comparing ${parsedCount} proposals from round ${round}`,
+      data: {
+        rfpId: rfp._id,
+        round,
+        jobId: job._id
+      }
+    });
+  } catch (error) {
+    console.error('Error comparing proposals:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error comparing proposals',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the latest comparison and recommendation for a round
+ * GET /api/rfps/:id/compare?round=N (defaults to the current round)
+ */
+exports.getComparison = async (req, res) => {
+  try {
+    const rfp = await RFP.findOne({ _id: req.params.id, organization: req.user.organization });
+    if (!rfp) {
+      return res.status(404).json({
+        success: false,
+        message: 'RFP not found'
       });
     }
 
-    // Use AI to compare proposals
-    const comparisonResult = await aiService.compareProposals(rfp, proposals);
+    const round = req.query.round ? parseInt(req.query.round) : rfp.currentRound;
+    const comparison = rfp.comparisons.find(c => c.round === round);
 
-    if (!comparisonResult.success) {
-      return res.status(500).json({
+    if (!comparison) {
+      return res.status(404).json({
         success: false,
-        message: 'Failed to compare proposals',
-        error: comparisonResult.error
+        message: `Proposals in round ${round} have not been compared yet`
       });
     }
 
-    // Update proposal scores based on AI analysis
-    for (const vendorScore of comparisonResult.data.vendorScores) {
-      await Proposal.findOneAndUpdate(
-        { rfpId: req.params.id, vendorId: vendorScore.vendorId },
-        {
-          'scores.priceScore': vendorScore.priceScore,
-          'scores.deliveryScore': vendorScore.deliveryScore,
-          'scores.termsScore': vendorScore.termsScore,
-          'scores.overallScore': vendorScore.overallScore,
-          'scores.pros': vendorScore.pros,
-          'scores.cons': vendorScore.cons,
-          'scores.aiSummary': vendorScore.summary,
-          status: 'evaluated'
-        }
-      );
+    res.json({
+      success: true,
+      data: {
+        ...comparison.result,
+        comparedAt: comparison.comparedAt,
+        usedFallback: comparison.usedFallback
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching comparison:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching comparison',
+      error: error.message
+    });
+  }
+};
+
+
+/**
+ * Shortlist vendors from the current round for a BAFO round
+ * POST /api/rfps/:id/shortlist
+ */
+exports.shortlistVendors = async (req, res) => {
+  try {
+    const { vendorIds } = req.body;
+
+    if (!vendorIds || !Array.isArray(vendorIds) || vendorIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'vendorIds array is required'
+      });
     }
 
-    // Update RFP status
-    rfp.status = 'evaluated';
+    const rfp = await RFP.findOne({ _id: req.params.id, organization: req.user.organization });
+    if (!rfp) {
+      return res.status(404).json({
+        success: false,
+        message: 'RFP not found'
+      });
+    }
+
+    // Only vendors that responded in the current round can be shortlisted
+    const proposals = await Proposal.find({
+      rfpId: rfp._id,
+      organization: req.user.organization,
+      round: rfp.currentRound,
+      vendorId: { $in: vendorIds }
+    });
+    const respondedVendorIds = new Set(proposals.map(p => p.vendorId.toString()));
+    const missing = vendorIds.filter(id => !respondedVendorIds.has(id.toString()));
+
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Vendors without a proposal in round ${rfp.currentRound} cannot be shortlisted`,
+        data: { vendorIds: missing }
+      });
+    }
+
+    rfp.shortlistedVendors = vendorIds;
+    rfp.updatedBy = req.user._id;
     await rfp.save();
 
+    await logActivity(req.user, 'rfp.shortlisted', 'RFP', rfp._id, { round: rfp.currentRound, vendorIds });
+
+    const updatedRFP = await RFP.findById(rfp._id)
+      .populate('selectedVendors', 'name email company')
+      .populate('shortlistedVendors', 'name email company');
+
     res.json({
       success: true,
-      data: comparisonResult.data
+      message: 'Vendors shortlisted successfully',
+      data: updatedRFP
     });
   } catch (error) {
-    console.error('Error comparing proposals:', error);
+    console.error('Error shortlisting vendors:', error);
     res.status(500).json({
       success: false,
-      message: 'Error comparing proposals',
+      message: 'Error shortlisting vendors',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Open a Best-and-Final-Offer round and email the shortlisted vendors
+ * POST /api/rfps/:id/rounds
+ * The emails are sent by a background job; responds with the job id.
+ */
+exports.openBAFORound = async (req, res) => {
+  try {
+    const { deadline, instructions } = req.body;
+
+    const rfp = await RFP.findOne({ _id: req.params.id, organization: req.user.organization });
+
+    if (!rfp) {
+      return res.status(404).json({
+        success: false,
+        message: 'RFP not found'
+      });
+    }
+
+    if (!['sent', 'responses_received', 'evaluated'].includes(rfp.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot open a new round for an RFP with status '${rfp.status}'`
+      });
+    }
+
+    if (!rfp.shortlistedVendors || rfp.shortlistedVendors.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Shortlist vendors before opening a BAFO round'
+      });
+    }
+
+    const round = {
+      number: rfp.currentRound + 1,
+      type: 'bafo',
+      vendors: rfp.shortlistedVendors,
+      instructions,
+      deadline: deadline ? new Date(deadline) : undefined,
+      openedAt: new Date()
+    };
+
+    rfp.rounds.push(round);
+    rfp.currentRound = round.number;
+    rfp.shortlistedVendors = [];
+    rfp.status = 'sent';
+    rfp.updatedBy = req.user._id;
+    await rfp.save();
+
+    // Email only the shortlisted vendors, referencing their last quote
+    const job = await jobQueue.enqueue(JOB_TYPES.SEND_ROUND, { rfpId: rfp._id.toString(), round: round.number }, {
+      organization: req.user.organization,
+      createdBy: req.user._id
+    });
+
+    await logActivity(req.user, 'rfp.round_opened', 'RFP', rfp._id, {
+      round: round.number,
+      vendorCount: round.vendors.length
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `BAFO round ${round.number} opened`,
+      data: {
+        rfpId: rfp._id,
+        round: rfp.getRound(round.number),
+        jobId: job._id
+      }
+    });
+  } catch (error) {
+    console.error('Error opening BAFO round:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error opening BAFO round',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Compare vendor pricing across rounds
+ * GET /api/rfps/:id/rounds/compare
+ */
+exports.compareRounds = async (req, res) => {
+  try {
+    const rfp = await RFP.findOne({ _id: req.params.id, organization: req.user.organization });
+    if (!rfp) {
+      return res.status(404).json({
+        success: false,
+        message: 'RFP not found'
+      });
+    }
+
+    const quoted = await Proposal.find({ rfpId: rfp._id, organization: req.user.organization })
+      .populate('vendorId', 'name email company')
+      .sort({ round: 1 });
+    const { proposals } = await currencyService.normalizeProposals(rfp, quoted);
+
+    // Group proposals by vendor, ordered by round
+    const byVendor = new Map();
+    for (const proposal of proposals) {
+      if (!proposal.vendorId) continue;
+      const key = proposal.vendorId._id.toString();
+      if (!byVendor.has(key)) {
+        byVendor.set(key, {
+          vendorId: proposal.vendorId._id,
+          vendorName: proposal.vendorId.name,
+          rounds: []
+        });
+      }
+      byVendor.get(key).rounds.push({
+        round: proposal.round,
+        proposalId: proposal._id,
+        totalPrice: proposal.parsedData?.totalPrice ?? null,
+        quotedCurrency: proposal.currencyConversion.from,
+        quotedTotal: proposal.currencyConversion.originalTotal,
+        deliveryDays: proposal.parsedData?.deliveryDays ?? null,
+        scores: proposal.scores
+      });
+    }
+
+    // Price movement between consecutive rounds and overall
+    const vendors = Array.from(byVendor.values()).map(vendor => {
+      let previousPrice = null;
+      for (const entry of vendor.rounds) {
+        if (entry.totalPrice != null && previousPrice != null) {
+          entry.priceChange = entry.totalPrice - previousPrice;
+          entry.priceChangePercent = previousPrice
+            ? Math.round((entry.priceChange / previousPrice) * 10000) / 100
+            : null;
+        }
+        if (entry.totalPrice != null) previousPrice = entry.totalPrice;
+      }
+
+      const priced = vendor.rounds.filter(r => r.totalPrice != null);
+      const firstPrice = priced.length > 0 ? priced[0].totalPrice : null;
+      const latestPrice = priced.length > 0 ? priced[priced.length - 1].totalPrice : null;
+
+      return {
+        ...vendor,
+        firstPrice,
+        latestPrice,
+        totalChange: firstPrice != null && latestPrice != null ? latestPrice - firstPrice : null,
+        totalChangePercent: firstPrice ? Math.round(((latestPrice - firstPrice) / firstPrice) * 10000) / 100 : null
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        rfpId: rfp._id,
+        currency: rfp.currency || 'USD',
+        currentRound: rfp.currentRound,
+        rounds: rfp.rounds,
+        vendors
+      }
+    });
+  } catch (error) {
+    console.error('Error comparing rounds:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error comparing rounds',
       error: error.message
     });
   }
 };
 
+/**
+ * Submit an RFP for approval
+ * POST /api/rfps/:id/submit
+ */
+exports.submitForApproval = async (req, res) => {
+  try {
+    const rfp = await RFP.findOne({ _id: req.params.id, organization: req.user.organization });
+    if (!rfp) {
+      return res.status(404).json({
+        success: false,
+        message: 'RFP not found'
+      });
+    }
+
+    if (!['draft', 'changes_requested'].includes(rfp.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot submit an RFP with status '${rfp.status}' for approval`
+      });
+    }
+
+    const rules = req.organization.settings.approvalRules;
+    const steps = approvalService.buildApprovalSteps(rfp, rules);
+    const now = new Date();
+
+    rfp.approvalHistory.push({ user: req.user._id, action: 'submitted', comment: req.body.comment });
+    rfp.approval = {
+      steps,
+      currentStep: 0,
+      submittedBy: req.user._id,
+      submittedAt: now
+    };
+
+    // Below every threshold: no sign-off needed
+    if (steps.length === 0) {
+      rfp.approval.approvedAt = now;
+      rfp.status = 'approved';
+    } else {
+      rfp.status = 'pending_approval';
+    }
+
+    rfp.updatedBy = req.user._id;
+    await rfp.save();
+
+    let notifications = [];
+    if (steps.length > 0) {
+      const approvers = await approvalService.getStepApprovers(rfp.approval.steps[0], req.user.organization);
+      notifications = await notificationService.notifyApprovers(
+        rfp,
+        rfp.approval.steps[0],
+        approvers,
+        req.organization.settings.email
+      );
+    }
+
+    await logActivity(req.user, 'rfp.submitted', 'RFP', rfp._id, { steps: steps.length });
+
+    res.json({
+      success: true,
+      message: steps.length === 0
+        ? 'RFP is below all approval thresholds and was approved automatically'
+        : 'RFP submitted for approval',
+      data: {
+        rfp,
+        notifications
+      }
+    });
+  } catch (error) {
+    console.error('Error submitting RFP for approval:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error submitting RFP for approval',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Approve the current approval step of an RFP
+ * POST /api/rfps/:id/approve
+ */
+exports.approveRFP = async (req, res) => {
+  try {
+    const { comment } = req.body;
+
+    const rfp = await RFP.findOne({ _id: req.params.id, organization: req.user.organization })
+      .populate('approval.submittedBy', 'name email');
+    if (!rfp) {
+      return res.status(404).json({
+        success: false,
+        message: 'RFP not found'
+      });
+    }
+
+    if (rfp.status !== 'pending_approval') {
+      return res.status(400).json({
+        success: false,
+        message: 'RFP is not awaiting approval'
+      });
+    }
+
+    const stepIndex = rfp.approval.currentStep;
+    const step = rfp.approval.steps[stepIndex];
+
+    if (rfp.approval.submittedBy?._id?.equals(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot approve an RFP you submitted'
+      });
+    }
+
+    if (!approvalService.canApproveStep(req.user, step)) {
+      return res.status(403).json({
+        success: false,
+        message: `You are not an approver for '${step.name}'`
+      });
+    }
+
+    if (step.approvedBy.some(id => id.equals(req.user._id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already approved this step'
+      });
+    }
+
+    step.approvedBy.push(req.user._id);
+    rfp.approvalHistory.push({ user: req.user._id, action: 'approved', step: stepIndex, comment });
+
+    let nextStep = null;
+    if (step.approvedBy.length >= step.requiredApprovals) {
+      step.status = 'approved';
+      step.completedAt = new Date();
+
+      if (stepIndex + 1 < rfp.approval.steps.length) {
+        rfp.approval.currentStep = stepIndex + 1;
+        nextStep = rfp.approval.steps[stepIndex + 1];
+      } else {
+        rfp.approval.approvedAt = new Date();
+        rfp.status = 'approved';
+      }
+    }
+
+    rfp.updatedBy = req.user._id;
+    await rfp.save();
+
+    // Notify the next level, or the submitter once fully approved
+    let notifications = [];
+    if (nextStep) {
+      const approvers = await approvalService.getStepApprovers(nextStep, req.user.organization);
+      notifications = await notificationService.notifyApprovers(rfp, nextStep, approvers, req.organization.settings.email);
+    } else if (rfp.status === 'approved') {
+      const result = await notificationService.notifyApprovalOutcome(
+        rfp,
+        rfp.approval.submittedBy,
+        'approved',
+        comment,
+        req.organization.settings.email
+      );
+      notifications = [{ email: rfp.approval.submittedBy?.email, sent: result.success, error: result.error }];
+    }
+
+    await logActivity(req.user, 'rfp.approved', 'RFP', rfp._id, { step: stepIndex, comment });
+
+    res.json({
+      success: true,
+      message: rfp.status === 'approved' ? 'RFP fully approved' : 'Approval recorded',
+      data: {
+        rfp,
+        notifications
+      }
+    });
+  } catch (error) {
+    console.error('Error approving RFP:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error approving RFP',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Send an RFP back to the submitter with requested changes
+ * POST /api/rfps/:id/reject
+ */
+exports.rejectRFP = async (req, res) => {
+  try {
+    const { comment } = req.body;
+
+    if (!comment) {
+      return res.status(400).json({
+        success: false,
+        message: 'A comment explaining the requested changes is required'
+      });
+    }
+
+    const rfp = await RFP.findOne({ _id: req.params.id, organization: req.user.organization })
+      .populate('approval.submittedBy', 'name email');
+    if (!rfp) {
+      return res.status(404).json({
+        success: false,
+        message: 'RFP not found'
+      });
+    }
+
+    if (rfp.status !== 'pending_approval') {
+      return res.status(400).json({
+        success: false,
+        message: 'RFP is not awaiting approval'
+      });
+    }
+
+    const stepIndex = rfp.approval.currentStep;
+    if (!approvalService.canApproveStep(req.user, rfp.approval.steps[stepIndex])) {
+      return res.status(403).json({
+        success: false,
+        message: `You are not an approver for '${rfp.approval.steps[stepIndex].name}'`
+      });
+    }
+
+    rfp.approvalHistory.push({ user: req.user._id, action: 'changes_requested', step: stepIndex, comment });
+    rfp.status = 'changes_requested';
+    rfp.updatedBy = req.user._id;
+    await rfp.save();
+
+    const result = await notificationService.notifyApprovalOutcome(
+      rfp,
+      rfp.approval.submittedBy,
+      'changes_requested',
+      comment,
+      req.organization.settings.email
+    );
+
+    await logActivity(req.user, 'rfp.changes_requested', 'RFP', rfp._id, { step: stepIndex, comment });
+
+    res.json({
+      success: true,
+      message: 'Changes requested',
+      data: {
+        rfp,
+        notifications: [{ email: rfp.approval.submittedBy?.email, sent: result.success, error: result.error }]
+      }
+    });
+  } catch (error) {
+    console.error('Error rejecting RFP:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rejecting RFP',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the approval chain and history of an RFP
+ * GET /api/rfps/:id/approvals
+ */
+exports.getApprovalStatus = async (req, res) => {
+  try {
+    const rfp = await RFP.findOne({ _id: req.params.id, organization: req.user.organization })
+      .populate('approval.submittedBy', 'name email')
+      .populate('approval.steps.approvers', 'name email')
+      .populate('approval.steps.approvedBy', 'name email')
+      .populate('approvalHistory.user', 'name email role');
+    if (!rfp) {
+      return res.status(404).json({
+        success: false,
+        message: 'RFP not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        status: rfp.status,
+        requiresApproval: approvalService.requiresApproval(rfp, req.organization.settings.approvalRules),
+        approval: rfp.approval,
+        history: rfp.approvalHistory
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching approval status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching approval status',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Award an RFP to a proposal, reject the others and notify all responding vendors
+ * POST /api/rfps/:id/award
+ */
+exports.awardRFP = async (req, res) => {
+  try {
+    const { proposalId, justification } = req.body;
+
+    if (!proposalId) {
+      return res.status(400).json({
+        success: false,
+        message: 'proposalId is required'
+      });
+    }
+
+    const rfp = await RFP.findOne({ _id: req.params.id, organization: req.user.organization });
+    if (!rfp) {
+      return res.status(404).json({
+        success: false,
+        message: 'RFP not found'
+      });
+    }
+
+    if (!['sent', 'responses_received', 'evaluated'].includes(rfp.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot award an RFP with status '${rfp.status}'`
+      });
+    }
+
+    const winningProposal = await Proposal.findOne({
+      _id: proposalId,
+      rfpId: rfp._id,
+      organization: req.user.organization
+    }).populate('vendorId', 'name email company');
+
+    if (!winningProposal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proposal not found for this RFP'
+      });
+    }
+
+    if (winningProposal.round !== rfp.currentRound) {
+      return res.status(400).json({
+        success: false,
+        message: `Only proposals from the current round (${rfp.currentRound}) can be awarded`
+      });
+    }
+
+    const winner = winningProposal.vendorId;
+
+    // Mark the winner selected and every other proposal (all rounds) rejected
+    winningProposal.status = 'selected';
+    winningProposal.updatedBy = req.user._id;
+    await winningProposal.save();
+
+    await Proposal.updateMany(
+      { rfpId: rfp._id, organization: req.user.organization, _id: { $ne: winningProposal._id } },
+      { status: 'rejected', updatedAt: Date.now(), updatedBy: req.user._id }
+    );
+
+    rfp.status = 'awarded';
+    rfp.award = {
+      proposal: winningProposal._id,
+      vendor: winner._id,
+      justification,
+      awardedBy: req.user._id,
+      awardedAt: new Date()
+    };
+    rfp.updatedBy = req.user._id;
+    await rfp.save();
+
+    // Award email to the winner, one regret email to each other responding vendor
+    const job = await jobQueue.enqueue(JOB_TYPES.SEND_AWARD, { rfpId: rfp._id.toString() }, {
+      organization: req.user.organization,
+      createdBy: req.user._id
+    });
+
+    await logActivity(req.user, 'rfp.awarded', 'RFP', rfp._id, {
+      proposalId: winningProposal._id,
+      vendorId: winner._id,
+      justification
+    });
+
+    res.json({
+      success: true,
+      message: `RFP awarded to ${winner.name}`,
+      data: {
+        rfp,
+        proposal: winningProposal,
+        jobId: job._id
+      }
+    });
+  } catch (error) {
+    console.error('Error awarding RFP:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error awarding RFP',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Changing the documents of a submitted or approved RFP sends it back to draft,
+ * like any other content change. Returns true if the approval was reset.
+ */
+function resetApprovalForDocumentChange(rfp, user) {
+  if (!['pending_approval', 'approved'].includes(rfp.status)) return false;
+
+  rfp.status = 'draft';
+  rfp.approval = { steps: [], currentStep: 0 };
+  rfp.approvalHistory.push({ user: user._id, action: 'reset', comment: 'RFP documents changed after submission' });
+  return true;
+}
+
+/**
+ * Upload documents to an RFP (specifications, drawings, terms)
+ * POST /api/rfps/:id/attachments
+ */
+exports.uploadAttachments = async (req, res) => {
+  try {
+    const rfp = await RFP.findOne({ _id: req.params.id, organization: req.user.organization });
+
+    if (!rfp) {
+      return res.status(404).json({
+        success: false,
+        message: 'RFP not found'
+      });
+    }
+
+    if (['awarded', 'closed'].includes(rfp.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Documents cannot be changed on an RFP with status '${rfp.status}'`
+      });
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No files uploaded'
+      });
+    }
+
+    const attachments = [];
+    for (const file of req.files) {
+      const attachment = await attachmentService.saveAttachment(req.user.organization, 'rfps', {
+        filename: file.originalname,
+        content: file.buffer,
+        contentType: file.mimetype
+      });
+      attachments.push({ ...attachment, uploadedBy: req.user._id });
+    }
+
+    rfp.attachments.push(...attachments);
+    const approvalReset = resetApprovalForDocumentChange(rfp, req.user);
+    rfp.updatedBy = req.user._id;
+    await rfp.save();
+
+    await logActivity(req.user, 'rfp.attachments_uploaded', 'RFP', rfp._id, {
+      files: attachments.map(a => a.originalName),
+      approvalReset
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${attachments.length} file(s) uploaded`,
+      data: rfp.attachments.slice(-attachments.length)
+    });
+  } catch (error) {
+    console.error('Error uploading RFP attachments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error uploading RFP attachments',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Download an RFP attachment
+ * GET /api/rfps/:id/attachments/:attachmentId
+ */
+exports.downloadAttachment = async (req, res) => {
+  try {
+    const rfp = await RFP.findOne({ _id: req.params.id, organization: req.user.organization });
+    const attachment = rfp?.attachments.id(req.params.attachmentId);
+
+    if (!attachment || !attachment.path) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    res.download(attachmentService.resolvePath(attachment.path), attachment.originalName || attachment.filename, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({
+          success: false,
+          message: 'Attachment file is missing'
+        });
+      }
+    });
+  } catch (error) {
+    console.error('Error downloading RFP attachment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error downloading RFP attachment',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete an RFP attachment
+ * DELETE /api/rfps/:id/attachments/:attachmentId
+ */
+exports.deleteAttachment = async (req, res) => {
+  try {
+    const rfp = await RFP.findOne({ _id: req.params.id, organization: req.user.organization });
+    const attachment = rfp?.attachments.id(req.params.attachmentId);
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    if (['awarded', 'closed'].includes(rfp.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Documents cannot be changed on an RFP with status '${rfp.status}'`
+      });
+    }
+
+    attachment.deleteOne();
+    const approvalReset = resetApprovalForDocumentChange(rfp, req.user);
+    rfp.updatedBy = req.user._id;
+    await rfp.save();
+
+    if (attachment.path) {
+      await attachmentService.deleteAttachmentFile(attachment.path);
+    }
+
+    await logActivity(req.user, 'rfp.attachment_deleted', 'RFP', rfp._id, {
+      file: attachment.originalName,
+      approvalReset
+    });
+
+    res.json({
+      success: true,
+      message: 'Attachment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting RFP attachment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting RFP attachment',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Item-by-item comparison of a round's proposals against the RFP's items
+ * GET /api/rfps/:id/line-items?round=2 (defaults to the current round)
+ */
+exports.getLineItemComparison = async (req, res) => {
+  try {
+    const rfp = await RFP.findOne({ _id: req.params.id, organization: req.user.organization });
+    if (!rfp) {
+      return res.status(404).json({
+        success: false,
+        message: 'RFP not found'
+      });
+    }
+
+    const round = req.query.round ? parseInt(req.query.round) : rfp.currentRound;
+    const quoted = await Proposal.find({
+      rfpId: rfp._id,
+      organization: req.user.organization,
+      round,
+      isParsingComplete: true
+    }).populate('vendorId', 'name email company');
+    const { proposals, ...currency } = await currencyService.normalizeProposals(rfp, quoted);
+
+    res.json({
+      success: true,
+      data: {
+        round,
+        proposalCount: proposals.length,
+        currency,
+        ...comparisonService.buildLineItemComparison(rfp, proposals)
+      }
+    });
+  } catch (error) {
+    console.error('Error comparing line items:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error comparing line items',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Vendor x requirement compliance matrix for a round (defaults to the current round)
+ * GET /api/rfps/:id/compliance
+ */
+exports.getCompliance = async (req, res) => {
+  try {
+    const rfp = await RFP.findOne({ _id: req.params.id, organization: req.user.organization });
+    if (!rfp) {
+      return res.status(404).json({
+        success: false,
+        message: 'RFP not found'
+      });
+    }
+
+    const round = req.query.round ? parseInt(req.query.round) : rfp.currentRound;
+    const quoted = await Proposal.find({
+      rfpId: rfp._id,
+      organization: req.user.organization,
+      round,
+      isParsingComplete: true
+    }).populate('vendorId', 'name email company');
+    const { proposals, ...currency } = await currencyService.normalizeProposals(rfp, quoted);
+
+    res.json({
+      success: true,
+      data: {
+        round,
+        proposalCount: proposals.length,
+        currency,
+        ...comparisonService.buildComplianceMatrix(rfp, proposals)
+      }
+    });
+  } catch (error) {
+    console.error('Error checking compliance:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking compliance',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the RFP's scoring criteria and the criteria that can be used
+ * GET /api/rfps/:id/scoring
+ */
+exports.getScoringModel = async (req, res) => {
+  try {
+    const rfp = await RFP.findOne({ _id: req.params.id, organization: req.user.organization });
+    if (!rfp) {
+      return res.status(404).json({
+        success: false,
+        message: 'RFP not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        criteria: scoringModel.getCriteria(rfp),
+        isDefault: rfp.evaluationCriteria.length === 0,
+        availableCriteria: Object.entries(scoringModel.CRITERIA).map(([key, { label, description }]) => ({ key, label, description }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching scoring model:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching scoring model',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Set the RFP's weighted scoring criteria (criteria: null restores the defaults)
+ * PUT /api/rfps/:id/scoring
+ */
+exports.updateScoringModel = async (req, res) => {
+  try {
+    const { criteria } = req.body;
+
+    const rfp = await RFP.findOne({ _id: req.params.id, organization: req.user.organization });
+    if (!rfp) {
+      return res.status(404).json({
+        success: false,
+        message: 'RFP not found'
+      });
+    }
+
+    if (criteria !== null) {
+      const error = scoringModel.validateCriteria(criteria);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+    }
+
+    rfp.evaluationCriteria = criteria ? criteria.map(({ key, weight }) => ({ key, weight })) : [];
+    rfp.updatedBy = req.user._id;
+    await rfp.save();
+
+    await logActivity(req.user, 'rfp.scoring_updated', 'RFP', rfp._id, {
+      criteria: scoringModel.getCriteria(rfp).map(({ key, weight }) => ({ key, weight }))
+    });
+
+    res.json({
+      success: true,
+      message: 'Scoring model updated successfully',
+      data: {
+        criteria: scoringModel.getCriteria(rfp),
+        isDefault: rfp.evaluationCriteria.length === 0
+      }
+    });
+  } catch (error) {
+    console.error('Error updating scoring model:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating scoring model',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Score a round's proposals with the current scoring model, without saving anything
+ * GET /api/rfps/:id/scores
+ */
+exports.getScores = async (req, res) => {
+  try {
+    const rfp = await RFP.findOne({ _id: req.params.id, organization: req.user.organization });
+    if (!rfp) {
+      return res.status(404).json({
+        success: false,
+        message: 'RFP not found'
+      });
+    }
+
+    const round = req.query.round ? parseInt(req.query.round) : rfp.currentRound;
+    const quoted = await Proposal.find({
+      rfpId: rfp._id,
+      organization: req.user.organization,
+      round,
+      isParsingComplete: true
+    }).populate('vendorId', 'name email company');
+    const { proposals, ...currency } = await currencyService.normalizeProposals(rfp, quoted);
+
+    const lineItems = comparisonService.buildLineItemComparison(rfp, proposals);
+    const compliance = comparisonService.buildComplianceMatrix(rfp, proposals);
+
+    res.json({
+      success: true,
+      data: {
+        round,
+        proposalCount: proposals.length,
+        currency,
+        ...scoringModel.scoreProposals(rfp, proposals, { lineItems, compliance })
+      }
+    });
+  } catch (error) {
+    console.error('Error scoring proposals:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error scoring proposals',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * AI calls made for an RFP and its proposals, newest first, with token and cost totals.
+ * Prompts and raw replies are left out; GET /api/ai-calls/:id has them.
+ * GET /api/rfps/:id/ai-calls
+ */
+exports.getAICalls = async (req, res) => {
+  try {
+    const rfp = await RFP.findOne({ _id: req.params.id, organization: req.user.organization });
+    if (!rfp) {
+      return res.status(404).json({
+        success: false,
+        message: 'RFP not found'
+      });
+    }
+
+    let query = { organization: req.user.organization, rfp: rfp._id };
+    if (req.query.task) query.task = req.query.task;
+
+    const calls = await AICall.find(query)
+      .select('-messages -response -attempts')
+      .populate('vendor', 'name company')
+      .sort({ createdAt: -1 });
+
+    const totals = calls.reduce((sum, call) => ({
+      totalTokens: sum.totalTokens + call.totalTokens,
+      estimatedCost: sum.estimatedCost + (call.estimatedCost || 0),
+      fallbacks: sum.fallbacks + (call.usedFallback ? 1 : 0)
+    }), { totalTokens: 0, estimatedCost: 0, fallbacks: 0 });
+    totals.estimatedCost = Math.round(totals.estimatedCost * 10000) / 10000;
+
+    res.json({
+      success: true,
+      count: calls.length,
+      totals,
+      data: calls
+    });
+  } catch (error) {
+    console.error('Error fetching AI calls:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching AI calls',
+      error: error.message
+    });
+  }
+};
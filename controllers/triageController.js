@@ -0,0 +1,252 @@
+const TriageEmail = require('../models/TriageEmail');
+const RFP = require('../models/RFP');
+const Vendor = require('../models/Vendor');
+const jobQueue = require('../services/jobQueue');
+const proposalIntakeService = require('../services/proposalIntakeService');
+const { logActivity } = require('../services/activityService');
+const { JOB_TYPES } = require('../jobs');
+
+/**
+ * Get emails waiting in the triage queue
+ * GET /api/triage
+ */
+exports.getTriageEmails = async (req, res) => {
+  try {
+    const { status = 'pending', reason } = req.query;
+
+    let query = { organization: req.user.organization };
+    if (status !== 'all') query.status = status;
+    if (reason) query.reason = reason;
+
+    const emails = await TriageEmail.find(query)
+      .select('-html -attachments.parsedContent')
+      .populate('vendor', 'name email company')
+      .populate('candidateRfps', 'title status currentRound')
+      .sort({ date: -1 });
+
+    res.json({
+      success: true,
+      count: emails.length,
+      data: emails
+    });
+  } catch (error) {
+    console.error('Error fetching triage emails:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching triage emails',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a single triage email
+ * GET /api/triage/:id
+ */
+exports.getTriageEmailById = async (req, res) => {
+  try {
+    const email = await TriageEmail.findOne({ _id: req.params.id, organization: req.user.organization })
+      .populate('vendor', 'name email company')
+      .populate('candidateRfps', 'title status currentRound');
+
+    if (!email) {
+      return res.status(404).json({
+        success: false,
+        message: 'Triage email not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: email
+    });
+  } catch (error) {
+    console.error('Error fetching triage email:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching triage email',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * File a triage email as a vendor's proposal for an RFP, or as a vendor
+ * question (type: 'clarification')
+ * POST /api/triage/:id/assign
+ */
+exports.assignTriageEmail = async (req, res) => {
+  try {
+    const { rfpId, vendorId, round, parse, type = 'proposal' } = req.body;
+
+    if (!['proposal', 'clarification'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'type must be proposal or clarification'
+      });
+    }
+
+    const triageEmail = await TriageEmail.findOne({ _id: req.params.id, organization: req.user.organization });
+    if (!triageEmail) {
+      return res.status(404).json({
+        success: false,
+        message: 'Triage email not found'
+      });
+    }
+
+    if (triageEmail.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Email has already been ${triageEmail.status}`
+      });
+    }
+
+    const rfp = await RFP.findOne({ _id: rfpId, organization: req.user.organization });
+    const vendor = await Vendor.findOne({ _id: vendorId || triageEmail.vendor, organization: req.user.organization });
+    if (!rfp || !vendor) {
+      return res.status(404).json({
+        success: false,
+        message: 'RFP or Vendor not found'
+      });
+    }
+
+    const roundNumber = round ? parseInt(round) : rfp.currentRound;
+    if (!rfp.getRoundVendorIds(roundNumber).includes(vendor._id.toString())) {
+      return res.status(400).json({
+        success: false,
+        message: `Vendor was not invited to round ${roundNumber}`
+      });
+    }
+
+    const email = {
+      messageId: triageEmail.messageId,
+      subject: triageEmail.subject,
+      text: triageEmail.text,
+      html: triageEmail.html,
+      fromAddress: triageEmail.fromAddress,
+      date: triageEmail.date,
+      attachments: triageEmail.attachments.map(a => a.toObject())
+    };
+
+    if (type === 'clarification') {
+      const { action, clarification } = await proposalIntakeService.ingestClarification(email, {
+        rfp,
+        vendor,
+        round: roundNumber,
+        actor: req.user,
+        source: 'triage'
+      });
+
+      triageEmail.status = 'assigned';
+      triageEmail.assignedRfp = rfp._id;
+      triageEmail.assignedClarification = clarification._id;
+      triageEmail.resolvedBy = req.user._id;
+      triageEmail.resolvedAt = new Date();
+      await triageEmail.save();
+
+      return res.json({
+        success: true,
+        message: action === 'duplicate'
+          ? 'Email was already filed as a question'
+          : 'Email filed as a vendor question',
+        data: {
+          triageEmail,
+          clarification
+        }
+      });
+    }
+
+    const { action, proposal } = await proposalIntakeService.ingestEmail(email, {
+      rfp,
+      vendor,
+      round: roundNumber,
+      actor: req.user,
+      source: 'triage'
+    });
+
+    if (action !== 'duplicate') {
+      await proposalIntakeService.markResponsesReceived(rfp);
+    }
+
+    let job = null;
+    if (action !== 'duplicate' && (parse || req.organization.settings.email?.autoParse)) {
+      job = await jobQueue.enqueue(
+        JOB_TYPES.PARSE_PROPOSAL,
+        { proposalId: proposal._id.toString(), revision: proposal.revision },
+        { organization: req.user.organization, createdBy: req.user._id }
+      );
+    }
+
+    triageEmail.status = 'assigned';
+    triageEmail.assignedRfp = rfp._id;
+    triageEmail.assignedProposal = proposal._id;
+    triageEmail.resolvedBy = req.user._id;
+    triageEmail.resolvedAt = new Date();
+    await triageEmail.save();
+
+    res.json({
+      success: true,
+      message: action === 'duplicate'
+        ? 'Email was already filed on this proposal'
+        : `Email filed as ${action === 'created' ? 'a new proposal' : `revision ${proposal.revision}`}`,
+      data: {
+        triageEmail,
+        proposal,
+        jobId: job?._id
+      }
+    });
+  } catch (error) {
+    console.error('Error assigning triage email:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error assigning triage email',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Dismiss a triage email that is not a vendor response
+ * POST /api/triage/:id/dismiss
+ */
+exports.dismissTriageEmail = async (req, res) => {
+  try {
+    const triageEmail = await TriageEmail.findOne({ _id: req.params.id, organization: req.user.organization });
+    if (!triageEmail) {
+      return res.status(404).json({
+        success: false,
+        message: 'Triage email not found'
+      });
+    }
+
+    if (triageEmail.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Email has already been ${triageEmail.status}`
+      });
+    }
+
+    triageEmail.status = 'dismissed';
+    triageEmail.resolvedBy = req.user._id;
+    triageEmail.resolvedAt = new Date();
+    await triageEmail.save();
+
+    await logActivity(req.user, 'triage.dismissed', 'TriageEmail', triageEmail._id, {
+      from: triageEmail.fromAddress,
+      subject: triageEmail.subject
+    });
+
+    res.json({
+      success: true,
+      message: 'Email dismissed',
+      data: triageEmail
+    });
+  } catch (error) {
+    console.error('Error dismissing triage email:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error dismissing triage email',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,174 @@
+const User = require('../models/User');
+const ActivityLog = require('../models/ActivityLog');
+const { ROLES } = require('../config/permissions');
+const { logActivity } = require('../services/activityService');
+
+/**
+ * Create a user
+ * POST /api/users
+ */
+exports.createUser = async (req, res) => {
+  try {
+    const { name, email, password, role } = req.body;
+
+    if (!name || !email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name, email and password are required'
+      });
+    }
+
+    if (role && !ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    // Emails identify users at login, so they are unique across organizations
+    const existingUser = await User.findOne({ email: email.toLowerCase() });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'A user with this email already exists'
+      });
+    }
+
+    const user = new User({
+      organization: req.user.organization,
+      name,
+      email,
+      password,
+      role
+    });
+    await user.save();
+
+    await logActivity(req.user, 'user.created', 'User', user._id, { role: user.role });
+
+    res.status(201).json({
+      success: true,
+      message: 'User created successfully',
+      data: user
+    });
+  } catch (error) {
+    console.error('Error creating user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating user',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get all users
+ * GET /api/users
+ */
+exports.getAllUsers = async (req, res) => {
+  try {
+    const { role, isActive } = req.query;
+
+    let query = { organization: req.user.organization };
+    if (role) query.role = role;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    const users = await User.find(query).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      count: users.length,
+      data: users
+    });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching users',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update a user's name, role or active flag
+ * PUT /api/users/:id
+ */
+exports.updateUser = async (req, res) => {
+  try {
+    const { name, role, isActive } = req.body;
+
+    if (role && !ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    const user = await User.findOne({ _id: req.params.id, organization: req.user.organization });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (name !== undefined) user.name = name;
+    if (role !== undefined) user.role = role;
+    if (isActive !== undefined) user.isActive = isActive;
+
+    // Role or access changes take effect immediately
+    if (user.isModified('role') || user.isModified('isActive')) {
+      user.tokenVersion += 1;
+    }
+
+    await user.save();
+
+    await logActivity(req.user, 'user.updated', 'User', user._id, { name, role, isActive });
+
+    res.json({
+      success: true,
+      message: 'User updated successfully',
+      data: user
+    });
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating user',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the activity log
+ * GET /api/users/activity
+ */
+exports.getActivity = async (req, res) => {
+  try {
+    const { entityType, entityId, user, limit } = req.query;
+
+    let query = { organization: req.user.organization };
+    if (entityType) query.entityType = entityType;
+    if (entityId) query.entityId = entityId;
+    if (user) query.user = user;
+
+    const activity = await ActivityLog.find(query)
+      .populate('user', 'name email role')
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(limit) || 100, 500));
+
+    res.json({
+      success: true,
+      count: activity.length,
+      data: activity
+    });
+  } catch (error) {
+    console.error('Error fetching activity:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching activity',
+      error: error.message
+    });
+  }
+};
@@ -1,4 +1,5 @@
 const Vendor = require('../models/Vendor');
+const { logActivity } = require('../services/activityService');
 
 /**
  * Create a new vendor
@@ -16,7 +17,10 @@ exports.createVendor = async (req, res) => {
     }
 
     // Check if vendor with email already exists
-    const existingVendor = await Vendor.findOne({ email: email.toLowerCase() });
+    const existingVendor = await Vendor.findOne({
+      organization: req.user.organization,
+      email: email.toLowerCase()
+    });
     if (existingVendor) {
       return res.status(400).json({
         success: false,
@@ -25,17 +29,22 @@ exports.createVendor = async (req, res) => {
     }
 
     const vendor = new Vendor({
+      organization: req.user.organization,
       name,
       email,
       company,
       phone,
       address,
       categories,
-      notes
+      notes,
+      createdBy: req.user._id,
+      updatedBy: req.user._id
     });
 
     await vendor.save();
 
+    await logActivity(req.user, 'vendor.created', 'Vendor', vendor._id);
+
     res.status(201).json({
       success: true,
       message: 'Vendor created successfully',
@@ -59,7 +68,7 @@ exports.getAllVendors = async (req, res) => {
   try {
     const { search, category, isActive } = req.query;
     
-    let query = {};
+    let query = { organization: req.user.organization };
     
     // Search filter
     if (search) {
@@ -103,7 +112,7 @@ exports.getAllVendors = async (req, res) => {
  */
 exports.getVendorById = async (req, res) => {
   try {
-    const vendor = await Vendor.findById(req.params.id);
+    const vendor = await Vendor.findOne({ _id: req.params.id, organization: req.user.organization });
 
     if (!vendor) {
       return res.status(404).json({
@@ -135,6 +144,7 @@ exports.updateVendor = async (req, res) => {
     // Don't allow changing email to an existing one
     if (req.body.email) {
       const existingVendor = await Vendor.findOne({ 
+        organization: req.user.organization,
         email: req.body.email.toLowerCase(),
         _id: { $ne: req.params.id }
       });
@@ -146,9 +156,12 @@ exports.updateVendor = async (req, res) => {
       }
     }
 
-    const vendor = await Vendor.findByIdAndUpdate(
-      req.params.id,
-      { ...req.body, updatedAt: Date.now() },
+    // The owning organization can never be changed through an update
+    const { organization, ...updates } = req.body;
+
+    const vendor = await Vendor.findOneAndUpdate(
+      { _id: req.params.id, organization: req.user.organization },
+      { ...updates, updatedAt: Date.now(), updatedBy: req.user._id },
       { new: true, runValidators: true }
     );
 
@@ -159,6 +172,8 @@ exports.updateVendor = async (req, res) => {
       });
     }
 
+    await logActivity(req.user, 'vendor.updated', 'Vendor', vendor._id, { fields: Object.keys(updates) });
+
     res.json({
       success: true,
       message: 'Vendor updated successfully',
@@ -180,7 +195,7 @@ exports.updateVendor = async (req, res) => {
  */
 exports.deleteVendor = async (req, res) => {
   try {
-    const vendor = await Vendor.findByIdAndDelete(req.params.id);
+    const vendor = await Vendor.findOneAndDelete({ _id: req.params.id, organization: req.user.organization });
 
     if (!vendor) {
       return res.status(404).json({
@@ -189,6 +204,8 @@ exports.deleteVendor = async (req, res) => {
       });
     }
 
+    await logActivity(req.user, 'vendor.deleted', 'Vendor', vendor._id, { email: vendor.email });
+
     res.json({
       success: true,
       message: 'Vendor deleted successfully'
@@ -234,6 +251,7 @@ exports.bulkCreateVendors = async (req, res) => {
         }
 
         const existingVendor = await Vendor.findOne({ 
+          organization: req.user.organization,
           email: vendorData.email.toLowerCase() 
         });
         
@@ -245,8 +263,14 @@ exports.bulkCreateVendors = async (req, res) => {
           continue;
         }
 
-        const vendor = new Vendor(vendorData);
+        const vendor = new Vendor({
+          ...vendorData,
+          organization: req.user.organization,
+          createdBy: req.user._id,
+          updatedBy: req.user._id
+        });
         await vendor.save();
+        await logActivity(req.user, 'vendor.created', 'Vendor', vendor._id, { bulk: true });
         results.created.push(vendor);
       } catch (err) {
         results.failed.push({
@@ -0,0 +1,158 @@
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const RFP = require('../models/RFP');
+const Proposal = require('../models/Proposal');
+const jobQueue = require('../services/jobQueue');
+const rfpDispatchService = require('../services/rfpDispatchService');
+const proposalParsingService = require('../services/proposalParsingService');
+const comparisonService = require('../services/comparisonService');
+const { logActivity, systemActor } = require('../services/activityService');
+
+const JOB_TYPES = {
+  SEND_ROUND: 'rfp.send_round',
+  PARSE_PROPOSAL: 'proposal.parse',
+  COMPARE_PROPOSALS: 'rfp.compare',
+  SEND_CLARIFICATIONS: 'rfp.send_clarifications',
+  SEND_AWARD: 'rfp.send_award'
+};
+
+/**
+ * Load the organization (for its email/AI settings) and the user who queued the job.
+ * Jobs queued by the system (e.g. the mailbox watcher) have no user and log as the system.
+ */
+async function loadContext(job) {
+  const organization = await Organization.findById(job.organization);
+  if (!organization) {
+    throw jobQueue.permanentError('Organization not found');
+  }
+  const user = job.createdBy ? await User.findById(job.createdBy) : null;
+  return { organization, user, actor: user || systemActor(organization._id) };
+}
+
+/**
+ * Email the vendors invited to a round
+ * payload: { rfpId, round }
+ */
+async function sendRound(job) {
+  const { organization, actor } = await loadContext(job);
+  const { rfpId, round } = job.payload;
+
+  const results = await rfpDispatchService.sendRoundEmails(rfpId, round, organization);
+
+  await logActivity(actor, round > 1 ? 'rfp.round_sent' : 'rfp.sent', 'RFP', rfpId, {
+    round,
+    vendorCount: results.length
+  });
+
+  return { rfpId, round, results };
+}
+
+/**
+ * Parse a proposal with AI
+ * payload: { proposalId, revision }
+ */
+async function parseProposal(job) {
+  const { organization, user, actor } = await loadContext(job);
+  const { proposalId, revision } = job.payload;
+
+  const proposal = await Proposal.findOne({ _id: proposalId, organization: organization._id });
+  if (!proposal) {
+    throw jobQueue.permanentError('Proposal not found');
+  }
+
+  // A newer revision arrived after this job was queued; its own job will parse it
+  if (revision && proposal.revision !== revision) {
+    return { proposalId, skipped: true, reason: `Superseded by revision ${proposal.revision}` };
+  }
+
+  proposal.updatedBy = user?._id;
+  const parseResult = await proposalParsingService.parseProposal(proposal, organization);
+
+  await logActivity(actor, 'proposal.parsed', 'Proposal', proposal._id, {
+    usedFallback: !!parseResult.usedFallback,
+    needsReview: parseResult.review.needsReview
+  });
+
+  return {
+    proposalId,
+    revision: proposal.revision,
+    usedFallback: !!parseResult.usedFallback,
+    pricingSheet: parseResult.pricingSheet,
+    review: parseResult.review
+  };
+}
+
+/**
+ * Compare the proposals of a round
+ * payload: { rfpId, round }
+ */
+async function compareProposals(job) {
+  const { organization, user, actor } = await loadContext(job);
+  const { rfpId, round } = job.payload;
+
+  const rfp = await RFP.findOne({ _id: rfpId, organization: organization._id });
+  if (!rfp) {
+    throw jobQueue.permanentError('RFP not found');
+  }
+
+  const data = await comparisonService.compareRound(rfp, round, organization, user);
+
+  await logActivity(actor, 'rfp.evaluated', 'RFP', rfp._id, { round });
+
+  return {
+    rfpId,
+    round,
+    recommendation: data.recommendation
+  };
+}
+
+/**
+ * Email a clarification bulletin to the invited vendors
+ * payload: { rfpId, bulletin }
+ */
+async function sendClarifications(job) {
+  const { organization, actor } = await loadContext(job);
+  const { rfpId, bulletin } = job.payload;
+
+  const results = await rfpDispatchService.sendClarificationBulletin(rfpId, bulletin, organization);
+
+  await logActivity(actor, 'rfp.clarifications_sent', 'RFP', rfpId, {
+    bulletin,
+    vendorCount: results.length
+  });
+
+  return { rfpId, bulletin, results };
+}
+
+/**
+ * Email the award and regret notifications for an awarded RFP
+ * payload: { rfpId }
+ */
+async function sendAward(job) {
+  const { organization, actor } = await loadContext(job);
+  const { rfpId } = job.payload;
+
+  const results = await rfpDispatchService.sendAwardNotifications(rfpId, organization);
+
+  await logActivity(actor, 'rfp.award_notified', 'RFP', rfpId, {
+    vendorCount: results.length
+  });
+
+  return { rfpId, results };
+}
+
+/**
+ * Register all job handlers with the queue
+ */
+function registerJobHandlers() {
+  jobQueue.registerHandler(JOB_TYPES.SEND_ROUND, sendRound);
+  jobQueue.registerHandler(JOB_TYPES.PARSE_PROPOSAL, parseProposal);
+  jobQueue.registerHandler(JOB_TYPES.COMPARE_PROPOSALS, compareProposals);
+  jobQueue.registerHandler(JOB_TYPES.SEND_CLARIFICATIONS, sendClarifications);
+  jobQueue.registerHandler(JOB_TYPES.SEND_AWARD, sendAward);
+}
+
+module.exports = {
+  JOB_TYPES,
+  registerJobHandlers
+};
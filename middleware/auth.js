@@ -0,0 +1,73 @@
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const authService = require('../services/authService');
+const { hasPermission } = require('../config/permissions');
+
+/**
+ * Require a valid session token: Authorization: Bearer <token>
+ * Sets req.user to the authenticated user and req.organization to their organization
+ */
+exports.protect = async (req, res, next) => {
+  try {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    let payload;
+    try {
+      payload = authService.verifyToken(token);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired session token'
+      });
+    }
+
+    const user = await User.findById(payload.sub);
+    if (!user || !user.isActive || user.tokenVersion !== payload.ver) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session is no longer valid'
+      });
+    }
+
+    const organization = await Organization.findById(user.organization);
+    if (!organization || !organization.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: 'Organization is not active'
+      });
+    }
+
+    req.user = user;
+    req.organization = organization;
+    next();
+  } catch (error) {
+    console.error('Error authenticating request:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error authenticating request',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Require the authenticated user's role to hold a permission
+ * Must be used after protect
+ */
+exports.authorize = (permission) => (req, res, next) => {
+  if (!req.user || !hasPermission(req.user.role, permission)) {
+    return res.status(403).json({
+      success: false,
+      message: `Your role does not allow this action (${permission})`
+    });
+  }
+  next();
+};
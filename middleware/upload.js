@@ -0,0 +1,56 @@
+const multer = require('multer');
+
+const MAX_FILE_SIZE_MB = parseInt(process.env.UPLOAD_MAX_FILE_SIZE_MB) || 10;
+const MAX_FILES = 5;
+
+// Quote and RFP documents we accept: PDF, Word, Excel, CSV, plain text and images
+const ALLOWED_MIME_TYPES = [
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'text/csv',
+  'text/plain',
+  'image/png',
+  'image/jpeg'
+];
+
+// Files are kept in memory only until attachmentService writes them to the upload folder
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_SIZE_MB * 1024 * 1024,
+    files: MAX_FILES
+  },
+  fileFilter: (req, file, cb) => {
+    if (ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', `${file.originalname} (${file.mimetype} is not an allowed file type)`));
+    }
+  }
+});
+
+const LIMIT_MESSAGES = {
+  LIMIT_FILE_SIZE: `Files must be ${MAX_FILE_SIZE_MB} MB or smaller`,
+  LIMIT_FILE_COUNT: `At most ${MAX_FILES} files can be uploaded at once`
+};
+
+/**
+ * Accept up to MAX_FILES documents in the multipart field `files`.
+ * Rejected uploads get a 400 response instead of reaching the controller.
+ */
+exports.uploadDocuments = (req, res, next) => {
+  upload.array('files', MAX_FILES)(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        message: LIMIT_MESSAGES[error.code] || `Upload rejected: ${error.field || error.message}`
+      });
+    }
+    next(error);
+  });
+};
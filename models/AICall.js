@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+// One request to a provider: the raw reply and why it was rejected, if it was
+const aiCallAttemptSchema = new mongoose.Schema({
+  attempt: Number,
+  response: String,
+  validationErrors: [String],
+  latencyMs: Number,
+  promptTokens: Number,
+  completionTokens: Number
+}, { _id: false });
+
+// Audit record of one aiService task: what was asked, what came back and what it cost
+const aiCallSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+  task: {
+    type: String,
+    required: true
+  },
+  provider: {
+    type: String
+  },
+  model: {
+    type: String
+  },
+  rfp: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RFP',
+    index: true
+  },
+  proposal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Proposal'
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Full conversation sent to the provider, corrective follow-ups included
+  messages: [{
+    _id: false,
+    role: String,
+    content: String
+  }],
+  // Raw reply the result was taken from (the last one received)
+  response: {
+    type: String
+  },
+  attempts: [aiCallAttemptSchema],
+  status: {
+    type: String,
+    enum: ['success', 'fallback', 'failed'],
+    required: true
+  },
+  usedFallback: {
+    type: Boolean,
+    default: false
+  },
+  fallbackReason: {
+    type: String,
+    enum: ['no_provider', 'invalid_reply', 'provider_error']
+  },
+  error: {
+    type: String
+  },
+  latencyMs: {
+    type: Number,
+    default: 0
+  },
+  promptTokens: {
+    type: Number,
+    default: 0
+  },
+  completionTokens: {
+    type: Number,
+    default: 0
+  },
+  totalTokens: {
+    type: Number,
+    default: 0
+  },
+  // USD; null when the model has no price on file
+  estimatedCost: {
+    type: Number,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+aiCallSchema.index({ organization: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AICall', aiCallSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const activityLogSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  entityType: {
+    type: String,
+    enum: ['RFP', 'Proposal', 'Vendor', 'User', 'Organization', 'PurchaseOrder', 'TriageEmail', 'ExchangeRate', 'Clarification'],
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+activityLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ActivityLog', activityLogSchema);
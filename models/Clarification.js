@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+// A vendor's question about an open RFP and the buyer's answer, shared with every invited vendor once published
+const clarificationSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+  rfp: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RFP',
+    required: true,
+    index: true
+  },
+  // Vendor who asked; never included in what other vendors receive
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor'
+  },
+  round: {
+    type: Number,
+    default: 1
+  },
+  emailSubject: { type: String },
+  emailBody: { type: String },
+  emailFrom: { type: String },
+  emailDate: { type: Date },
+  emailMessageId: { type: String },
+  // Questions found in the email
+  questions: [String],
+  // The question as other vendors will read it (anonymized, editable by the buyer)
+  question: {
+    type: String,
+    required: true
+  },
+  answer: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['open', 'answered', 'published', 'dismissed'],
+    default: 'open'
+  },
+  answeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  answeredAt: { type: Date },
+  // Number of the RFP clarification bulletin the answer went out in
+  bulletin: { type: Number },
+  publishedAt: { type: Date },
+  dismissedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  dismissedAt: { type: Date },
+  // Set when a buyer filed the email as a proposal instead
+  proposal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Proposal'
+  },
+  source: {
+    type: String,
+    enum: ['email', 'mailbox', 'triage', 'manual'],
+    default: 'email'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+clarificationSchema.pre('save', function() {
+  this.updatedAt = Date.now();
+});
+
+clarificationSchema.index({ organization: 1, emailMessageId: 1 });
+
+module.exports = mongoose.model('Clarification', clarificationSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Per-organization sequences (e.g. purchase order numbers)
+const counterSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+counterSchema.index({ organization: 1, name: 1 }, { unique: true });
+
+/**
+ * Atomically increment and return the next value of a sequence
+ */
+counterSchema.statics.next = async function(organization, name) {
+  const counter = await this.findOneAndUpdate(
+    { organization, name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
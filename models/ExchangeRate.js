@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const { CURRENCY_CODES } = require('../utils/currency');
+
+// Admin-maintained rate: 1 unit of fromCurrency = rate units of toCurrency, from effectiveDate on
+const exchangeRateSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+  fromCurrency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    enum: CURRENCY_CODES
+  },
+  toCurrency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    enum: CURRENCY_CODES
+  },
+  rate: {
+    type: Number,
+    required: true,
+    // A zero rate would turn every converted total into 0
+    validate: {
+      validator: value => value > 0,
+      message: 'Rate must be greater than 0'
+    }
+  },
+  effectiveDate: {
+    type: Date,
+    required: true
+  },
+  source: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+exchangeRateSchema.pre('save', function() {
+  this.updatedAt = Date.now();
+});
+
+// One rate per currency pair per day
+exchangeRateSchema.index(
+  { organization: 1, fromCurrency: 1, toCurrency: 1, effectiveDate: -1 },
+  { unique: true }
+);
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const jobSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    index: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  // Earliest time the job may run (pushed back after each failed attempt)
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date
+  },
+  lockedBy: {
+    type: String
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  lastError: {
+    type: String
+  },
+  failures: [{
+    attempt: Number,
+    message: String,
+    failedAt: { type: Date, default: Date.now }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  startedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  createdAt: { 
+    type: Date, 
+    default: Date.now 
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+jobSchema.pre('save', function() {
+  this.updatedAt = Date.now();
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ type: 1, 'payload.rfpId': 1, status: 1 });
+
+module.exports = mongoose.model('Job', jobSchema);
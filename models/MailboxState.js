@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Inbox polling checkpoint for one organization
+const mailboxStateSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    unique: true
+  },
+  mailbox: {
+    type: String,
+    default: 'INBOX'
+  },
+  // Highest UID processed; only valid while the server's UIDVALIDITY is unchanged
+  lastUid: {
+    type: Number,
+    default: 0
+  },
+  uidValidity: {
+    type: Number
+  },
+  // Set while a watcher is polling, so two processes never poll the same inbox
+  lockedAt: {
+    type: Date
+  },
+  lockedBy: {
+    type: String
+  },
+  lastCheckedAt: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  },
+  stats: {
+    emailsProcessed: { type: Number, default: 0 },
+    proposalsCreated: { type: Number, default: 0 },
+    proposalsRevised: { type: Number, default: 0 },
+    triaged: { type: Number, default: 0 },
+    clarifications: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+mailboxStateSchema.pre('save', function() {
+  this.updatedAt = Date.now();
+});
+
+module.exports = mongoose.model('MailboxState', mailboxStateSchema);
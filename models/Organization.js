@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+const SECRET_MASK = '********';
+
+const AI_PROVIDERS = ['openai', 'openai_compatible', 'mock'];
+
+// Provider, model and temperature for one AI task; empty fields use the organization default
+const aiTaskSchema = new mongoose.Schema({
+  provider: { type: String, enum: AI_PROVIDERS },
+  model: { type: String, trim: true },
+  temperature: { type: Number, min: 0, max: 2 }
+}, { _id: false });
+
+// One level of the approval chain. Applies to RFPs whose budget is at least minBudget
+const approvalRuleSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  minBudget: { type: Number, required: true, min: 0 },
+  requiredApprovals: { type: Number, default: 1, min: 1 },
+  // Specific approvers for this level; empty means any user with the approver or admin role
+  approvers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+});
+
+const organizationSchema = new mongoose.Schema({
+  name: { 
+    type: String, 
+    required: true,
+    trim: true
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  // Per-organization overrides; anything left empty falls back to the env defaults
+  settings: {
+    email: {
+      fromName: { type: String, trim: true },
+      user: { type: String, trim: true },
+      pass: { type: String },
+      smtpHost: { type: String, trim: true },
+      smtpPort: { type: Number },
+      smtpSecure: { type: Boolean },
+      imapHost: { type: String, trim: true },
+      imapPort: { type: Number },
+      // Poll the inbox in the background and file vendor replies automatically
+      watchInbox: { type: Boolean, default: false },
+      // Queue AI parsing as soon as a watched reply creates or revises a proposal
+      autoParse: { type: Boolean, default: false },
+      // Send RFPs with a plus-addressed Reply-To (user+rfp-<token>@domain); the mailbox must support it
+      plusAddressing: { type: Boolean, default: false }
+    },
+    ai: {
+      provider: { type: String, enum: AI_PROVIDERS },
+      apiKey: { type: String },
+      model: { type: String, trim: true },
+      // OpenAI-compatible endpoint (e.g. a self-hosted model server) and its key;
+      // the endpoint is not called without the key
+      baseUrl: { type: String, trim: true },
+      compatibleApiKey: { type: String },
+      tasks: {
+        rfpParsing: aiTaskSchema,
+        proposalParsing: aiTaskSchema,
+        comparison: aiTaskSchema,
+        emailGeneration: aiTaskSchema
+      }
+    },
+    approvalRules: [approvalRuleSchema]
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: { 
+    type: Date, 
+    default: Date.now 
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+organizationSchema.pre('save', function() {
+  this.updatedAt = Date.now();
+});
+
+// Never expose stored credentials, only whether they are set
+organizationSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    if (ret.settings?.email?.pass) ret.settings.email.pass = SECRET_MASK;
+    if (ret.settings?.ai?.apiKey) ret.settings.ai.apiKey = SECRET_MASK;
+    if (ret.settings?.ai?.compatibleApiKey) ret.settings.ai.compatibleApiKey = SECRET_MASK;
+    return ret;
+  }
+});
+
+organizationSchema.statics.SECRET_MASK = SECRET_MASK;
+organizationSchema.statics.AI_PROVIDERS = AI_PROVIDERS;
+
+module.exports = mongoose.model('Organization', organizationSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// A buyer's fix to one parsed proposal field: what the parser read and what it should have been
+const parsingCorrectionSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+  proposal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Proposal',
+    required: true,
+    index: true
+  },
+  // Revision of the proposal whose email the parser read
+  revision: {
+    type: Number
+  },
+  rfp: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RFP'
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    index: true
+  },
+  // Path of the corrected value, e.g. totalPrice or itemPricing.Laptop.unitPrice
+  field: {
+    type: String,
+    required: true
+  },
+  // Field with item names removed (itemPricing.unitPrice), for reporting
+  fieldKey: {
+    type: String,
+    required: true
+  },
+  label: {
+    type: String
+  },
+  changeType: {
+    type: String,
+    enum: ['added', 'removed', 'changed']
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Quote text the value was (or should have been) read from
+  sourceText: {
+    type: String
+  },
+  correctedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+parsingCorrectionSchema.index({ organization: 1, vendor: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ParsingCorrection', parsingCorrectionSchema);
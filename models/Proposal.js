@@ -8,7 +8,90 @@ const itemPricingSchema = new mongoose.Schema({
   notes: String
 });
 
+// Arithmetic problem found in a vendor's pricing sheet
+const pricingIssueSchema = new mongoose.Schema({
+  type: { type: String },
+  row: Number,
+  itemName: String,
+  expected: Number,
+  actual: Number,
+  message: String
+}, { _id: false });
+
+// How far a parsed field can be trusted and the quote text it was read from
+const fieldEvidenceSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+  confidence: { type: String, enum: ['high', 'medium', 'low'] },
+  source: String,
+  // Another figure in the quote disagrees with the parsed value
+  conflict: { type: Boolean, default: false },
+  reason: String,
+  // A buyer checked the value (and corrected it if corrected is set)
+  confirmed: { type: Boolean, default: false },
+  corrected: { type: Boolean, default: false }
+}, { _id: false });
+
+const parsedDataSchema = new mongoose.Schema({
+  // ISO code of the currency the amounts below are quoted in
+  currency: { type: String, uppercase: true },
+  totalPrice: { type: Number },
+  itemPricing: [itemPricingSchema],
+  // 'sheet' when prices come from a parsed pricing spreadsheet, 'ai' otherwise
+  pricingSource: { type: String, enum: ['sheet', 'ai'] },
+  subtotal: { type: Number },
+  tax: { type: Number },
+  shipping: { type: Number },
+  discount: { type: Number },
+  pricingIssues: [pricingIssueSchema],
+  deliveryTimeline: { type: String },
+  deliveryDays: { type: Number },
+  paymentTerms: { type: String },
+  warranty: { type: String },
+  validityPeriod: { type: String },
+  conditions: [String],
+  notes: { type: String },
+  fieldEvidence: [fieldEvidenceSchema]
+}, { _id: false });
+
+// Stored file (path is relative to the upload folder) and the text extracted from it
+const attachmentSchema = new mongoose.Schema({
+  filename: String,
+  originalName: String,
+  mimeType: String,
+  size: Number,
+  path: String,
+  parsedContent: String,
+  extractionError: String,
+  // Set for documents uploaded by hand rather than received by email
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  uploadedAt: { type: Date, default: Date.now }
+});
+
+// Snapshot of an earlier version of the proposal, kept when the vendor re-sends a quote
+const revisionSchema = new mongoose.Schema({
+  revision: { type: Number, required: true },
+  emailSubject: { type: String },
+  emailBody: { type: String },
+  emailFrom: { type: String },
+  emailDate: { type: Date },
+  emailMessageId: { type: String },
+  parsedData: parsedDataSchema,
+  attachments: [attachmentSchema],
+  isParsingComplete: { type: Boolean },
+  receivedAt: { type: Date },
+  supersededAt: { type: Date, default: Date.now }
+});
+
 const proposalSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
   rfpId: { 
     type: mongoose.Schema.Types.ObjectId, 
     ref: 'RFP', 
@@ -21,6 +104,12 @@ const proposalSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Pricing round this proposal belongs to (1 = initial, 2+ = BAFO)
+  round: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
   // Original email data
   emailSubject: {
     type: String
@@ -34,45 +123,86 @@ const proposalSchema = new mongoose.Schema({
   emailDate: {
     type: Date
   },
+  // Message-ID header of the email, used to recognise it when fetched again
+  emailMessageId: {
+    type: String
+  },
   // AI-parsed structured data
-  parsedData: {
-    totalPrice: { type: Number },
-    itemPricing: [itemPricingSchema],
-    deliveryTimeline: { type: String },
-    deliveryDays: { type: Number },
-    paymentTerms: { type: String },
-    warranty: { type: String },
-    validityPeriod: { type: String },
-    conditions: [String],
-    notes: { type: String }
-  },
-  // AI-generated scores and analysis
+  parsedData: parsedDataSchema,
+  // Weighted scores from the RFP's scoring model, with AI-written pros, cons and summary
   scores: {
     priceScore: { type: Number, min: 0, max: 100 },
     deliveryScore: { type: Number, min: 0, max: 100 },
     termsScore: { type: Number, min: 0, max: 100 },
     overallScore: { type: Number, min: 0, max: 100 },
+    // Per-criterion score (0-100), weight and the weighted points it contributed
+    breakdown: [{
+      key: String,
+      label: String,
+      weight: Number,
+      score: Number,
+      weightedScore: Number,
+      value: mongoose.Schema.Types.Mixed,
+      explanation: String,
+      _id: false
+    }],
     aiSummary: { type: String },
     pros: [String],
     cons: [String]
   },
-  attachments: [{
-    filename: String,
-    originalName: String,
-    mimeType: String,
-    size: Number,
-    path: String,
-    parsedContent: String
+  // Outcome of the last rule-based requirements check, set when the round is compared
+  compliance: {
+    status: {
+      type: String,
+      enum: ['compliant', 'needs_review', 'non_compliant']
+    },
+    notMet: [String],
+    evaluatedAt: { type: Date }
+  },
+  attachments: [attachmentSchema],
+  // Buyer corrections to line-item matching: which RFP item a quoted item is
+  // (rfpItemId null = the quoted item is not one of the RFP's items)
+  itemMatchOverrides: [{
+    quotedItemName: { type: String, required: true },
+    rfpItemId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    _id: false
   }],
+  // Revision number of the current (latest) version; earlier versions live in `revisions`
+  revision: {
+    type: Number,
+    default: 1
+  },
+  revisions: [revisionSchema],
   status: {
     type: String,
-    enum: ['received', 'parsed', 'evaluated', 'selected', 'rejected'],
+    enum: ['received', 'needs_review', 'parsed', 'evaluated', 'selected', 'rejected'],
     default: 'received'
   },
+  // Why parsing left the proposal in needs_review, and who confirmed it
+  review: {
+    reasons: [String],
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: { type: Date }
+  },
+  // Buyer's own notes on the proposal, never sent to the vendor
+  notes: {
+    type: String
+  },
   isParsingComplete: {
     type: Boolean,
     default: false
   },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   receivedAt: { 
     type: Date, 
     default: Date.now 
@@ -87,8 +217,66 @@ proposalSchema.pre('save', function() {
   this.updatedAt = Date.now();
 });
 
-// Compound index for efficient queries
-proposalSchema.index({ rfpId: 1, vendorId: 1 });
+/**
+ * Get a revision by number as a plain object. The latest revision is the
+ * proposal itself, earlier ones come from the stored snapshots.
+ */
+proposalSchema.methods.getRevision = function(number) {
+  if (number === this.revision) {
+    return {
+      revision: this.revision,
+      emailSubject: this.emailSubject,
+      emailBody: this.emailBody,
+      emailFrom: this.emailFrom,
+      emailDate: this.emailDate,
+      emailMessageId: this.emailMessageId,
+      parsedData: this.parsedData ? this.parsedData.toObject() : null,
+      attachments: this.attachments.map(a => a.toObject()),
+      isParsingComplete: this.isParsingComplete,
+      receivedAt: this.receivedAt,
+      isLatest: true
+    };
+  }
+
+  const snapshot = this.revisions.find(r => r.revision === number);
+  return snapshot ? { ...snapshot.toObject(), isLatest: false } : null;
+};
+
+/**
+ * Store the current version as a revision snapshot and replace it with a
+ * newly received email. Parsing and scores are reset for the new version.
+ */
+proposalSchema.methods.addRevision = function(email) {
+  this.revisions.push({
+    revision: this.revision,
+    emailSubject: this.emailSubject,
+    emailBody: this.emailBody,
+    emailFrom: this.emailFrom,
+    emailDate: this.emailDate,
+    emailMessageId: this.emailMessageId,
+    parsedData: this.parsedData ? this.parsedData.toObject() : undefined,
+    attachments: this.attachments.map(a => a.toObject()),
+    isParsingComplete: this.isParsingComplete,
+    receivedAt: this.receivedAt
+  });
+
+  this.revision += 1;
+  this.emailSubject = email.emailSubject;
+  this.emailBody = email.emailBody;
+  this.emailFrom = email.emailFrom;
+  this.emailDate = email.emailDate;
+  this.emailMessageId = email.emailMessageId;
+  this.attachments = email.attachments || [];
+  this.parsedData = undefined;
+  this.scores = undefined;
+  this.review = undefined;
+  this.isParsingComplete = false;
+  this.status = 'received';
+  this.receivedAt = Date.now();
+};
+
+// One proposal per vendor and round; later emails are revisions of it
+proposalSchema.index({ rfpId: 1, vendorId: 1, round: 1 }, { unique: true });
 
 module.exports = mongoose.model('Proposal', proposalSchema);
 
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+const PO_STATUSES = ['issued', 'acknowledged', 'partially_received', 'received', 'closed'];
+
+const lineItemSchema = new mongoose.Schema({
+  itemName: { type: String, required: true },
+  description: { type: String },
+  quantity: { type: Number, default: 1 },
+  unitPrice: { type: Number },
+  totalPrice: { type: Number },
+  notes: { type: String }
+});
+
+const statusEventSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: PO_STATUSES,
+    required: true
+  },
+  note: { type: String },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const purchaseOrderSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+  poNumber: {
+    type: String,
+    required: true
+  },
+  rfpId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RFP',
+    required: true,
+    index: true
+  },
+  proposalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Proposal',
+    required: true
+  },
+  vendorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true,
+    index: true
+  },
+  items: [lineItemSchema],
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  totalAmount: {
+    type: Number
+  },
+  paymentTerms: { type: String },
+  warranty: { type: String },
+  deliveryTimeline: { type: String },
+  deliveryDays: { type: Number },
+  expectedDeliveryDate: { type: Date },
+  deliveryLocation: { type: String },
+  notes: { type: String },
+  status: {
+    type: String,
+    enum: PO_STATUSES,
+    default: 'issued'
+  },
+  statusHistory: [statusEventSchema],
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  sentAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: { 
+    type: Date, 
+    default: Date.now 
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+purchaseOrderSchema.pre('save', function() {
+  this.updatedAt = Date.now();
+});
+
+purchaseOrderSchema.index({ organization: 1, poNumber: 1 }, { unique: true });
+// One purchase order per RFP
+purchaseOrderSchema.index({ organization: 1, rfpId: 1 }, { unique: true });
+
+purchaseOrderSchema.statics.STATUSES = PO_STATUSES;
+
+module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
@@ -1,4 +1,6 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const { CRITERIA } = require('../utils/scoringModel');
 
 const itemSchema = new mongoose.Schema({
   name: { type: String, required: true },
@@ -7,7 +9,148 @@ const itemSchema = new mongoose.Schema({
   estimatedUnitPrice: { type: Number }
 });
 
+// Document uploaded to the RFP (specifications, drawings, terms); path is relative to the upload folder
+const attachmentSchema = new mongoose.Schema({
+  filename: String,
+  originalName: String,
+  mimeType: String,
+  size: Number,
+  path: String,
+  parsedContent: String,
+  extractionError: String,
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  uploadedAt: { type: Date, default: Date.now }
+});
+
+// A pricing round: round 1 is the initial RFP, later rounds are BAFO rounds
+const roundSchema = new mongoose.Schema({
+  number: { type: Number, required: true, min: 1 },
+  type: {
+    type: String,
+    enum: ['initial', 'bafo'],
+    default: 'initial'
+  },
+  vendors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor'
+  }],
+  instructions: { type: String },
+  deadline: { type: Date },
+  openedAt: { type: Date, default: Date.now },
+  // One entry per invited vendor once the round email has been attempted
+  deliveries: [{
+    vendor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Vendor'
+    },
+    status: {
+      type: String,
+      enum: ['sent', 'failed']
+    },
+    // Message-ID we set on the outgoing email; vendor replies reference it
+    messageId: { type: String },
+    error: { type: String },
+    attemptedAt: { type: Date, default: Date.now }
+  }]
+});
+
+// Latest comparison result for a round
+const comparisonSchema = new mongoose.Schema({
+  round: { type: Number, required: true },
+  result: { type: mongoose.Schema.Types.Mixed },
+  usedFallback: { type: Boolean },
+  comparedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  comparedAt: { type: Date, default: Date.now }
+});
+
+// Answers to vendor questions, emailed to every invited vendor at once; the RFP's public Q&A log
+const clarificationBulletinSchema = new mongoose.Schema({
+  number: { type: Number, required: true, min: 1 },
+  round: { type: Number },
+  message: { type: String },
+  entries: [{
+    clarification: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Clarification'
+    },
+    question: { type: String },
+    answer: { type: String },
+    _id: false
+  }],
+  vendors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor'
+  }],
+  // One entry per vendor once the bulletin email has been attempted
+  deliveries: [{
+    vendor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Vendor'
+    },
+    status: {
+      type: String,
+      enum: ['sent', 'failed']
+    },
+    messageId: { type: String },
+    error: { type: String },
+    attemptedAt: { type: Date, default: Date.now }
+  }],
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  publishedAt: { type: Date, default: Date.now }
+});
+
+// Approval level snapshotted from the organization's rules when the RFP is submitted
+const approvalStepSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  minBudget: { type: Number },
+  requiredApprovals: { type: Number, default: 1 },
+  approvers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  approvedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'approved'],
+    default: 'pending'
+  },
+  completedAt: { type: Date }
+});
+
+const approvalEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  action: {
+    type: String,
+    enum: ['submitted', 'approved', 'changes_requested', 'reset'],
+    required: true
+  },
+  step: { type: Number },
+  comment: { type: String },
+  createdAt: { type: Date, default: Date.now }
+});
+
 const rfpSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
   title: { 
     type: String, 
     required: true,
@@ -36,24 +179,114 @@ const rfpSchema = new mongoose.Schema({
     type: Number
   },
   items: [itemSchema],
+  attachments: [attachmentSchema],
   requirements: {
     paymentTerms: { type: String },
     warranty: { type: String },
     deliveryLocation: { type: String },
     additionalTerms: [String]
   },
+  // Weighted scoring criteria; empty means the default model (see utils/scoringModel)
+  evaluationCriteria: [{
+    key: {
+      type: String,
+      enum: Object.keys(CRITERIA),
+      required: true
+    },
+    weight: { type: Number, required: true, min: 0 },
+    _id: false
+  }],
   status: { 
     type: String, 
-    enum: ['draft', 'sent', 'responses_received', 'evaluated', 'awarded', 'closed'],
+    enum: [
+      'draft',
+      'pending_approval',
+      'changes_requested',
+      'approved',
+      'sent',
+      'responses_received',
+      'evaluated',
+      'awarded',
+      'closed'
+    ],
     default: 'draft' 
   },
   selectedVendors: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Vendor'
   }],
+  approval: {
+    steps: [approvalStepSchema],
+    currentStep: { type: Number, default: 0 },
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    submittedAt: { type: Date },
+    approvedAt: { type: Date }
+  },
+  approvalHistory: [approvalEventSchema],
+  award: {
+    proposal: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Proposal'
+    },
+    vendor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Vendor'
+    },
+    justification: { type: String },
+    awardedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    awardedAt: { type: Date },
+    // Award email to the winner and regret emails to the other responding vendors, once attempted
+    notifications: [{
+      vendor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor'
+      },
+      kind: {
+        type: String,
+        enum: ['award', 'regret']
+      },
+      status: {
+        type: String,
+        enum: ['sent', 'failed']
+      },
+      messageId: { type: String },
+      error: { type: String },
+      attemptedAt: { type: Date, default: Date.now }
+    }]
+  },
+  shortlistedVendors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor'
+  }],
+  currentRound: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  rounds: [roundSchema],
+  comparisons: [comparisonSchema],
+  clarificationBulletins: [clarificationBulletinSchema],
   sentAt: {
     type: Date
   },
+  // Tags outgoing emails (subject and plus-addressed Reply-To) so replies can be matched to this RFP
+  replyToken: {
+    type: String
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   createdAt: { 
     type: Date, 
     default: Date.now 
@@ -69,5 +302,38 @@ rfpSchema.pre('save', function() {
   this.updatedAt = Date.now();
 });
 
+// Generate the reply token the first time the RFP is emailed
+rfpSchema.methods.ensureReplyToken = function() {
+  if (!this.replyToken) {
+    this.replyToken = crypto.randomBytes(5).toString('hex');
+  }
+  return this.replyToken;
+};
+
+// Get a round record by number (undefined if it was never opened)
+rfpSchema.methods.getRound = function(number) {
+  return this.rounds.find(r => r.number === number);
+};
+
+// Get a clarification bulletin by number
+rfpSchema.methods.getClarificationBulletin = function(number) {
+  return this.clarificationBulletins.find(b => b.number === number);
+};
+
+// Vendor IDs invited to a round. Round 1 falls back to the selected vendors
+rfpSchema.methods.getRoundVendorIds = function(number) {
+  const round = this.getRound(number);
+  if (round) {
+    return round.vendors.map(v => (v._id || v).toString());
+  }
+  return number === 1
+    ? this.selectedVendors.map(v => (v._id || v).toString())
+    : [];
+};
+
+rfpSchema.index({ organization: 1, replyToken: 1 });
+rfpSchema.index({ 'rounds.deliveries.messageId': 1 });
+rfpSchema.index({ 'clarificationBulletins.deliveries.messageId': 1 });
+
 module.exports = mongoose.model('RFP', rfpSchema);
 
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+// Inbound email that could not be matched to an RFP, waiting for a buyer to file it
+const triageEmailSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+  messageId: {
+    type: String
+  },
+  subject: { type: String },
+  from: { type: String },
+  fromAddress: { type: String, lowercase: true, trim: true },
+  to: { type: String },
+  date: { type: Date },
+  text: { type: String },
+  html: { type: String },
+  // Saved to disk on arrival so they survive until the email is filed
+  attachments: [{
+    filename: String,
+    originalName: String,
+    mimeType: String,
+    size: Number,
+    path: String,
+    parsedContent: String,
+    extractionError: String
+  }],
+  reason: {
+    type: String,
+    enum: ['no_match', 'ambiguous', 'unknown_sender', 'rfp_closed', 'processing_error'],
+    required: true
+  },
+  // Why filing the email failed, for processing_error
+  error: {
+    type: String
+  },
+  // Sender's vendor record, if the address is known
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor'
+  },
+  // RFPs the email might belong to
+  candidateRfps: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RFP'
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'assigned', 'dismissed'],
+    default: 'pending'
+  },
+  assignedRfp: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RFP'
+  },
+  assignedProposal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Proposal'
+  },
+  // Set instead of assignedProposal when the email was filed as a vendor question
+  assignedClarification: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clarification'
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+triageEmailSchema.pre('save', function() {
+  this.updatedAt = Date.now();
+});
+
+// The same message is only queued once, however often the inbox is scanned
+triageEmailSchema.index(
+  { organization: 1, messageId: 1 },
+  { unique: true, partialFilterExpression: { messageId: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('TriageEmail', triageEmailSchema);
@@ -1,6 +1,12 @@
 const mongoose = require('mongoose');
 
 const vendorSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
   name: { 
     type: String, 
     required: true,
@@ -9,7 +15,6 @@ const vendorSchema = new mongoose.Schema({
   email: { 
     type: String, 
     required: true, 
-    unique: true,
     lowercase: true,
     trim: true
   },
@@ -39,6 +44,14 @@ const vendorSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   createdAt: { 
     type: Date, 
     default: Date.now 
@@ -53,5 +66,8 @@ vendorSchema.pre('save', function() {
   this.updatedAt = Date.now();
 });
 
+// Vendor emails are unique within an organization
+vendorSchema.index({ organization: 1, email: 1 }, { unique: true });
+
 module.exports = mongoose.model('Vendor', vendorSchema);
 
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const aiCallController = require('../controllers/aiCallController');
+const { protect, authorize } = require('../middleware/auth');
+
+router.use(protect);
+
+// Get AI calls
+router.get('/', authorize('aiCalls:read'), aiCallController.getAllCalls);
+
+// Monthly AI usage and estimated cost
+router.get('/usage', authorize('aiCalls:read'), aiCallController.getUsage);
+
+// Get one AI call with its prompt and raw replies
+router.get('/:id', authorize('aiCalls:read'), aiCallController.getCallById);
+
+module.exports = router;
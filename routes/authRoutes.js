@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const { protect } = require('../middleware/auth');
+
+// Register the first organization and its administrator (closed once any user exists)
+router.post('/register', authController.register);
+
+// Log in
+router.post('/login', authController.login);
+
+// Log out of all sessions
+router.post('/logout', protect, authController.logout);
+
+// Get current user
+router.get('/me', protect, authController.getMe);
+
+// Change password
+router.put('/password', protect, authController.changePassword);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const correctionController = require('../controllers/correctionController');
+const { protect, authorize } = require('../middleware/auth');
+
+router.use(protect);
+
+// Get parsing corrections
+router.get('/', authorize('proposals:read'), correctionController.getAllCorrections);
+
+// Most corrected fields
+router.get('/report', authorize('proposals:read'), correctionController.getReport);
+
+module.exports = router;
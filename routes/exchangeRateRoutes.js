@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const exchangeRateController = require('../controllers/exchangeRateController');
+const { protect, authorize } = require('../middleware/auth');
+
+router.use(protect);
+
+// Get exchange rates
+router.get('/', authorize('rfps:read'), exchangeRateController.getExchangeRates);
+
+// Find the rate in force for a currency pair on a date
+router.get('/lookup', authorize('rfps:read'), exchangeRateController.lookupExchangeRate);
+
+// Add an exchange rate
+router.post('/', authorize('organization:manage'), exchangeRateController.createExchangeRate);
+
+// Correct an exchange rate
+router.put('/:id', authorize('organization:manage'), exchangeRateController.updateExchangeRate);
+
+// Delete an exchange rate
+router.delete('/:id', authorize('organization:manage'), exchangeRateController.deleteExchangeRate);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const jobController = require('../controllers/jobController');
+const { protect, authorize } = require('../middleware/auth');
+
+router.use(protect);
+
+// Get all jobs
+router.get('/', authorize('jobs:read'), jobController.getAllJobs);
+
+// Get job status and result
+router.get('/:id', authorize('jobs:read'), jobController.getJobById);
+
+// Retry a failed job
+router.post('/:id/retry', authorize('jobs:write'), jobController.retryJob);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const organizationController = require('../controllers/organizationController');
+const { protect, authorize } = require('../middleware/auth');
+
+router.use(protect);
+
+// Get current organization
+router.get('/current', organizationController.getCurrentOrganization);
+
+// Update current organization and its email/AI settings
+router.put('/current', authorize('organization:manage'), organizationController.updateCurrentOrganization);
+
+// Inbox watcher status
+router.get('/current/mailbox', authorize('proposals:read'), organizationController.getMailboxStatus);
+
+// Check the inbox now
+router.post('/current/mailbox/poll', authorize('proposals:write'), organizationController.pollMailbox);
+
+module.exports = router;
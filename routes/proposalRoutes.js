@@ -1,30 +1,61 @@
 const express = require('express');
 const router = express.Router();
 const proposalController = require('../controllers/proposalController');
+const { protect, authorize } = require('../middleware/auth');
+const { uploadDocuments } = require('../middleware/upload');
+
+router.use(protect);
 
 // Create proposal manually
-router.post('/', proposalController.createProposal);
+router.post('/', authorize('proposals:write'), proposalController.createProposal);
 
 // Simulate receiving a proposal (for demo)
-router.post('/simulate', proposalController.simulateProposal);
+router.post('/simulate', authorize('proposals:write'), proposalController.simulateProposal);
 
 // Check emails for new proposals
-router.post('/check-emails', proposalController.checkEmails);
+router.post('/check-emails', authorize('proposals:write'), proposalController.checkEmails);
 
 // Get all proposals
-router.get('/', proposalController.getAllProposals);
+router.get('/', authorize('proposals:read'), proposalController.getAllProposals);
+
+// Proposals with parsed fields waiting for a buyer to confirm
+router.get('/review-queue', authorize('proposals:read'), proposalController.getReviewQueue);
 
 // Get single proposal
-router.get('/:id', proposalController.getProposalById);
+router.get('/:id', authorize('proposals:read'), proposalController.getProposalById);
+
+// List proposal revisions
+router.get('/:id/revisions', authorize('proposals:read'), proposalController.getProposalRevisions);
+
+// Diff two proposal revisions
+router.get('/:id/revisions/diff', authorize('proposals:read'), proposalController.diffProposalRevisions);
+
+// Line-item matching against the RFP
+router.get('/:id/item-matches', authorize('proposals:read'), proposalController.getItemMatches);
+
+// Correct line-item matching
+router.put('/:id/item-matches', authorize('proposals:write'), proposalController.updateItemMatches);
+
+// Confirm or correct a proposal's parsed fields
+router.post('/:id/review', authorize('proposals:write'), proposalController.reviewProposal);
 
 // Parse proposal with AI
-router.post('/:id/parse', proposalController.parseProposal);
+router.post('/:id/parse', authorize('proposals:write'), proposalController.parseProposal);
+
+// Upload documents to a proposal
+router.post('/:id/attachments', authorize('proposals:write'), uploadDocuments, proposalController.uploadAttachments);
+
+// Download a proposal document
+router.get('/:id/attachments/:attachmentId', authorize('proposals:read'), proposalController.downloadAttachment);
+
+// Delete a proposal document
+router.delete('/:id/attachments/:attachmentId', authorize('proposals:write'), proposalController.deleteAttachment);
 
 // Update proposal
-router.put('/:id', proposalController.updateProposal);
+router.put('/:id', authorize('proposals:write'), proposalController.updateProposal);
 
 // Delete proposal
-router.delete('/:id', proposalController.deleteProposal);
+router.delete('/:id', authorize('proposals:delete'), proposalController.deleteProposal);
 
 module.exports = router;
 
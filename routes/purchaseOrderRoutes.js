@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const purchaseOrderController = require('../controllers/purchaseOrderController');
+const { protect, authorize } = require('../middleware/auth');
+
+router.use(protect);
+
+// Create purchase order from an awarded RFP
+router.post('/', authorize('purchaseOrders:write'), purchaseOrderController.createPurchaseOrder);
+
+// Get all purchase orders
+router.get('/', authorize('purchaseOrders:read'), purchaseOrderController.getAllPurchaseOrders);
+
+// Get single purchase order
+router.get('/:id', authorize('purchaseOrders:read'), purchaseOrderController.getPurchaseOrderById);
+
+// Change purchase order status
+router.put('/:id/status', authorize('purchaseOrders:write'), purchaseOrderController.updatePurchaseOrderStatus);
+
+// Download purchase order PDF
+router.get('/:id/pdf', authorize('purchaseOrders:read'), purchaseOrderController.downloadPurchaseOrderPDF);
+
+// Email purchase order to the vendor
+router.post('/:id/send', authorize('purchaseOrders:write'), purchaseOrderController.sendPurchaseOrder);
+
+module.exports = router;
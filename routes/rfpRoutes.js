@@ -1,33 +1,111 @@
 const express = require('express');
 const router = express.Router();
 const rfpController = require('../controllers/rfpController');
+const clarificationController = require('../controllers/clarificationController');
+const { protect, authorize } = require('../middleware/auth');
+const { uploadDocuments } = require('../middleware/upload');
+
+router.use(protect);
 
 // Create RFP from natural language
-router.post('/', rfpController.createRFP);
+router.post('/', authorize('rfps:create'), rfpController.createRFP);
 
 // Get all RFPs
-router.get('/', rfpController.getAllRFPs);
+router.get('/', authorize('rfps:read'), rfpController.getAllRFPs);
 
 // Get single RFP
-router.get('/:id', rfpController.getRFPById);
+router.get('/:id', authorize('rfps:read'), rfpController.getRFPById);
 
 // Update RFP
-router.put('/:id', rfpController.updateRFP);
+router.put('/:id', authorize('rfps:update'), rfpController.updateRFP);
+
+// Close an RFP without awarding it
+router.post('/:id/close', authorize('rfps:update'), rfpController.closeRFP);
 
 // Delete RFP
-router.delete('/:id', rfpController.deleteRFP);
+router.delete('/:id', authorize('rfps:delete'), rfpController.deleteRFP);
 
 // Select vendors for an RFP
-router.post('/:id/vendors', rfpController.selectVendors);
+router.post('/:id/vendors', authorize('rfps:update'), rfpController.selectVendors);
+
+// Upload documents to an RFP
+router.post('/:id/attachments', authorize('rfps:update'), uploadDocuments, rfpController.uploadAttachments);
+
+// Download an RFP document
+router.get('/:id/attachments/:attachmentId', authorize('rfps:read'), rfpController.downloadAttachment);
+
+// Delete an RFP document
+router.delete('/:id/attachments/:attachmentId', authorize('rfps:update'), rfpController.deleteAttachment);
 
 // Send RFP to selected vendors
-router.post('/:id/send', rfpController.sendRFPToVendors);
+router.post('/:id/send', authorize('rfps:send'), rfpController.sendRFPToVendors);
 
 // Get proposals for an RFP
-router.get('/:id/proposals', rfpController.getRFPProposals);
+router.get('/:id/proposals', authorize('proposals:read'), rfpController.getRFPProposals);
+
+// Start comparing proposals (background job)
+router.post('/:id/compare', authorize('rfps:evaluate'), rfpController.compareProposals);
+
+// Get latest comparison and recommendation
+router.get('/:id/compare', authorize('rfps:evaluate'), rfpController.getComparison);
+
+// Submit RFP for approval
+router.post('/:id/submit', authorize('rfps:submit'), rfpController.submitForApproval);
+
+// Approve the current approval step
+router.post('/:id/approve', authorize('rfps:approve'), rfpController.approveRFP);
+
+// Request changes to an RFP awaiting approval
+router.post('/:id/reject', authorize('rfps:approve'), rfpController.rejectRFP);
+
+// Get approval chain and history
+router.get('/:id/approvals', authorize('rfps:read'), rfpController.getApprovalStatus);
+
+// Shortlist vendors for a BAFO round
+router.post('/:id/shortlist', authorize('rfps:evaluate'), rfpController.shortlistVendors);
+
+// Open a BAFO round with the shortlisted vendors
+router.post('/:id/rounds', authorize('rfps:send'), rfpController.openBAFORound);
+
+// Compare vendor pricing across rounds
+router.get('/:id/rounds/compare', authorize('rfps:evaluate'), rfpController.compareRounds);
+
+// Compare quoted line items across vendors
+router.get('/:id/line-items', authorize('rfps:evaluate'), rfpController.getLineItemComparison);
+
+// Check each proposal against the RFP requirements
+router.get('/:id/compliance', authorize('rfps:evaluate'), rfpController.getCompliance);
+
+// Weighted scoring criteria for the RFP
+router.get('/:id/scoring', authorize('rfps:read'), rfpController.getScoringModel);
+router.put('/:id/scoring', authorize('rfps:evaluate'), rfpController.updateScoringModel);
+
+// Score proposals with the current scoring model (preview, nothing is saved)
+router.get('/:id/scores', authorize('rfps:evaluate'), rfpController.getScores);
+
+// AI calls made for the RFP and its proposals
+router.get('/:id/ai-calls', authorize('aiCalls:read'), rfpController.getAICalls);
+
+// Vendor questions and published answer bulletins
+router.get('/:id/clarifications', authorize('clarifications:read'), clarificationController.getClarifications);
+
+// Record a question that did not arrive by email
+router.post('/:id/clarifications', authorize('clarifications:write'), clarificationController.createClarification);
+
+// Email answered questions to every invited vendor, anonymized (background job)
+router.post('/:id/clarifications/publish', authorize('rfps:send'), clarificationController.publishClarifications);
+
+// Answer a question
+router.put('/:id/clarifications/:clarificationId', authorize('clarifications:write'), clarificationController.answerClarification);
+
+// Dismiss a question
+router.post('/:id/clarifications/:clarificationId/dismiss', authorize('clarifications:write'), clarificationController.dismissClarification);
+
+// File an email taken for a question as a proposal
+router.post('/:id/clarifications/:clarificationId/proposal', authorize('proposals:write'), clarificationController.fileAsProposal);
 
-// Compare proposals and get recommendation
-router.get('/:id/compare', rfpController.compareProposals);
+// Award the RFP to a proposal and notify vendors
+router.post('/:id/award', authorize('rfps:award'), rfpController.awardRFP);
 
 module.exports = router;
 
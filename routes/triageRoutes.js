@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const triageController = require('../controllers/triageController');
+const { protect, authorize } = require('../middleware/auth');
+
+router.use(protect);
+
+// Get unmatched emails
+router.get('/', authorize('proposals:read'), triageController.getTriageEmails);
+
+// Get single unmatched email
+router.get('/:id', authorize('proposals:read'), triageController.getTriageEmailById);
+
+// File an email under an RFP and vendor
+router.post('/:id/assign', authorize('proposals:write'), triageController.assignTriageEmail);
+
+// Dismiss an email that is not a vendor response
+router.post('/:id/dismiss', authorize('proposals:write'), triageController.dismissTriageEmail);
+
+module.exports = router;
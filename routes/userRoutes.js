@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const userController = require('../controllers/userController');
+const { protect, authorize } = require('../middleware/auth');
+
+router.use(protect);
+
+// Get activity log
+router.get('/activity', authorize('activity:read'), userController.getActivity);
+
+// Create user
+router.post('/', authorize('users:manage'), userController.createUser);
+
+// Get all users
+router.get('/', authorize('users:manage'), userController.getAllUsers);
+
+// Update user
+router.put('/:id', authorize('users:manage'), userController.updateUser);
+
+module.exports = router;
@@ -1,24 +1,27 @@
 const express = require('express');
 const router = express.Router();
 const vendorController = require('../controllers/vendorController');
+const { protect, authorize } = require('../middleware/auth');
+
+router.use(protect);
 
 // Create vendor
-router.post('/', vendorController.createVendor);
+router.post('/', authorize('vendors:write'), vendorController.createVendor);
 
 // Bulk create vendors
-router.post('/bulk', vendorController.bulkCreateVendors);
+router.post('/bulk', authorize('vendors:write'), vendorController.bulkCreateVendors);
 
 // Get all vendors
-router.get('/', vendorController.getAllVendors);
+router.get('/', authorize('vendors:read'), vendorController.getAllVendors);
 
 // Get single vendor
-router.get('/:id', vendorController.getVendorById);
+router.get('/:id', authorize('vendors:read'), vendorController.getVendorById);
 
 // Update vendor
-router.put('/:id', vendorController.updateVendor);
+router.put('/:id', authorize('vendors:write'), vendorController.updateVendor);
 
 // Delete vendor
-router.delete('/:id', vendorController.deleteVendor);
+router.delete('/:id', authorize('vendors:delete'), vendorController.deleteVendor);
 
 module.exports = router;
 
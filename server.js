@@ -6,8 +6,19 @@ const connectDB = require('./config/db');
 // Load environment variables
 dotenv.config();
 
-// Connect to MongoDB
-connectDB();
+const jobQueue = require('./services/jobQueue');
+const mailboxWatcher = require('./services/mailboxWatcher');
+const { registerJobHandlers } = require('./jobs');
+
+// Connect to MongoDB, then start processing background jobs and watching inboxes
+// in this process unless a separate worker (worker.js) is used
+connectDB().then(() => {
+  registerJobHandlers();
+  if (process.env.JOB_WORKER !== 'false') {
+    jobQueue.startWorker();
+    mailboxWatcher.startWatcher();
+  }
+});
 
 const app = express();
 
@@ -26,9 +37,18 @@ app.use((req, res, next) => {
 });
 
 // API Routes
+app.use('/api/auth', require('./routes/authRoutes'));
+app.use('/api/users', require('./routes/userRoutes'));
+app.use('/api/organizations', require('./routes/organizationRoutes'));
 app.use('/api/rfps', require('./routes/rfpRoutes'));
 app.use('/api/vendors', require('./routes/vendorRoutes'));
 app.use('/api/proposals', require('./routes/proposalRoutes'));
+app.use('/api/purchase-orders', require('./routes/purchaseOrderRoutes'));
+app.use('/api/jobs', require('./routes/jobRoutes'));
+app.use('/api/triage', require('./routes/triageRoutes'));
+app.use('/api/exchange-rates', require('./routes/exchangeRateRoutes'));
+app.use('/api/ai-calls', require('./routes/aiCallRoutes'));
+app.use('/api/corrections', require('./routes/correctionRoutes'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -45,9 +65,18 @@ app.get('/', (req, res) => {
     name: 'AI-Powered RFP Management System API',
     version: '1.0.0',
     endpoints: {
+      auth: '/api/auth',
+      users: '/api/users',
+      organizations: '/api/organizations',
       rfps: '/api/rfps',
       vendors: '/api/vendors',
       proposals: '/api/proposals',
+      purchaseOrders: '/api/purchase-orders',
+      jobs: '/api/jobs',
+      triage: '/api/triage',
+      exchangeRates: '/api/exchange-rates',
+      aiCalls: '/api/ai-calls',
+      corrections: '/api/corrections',
       health: '/api/health'
     }
   });
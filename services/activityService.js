@@ -0,0 +1,33 @@
+const ActivityLog = require('../models/ActivityLog');
+
+/**
+ * Record who changed an RFP, Proposal, Vendor, User, Organization, Purchase Order
+ * or triage email.
+ * Logging failures are reported but never break the request.
+ */
+async function logActivity(user, action, entityType, entityId, details = {}) {
+  try {
+    await ActivityLog.create({
+      organization: user?.organization,
+      user: user?._id,
+      action,
+      entityType,
+      entityId,
+      details
+    });
+  } catch (error) {
+    console.error('Error logging activity:', error.message);
+  }
+}
+
+/**
+ * Actor for changes made by background processes rather than a signed-in user
+ */
+function systemActor(organizationId) {
+  return { organization: organizationId };
+}
+
+module.exports = {
+  logActivity,
+  systemActor
+};
@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+const AICall = require('../models/AICall');
+const { estimateCost } = require('./llm/pricing');
+
+// Prompts carry whole quote documents; anything past this is cut from the audit copy
+const MAX_TEXT_LENGTH = 100000;
+
+function truncate(text) {
+  if (typeof text !== 'string' || text.length <= MAX_TEXT_LENGTH) return text;
+  return `${text.slice(0, MAX_TEXT_LENGTH)}\n[truncated ${text.length - MAX_TEXT_LENGTH} characters]`;
+}
+
+/**
+ * Store the audit record of one AI task.
+ * call: { task, provider, model, messages, attempts, status, fallbackReason, error }
+ * audit: { organization, rfp, proposal, vendor, user } the records the call was made for
+ * Returns the record's id. Failures are reported but never break the AI call.
+ */
+async function recordCall(call, audit = {}) {
+  if (!audit.organization) return null;
+
+  const attempts = call.attempts || [];
+  const sum = key => attempts.reduce((total, attempt) => total + (attempt[key] || 0), 0);
+  const promptTokens = sum('promptTokens');
+  const completionTokens = sum('completionTokens');
+
+  // Nothing was sent (or the mock answered): nothing was spent
+  const estimatedCost = attempts.length === 0 || call.provider === 'mock'
+    ? 0
+    : estimateCost(call.model, { promptTokens, completionTokens });
+
+  try {
+    const record = await AICall.create({
+      organization: audit.organization,
+      rfp: audit.rfp,
+      proposal: audit.proposal,
+      vendor: audit.vendor,
+      user: audit.user,
+      task: call.task,
+      provider: call.provider,
+      model: call.model,
+      messages: (call.messages || []).map(message => ({ role: message.role, content: truncate(message.content) })),
+      response: truncate(attempts.length ? attempts[attempts.length - 1].response : undefined),
+      attempts: attempts.map(attempt => ({ ...attempt, response: truncate(attempt.response) })),
+      status: call.status,
+      usedFallback: call.status !== 'success',
+      fallbackReason: call.fallbackReason,
+      error: call.error,
+      latencyMs: sum('latencyMs'),
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens,
+      estimatedCost
+    });
+    return record._id;
+  } catch (error) {
+    console.error('Error recording AI call:', error.message);
+    return null;
+  }
+}
+
+const TOTAL_KEYS = [
+  'calls', 'fallbacks', 'failures', 'promptTokens', 'completionTokens',
+  'totalTokens', 'estimatedCost', 'unpricedCalls', 'latencyMs'
+];
+
+function emptyTotals() {
+  return Object.fromEntries(TOTAL_KEYS.map(key => [key, 0]));
+}
+
+function addTotals(target, source) {
+  for (const key of TOTAL_KEYS) {
+    target[key] += source[key] || 0;
+  }
+  return target;
+}
+
+function roundCost(totals) {
+  return { ...totals, estimatedCost: Math.round(totals.estimatedCost * 10000) / 10000 };
+}
+
+/**
+ * Monthly AI usage for an organization over the last `months` calendar months
+ * (current month included), with totals per task and per provider/model.
+ * Calls on models without a price count towards unpricedCalls, not the cost.
+ */
+async function getUsage(organizationId, { months = 12 } = {}) {
+  const now = new Date();
+  const from = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - (months - 1), 1));
+
+  const groups = await AICall.aggregate([
+    {
+      $match: {
+        organization: new mongoose.Types.ObjectId(String(organizationId)),
+        createdAt: { $gte: from }
+      }
+    },
+    {
+      $group: {
+        _id: {
+          month: { $dateToString: { format: '%Y-%m', date: '$createdAt' } },
+          task: '$task',
+          provider: '$provider',
+          model: '$model'
+        },
+        calls: { $sum: 1 },
+        fallbacks: { $sum: { $cond: ['$usedFallback', 1, 0] } },
+        failures: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] } },
+        promptTokens: { $sum: '$promptTokens' },
+        completionTokens: { $sum: '$completionTokens' },
+        totalTokens: { $sum: '$totalTokens' },
+        estimatedCost: { $sum: { $ifNull: ['$estimatedCost', 0] } },
+        unpricedCalls: { $sum: { $cond: [{ $eq: [{ $ifNull: ['$estimatedCost', null] }, null] }, 1, 0] } },
+        latencyMs: { $sum: '$latencyMs' }
+      }
+    }
+  ]);
+
+  // Every month in the range appears, even without calls
+  const byMonth = new Map();
+  for (let i = 0; i < months; i++) {
+    const date = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth() + i, 1));
+    const month = date.toISOString().slice(0, 7);
+    byMonth.set(month, { month, ...emptyTotals(), byTask: {}, byModel: {} });
+  }
+
+  const totals = emptyTotals();
+  for (const group of groups) {
+    const entry = byMonth.get(group._id.month);
+    if (!entry) continue;
+
+    const modelKey = `${group._id.provider || 'none'}:${group._id.model || 'default'}`;
+    addTotals(entry, group);
+    addTotals(entry.byTask[group._id.task] ||= emptyTotals(), group);
+    addTotals(entry.byModel[modelKey] ||= {
+      provider: group._id.provider || null,
+      model: group._id.model || null,
+      ...emptyTotals()
+    }, group);
+    addTotals(totals, group);
+  }
+
+  return {
+    from,
+    months: [...byMonth.values()].map(entry => ({
+      ...roundCost(entry),
+      byTask: Object.fromEntries(Object.entries(entry.byTask).map(([task, t]) => [task, roundCost(t)])),
+      byModel: Object.values(entry.byModel).map(roundCost)
+    })),
+    totals: roundCost(totals)
+  };
+}
+
+module.exports = {
+  recordCall,
+  getUsage
+};
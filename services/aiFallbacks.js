@@ -0,0 +1,232 @@
+/**
+ * AI Fallbacks
+ * Rule-based versions of each AI task, used when no provider is configured or a
+ * provider call fails, and by the mock provider to answer without a model.
+ */
+
+const { parseMoney, detectCurrency, formatMoney } = require('../utils/currency');
+const { parseQuoteText } = require('../utils/quoteTextParser');
+
+/**
+ * RFP parser: uses regex to extract basic information from natural language
+ */
+function fallbackParseRFP(userInput) {
+  const input = userInput.toLowerCase();
+  
+  // Extract budget (first amount in the request's currency)
+  const currency = detectCurrency(userInput) || 'USD';
+  const budgetMatch = parseMoney(userInput).find(m => m.currency === currency);
+  const budget = budgetMatch ? budgetMatch.amount : null;
+
+  // Extract delivery days
+  const deliveryMatch = input.match(/(\d+)\s*(days?|weeks?)/i);
+  let deliveryDays = null;
+  if (deliveryMatch) {
+    deliveryDays = parseInt(deliveryMatch[1]);
+    if (deliveryMatch[2].includes('week')) {
+      deliveryDays *= 7;
+    }
+  }
+
+  // Extract items with quantities
+  const items = [];
+  const itemPatterns = [
+    /(\d+)\s*(laptops?|computers?|pcs?|machines?)/gi,
+    /(\d+)\s*(monitors?|displays?|screens?)/gi,
+    /(\d+)\s*(keyboards?|mice|mouse)/gi,
+    /(\d+)\s*(chairs?|desks?|tables?)/gi,
+    /(\d+)\s*(phones?|mobiles?|handsets?)/gi,
+    /(\d+)\s*(printers?|scanners?)/gi,
+    /(\d+)\s*(servers?|routers?|switches?)/gi,
+  ];
+
+  itemPatterns.forEach(pattern => {
+    let match;
+    while ((match = pattern.exec(userInput)) !== null) {
+      items.push({
+        name: match[2].replace(/s$/, '').charAt(0).toUpperCase() + match[2].replace(/s$/, '').slice(1),
+        quantity: parseInt(match[1]),
+        specifications: ''
+      });
+    }
+  });
+
+  // Extract RAM specifications
+  const ramMatch = userInput.match(/(\d+)\s*GB\s*RAM/i);
+  if (ramMatch && items.length > 0) {
+    items[0].specifications = `${ramMatch[1]}GB RAM`;
+  }
+
+  // Extract screen size
+  const screenMatch = userInput.match(/(\d+)[- ]?(inch|")/i);
+  if (screenMatch) {
+    const monitorItem = items.find(i => i.name.toLowerCase().includes('monitor'));
+    if (monitorItem) {
+      monitorItem.specifications = `${screenMatch[1]} inch`;
+    }
+  }
+
+  // Extract payment terms
+  let paymentTerms = null;
+  if (input.includes('net 30')) paymentTerms = 'Net 30';
+  else if (input.includes('net 60')) paymentTerms = 'Net 60';
+  else if (input.includes('net 15')) paymentTerms = 'Net 15';
+  else if (input.includes('immediate') || input.includes('advance')) paymentTerms = 'Advance Payment';
+
+  // Extract warranty
+  let warranty = null;
+  const warrantyMatch = input.match(/(\d+)\s*(year|month)s?\s*warranty/i);
+  if (warrantyMatch) {
+    warranty = `${warrantyMatch[1]} ${warrantyMatch[2]}${parseInt(warrantyMatch[1]) > 1 ? 's' : ''} warranty`;
+  }
+
+  // Generate title
+  const itemNames = items.map(i => i.name).join(' and ');
+  const title = items.length > 0 
+    ? `${itemNames} Procurement` 
+    : 'Procurement Request';
+
+  return {
+    title: title,
+    description: userInput.substring(0, 200),
+    budget: budget,
+    currency: currency,
+    deliveryDays: deliveryDays,
+    items: items.length > 0 ? items : [{ name: 'Items as specified', quantity: 1, specifications: userInput.substring(0, 100) }],
+    requirements: {
+      paymentTerms: paymentTerms,
+      warranty: warranty,
+      deliveryLocation: null,
+      additionalTerms: []
+    }
+  };
+}
+
+/**
+ * Proposal parser: line items, totals, delivery, payment terms, warranty, validity
+ * and conditions read from the quote text by rule (see utils/quoteTextParser)
+ */
+function fallbackParseProposal(emailBody) {
+  const { evidence, ...parsed } = parseQuoteText(emailBody);
+
+  return {
+    ...parsed,
+    notes: 'Parsed using fallback parser',
+    fieldEvidence: evidence
+  };
+}
+
+/**
+ * Comparison narrative built from the score breakdown
+ * (same shape as the AI's: { comparison, vendors, recommendation })
+ */
+function fallbackComparisonNarrative(rfp, scores) {
+  const criteriaText = scores.criteria.map(c => `${c.label.toLowerCase()} (${c.weight})`).join(', ');
+
+  const vendors = scores.vendors.map(v => ({
+    vendorId: v.vendorId,
+    pros: v.breakdown.filter(b => b.score >= 80).map(b => `${b.label}: ${b.explanation}`),
+    cons: v.breakdown.filter(b => b.score < 50).map(b => `${b.label}: ${b.explanation}`),
+    summary: `${v.vendorName} ranks ${v.rank} of ${scores.vendors.length} with ${v.overallScore}/100.`
+  }));
+
+  const recommended = scores.vendors.find(v => String(v.vendorId) === String(scores.recommended?.vendorId));
+  const alternative = scores.vendors.find(v => v !== recommended);
+  const risks = [];
+  if (recommended && alternative && Math.abs(recommended.overallScore - alternative.overallScore) < 5) {
+    risks.push(`${recommended.vendorName} and ${alternative.vendorName} are within 5 points of each other`);
+  }
+
+  return {
+    comparison: {
+      summary: `Compared ${scores.vendors.length} vendor proposals on ${criteriaText}.`,
+      priceAnalysis: 'Pricing compared on like-for-like totals where line items were available, otherwise on quoted totals.',
+      deliveryAnalysis: rfp.deliveryDays
+        ? `Delivery compared against the required ${rfp.deliveryDays} days.`
+        : 'Delivery compared against the fastest quoted timeline.',
+      termsAnalysis: 'Warranty and payment terms compared against the RFP requirements.'
+    },
+    vendors,
+    recommendation: {
+      reasoning: recommended
+        ? `${recommended.vendorName} has the highest eligible score of ${recommended.overallScore}/100: ` +
+          recommended.breakdown.map(b => `${b.label} ${b.score} (weight ${b.weight})`).join(', ') + '.'
+        : 'No proposals could be scored.',
+      risks,
+      alternativeOption: alternative ? `${alternative.vendorName} as second choice` : null
+    }
+  };
+}
+
+/**
+ * RFP invitation email from a template
+ */
+function fallbackGenerateEmail(rfp, vendorName) {
+  const itemsList = rfp.items?.map(item => 
+    `  • ${item.name}: Quantity ${item.quantity}${item.specifications ? ` (${item.specifications})` : ''}`
+  ).join('\n') || '  • As per requirements';
+
+  const subject = `Request for Proposal: ${rfp.title}`;
+  
+  const body = `Dear ${vendorName},
+
+We are pleased to invite you to submit a proposal for the following procurement requirement:
+
+PROJECT: ${rfp.title}
+${rfp.description ? `\nDESCRIPTION: ${rfp.description}` : ''}
+
+ITEMS REQUIRED:
+${itemsList}
+
+BUDGET: ${rfp.budget ? formatMoney(rfp.budget, rfp.currency || 'USD') : 'Open to competitive quotes'}
+DELIVERY REQUIREMENT: ${rfp.deliveryDays ? `Within ${rfp.deliveryDays} days` : 'To be discussed'}
+PAYMENT TERMS: ${rfp.requirements?.paymentTerms || 'Standard terms'}
+WARRANTY: ${rfp.requirements?.warranty || 'Standard warranty expected'}
+
+Please provide:
+1. Itemized pricing for all items
+2. Total cost including any applicable taxes
+3. Delivery timeline
+4. Warranty terms
+5. Payment terms
+6. Any conditions or special requirements
+
+We look forward to receiving your proposal.
+
+Best regards,
+Procurement Team`;
+
+  return { subject, body };
+}
+
+/**
+ * BAFO invitation email from a template
+ */
+function fallbackGenerateBAFOEmail(rfp, vendorName, round, previousProposal) {
+  const previousPrice = previousProposal?.parsedData?.totalPrice;
+
+  const subject = `Best and Final Offer Request (Round ${round.number}): ${rfp.title}`;
+
+  const body = `Dear ${vendorName},
+
+Thank you for your proposal for "${rfp.title}". We are pleased to inform you that you have been shortlisted for the next round of evaluation.
+
+We invite you to submit your Best and Final Offer (BAFO) for this requirement.
+${previousPrice ? `\nYOUR PREVIOUS QUOTE: ${formatMoney(previousPrice, previousProposal.parsedData.currency || rfp.currency || 'USD')}\n` : ''}
+RESPONSE DEADLINE: ${round.deadline ? new Date(round.deadline).toDateString() : 'As soon as possible'}
+${round.instructions ? `\nADDITIONAL INSTRUCTIONS:\n${round.instructions}\n` : ''}
+Please reply to this email with your final pricing, delivery timeline, payment terms and warranty. This will be treated as your final offer.
+
+Best regards,
+Procurement Team`;
+
+  return { subject, body };
+}
+
+module.exports = {
+  fallbackParseRFP,
+  fallbackParseProposal,
+  fallbackComparisonNarrative,
+  fallbackGenerateEmail,
+  fallbackGenerateBAFOEmail
+};
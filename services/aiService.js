@@ -1,134 +1,129 @@
-const OpenAI = require('openai');
-
-let openai = null;
-
-// Initialize OpenAI client only if API key is available
-try {
-  if (process.env.OPENAI_API_KEY && process.env.OPENAI_API_KEY !== 'sk-your-openai-api-key-here') {
-    openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
-    console.log('✅ OpenAI client initialized');
-  } else {
-    console.log('⚠️ OpenAI API key not configured - using fallback parsers');
+const llm = require('./llm');
+const fallbacks = require('./aiFallbacks');
+const aiAuditService = require('./aiAuditService');
+const { REVIEWED_FIELDS } = require('../utils/fieldEvidence');
+
+const { TASKS } = llm;
+
+// Corrective retries after a reply fails validation, before falling back
+const MAX_RETRIES = parseInt(process.env.AI_MAX_RETRIES) || 2;
+
+function useFallback(fallback, error) {
+  try {
+    return { success: true, data: fallback(), usedFallback: true };
+  } catch (fallbackError) {
+    return { success: false, error: (error || fallbackError).message };
   }
-} catch (error) {
-  console.log('⚠️ OpenAI initialization failed - using fallback parsers');
 }
 
 /**
- * Fallback parser when OpenAI is unavailable
- * Uses regex to extract basic information from natural language
+ * Answer from the fallback and record the call, with why the provider's answer was not used
  */
-function fallbackParseRFP(userInput) {
-  const input = userInput.toLowerCase();
-  
-  // Extract budget
-  const budgetMatch = userInput.match(/\$[\d,]+|\d+[\d,]*\s*(dollars|usd)/i);
-  let budget = null;
-  if (budgetMatch) {
-    budget = parseInt(budgetMatch[0].replace(/[$,\s]|dollars|usd/gi, ''));
-  }
+async function finishWithFallback(call, audit, fallback, reason, error) {
+  const result = useFallback(fallback, error);
+  const callId = await aiAuditService.recordCall({
+    ...call,
+    status: result.success ? 'fallback' : 'failed',
+    fallbackReason: reason,
+    error: error?.message || result.error
+  }, audit);
+  return { ...result, callId };
+}
 
-  // Extract delivery days
-  const deliveryMatch = input.match(/(\d+)\s*(days?|weeks?)/i);
-  let deliveryDays = null;
-  if (deliveryMatch) {
-    deliveryDays = parseInt(deliveryMatch[1]);
-    if (deliveryMatch[2].includes('week')) {
-      deliveryDays *= 7;
-    }
-  }
+function correctionPrompt(errors) {
+  return `Your previous reply did not match the required format:
+${errors.map(error => `- ${error}`).join('\n')}
 
-  // Extract items with quantities
-  const items = [];
-  const itemPatterns = [
-    /(\d+)\s*(laptops?|computers?|pcs?|machines?)/gi,
-    /(\d+)\s*(monitors?|displays?|screens?)/gi,
-    /(\d+)\s*(keyboards?|mice|mouse)/gi,
-    /(\d+)\s*(chairs?|desks?|tables?)/gi,
-    /(\d+)\s*(phones?|mobiles?|handsets?)/gi,
-    /(\d+)\s*(printers?|scanners?)/gi,
-    /(\d+)\s*(servers?|routers?|switches?)/gi,
-  ];
+Reply again with the complete JSON object, fixing these problems. Use plain numbers (no currency symbols
+or thousands separators), null for values that are not stated, and only the ids you were given.`;
+}
 
-  itemPatterns.forEach(pattern => {
-    let match;
-    while ((match = pattern.exec(userInput)) !== null) {
-      items.push({
-        name: match[2].replace(/s$/, '').charAt(0).toUpperCase() + match[2].replace(/s$/, '').slice(1),
-        quantity: parseInt(match[1]),
-        specifications: ''
-      });
-    }
-  });
+/**
+ * Run an AI task on the provider configured for it. The reply must be JSON that
+ * passes the task's schema; numbers, days and dates are coerced to their types.
+ * An invalid reply is sent back with the problems listed, up to MAX_RETRIES times.
+ * When no provider is configured, the call fails or the retries run out, the
+ * task's rule-based fallback answers instead (usedFallback: true).
+ * Every run is stored as an AICall (prompt, raw replies, tokens, cost); the
+ * result's callId points to it.
+ * input: the task's raw input, which the mock provider answers from
+ * context: facts the reply is validated against (e.g. { vendorIds })
+ * audit: { organization, rfp, proposal, vendor, user } the call is recorded against
+ */
+async function runTask(task, aiSettings, { system, user, input, context }, fallback, audit = {}) {
+  const messages = [
+    { role: 'system', content: system },
+    { role: 'user', content: user }
+  ];
 
-  // Extract RAM specifications
-  const ramMatch = userInput.match(/(\d+)\s*GB\s*RAM/i);
-  if (ramMatch && items.length > 0) {
-    items[0].specifications = `${ramMatch[1]}GB RAM`;
+  const provider = llm.getProvider(aiSettings, task);
+  if (!provider) {
+    console.log(`No AI provider available for ${task}, using fallback...`);
+    const config = llm.resolveTaskConfig(aiSettings, task);
+    return finishWithFallback(
+      { task, provider: config.provider, model: config.model, messages, attempts: [] },
+      audit, fallback, 'no_provider'
+    );
   }
 
-  // Extract screen size
-  const screenMatch = userInput.match(/(\d+)[- ]?(inch|")/i);
-  if (screenMatch) {
-    const monitorItem = items.find(i => i.name.toLowerCase().includes('monitor'));
-    if (monitorItem) {
-      monitorItem.specifications = `${screenMatch[1]} inch`;
-    }
-  }
+  const call = { task, provider: provider.name, model: provider.model, messages, attempts: [] };
 
-  // Extract payment terms
-  let paymentTerms = null;
-  if (input.includes('net 30')) paymentTerms = 'Net 30';
-  else if (input.includes('net 60')) paymentTerms = 'Net 60';
-  else if (input.includes('net 15')) paymentTerms = 'Net 15';
-  else if (input.includes('immediate') || input.includes('advance')) paymentTerms = 'Advance Payment';
-
-  // Extract warranty
-  let warranty = null;
-  const warrantyMatch = input.match(/(\d+)\s*(year|month)s?\s*warranty/i);
-  if (warrantyMatch) {
-    warranty = `${warrantyMatch[1]} ${warrantyMatch[2]}${parseInt(warrantyMatch[1]) > 1 ? 's' : ''} warranty`;
-  }
+  try {
+    for (let attempt = 1; attempt <= MAX_RETRIES + 1; attempt++) {
+      const startedAt = Date.now();
+      const { content, usage } = await provider.complete({
+        task,
+        messages,
+        temperature: provider.temperature,
+        json: true,
+        input
+      });
 
-  // Generate title
-  const itemNames = items.map(i => i.name).join(' and ');
-  const title = items.length > 0 
-    ? `${itemNames} Procurement` 
-    : 'Procurement Request';
+      const { valid, value, errors } = llm.parseOutput(task, content, context);
+      call.attempts.push({
+        attempt,
+        response: content,
+        validationErrors: errors,
+        latencyMs: Date.now() - startedAt,
+        promptTokens: usage?.promptTokens || 0,
+        completionTokens: usage?.completionTokens || 0
+      });
 
-  return {
-    title: title,
-    description: userInput.substring(0, 200),
-    budget: budget,
-    currency: 'USD',
-    deliveryDays: deliveryDays,
-    items: items.length > 0 ? items : [{ name: 'Items as specified', quantity: 1, specifications: userInput.substring(0, 100) }],
-    requirements: {
-      paymentTerms: paymentTerms,
-      warranty: warranty,
-      deliveryLocation: null,
-      additionalTerms: []
+      if (valid) {
+        const callId = await aiAuditService.recordCall({ ...call, status: 'success' }, audit);
+        return {
+          success: true,
+          data: value,
+          provider: provider.name,
+          model: provider.model,
+          attempts: attempt,
+          callId
+        };
+      }
+
+      console.warn(`${task} reply from ${provider.name} failed validation (attempt ${attempt}): ${errors.join('; ')}`);
+      if (attempt <= MAX_RETRIES) {
+        messages.push(
+          { role: 'assistant', content },
+          { role: 'user', content: correctionPrompt(errors) }
+        );
+      }
     }
-  };
+
+    console.log(`No valid ${task} reply after ${MAX_RETRIES + 1} attempts, using fallback...`);
+    return finishWithFallback(call, audit, fallback, 'invalid_reply');
+  } catch (error) {
+    console.error(`Error running ${task} with ${provider.name}:`, error.message);
+    console.log('Using fallback...');
+    return finishWithFallback(call, audit, fallback, 'provider_error', error);
+  }
 }
 
 /**
  * Parse natural language procurement request into structured RFP data
+ * audit: { organization, rfp, user } the call is recorded against
  */
-async function parseRFPFromNaturalLanguage(userInput) {
-  // If OpenAI is not available, use fallback immediately
-  if (!openai) {
-    console.log('OpenAI not available, using fallback parser...');
-    const fallbackData = fallbackParseRFP(userInput);
-    return {
-      success: true,
-      data: fallbackData,
-      usedFallback: true
-    };
-  }
-
+async function parseRFPFromNaturalLanguage(userInput, aiSettings = {}, audit = {}) {
   const systemPrompt = `You are an RFP (Request for Proposal) extraction assistant. Your job is to extract structured information from natural language procurement requests.
 
 Extract the following information and return as JSON:
@@ -137,6 +132,7 @@ Extract the following information and return as JSON:
   "description": "A brief description of what is being procured",
   "budget": <number or null if not specified>,
   "currency": "USD" or appropriate currency code,
+  "deadline": "date proposals are due, as YYYY-MM-DD, or null if not specified",
   "deliveryDays": <number of days for delivery or null>,
   "items": [
     {
@@ -156,64 +152,43 @@ Extract the following information and return as JSON:
 Be thorough but only include information that is explicitly stated or can be reasonably inferred from the input.
 Return ONLY valid JSON, no additional text.`;
 
-  try {
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userInput }
-      ],
-      temperature: 0.3,
-      response_format: { type: 'json_object' }
-    });
-
-    const parsedData = JSON.parse(response.choices[0].message.content);
-    return {
-      success: true,
-      data: parsedData
-    };
-  } catch (error) {
-    console.error('Error parsing RFP with OpenAI:', error.message);
-    
-    // Fallback to basic parsing when OpenAI fails
-    console.log('Using fallback parser...');
-    try {
-      const fallbackData = fallbackParseRFP(userInput);
-      return {
-        success: true,
-        data: fallbackData,
-        usedFallback: true
-      };
-    } catch (fallbackError) {
-      return {
-        success: false,
-        error: error.message
-      };
-    }
-  }
+  return runTask(TASKS.RFP_PARSING, aiSettings, {
+    system: systemPrompt,
+    user: userInput,
+    input: { userInput }
+  }, () => fallbacks.fallbackParseRFP(userInput), audit);
+}
+
+// One past buyer correction, as a line of the proposal parsing prompt
+function formatCorrection(correction) {
+  const source = correction.sourceText ? ` (quote text: "${correction.sourceText}")` : '';
+  return `- ${correction.label || correction.field}${correction.sameVendor ? ' [this vendor]' : ''}: ` +
+    `read as ${JSON.stringify(correction.before)}, corrected to ${JSON.stringify(correction.after)}${source}`;
 }
 
 /**
  * Parse vendor proposal email into structured data
+ * attachments: [{ name, text }] text extracted from the email's documents
+ * corrections: past buyer corrections (see correctionService.getExamples) shown as examples
+ * audit: { organization, rfp, proposal, vendor } the call is recorded against
  */
-async function parseVendorProposal(emailBody, emailSubject, rfpContext) {
-  // If OpenAI is not available, use fallback immediately
-  if (!openai) {
-    console.log('OpenAI not available, using fallback proposal parser...');
-    const fallbackData = fallbackParseProposal(emailBody);
-    return {
-      success: true,
-      data: fallbackData,
-      usedFallback: true
-    };
-  }
+async function parseVendorProposal(emailBody, emailSubject, rfpContext, aiSettings = {}, attachments = [], corrections = [], audit = {}) {
+  // Quotes often live in attached documents; their extracted text follows the body
+  const attachmentText = attachments
+    .filter(att => att.text)
+    .map(att => `--- Attachment: ${att.name} ---\n${att.text}`)
+    .join('\n\n');
+  const fullText = attachmentText ? `${emailBody || ''}\n\n${attachmentText}` : (emailBody || '');
 
   const systemPrompt = `You are a proposal parsing assistant. Extract structured information from vendor proposal emails.
+The quote may be in the email body or in attached documents (PDF, Word, spreadsheets), which follow the body.
+When the body and an attachment disagree, prefer the attachment's figures.
 
 Context - This is a response to an RFP for: ${rfpContext}
 
 Extract the following from the vendor's response and return as JSON:
 {
+  "currency": "ISO 4217 code of the currency the prices are quoted in (e.g. USD, EUR, INR)",
   "totalPrice": <total quoted price as number>,
   "itemPricing": [
     {
@@ -230,110 +205,45 @@ Extract the following from the vendor's response and return as JSON:
   "warranty": "warranty terms offered",
   "validityPeriod": "how long this quote is valid",
   "conditions": ["any conditions or special terms"],
-  "notes": "any additional notes or observations"
+  "notes": "any additional notes or observations",
+  "fieldEvidence": {
+    "<field>": {
+      "confidence": "high | medium | low",
+      "source": "the exact text the value was read from, copied word for word"
+    }
+  }
 }
 
 Extract information that is explicitly stated. Use null for fields that cannot be determined.
+Give fieldEvidence for each of ${REVIEWED_FIELDS.map(field => field.key).join(', ')} that has a value.
+Confidence is "high" when the value is stated outright (e.g. "Total: $12,500"), "medium" when you
+derived it (summed line items, converted weeks to days) and "low" when you had to guess or the
+quote gives conflicting figures. The source must be copied verbatim from the email or an attachment.
+${corrections.length > 0 ? `
+Buyers corrected these values in earlier parsed quotes. Apply the same reading to similar wording:
+${corrections.map(formatCorrection).join('\n')}
+` : ''}
 Return ONLY valid JSON.`;
 
-  try {
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: `Subject: ${emailSubject}\n\nEmail Body:\n${emailBody}` }
-      ],
-      temperature: 0.3,
-      response_format: { type: 'json_object' }
-    });
-
-    const parsedData = JSON.parse(response.choices[0].message.content);
-    return {
-      success: true,
-      data: parsedData
-    };
-  } catch (error) {
-    console.error('Error parsing proposal with OpenAI:', error.message);
-    
-    // Fallback parsing for proposals
-    console.log('Using fallback proposal parser...');
-    const fallbackData = fallbackParseProposal(emailBody);
-    return {
-      success: true,
-      data: fallbackData,
-      usedFallback: true
-    };
-  }
-}
-
-/**
- * Fallback proposal parser
- */
-function fallbackParseProposal(emailBody) {
-  const text = emailBody.toLowerCase();
-  
-  // Extract prices
-  const priceMatches = emailBody.match(/\$[\d,]+\.?\d*/g) || [];
-  const prices = priceMatches.map(p => parseFloat(p.replace(/[$,]/g, '')));
-  const totalPrice = prices.length > 0 ? Math.max(...prices) : null;
-
-  // Extract delivery
-  let deliveryDays = null;
-  const deliveryMatch = text.match(/(\d+)\s*(days?|weeks?|business days?)/i);
-  if (deliveryMatch) {
-    deliveryDays = parseInt(deliveryMatch[1]);
-    if (deliveryMatch[2].includes('week')) deliveryDays *= 7;
-  }
-
-  // Extract payment terms
-  let paymentTerms = null;
-  if (text.includes('net 30')) paymentTerms = 'Net 30';
-  else if (text.includes('net 60')) paymentTerms = 'Net 60';
-  else if (text.includes('net 15')) paymentTerms = 'Net 15';
-
-  // Extract warranty
-  let warranty = null;
-  const warrantyMatch = text.match(/(\d+)\s*(year|month)s?\s*warranty/i);
-  if (warrantyMatch) {
-    warranty = `${warrantyMatch[1]} ${warrantyMatch[2]}${parseInt(warrantyMatch[1]) > 1 ? 's' : ''} warranty`;
-  }
-
-  return {
-    totalPrice: totalPrice,
-    itemPricing: [],
-    deliveryTimeline: deliveryDays ? `${deliveryDays} days` : null,
-    deliveryDays: deliveryDays,
-    paymentTerms: paymentTerms,
-    warranty: warranty,
-    validityPeriod: null,
-    conditions: [],
-    notes: 'Parsed using fallback parser'
-  };
+  return runTask(TASKS.PROPOSAL_PARSING, aiSettings, {
+    system: systemPrompt,
+    user: `Subject: ${emailSubject}\n\nEmail Body:\n${emailBody || ''}${attachmentText ? `\n\nAttachments:\n${attachmentText}` : ''}`,
+    input: { text: fullText }
+  }, () => fallbacks.fallbackParseProposal(fullText), audit);
 }
 
 /**
- * Compare multiple proposals and generate recommendations
+ * Write the narrative for a comparison. Scores and the recommended vendor come
+ * from the deterministic scoring model (context.scores); the model only explains them.
+ * context: { scores, lineItems, compliance }
+ * audit: { organization, rfp, user } the call is recorded against
  */
-async function compareProposals(rfp, proposals) {
-  // If OpenAI is not available, use fallback immediately
-  if (!openai) {
-    console.log('OpenAI not available, using fallback comparison...');
-    const fallbackAnalysis = fallbackCompareProposals(rfp, proposals);
-    return {
-      success: true,
-      data: fallbackAnalysis,
-      usedFallback: true
-    };
-  }
+async function compareProposals(rfp, proposals, aiSettings = {}, context = {}, audit = {}) {
+  const { scores } = context;
 
-  const systemPrompt = `You are a procurement analysis assistant. Compare vendor proposals and provide recommendations.
-
-Analyze the proposals based on:
-1. Price competitiveness
-2. Delivery timeline
-3. Payment terms
-4. Warranty and support
-5. Overall value
+  const systemPrompt = `You are a procurement analysis assistant. Vendor proposals have already been scored
+with a fixed, weighted scoring model. Explain the results; do not re-score or re-rank vendors
+and do not recommend a different vendor than the one given.
 
 Return your analysis as JSON:
 {
@@ -343,23 +253,16 @@ Return your analysis as JSON:
     "deliveryAnalysis": "Analysis of delivery timelines",
     "termsAnalysis": "Analysis of terms and conditions"
   },
-  "vendorScores": [
+  "vendors": [
     {
       "vendorId": "vendor id",
-      "vendorName": "vendor name",
-      "priceScore": <0-100>,
-      "deliveryScore": <0-100>,
-      "termsScore": <0-100>,
-      "overallScore": <0-100>,
       "pros": ["list of pros"],
       "cons": ["list of cons"],
       "summary": "brief summary for this vendor"
     }
   ],
   "recommendation": {
-    "recommendedVendorId": "id of recommended vendor",
-    "recommendedVendorName": "name of recommended vendor",
-    "reasoning": "detailed reasoning for the recommendation",
+    "reasoning": "why the recommended vendor came out ahead, citing the score breakdown",
     "risks": ["potential risks to consider"],
     "alternativeOption": "second best option if any"
   }
@@ -368,127 +271,101 @@ Return your analysis as JSON:
   const proposalDetails = proposals.map(p => ({
     vendorId: p.vendorId._id || p.vendorId,
     vendorName: p.vendorId.name || 'Unknown Vendor',
-    parsedData: p.parsedData
+    parsedData: p.parsedData,
+    currencyConversion: p.currencyConversion
   }));
 
   const userPrompt = `
 RFP Details:
 - Title: ${rfp.title}
-- Budget: ${rfp.budget ? `$${rfp.budget}` : 'Not specified'}
+- Budget: ${rfp.budget ? `${rfp.currency || 'USD'} ${rfp.budget}` : 'Not specified'}
 - Required Delivery: ${rfp.deliveryDays ? `${rfp.deliveryDays} days` : 'Not specified'}
 - Items: ${JSON.stringify(rfp.items)}
 - Requirements: ${JSON.stringify(rfp.requirements)}
 
-Proposals to Compare:
+Proposals (amounts converted to ${rfp.currency || 'USD'}; currencyConversion shows the quoted currency and rate):
 ${JSON.stringify(proposalDetails, null, 2)}
-`;
 
-  try {
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt }
-      ],
-      temperature: 0.4,
-      response_format: { type: 'json_object' }
-    });
-
-    const analysis = JSON.parse(response.choices[0].message.content);
-    return {
-      success: true,
-      data: analysis
-    };
-  } catch (error) {
-    console.error('Error comparing proposals with OpenAI:', error.message);
-    
-    // Fallback comparison logic
-    console.log('Using fallback comparison...');
-    const fallbackAnalysis = fallbackCompareProposals(rfp, proposals);
-    return {
-      success: true,
-      data: fallbackAnalysis,
-      usedFallback: true
-    };
-  }
+Scoring criteria and weights:
+${JSON.stringify(scores.criteria, null, 2)}
+
+Scores (best first):
+${JSON.stringify(scores.vendors.map(v => ({
+  vendorId: v.vendorId,
+  vendorName: v.vendorName,
+  rank: v.rank,
+  overallScore: v.overallScore,
+  breakdown: v.breakdown.map(b => ({ criterion: b.label, score: b.score, weightedScore: b.weightedScore, explanation: b.explanation }))
+})), null, 2)}
+
+Recommended vendor: ${scores.recommended ? `${scores.recommended.vendorName} (${scores.recommended.vendorId})` : 'none'}
+${context.lineItems ? `
+Line-item coverage (missing items, quantity mismatches and like-for-like totals
+that price every RFP item at the requested quantity):
+${JSON.stringify(context.lineItems.vendors, null, 2)}
+` : ''}${context.compliance ? `
+Requirement compliance (rule-based; a non_compliant vendor fails at least one requirement):
+${JSON.stringify(context.compliance.vendors.map(v => ({
+  vendorId: v.vendorId,
+  vendorName: v.vendorName,
+  status: v.status,
+  notMet: v.notMet
+})), null, 2)}
+` : ''}`;
+
+  const result = await runTask(TASKS.COMPARISON, aiSettings, {
+    system: systemPrompt,
+    user: userPrompt,
+    input: { rfp, scores },
+    context: { vendorIds: scores.vendors.map(v => v.vendorId) }
+  }, () => fallbacks.fallbackComparisonNarrative(rfp, scores), audit);
+
+  return result.success ? { ...result, data: buildComparison(scores, result.data) } : result;
 }
 
 /**
- * Fallback comparison when OpenAI is unavailable
+ * Combine deterministic scores with narrative text; numbers and the
+ * recommended vendor always come from the scores
  */
-function fallbackCompareProposals(rfp, proposals) {
-  const vendorScores = proposals.map(p => {
-    const price = p.parsedData?.totalPrice || 0;
-    const delivery = p.parsedData?.deliveryDays || 999;
-    const vendorName = p.vendorId?.name || 'Unknown Vendor';
-    const vendorId = p.vendorId?._id || p.vendorId;
-
-    // Simple scoring based on price and delivery
-    const maxPrice = Math.max(...proposals.map(pr => pr.parsedData?.totalPrice || 0)) || 1;
-    const minPrice = Math.min(...proposals.filter(pr => pr.parsedData?.totalPrice).map(pr => pr.parsedData.totalPrice)) || 0;
-    
-    const priceScore = price > 0 ? Math.round(100 - ((price - minPrice) / (maxPrice - minPrice || 1)) * 50) : 50;
-    const deliveryScore = delivery < 999 ? Math.round(100 - (delivery / 60) * 50) : 50;
-    const termsScore = p.parsedData?.warranty ? 80 : 60;
-    const overallScore = Math.round((priceScore + deliveryScore + termsScore) / 3);
+function buildComparison(scores, narrative) {
+  const textByVendor = new Map((narrative.vendors || []).map(v => [String(v.vendorId), v]));
 
+  const vendorScores = scores.vendors.map(v => {
+    const byKey = Object.fromEntries(v.breakdown.map(b => [b.key, b.score]));
+    const text = textByVendor.get(String(v.vendorId)) || {};
     return {
-      vendorId: vendorId,
-      vendorName: vendorName,
-      priceScore: Math.max(0, Math.min(100, priceScore)),
-      deliveryScore: Math.max(0, Math.min(100, deliveryScore)),
-      termsScore: termsScore,
-      overallScore: Math.max(0, Math.min(100, overallScore)),
-      pros: [
-        price > 0 ? `Quoted price: $${price.toLocaleString()}` : 'Price provided',
-        delivery < 999 ? `Delivery in ${delivery} days` : 'Delivery timeline specified',
-        p.parsedData?.warranty ? `Warranty: ${p.parsedData.warranty}` : null
-      ].filter(Boolean),
-      cons: [
-        !p.parsedData?.totalPrice ? 'Price not clearly specified' : null,
-        !p.parsedData?.warranty ? 'No warranty information' : null
-      ].filter(Boolean),
-      summary: `${vendorName} offers ${price > 0 ? '$' + price.toLocaleString() : 'competitive pricing'} with ${delivery < 999 ? delivery + ' days' : 'flexible'} delivery.`
+      vendorId: v.vendorId,
+      vendorName: v.vendorName,
+      rank: v.rank,
+      priceScore: byKey.price,
+      deliveryScore: byKey.delivery,
+      overallScore: v.overallScore,
+      breakdown: v.breakdown,
+      pros: text.pros || [],
+      cons: text.cons || [],
+      summary: text.summary || ''
     };
   });
 
-  // Sort by overall score
-  vendorScores.sort((a, b) => b.overallScore - a.overallScore);
-  const recommended = vendorScores[0];
-
   return {
-    comparison: {
-      summary: `Compared ${proposals.length} vendor proposals based on price, delivery, and terms.`,
-      priceAnalysis: 'Pricing compared based on total quoted amounts.',
-      deliveryAnalysis: 'Delivery timelines compared based on stated delivery days.',
-      termsAnalysis: 'Terms evaluated based on warranty and payment conditions.'
-    },
-    vendorScores: vendorScores,
+    comparison: narrative.comparison,
+    criteria: scores.criteria,
+    vendorScores,
     recommendation: {
-      recommendedVendorId: recommended.vendorId,
-      recommendedVendorName: recommended.vendorName,
-      reasoning: `${recommended.vendorName} has the highest overall score of ${recommended.overallScore}/100 based on price competitiveness, delivery timeline, and terms.`,
-      risks: ['This is a simplified analysis. Manual review recommended.'],
-      alternativeOption: vendorScores.length > 1 ? `${vendorScores[1].vendorName} as second choice` : null
+      recommendedVendorId: scores.recommended?.vendorId,
+      recommendedVendorName: scores.recommended?.vendorName,
+      reasoning: narrative.recommendation?.reasoning || '',
+      risks: narrative.recommendation?.risks || [],
+      alternativeOption: narrative.recommendation?.alternativeOption || null
     }
   };
 }
 
 /**
  * Generate email content for sending RFP to vendors
+ * audit: { organization, rfp, vendor } the call is recorded against
  */
-async function generateRFPEmail(rfp, vendorName) {
-  // If OpenAI is not available, use fallback immediately
-  if (!openai) {
-    console.log('OpenAI not available, using fallback email generator...');
-    const fallbackEmail = fallbackGenerateEmail(rfp, vendorName);
-    return {
-      success: true,
-      data: fallbackEmail,
-      usedFallback: true
-    };
-  }
-
+async function generateRFPEmail(rfp, vendorName, aiSettings = {}, audit = {}) {
   const systemPrompt = `You are a professional procurement assistant. Generate a formal RFP email to send to vendors.
 
 The email should:
@@ -509,7 +386,7 @@ Generate an RFP email for:
 - Vendor Name: ${vendorName}
 - RFP Title: ${rfp.title}
 - Description: ${rfp.description || 'Not provided'}
-- Budget: ${rfp.budget ? `$${rfp.budget}` : 'Open to quotes'}
+- Budget: ${rfp.budget ? `${rfp.currency || 'USD'} ${rfp.budget}` : 'Open to quotes'}
 - Required Delivery: ${rfp.deliveryDays ? `Within ${rfp.deliveryDays} days` : 'To be discussed'}
 - Items Required:
 ${rfp.items.map(item => `  - ${item.name}: Qty ${item.quantity}${item.specifications ? ` (${item.specifications})` : ''}`).join('\n')}
@@ -518,81 +395,58 @@ ${rfp.items.map(item => `  - ${item.name}: Qty ${item.quantity}${item.specificat
 - Additional Requirements: ${rfp.requirements?.additionalTerms?.join(', ') || 'None specified'}
 `;
 
-  try {
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt }
-      ],
-      temperature: 0.5,
-      response_format: { type: 'json_object' }
-    });
-
-    const emailContent = JSON.parse(response.choices[0].message.content);
-    return {
-      success: true,
-      data: emailContent
-    };
-  } catch (error) {
-    console.error('Error generating RFP email with OpenAI:', error.message);
-    
-    // Fallback email generation
-    console.log('Using fallback email generator...');
-    const fallbackEmail = fallbackGenerateEmail(rfp, vendorName);
-    return {
-      success: true,
-      data: fallbackEmail,
-      usedFallback: true
-    };
-  }
+  return runTask(TASKS.EMAIL_GENERATION, aiSettings, {
+    system: systemPrompt,
+    user: userPrompt,
+    input: { rfp, vendorName }
+  }, () => fallbacks.fallbackGenerateEmail(rfp, vendorName), audit);
 }
 
 /**
- * Fallback email generator
+ * Generate a Best-and-Final-Offer (BAFO) invitation for a shortlisted vendor
+ * audit: { organization, rfp, vendor } the call is recorded against
  */
-function fallbackGenerateEmail(rfp, vendorName) {
-  const itemsList = rfp.items?.map(item => 
-    `  • ${item.name}: Quantity ${item.quantity}${item.specifications ? ` (${item.specifications})` : ''}`
-  ).join('\n') || '  • As per requirements';
-
-  const subject = `Request for Proposal: ${rfp.title}`;
-  
-  const body = `Dear ${vendorName},
-
-We are pleased to invite you to submit a proposal for the following procurement requirement:
-
-PROJECT: ${rfp.title}
-${rfp.description ? `\nDESCRIPTION: ${rfp.description}` : ''}
-
-ITEMS REQUIRED:
-${itemsList}
-
-BUDGET: ${rfp.budget ? `$${rfp.budget.toLocaleString()}` : 'Open to competitive quotes'}
-DELIVERY REQUIREMENT: ${rfp.deliveryDays ? `Within ${rfp.deliveryDays} days` : 'To be discussed'}
-PAYMENT TERMS: ${rfp.requirements?.paymentTerms || 'Standard terms'}
-WARRANTY: ${rfp.requirements?.warranty || 'Standard warranty expected'}
+async function generateBAFOEmail(rfp, vendorName, round, previousProposal, aiSettings = {}, audit = {}) {
+  const systemPrompt = `You are a professional procurement assistant. Generate a formal Best and Final Offer (BAFO) request email to a vendor that has been shortlisted after an initial round of proposals.
 
-Please provide:
-1. Itemized pricing for all items
-2. Total cost including any applicable taxes
-3. Delivery timeline
-4. Warranty terms
-5. Payment terms
-6. Any conditions or special requirements
+The email should:
+1. Thank the vendor for their previous proposal and inform them they have been shortlisted
+2. Reference their previously quoted price and terms if provided
+3. Invite them to submit their best and final offer
+4. Include the response deadline and any buyer instructions
+5. Not disclose competitor names or prices
 
-We look forward to receiving your proposal.
+Return as JSON:
+{
+  "subject": "Email subject line",
+  "body": "Full email body in plain text"
+}`;
 
-Best regards,
-Procurement Team`;
+  const userPrompt = `
+Generate a BAFO email for:
+- Vendor Name: ${vendorName}
+- RFP Title: ${rfp.title}
+- Round Number: ${round.number}
+- Response Deadline: ${round.deadline ? new Date(round.deadline).toDateString() : 'As soon as possible'}
+- Buyer Instructions: ${round.instructions || 'None'}
+- Previous Quote: ${previousProposal?.parsedData ? JSON.stringify(previousProposal.parsedData) : 'Not available'}
+- Items Required:
+${rfp.items.map(item => `  - ${item.name}: Qty ${item.quantity}${item.specifications ? ` (${item.specifications})` : ''}`).join('\n')}
+`;
 
-  return { subject, body };
+  return runTask(TASKS.EMAIL_GENERATION, aiSettings, {
+    system: systemPrompt,
+    user: userPrompt,
+    input: { rfp, vendorName, round, previousProposal }
+  }, () => fallbacks.fallbackGenerateBAFOEmail(rfp, vendorName, round, previousProposal), audit);
 }
 
 module.exports = {
   parseRFPFromNaturalLanguage,
   parseVendorProposal,
   compareProposals,
-  generateRFPEmail
+  buildComparison,
+  generateRFPEmail,
+  generateBAFOEmail
 };
 
@@ -0,0 +1,81 @@
+const User = require('../models/User');
+
+// Roles that may approve any level that has no named approvers
+const DEFAULT_APPROVER_ROLES = ['approver', 'admin'];
+
+/**
+ * Rules whose budget threshold the RFP meets, lowest threshold first.
+ * An RFP without a budget is treated as having a budget of 0.
+ */
+function getApplicableRules(rules = [], budget) {
+  const amount = budget || 0;
+  return rules
+    .filter(rule => amount >= rule.minBudget)
+    .sort((a, b) => a.minBudget - b.minBudget);
+}
+
+/**
+ * Whether an RFP needs sign-off before it can be sent
+ */
+function requiresApproval(rfp, rules) {
+  return getApplicableRules(rules, rfp.budget).length > 0;
+}
+
+/**
+ * Build the approval chain for an RFP from the organization's rules
+ */
+function buildApprovalSteps(rfp, rules) {
+  return getApplicableRules(rules, rfp.budget).map(rule => ({
+    name: rule.name,
+    minBudget: rule.minBudget,
+    requiredApprovals: rule.requiredApprovals,
+    approvers: rule.approvers,
+    approvedBy: [],
+    status: 'pending'
+  }));
+}
+
+/**
+ * Whether a user may approve a given step
+ */
+function canApproveStep(user, step) {
+  if (step.approvers && step.approvers.length > 0) {
+    return step.approvers.some(id => id.toString() === user._id.toString());
+  }
+  return DEFAULT_APPROVER_ROLES.includes(user.role);
+}
+
+/**
+ * Users who can act on a step (for notifications)
+ */
+async function getStepApprovers(step, organizationId) {
+  const query = { organization: organizationId, isActive: true };
+  if (step.approvers && step.approvers.length > 0) {
+    query._id = { $in: step.approvers };
+  } else {
+    query.role = { $in: DEFAULT_APPROVER_ROLES };
+  }
+  return User.find(query, 'name email role');
+}
+
+/**
+ * Whether an RFP's approval allows sending it to vendors. RFPs that need
+ * approval must have completed the chain.
+ */
+function canSend(rfp, rules) {
+  if (['pending_approval', 'changes_requested'].includes(rfp.status)) {
+    return false;
+  }
+  if (!requiresApproval(rfp, rules)) {
+    return true;
+  }
+  return !!rfp.approval?.approvedAt;
+}
+
+module.exports = {
+  requiresApproval,
+  buildApprovalSteps,
+  canApproveStep,
+  getStepApprovers,
+  canSend
+};
@@ -0,0 +1,180 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { readWorkbook } = require('../utils/pricingSheetParser');
+
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'));
+
+// Extracted text kept per file; enough for a long quote without flooding the AI prompt
+const MAX_TEXT_LENGTH = 50000;
+
+const MIME_TYPES = {
+  pdf: 'application/pdf',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  csv: 'text/csv',
+  txt: 'text/plain'
+};
+
+/**
+ * Work out the document type from the MIME type, falling back to the extension
+ * (mail clients often send application/octet-stream)
+ */
+function getFileType(mimeType, filename) {
+  const type = Object.keys(MIME_TYPES).find(key => MIME_TYPES[key] === mimeType);
+  if (type) return type;
+  if (mimeType === 'application/vnd.ms-excel' && /\.csv$/i.test(filename || '')) return 'csv';
+
+  const extension = path.extname(filename || '').slice(1).toLowerCase();
+  return MIME_TYPES[extension] ? extension : null;
+}
+
+/**
+ * File-name-safe form of a title: "Office Laptops (2026)" -> "Office-Laptops-2026"
+ */
+function titleToFilename(title) {
+  return (title || '').replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 50) || 'document';
+}
+
+function sanitizeFilename(filename) {
+  const base = path.basename(filename || 'attachment');
+  return base.replace(/[^a-zA-Z0-9._-]+/g, '_').slice(-100) || 'attachment';
+}
+
+async function extractPdfText(buffer) {
+  // Loaded on demand: pdf-parse pulls in pdf.js, which is heavy and optional
+  const { PDFParse } = require('pdf-parse');
+  const parser = new PDFParse({ data: buffer });
+  try {
+    const result = await parser.getText();
+    return result.text;
+  } finally {
+    await parser.destroy();
+  }
+}
+
+async function extractDocxText(buffer) {
+  const mammoth = require('mammoth');
+  const result = await mammoth.extractRawText({ buffer });
+  return result.value;
+}
+
+/**
+ * Flatten every sheet to tab-separated rows, one block per sheet
+ */
+async function extractXlsxText(buffer) {
+  const sheets = await readWorkbook(buffer);
+  return sheets
+    .map(sheet => `[Sheet: ${sheet.name}]\n${sheet.rows.map(row => row.join('\t')).join('\n')}`)
+    .join('\n\n');
+}
+
+/**
+ * Extract plain text from a PDF, Word, Excel, CSV or text document.
+ * Returns null for file types we cannot read.
+ */
+async function extractText(buffer, mimeType, filename) {
+  const type = getFileType(mimeType, filename);
+
+  let text;
+  switch (type) {
+    case 'pdf':
+      text = await extractPdfText(buffer);
+      break;
+    case 'docx':
+      text = await extractDocxText(buffer);
+      break;
+    case 'xlsx':
+      text = await extractXlsxText(buffer);
+      break;
+    case 'csv':
+    case 'txt':
+      text = buffer.toString('utf8');
+      break;
+    default:
+      return null;
+  }
+
+  return (text || '').trim().slice(0, MAX_TEXT_LENGTH);
+}
+
+/**
+ * Write a file under the organization's upload folder and extract its text.
+ * Returns the attachment metadata stored on proposals and RFPs.
+ * folder: sub-folder such as 'proposals' or 'rfps'
+ */
+async function saveAttachment(organizationId, folder, { filename, content, contentType }) {
+  const dir = path.join(UPLOAD_DIR, organizationId.toString(), folder);
+  await fs.mkdir(dir, { recursive: true });
+
+  const storedName = `${crypto.randomUUID()}-${sanitizeFilename(filename)}`;
+  const filePath = path.join(dir, storedName);
+  await fs.writeFile(filePath, content);
+
+  const attachment = {
+    filename: storedName,
+    originalName: filename || 'attachment',
+    mimeType: contentType || 'application/octet-stream',
+    size: content.length,
+    path: path.relative(UPLOAD_DIR, filePath),
+    uploadedAt: new Date()
+  };
+
+  try {
+    const text = await extractText(content, attachment.mimeType, attachment.originalName);
+    if (text !== null) attachment.parsedContent = text;
+  } catch (error) {
+    console.error(`Error extracting text from ${attachment.originalName}:`, error.message);
+    attachment.extractionError = error.message;
+  }
+
+  return attachment;
+}
+
+/**
+ * Persist email attachments. Inline images (signatures, logos) are skipped and
+ * attachments that were already saved (they have a path) are kept as they are.
+ */
+async function saveEmailAttachments(organizationId, attachments = [], folder = 'proposals') {
+  const saved = [];
+  for (const attachment of attachments) {
+    if (attachment.path) {
+      saved.push(attachment);
+    } else if (attachment.content && !attachment.related) {
+      saved.push(await saveAttachment(organizationId, folder, attachment));
+    }
+  }
+  return saved;
+}
+
+/**
+ * Absolute path of a stored attachment. Refuses paths outside the upload folder.
+ */
+function resolvePath(storedPath) {
+  const absolute = path.resolve(UPLOAD_DIR, storedPath);
+  if (!absolute.startsWith(UPLOAD_DIR + path.sep)) {
+    throw new Error('Invalid attachment path');
+  }
+  return absolute;
+}
+
+/**
+ * Remove a stored file; a file that is already gone is not an error
+ */
+async function deleteAttachmentFile(storedPath) {
+  try {
+    await fs.unlink(resolvePath(storedPath));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
+
+module.exports = {
+  getFileType,
+  titleToFilename,
+  extractText,
+  saveAttachment,
+  saveEmailAttachments,
+  resolvePath,
+  deleteAttachmentFile
+};
@@ -0,0 +1,32 @@
+const jwt = require('jsonwebtoken');
+
+const getSecret = () => {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return secret;
+};
+
+/**
+ * Issue a signed session token for a user
+ */
+function signToken(user) {
+  return jwt.sign(
+    { sub: user._id.toString(), role: user.role, ver: user.tokenVersion },
+    getSecret(),
+    { expiresIn: process.env.JWT_EXPIRES_IN || '12h' }
+  );
+}
+
+/**
+ * Verify a session token and return its payload (throws if invalid or expired)
+ */
+function verifyToken(token) {
+  return jwt.verify(token, getSecret());
+}
+
+module.exports = {
+  signToken,
+  verifyToken
+};
@@ -0,0 +1,188 @@
+const Proposal = require('../models/Proposal');
+const aiService = require('./aiService');
+const currencyService = require('./currencyService');
+const { permanentError } = require('./jobQueue');
+const { compareLineItems } = require('../utils/lineItemMatcher');
+const { getRequirements, evaluateProposal } = require('../utils/complianceEngine');
+const { scoreProposals, toProposalScores } = require('../utils/scoringModel');
+
+// Statuses a comparison leaves alone: parses still waiting for a buyer, and award decisions
+const KEPT_STATUSES = ['needs_review', 'selected', 'rejected'];
+
+/**
+ * Item-by-item comparison of proposals (populated with vendorId) against the RFP's items
+ */
+function buildLineItemComparison(rfp, proposals) {
+  return compareLineItems(rfp.items, proposals.map(p => ({
+    vendorId: p.vendorId._id || p.vendorId,
+    vendorName: p.vendorId.name || 'Unknown Vendor',
+    itemPricing: p.parsedData?.itemPricing || [],
+    overrides: p.itemMatchOverrides || []
+  })));
+}
+
+// { a: 1 } -> { 'prefix.a': 1 }, so an update sets fields without replacing the whole subdocument
+function prefixKeys(prefix, values) {
+  return Object.fromEntries(Object.entries(values).map(([key, value]) => [`${prefix}.${key}`, value]));
+}
+
+/**
+ * Requirement-by-requirement compliance of proposals (populated with vendorId).
+ * Returns { requirements, vendors: [{ vendorId, vendorName, proposalId, status, notMet, results }], summary }
+ * where results is keyed by requirement key.
+ */
+function buildComplianceMatrix(rfp, proposals) {
+  const vendors = proposals.map(p => {
+    const text = [p.emailBody, ...(p.attachments || []).map(a => a.parsedContent)].filter(Boolean).join('\n');
+    const { status, results, notMet } = evaluateProposal(rfp, p, text);
+
+    return {
+      vendorId: p.vendorId._id || p.vendorId,
+      vendorName: p.vendorId.name || 'Unknown Vendor',
+      proposalId: p._id,
+      status,
+      notMet,
+      results: Object.fromEntries(results.map(({ key, ...check }) => [key, check]))
+    };
+  });
+
+  return {
+    requirements: getRequirements(rfp),
+    vendors,
+    summary: {
+      compliant: vendors.filter(v => v.status === 'compliant').length,
+      needsReview: vendors.filter(v => v.status === 'needs_review').length,
+      nonCompliant: vendors.filter(v => v.status === 'non_compliant').length
+    }
+  };
+}
+
+/**
+ * Compare the parsed proposals of one round, store the scores on each
+ * proposal and the result on the RFP
+ */
+async function compareRound(rfp, round, organization, user) {
+  // Queued before the award: the award's scores and statuses stay as they were
+  if (['awarded', 'closed'].includes(rfp.status)) {
+    throw permanentError(`Proposals cannot be compared once the RFP is ${rfp.status}`);
+  }
+
+  const parsedProposals = await Proposal.find({ 
+    rfpId: rfp._id,
+    organization: rfp.organization,
+    round,
+    isParsingComplete: true 
+  }).populate('vendorId', 'name email company');
+
+  if (parsedProposals.length === 0) {
+    throw permanentError(`No parsed proposals available for comparison in round ${round}`);
+  }
+
+  // Everything below works on amounts converted to the RFP currency
+  const { proposals, conversions, missingRates } = await currencyService.normalizeProposals(rfp, parsedProposals);
+  const currency = { currency: rfp.currency || 'USD', conversions, missingRates };
+
+  const lineItems = buildLineItemComparison(rfp, proposals);
+  const compliance = buildComplianceMatrix(rfp, proposals);
+
+  // Flag non-compliant proposals before they are ranked
+  const evaluatedAt = new Date();
+  for (const vendor of compliance.vendors) {
+    await Proposal.updateOne(
+      { _id: vendor.proposalId },
+      { compliance: { status: vendor.status, notMet: vendor.notMet, evaluatedAt } }
+    );
+  }
+  const analysisRisks = compliance.vendors
+    .filter(v => v.status === 'non_compliant')
+    .map(v => `${v.vendorName} does not meet: ${v.notMet.join(', ')}`);
+  for (const missing of missingRates) {
+    analysisRisks.push(`No ${missing.from} to ${missing.to} exchange rate on file; ${missing.vendorName}'s prices were left out of the comparison`);
+  }
+  for (const proposal of proposals.filter(p => p.status === 'needs_review')) {
+    analysisRisks.push(`${proposal.vendorId.name}'s parsed figures have not been confirmed by a buyer (${(proposal.review?.reasons || []).join('; ')})`);
+  }
+
+  const scores = scoreProposals(rfp, proposals, { lineItems, compliance });
+
+  let comparisonResult;
+  if (proposals.length === 1) {
+    // Nothing to compare against, so there is no narrative to write
+    comparisonResult = {
+      success: true,
+      data: aiService.buildComparison(scores, {
+        comparison: null,
+        vendors: [],
+        recommendation: {
+          reasoning: 'Only one proposal received',
+          risks: ['Single vendor option - no competitive comparison possible']
+        }
+      })
+    };
+  } else {
+    // Scores are deterministic; AI only writes the narrative around them
+    comparisonResult = await aiService.compareProposals(
+      rfp,
+      proposals,
+      organization.settings.ai,
+      { scores, lineItems, compliance },
+      { organization: rfp.organization, rfp: rfp._id, user: user?._id }
+    );
+
+    if (!comparisonResult.success) {
+      throw new Error(comparisonResult.error || 'Failed to compare proposals');
+    }
+  }
+
+  const narratives = new Map(comparisonResult.data.vendorScores.map(v => [String(v.vendorId), v]));
+  for (const vendor of scores.vendors) {
+    const narrative = narratives.get(String(vendor.vendorId)) || {};
+    await Proposal.updateOne(
+      { _id: vendor.proposalId },
+      {
+        ...prefixKeys('scores', toProposalScores(vendor)),
+        'scores.pros': narrative.pros,
+        'scores.cons': narrative.cons,
+        'scores.aiSummary': narrative.summary,
+        updatedBy: user?._id
+      }
+    );
+  }
+
+  await Proposal.updateMany(
+    { _id: { $in: scores.vendors.map(v => v.proposalId) }, status: { $nin: KEPT_STATUSES } },
+    { status: 'evaluated', updatedAt: Date.now() }
+  );
+
+  // Only an RFP that is out with vendors moves on to evaluated
+  if (['sent', 'responses_received', 'evaluated'].includes(rfp.status)) {
+    rfp.status = 'evaluated';
+  }
+
+  const usedFallback = !!comparisonResult.usedFallback;
+  const data = {
+    round,
+    ...comparisonResult.data,
+    lineItems,
+    compliance,
+    currency
+  };
+  if (data.recommendation && analysisRisks.length > 0) {
+    const risks = data.recommendation.risks || [];
+    data.recommendation.risks = [...risks, ...analysisRisks.filter(r => !risks.includes(r))];
+  }
+
+  // Keep only the latest comparison per round
+  rfp.comparisons = rfp.comparisons.filter(c => c.round !== round);
+  rfp.comparisons.push({ round, result: data, usedFallback, comparedBy: user?._id });
+  rfp.updatedBy = user?._id;
+  await rfp.save();
+
+  return data;
+}
+
+module.exports = {
+  buildLineItemComparison,
+  buildComplianceMatrix,
+  compareRound
+};
@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const ParsingCorrection = require('../models/ParsingCorrection');
+const { diffParsedData } = require('../utils/proposalDiff');
+
+// Past corrections shown to the parser with each new quote
+const MAX_EXAMPLES = parseInt(process.env.CORRECTION_EXAMPLES) || 5;
+
+const MAX_SOURCE_LENGTH = 300;
+
+/**
+ * Field path without item names: itemPricing.Laptop.unitPrice -> itemPricing.unitPrice
+ */
+function fieldKeyFor(change) {
+  if (!change.field.startsWith('itemPricing.')) return change.field;
+  if (change.changeType !== 'changed') return 'itemPricing';
+  return `itemPricing.${change.field.split('.').pop()}`;
+}
+
+function quoteText(proposal) {
+  return [proposal.emailBody, ...(proposal.attachments || []).map(att => att.parsedContent)]
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Quote text a corrected value relates to: the parser's own evidence for the field,
+ * otherwise the first line mentioning the item or the wrong/right value
+ */
+function findSourceText(change, text, evidence = []) {
+  const cited = evidence.find(e => e.field === change.field && e.source);
+  if (cited) return cited.source.slice(0, MAX_SOURCE_LENGTH);
+
+  const needles = [];
+  if (change.field.startsWith('itemPricing.')) {
+    needles.push((change.from || change.to)?.itemName || change.field.split('.')[1]);
+  }
+  for (const value of [change.from, change.to]) {
+    if (typeof value === 'number') needles.push(value.toLocaleString('en-US'), String(value));
+    else if (typeof value === 'string') needles.push(value);
+  }
+
+  const lines = text.split('\n');
+  for (const needle of needles.filter(Boolean)) {
+    const line = lines.find(l => l.toLowerCase().includes(String(needle).toLowerCase()));
+    if (line) return line.trim().slice(0, MAX_SOURCE_LENGTH);
+  }
+  return null;
+}
+
+/**
+ * Store a buyer's changes to a proposal's parsed data as before/after pairs.
+ * fields: top-level parsedData keys the buyer sent; changes elsewhere are ignored
+ * (e.g. evidence carried over by the server). Returns the stored corrections.
+ */
+async function recordCorrections(proposal, before, after, user, fields) {
+  const changes = diffParsedData(before, after)
+    .filter(change => !fields || fields.includes(change.field.split('.')[0]));
+  if (changes.length === 0) return [];
+
+  const text = quoteText(proposal);
+  const evidence = before?.fieldEvidence || [];
+
+  return ParsingCorrection.insertMany(changes.map(change => ({
+    organization: proposal.organization,
+    proposal: proposal._id,
+    revision: proposal.revision,
+    rfp: proposal.rfpId?._id || proposal.rfpId,
+    vendor: proposal.vendorId?._id || proposal.vendorId,
+    field: change.field,
+    fieldKey: fieldKeyFor(change),
+    label: change.label,
+    changeType: change.changeType,
+    before: change.from,
+    after: change.to,
+    sourceText: findSourceText(change, text, evidence),
+    correctedBy: user?._id
+  })));
+}
+
+/**
+ * Recent corrections to use as parsing examples: the vendor's own first, then
+ * other vendors' in the organization, at most one per field and vendor
+ */
+async function getExamples(organizationId, vendorId, limit = MAX_EXAMPLES) {
+  if (!organizationId || limit <= 0) return [];
+
+  // Whole items added or removed make poor examples; value fixes do not
+  const recent = await ParsingCorrection.find({ organization: organizationId, fieldKey: { $ne: 'itemPricing' } })
+    .sort({ createdAt: -1 })
+    .limit(limit * 10)
+    .lean();
+
+  const own = recent.filter(c => vendorId && String(c.vendor) === String(vendorId));
+  const others = recent.filter(c => !vendorId || String(c.vendor) !== String(vendorId));
+
+  const seen = new Set();
+  const examples = [];
+  for (const correction of [...own, ...others]) {
+    const key = `${correction.vendor}:${correction.field}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    examples.push({ ...correction, sameVendor: own.includes(correction) });
+    if (examples.length === limit) break;
+  }
+  return examples;
+}
+
+/**
+ * How often each parsed field is corrected, most corrected first
+ * filters: { from, to, vendorId, rfpId }
+ */
+async function getReport(organizationId, filters = {}) {
+  const match = { organization: new mongoose.Types.ObjectId(String(organizationId)) };
+  if (filters.vendorId) match.vendor = new mongoose.Types.ObjectId(String(filters.vendorId));
+  if (filters.rfpId) match.rfp = new mongoose.Types.ObjectId(String(filters.rfpId));
+  if (filters.from || filters.to) {
+    match.createdAt = {};
+    if (filters.from) match.createdAt.$gte = new Date(filters.from);
+    if (filters.to) match.createdAt.$lte = new Date(filters.to);
+  }
+
+  const [fields, totals] = await Promise.all([
+    ParsingCorrection.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$fieldKey',
+          corrections: { $sum: 1 },
+          proposals: { $addToSet: '$proposal' },
+          vendors: { $addToSet: '$vendor' },
+          lastCorrectedAt: { $max: '$createdAt' }
+        }
+      },
+      { $sort: { corrections: -1, _id: 1 } }
+    ]),
+    ParsingCorrection.aggregate([
+      { $match: match },
+      { $group: { _id: null, corrections: { $sum: 1 }, proposals: { $addToSet: '$proposal' } } }
+    ])
+  ]);
+
+  return {
+    totalCorrections: totals[0]?.corrections || 0,
+    correctedProposals: totals[0]?.proposals.length || 0,
+    fields: fields.map(f => ({
+      field: f._id,
+      corrections: f.corrections,
+      proposals: f.proposals.length,
+      vendors: f.vendors.length,
+      lastCorrectedAt: f.lastCorrectedAt
+    }))
+  };
+}
+
+module.exports = {
+  recordCorrections,
+  getExamples,
+  getReport
+};
@@ -0,0 +1,103 @@
+const ExchangeRate = require('../models/ExchangeRate');
+
+const MONEY_FIELDS = ['totalPrice', 'subtotal', 'tax', 'shipping', 'discount'];
+
+// A null rate (no rate on file) blanks the amount
+function convertAmount(value, rate) {
+  if (value === null || value === undefined) return value;
+  return rate === null ? null : Math.round(value * rate * 100) / 100;
+}
+
+/**
+ * Rate to convert `from` into `to` on a date: the latest rate effective on or
+ * before that date, using the reverse pair (1 / rate) if that is more recent.
+ * Returns { rate, effectiveDate, rateId } or null when no rate is on file.
+ */
+async function getRate(organization, from, to, date = new Date()) {
+  if (from === to) return { rate: 1, effectiveDate: null, rateId: null };
+
+  const find = (fromCurrency, toCurrency) => ExchangeRate.findOne({
+    organization,
+    fromCurrency,
+    toCurrency,
+    effectiveDate: { $lte: date }
+  }).sort({ effectiveDate: -1 });
+
+  const [direct, inverse] = await Promise.all([find(from, to), find(to, from)]);
+  if (direct && (!inverse || direct.effectiveDate >= inverse.effectiveDate)) {
+    return { rate: direct.rate, effectiveDate: direct.effectiveDate, rateId: direct._id };
+  }
+  if (inverse && inverse.rate > 0) {
+    return { rate: 1 / inverse.rate, effectiveDate: inverse.effectiveDate, rateId: inverse._id };
+  }
+  return null;
+}
+
+/**
+ * Copy of parsedData with every amount multiplied by rate
+ */
+function convertParsedData(parsedData, rate) {
+  const converted = { ...parsedData };
+  for (const field of MONEY_FIELDS) converted[field] = convertAmount(parsedData[field], rate);
+  converted.itemPricing = (parsedData.itemPricing || []).map(item => ({
+    ...item,
+    unitPrice: convertAmount(item.unitPrice, rate),
+    totalPrice: convertAmount(item.totalPrice, rate)
+  }));
+  return converted;
+}
+
+/**
+ * Plain copies of proposals with amounts in the RFP's currency, for comparisons,
+ * budget checks and reports. The stored proposals keep the quoted amounts.
+ * Each copy gets currencyConversion { from, to, rate, effectiveDate, originalTotal }.
+ * Proposals whose currency has no rate on file keep no amounts at all (rather than
+ * being compared as if they were in the RFP currency) and are listed in missingRates.
+ */
+async function normalizeProposals(rfp, proposals) {
+  const target = rfp.currency || 'USD';
+  const cache = new Map();
+  const conversions = [];
+  const missingRates = [];
+
+  const normalized = [];
+  for (const proposal of proposals) {
+    const copy = typeof proposal.toObject === 'function' ? proposal.toObject() : { ...proposal };
+    const parsedData = copy.parsedData || {};
+    const from = parsedData.currency || target;
+    // Convert at the rate in force when the quote was received
+    const quotedAt = copy.emailDate || copy.createdAt || new Date();
+
+    const key = `${from}:${quotedAt.toISOString().slice(0, 10)}`;
+    if (!cache.has(key)) cache.set(key, await getRate(rfp.organization, from, target, quotedAt));
+    const found = cache.get(key);
+
+    const conversion = {
+      from,
+      to: target,
+      rate: found ? found.rate : null,
+      effectiveDate: found ? found.effectiveDate : null,
+      originalTotal: parsedData.totalPrice ?? null
+    };
+
+    if (!found) {
+      copy.parsedData = convertParsedData(parsedData, null);
+      missingRates.push({ proposalId: copy._id, vendorName: copy.vendorId?.name, from, to: target });
+    } else if (found.rate !== 1) {
+      copy.parsedData = convertParsedData(parsedData, found.rate);
+    }
+    copy.currencyConversion = conversion;
+
+    if (from !== target) {
+      conversions.push({ proposalId: copy._id, vendorName: copy.vendorId?.name, ...conversion, convertedTotal: copy.parsedData.totalPrice ?? null });
+    }
+    normalized.push(copy);
+  }
+
+  return { proposals: normalized, currency: target, conversions, missingRates };
+}
+
+module.exports = {
+  getRate,
+  normalizeProposals
+};
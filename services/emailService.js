@@ -1,36 +1,100 @@
+const crypto = require('crypto');
 const nodemailer = require('nodemailer');
 const Imap = require('imap');
 const { simpleParser } = require('mailparser');
 
+// Settings that point an organization at its own mailbox
+const MAILBOX_FIELDS = ['user', 'pass', 'smtpHost', 'smtpPort', 'imapHost', 'imapPort'];
+
+/**
+ * Whether an organization has its own mailbox. Organizations that set none of
+ * the mailbox fields share the deployment's mailbox from the env.
+ */
+function hasOwnMailbox(settings = {}) {
+  return MAILBOX_FIELDS.some(field => settings?.[field]);
+}
+
+/**
+ * Resolve mail settings: the organization's own mailbox or the env mailbox,
+ * each taken as a whole. The deployment's credentials are never combined with
+ * a server an organization chose.
+ */
+function resolveEmailConfig(settings = {}) {
+  const fromName = settings?.fromName || 'RFP Management System';
+
+  if (hasOwnMailbox(settings)) {
+    return {
+      fromName,
+      user: settings.user,
+      pass: settings.pass,
+      smtpHost: settings.smtpHost || 'smtp.gmail.com',
+      smtpPort: settings.smtpPort || 587,
+      smtpSecure: settings.smtpSecure ?? false,
+      imapHost: settings.imapHost || 'imap.gmail.com',
+      imapPort: settings.imapPort || 993,
+      shared: false
+    };
+  }
+
+  return {
+    fromName,
+    user: process.env.EMAIL_USER,
+    pass: process.env.EMAIL_PASS,
+    smtpHost: process.env.SMTP_HOST || 'smtp.gmail.com',
+    smtpPort: process.env.SMTP_PORT || 587,
+    smtpSecure: false,
+    imapHost: process.env.EMAIL_HOST || 'imap.gmail.com',
+    imapPort: process.env.EMAIL_PORT || 993,
+    shared: true
+  };
+}
+
 // Create email transporter for sending
-const createTransporter = () => {
+const createTransporter = (config) => {
   return nodemailer.createTransport({
-    host: process.env.SMTP_HOST || 'smtp.gmail.com',
-    port: process.env.SMTP_PORT || 587,
-    secure: false,
+    host: config.smtpHost,
+    port: config.smtpPort,
+    secure: config.smtpSecure,
     auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASS
+      user: config.user,
+      pass: config.pass
     }
   });
 };
 
+/**
+ * Create a Message-ID on the sending mailbox's domain, so replies can be
+ * traced back through In-Reply-To/References
+ */
+function generateMessageId(settings = {}) {
+  const domain = (resolveEmailConfig(settings).user || '').split('@')[1] || 'rfp.local';
+  return `<${Date.now().toString(36)}.${crypto.randomBytes(8).toString('hex')}@${domain}>`;
+}
+
 /**
  * Send email to a vendor
+ * settings: the organization's email settings (optional)
+ * options: { messageId, replyTo } headers for outgoing RFP emails (optional)
  */
-async function sendEmail(to, subject, body, attachments = []) {
-  const transporter = createTransporter();
+async function sendEmail(to, subject, body, attachments = [], settings = {}, options = {}) {
+  const config = resolveEmailConfig(settings);
+  const transporter = createTransporter(config);
   
   try {
     const mailOptions = {
-      from: `"RFP Management System" <${process.env.EMAIL_USER}>`,
+      from: `"${config.fromName}" <${config.user}>`,
       to: to,
       subject: subject,
       text: body,
       html: body.replace(/\n/g, '<br>'),
+      messageId: options.messageId,
+      replyTo: options.replyTo,
+      // Attachments are either files on disk (path) or in-memory buffers (content)
       attachments: attachments.map(att => ({
         filename: att.filename,
-        path: att.path
+        path: att.path,
+        content: att.content,
+        contentType: att.contentType
       }))
     };
 
@@ -53,11 +117,11 @@ async function sendEmail(to, subject, body, attachments = []) {
 /**
  * Send RFP to multiple vendors
  */
-async function sendRFPToVendors(vendors, subject, body) {
+async function sendRFPToVendors(vendors, subject, body, settings = {}) {
   const results = [];
   
   for (const vendor of vendors) {
-    const result = await sendEmail(vendor.email, subject, body);
+    const result = await sendEmail(vendor.email, subject, body, [], settings);
     results.push({
       vendorId: vendor._id,
       vendorName: vendor.name,
@@ -72,136 +136,183 @@ async function sendRFPToVendors(vendors, subject, body) {
 /**
  * Create IMAP connection for receiving emails
  */
-function createImapConnection() {
+function createImapConnection(config) {
   return new Imap({
-    user: process.env.EMAIL_USER,
-    password: process.env.EMAIL_PASS,
-    host: process.env.EMAIL_HOST || 'imap.gmail.com',
-    port: process.env.EMAIL_PORT || 993,
+    user: config.user,
+    password: config.pass,
+    host: config.imapHost,
+    port: config.imapPort,
     tls: true,
     tlsOptions: { rejectUnauthorized: false }
   });
 }
 
 /**
- * Fetch new emails from inbox
+ * Convert a parsed message into the email shape used across the app
  */
-async function fetchNewEmails(sinceDate = null) {
-  return new Promise((resolve, reject) => {
-    const imap = createImapConnection();
-    const emails = [];
+function toEmail(parsed, uid) {
+  const addresses = header => [].concat(header || []).flatMap(h => h.value || []).map(v => v.address);
+  const references = parsed.references || [];
 
-    imap.once('ready', () => {
-      imap.openBox('INBOX', false, (err, box) => {
-        if (err) {
-          reject(err);
-          return;
-        }
-
-        // Search for unseen emails
-        const searchCriteria = ['UNSEEN'];
-        if (sinceDate) {
-          searchCriteria.push(['SINCE', sinceDate]);
-        }
-
-        imap.search(searchCriteria, (err, results) => {
-          if (err) {
-            reject(err);
-            return;
-          }
+  return {
+    uid,
+    messageId: parsed.messageId,
+    inReplyTo: parsed.inReplyTo,
+    references: Array.isArray(references) ? references : references.split(/\s+/).filter(Boolean),
+    subject: parsed.subject,
+    from: parsed.from?.text || '',
+    fromAddress: parsed.from?.value?.[0]?.address || '',
+    to: parsed.to?.text || '',
+    // Every address the message was delivered to, for plus-addressed reply tokens
+    recipients: [
+      ...addresses(parsed.to),
+      ...addresses(parsed.cc),
+      ...addresses(parsed.headers.get('delivered-to'))
+    ].filter(Boolean),
+    date: parsed.date,
+    text: parsed.text,
+    html: parsed.html,
+    attachments: parsed.attachments?.map(att => ({
+      filename: att.filename,
+      contentType: att.contentType,
+      size: att.size,
+      content: att.content,
+      // Embedded in the HTML body (logos, signatures) rather than attached
+      related: !!att.related
+    })) || []
+  };
+}
 
-          if (results.length === 0) {
-            imap.end();
-            resolve([]);
-            return;
-          }
+/**
+ * Fetch messages by UID without marking them seen
+ */
+function fetchByUid(imap, uids) {
+  return new Promise((resolve, reject) => {
+    const pending = [];
+    const fetch = imap.fetch(uids, { bodies: '', markSeen: false });
 
-          const fetch = imap.fetch(results, { 
-            bodies: '',
-            markSeen: true 
-          });
-
-          fetch.on('message', (msg, seqno) => {
-            msg.on('body', (stream, info) => {
-              simpleParser(stream, (err, parsed) => {
-                if (err) {
-                  console.error('Error parsing email:', err);
-                  return;
-                }
-
-                emails.push({
-                  subject: parsed.subject,
-                  from: parsed.from?.text || '',
-                  fromAddress: parsed.from?.value?.[0]?.address || '',
-                  to: parsed.to?.text || '',
-                  date: parsed.date,
-                  text: parsed.text,
-                  html: parsed.html,
-                  attachments: parsed.attachments?.map(att => ({
-                    filename: att.filename,
-                    contentType: att.contentType,
-                    size: att.size,
-                    content: att.content
-                  })) || []
-                });
-              });
-            });
-          });
+    fetch.on('message', (msg) => {
+      let uid;
+      let parsing = Promise.resolve(null);
 
-          fetch.once('error', (err) => {
-            reject(err);
-          });
+      msg.on('body', (stream) => { parsing = simpleParser(stream); });
+      msg.on('attributes', (attrs) => { uid = attrs.uid; });
 
-          fetch.once('end', () => {
-            imap.end();
-          });
-        });
+      // Body and attributes may arrive in either order; both are in by 'end'
+      msg.once('end', () => {
+        pending.push(parsing
+          .then(parsed => (parsed ? toEmail(parsed, uid) : null))
+          .catch(err => {
+            console.error('Error parsing email:', err);
+            return null;
+          }));
       });
     });
 
-    imap.once('error', (err) => {
-      reject(err);
+    fetch.once('error', reject);
+    fetch.once('end', () => {
+      Promise.all(pending).then(emails => resolve(emails.filter(Boolean)));
     });
+  });
+}
+
+/**
+ * Fetch all mail received since a date. The inbox is opened read-only and
+ * seen flags are ignored, so one message can be checked against every RFP.
+ */
+async function fetchNewEmails(sinceDate = null, settings = {}) {
+  return new Promise((resolve, reject) => {
+    const imap = createImapConnection(resolveEmailConfig(settings));
 
-    imap.once('end', () => {
-      // Give time for all emails to be parsed
-      setTimeout(() => resolve(emails), 1000);
+    const finish = (err, result) => {
+      imap.end();
+      if (err) reject(err);
+      else resolve(result);
+    };
+
+    imap.once('ready', () => {
+      imap.openBox('INBOX', true, (err) => {
+        if (err) return finish(err);
+
+        imap.search([sinceDate ? ['SINCE', sinceDate] : 'ALL'], async (err, uids) => {
+          if (err) return finish(err);
+
+          try {
+            const emails = uids.length > 0 ? await fetchByUid(imap, uids) : [];
+            finish(null, emails.sort((a, b) => a.uid - b.uid));
+          } catch (fetchError) {
+            finish(fetchError);
+          }
+        });
+      });
     });
 
+    imap.once('error', reject);
+
     imap.connect();
   });
 }
 
 /**
- * Check for vendor responses to a specific RFP
+ * Fetch mail that arrived after the last processed UID.
+ * The inbox is opened read-only so seen flags are left alone. Without a usable
+ * checkpoint (first run, or the server reset UIDVALIDITY) everything since
+ * `since` is returned instead.
+ * Returns { emails, uidValidity, lastUid } where lastUid is the new checkpoint.
  */
-async function checkForVendorResponses(rfpId, vendorEmails, sinceDate) {
-  try {
-    const emails = await fetchNewEmails(sinceDate);
-    
-    // Filter emails from known vendors
-    const vendorResponses = emails.filter(email => {
-      const fromEmail = email.fromAddress.toLowerCase();
-      return vendorEmails.some(ve => ve.toLowerCase() === fromEmail);
-    });
+async function fetchEmailsSinceUid({ lastUid = 0, uidValidity = null, since = new Date() } = {}, settings = {}) {
+  return new Promise((resolve, reject) => {
+    const imap = createImapConnection(resolveEmailConfig(settings));
 
-    return {
-      success: true,
-      responses: vendorResponses
-    };
-  } catch (error) {
-    console.error('Error checking for vendor responses:', error);
-    return {
-      success: false,
-      error: error.message
+    const finish = (err, result) => {
+      imap.end();
+      if (err) reject(err);
+      else resolve(result);
     };
-  }
+
+    imap.once('ready', () => {
+      imap.openBox('INBOX', true, (err, box) => {
+        if (err) return finish(err);
+
+        const boxValidity = Number(box.uidvalidity);
+        const resume = lastUid > 0 && uidValidity === boxValidity;
+        const criteria = resume ? [['UID', `${lastUid + 1}:*`]] : [['SINCE', since]];
+
+        imap.search(criteria, async (err, uids) => {
+          if (err) return finish(err);
+
+          // "n:*" always matches the newest message, even when its UID is below n
+          const newUids = resume ? uids.filter(uid => uid > lastUid) : uids;
+          const checkpoint = resume ? lastUid : Math.max(Number(box.uidnext) - 1, 0);
+
+          try {
+            const emails = newUids.length > 0 ? await fetchByUid(imap, newUids) : [];
+            emails.sort((a, b) => a.uid - b.uid);
+            finish(null, {
+              emails,
+              uidValidity: boxValidity,
+              lastUid: Math.max(checkpoint, ...newUids)
+            });
+          } catch (fetchError) {
+            finish(fetchError);
+          }
+        });
+      });
+    });
+
+    imap.once('error', reject);
+
+    imap.connect();
+  });
 }
 
 module.exports = {
+  hasOwnMailbox,
+  resolveEmailConfig,
   sendEmail,
   sendRFPToVendors,
+  generateMessageId,
   fetchNewEmails,
-  checkForVendorResponses
+  fetchEmailsSinceUid
 };
 
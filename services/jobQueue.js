@@ -0,0 +1,204 @@
+const os = require('os');
+const Job = require('../models/Job');
+
+const handlers = new Map();
+const workerId = `${os.hostname()}:${process.pid}`;
+
+const BACKOFF_BASE_MS = parseInt(process.env.JOB_BACKOFF_MS) || 5000;
+// Running jobs locked longer than this are assumed to belong to a dead worker
+const LOCK_TIMEOUT_MS = parseInt(process.env.JOB_LOCK_TIMEOUT_MS) || 10 * 60 * 1000;
+
+let running = false;
+let activeJobs = 0;
+let pollTimer = null;
+
+/**
+ * Register the function that processes a job type.
+ * Handlers receive the job document and return a JSON-serializable result.
+ */
+function registerHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Create an error that fails the job immediately instead of retrying
+ */
+function permanentError(message) {
+  const error = new Error(message);
+  error.permanent = true;
+  return error;
+}
+
+/**
+ * Queue a job
+ */
+async function enqueue(type, payload, options = {}) {
+  return Job.create({
+    type,
+    payload,
+    organization: options.organization,
+    createdBy: options.createdBy,
+    maxAttempts: options.maxAttempts || 3,
+    runAt: options.runAt || new Date()
+  });
+}
+
+/**
+ * Find a queued or running job of a type for the same RFP, to avoid duplicates
+ */
+async function findActiveJob(type, rfpId) {
+  return Job.findOne({
+    type,
+    'payload.rfpId': rfpId.toString(),
+    status: { $in: ['queued', 'running'] }
+  });
+}
+
+/**
+ * Exponential backoff: base, 2x base, 4x base, ...
+ */
+function getBackoffDelay(attempt) {
+  return BACKOFF_BASE_MS * Math.pow(2, attempt - 1);
+}
+
+/**
+ * Fail jobs abandoned by a crashed worker on their last attempt, which would
+ * otherwise stay running forever
+ */
+async function failAbandonedJobs() {
+  const now = new Date();
+  return Job.updateMany(
+    {
+      status: 'running',
+      lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) },
+      $expr: { $gte: ['$attempts', '$maxAttempts'] }
+    },
+    {
+      $set: { status: 'failed', lastError: 'Worker stopped before the job finished', completedAt: now, updatedAt: now },
+      $unset: { lockedAt: 1, lockedBy: 1 }
+    }
+  );
+}
+
+/**
+ * Atomically lock the next due job (or one abandoned by a crashed worker
+ * that has attempts left)
+ */
+async function claimNextJob() {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: Array.from(handlers.keys()) },
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        {
+          status: 'running',
+          lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) },
+          $expr: { $lt: ['$attempts', '$maxAttempts'] }
+        }
+      ]
+    },
+    {
+      $set: { status: 'running', lockedAt: now, lockedBy: workerId, startedAt: now },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+}
+
+/**
+ * Run a claimed job and record the outcome, unless the lock timed out and
+ * another worker has since reclaimed the job
+ */
+async function runJob(job) {
+  // Only save while the job is still locked by this claim
+  job.$where = { lockedBy: job.lockedBy, lockedAt: job.lockedAt };
+
+  try {
+    const result = await handlers.get(job.type)(job);
+    job.status = 'completed';
+    job.result = result;
+    job.lastError = undefined;
+    job.completedAt = new Date();
+  } catch (error) {
+    console.error(`Job ${job._id} (${job.type}) attempt ${job.attempts} failed:`, error.message);
+    job.lastError = error.message;
+    job.failures.push({ attempt: job.attempts, message: error.message });
+
+    if (!error.permanent && job.attempts < job.maxAttempts) {
+      job.status = 'queued';
+      job.runAt = new Date(Date.now() + getBackoffDelay(job.attempts));
+    } else {
+      job.status = 'failed';
+      job.completedAt = new Date();
+    }
+  }
+
+  job.lockedAt = undefined;
+  job.lockedBy = undefined;
+  try {
+    await job.save();
+  } catch (error) {
+    if (error.name !== 'DocumentNotFoundError') throw error;
+    console.warn(`Job ${job._id} (${job.type}) was reclaimed by another worker; outcome of attempt ${job.attempts} discarded`);
+  }
+}
+
+/**
+ * Claim and run jobs until the queue is empty or all slots are busy
+ */
+async function poll(concurrency) {
+  await failAbandonedJobs();
+
+  while (running && activeJobs < concurrency) {
+    const job = await claimNextJob();
+    if (!job) break;
+
+    activeJobs++;
+    runJob(job)
+      .catch(error => console.error(`Error finishing job ${job._id}:`, error.message))
+      .finally(() => {
+        activeJobs--;
+      });
+  }
+}
+
+/**
+ * Start polling for jobs in this process
+ */
+function startWorker({ concurrency = parseInt(process.env.JOB_CONCURRENCY) || 2, pollInterval = 2000 } = {}) {
+  if (running) return;
+  running = true;
+
+  const tick = async () => {
+    try {
+      await poll(concurrency);
+    } catch (error) {
+      console.error('Job worker error:', error.message);
+    }
+    if (running) {
+      pollTimer = setTimeout(tick, pollInterval);
+    }
+  };
+
+  console.log(`⚙️ Job worker ${workerId} started (concurrency ${concurrency})`);
+  tick();
+}
+
+/**
+ * Stop polling; jobs already running finish on their own
+ */
+function stopWorker() {
+  running = false;
+  clearTimeout(pollTimer);
+}
+
+module.exports = {
+  registerHandler,
+  permanentError,
+  enqueue,
+  findActiveJob,
+  getBackoffDelay,
+  startWorker,
+  stopWorker
+};
@@ -0,0 +1,107 @@
+/**
+ * LLM provider layer
+ * Resolves which provider, model and temperature to use for each AI task from the
+ * organization's settings.ai (falling back to env defaults) and returns an adapter
+ * with a single complete({ task, messages, temperature, json, input }) method
+ * that resolves to { content, usage }.
+ */
+
+const { createOpenAIProvider, createOpenAICompatibleProvider, isConfiguredKey } = require('./openaiProvider');
+const { createMockProvider, setRecordings } = require('./mockProvider');
+const { TASKS, TASK_DEFAULTS } = require('./tasks');
+const { SCHEMAS } = require('./schemas');
+const { validate } = require('../../utils/schema');
+
+const PROVIDERS = {
+  openai: createOpenAIProvider,
+  openai_compatible: createOpenAICompatibleProvider,
+  mock: createMockProvider
+};
+
+const DEFAULT_PROVIDER = 'openai';
+const DEFAULT_OPENAI_MODEL = 'gpt-4o-mini';
+
+function defaultModel(provider) {
+  if (provider === 'openai') return process.env.OPENAI_MODEL || DEFAULT_OPENAI_MODEL;
+  if (provider === 'openai_compatible') return process.env.LLM_MODEL || null;
+  return null;
+}
+
+/**
+ * Provider, model and temperature for a task. A task override (settings.ai.tasks[task])
+ * wins over the organization default, which wins over AI_PROVIDER / OPENAI_MODEL / LLM_MODEL.
+ * settings.ai.model belongs to the organization's default provider only.
+ */
+function resolveTaskConfig(aiSettings = {}, task) {
+  const override = aiSettings.tasks?.[task] || {};
+  const orgProvider = aiSettings.provider || process.env.AI_PROVIDER || DEFAULT_PROVIDER;
+  const provider = override.provider || orgProvider;
+
+  return {
+    task,
+    provider,
+    model: override.model || (provider === orgProvider ? aiSettings.model : null) || defaultModel(provider),
+    temperature: override.temperature ?? TASK_DEFAULTS[task]?.temperature ?? 0.3,
+    apiKey: provider === 'openai' ? aiSettings.apiKey : aiSettings.compatibleApiKey,
+    baseUrl: aiSettings.baseUrl
+  };
+}
+
+/**
+ * Provider adapter for a task, or null when that provider is not configured
+ * (no OpenAI key, no base URL or model for a compatible endpoint)
+ */
+function getProvider(aiSettings, task) {
+  const config = resolveTaskConfig(aiSettings, task);
+  const factory = PROVIDERS[config.provider];
+  if (!factory) {
+    console.error(`Unknown AI provider '${config.provider}' for ${task}`);
+    return null;
+  }
+
+  try {
+    const provider = factory(config);
+    return provider ? { ...provider, task, temperature: config.temperature } : null;
+  } catch (error) {
+    console.log(`⚠️ ${config.provider} initialization failed - using fallback for ${task}`);
+    return null;
+  }
+}
+
+/**
+ * Parse a provider's reply and check it against the task's schema.
+ * Returns { valid, value, errors } with numbers, days and dates coerced.
+ * context: task-specific facts the reply is checked against (e.g. { vendorIds })
+ */
+function parseOutput(task, content, context = {}) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    return { valid: false, value: null, errors: [`reply is not valid JSON (${error.message})`] };
+  }
+
+  const schema = SCHEMAS[task];
+  if (!schema) return { valid: true, value: data, errors: [] };
+
+  const result = validate(schema, data);
+  if (schema.refine && result.value) result.errors.push(...schema.refine(result.value, context));
+  return { ...result, valid: result.errors.length === 0 };
+}
+
+if (process.env.AI_PROVIDER && process.env.AI_PROVIDER !== DEFAULT_PROVIDER) {
+  console.log(`✅ Default AI provider: ${process.env.AI_PROVIDER}`);
+} else if (isConfiguredKey(process.env.OPENAI_API_KEY)) {
+  console.log('✅ OpenAI default API key configured');
+} else {
+  console.log('⚠️ OpenAI API key not configured - organizations without their own key use fallback parsers');
+}
+
+module.exports = {
+  TASKS,
+  PROVIDER_NAMES: Object.keys(PROVIDERS),
+  resolveTaskConfig,
+  getProvider,
+  parseOutput,
+  setMockRecordings: setRecordings
+};
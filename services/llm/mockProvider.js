@@ -0,0 +1,82 @@
+const fs = require('fs');
+const fallbacks = require('../aiFallbacks');
+
+// Answers computed from the task input, for tasks without a recorded response
+const GENERATORS = {
+  rfpParsing: ({ userInput }) => fallbacks.fallbackParseRFP(userInput),
+  proposalParsing: ({ text }) => fallbacks.fallbackParseProposal(text),
+  comparison: ({ rfp, scores }) => fallbacks.fallbackComparisonNarrative(rfp, scores),
+  emailGeneration: ({ rfp, vendorName, round, previousProposal }) => round
+    ? fallbacks.fallbackGenerateBAFOEmail(rfp, vendorName, round, previousProposal)
+    : fallbacks.fallbackGenerateEmail(rfp, vendorName)
+};
+
+// task -> [{ match, response }], from LLM_MOCK_FIXTURES and setRecordings()
+let recordings = null;
+
+function loadFixtures() {
+  const file = process.env.LLM_MOCK_FIXTURES;
+  if (!file) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    console.error(`Error reading mock LLM fixtures ${file}:`, error.message);
+    return {};
+  }
+}
+
+function getRecordings() {
+  if (!recordings) recordings = loadFixtures();
+  return recordings;
+}
+
+/**
+ * Replace the recorded responses, e.g. from a test: { task: response | [{ match, response }] }.
+ * A recording with `match` is used only when the user message contains that text.
+ */
+function setRecordings(fixtures) {
+  recordings = fixtures || {};
+}
+
+function findRecording(task, prompt) {
+  const entries = getRecordings()[task];
+  if (!entries) return undefined;
+
+  const list = Array.isArray(entries) ? entries : [{ response: entries }];
+  const hit = list.find(entry => !entry.match || prompt.includes(entry.match));
+  return hit ? hit.response : undefined;
+}
+
+/**
+ * Offline provider: returns a recorded response for the task when one matches,
+ * otherwise the rule-based answer for the task input. Same input, same output.
+ */
+function createMockProvider(config) {
+  return {
+    name: 'mock',
+    model: config.model || 'mock',
+    async complete({ task, messages, input = {} }) {
+      const prompt = messages.filter(m => m.role === 'user').map(m => m.content).join('\n');
+      const recorded = findRecording(task, prompt);
+
+      let content;
+      if (recorded !== undefined) {
+        content = typeof recorded === 'string' ? recorded : JSON.stringify(recorded);
+      } else if (GENERATORS[task]) {
+        content = JSON.stringify(GENERATORS[task](input));
+      } else {
+        throw new Error(`Mock provider has no response for task '${task}'`);
+      }
+
+      return {
+        content,
+        usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0 }
+      };
+    }
+  };
+}
+
+module.exports = {
+  createMockProvider,
+  setRecordings
+};
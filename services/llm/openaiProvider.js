@@ -0,0 +1,86 @@
+const OpenAI = require('openai');
+
+// Clients keyed by endpoint and API key, so each organization reuses its own client
+const clients = new Map();
+
+function getClient(apiKey, baseURL) {
+  const key = `${baseURL || 'openai'}|${apiKey}`;
+  if (!clients.has(key)) {
+    clients.set(key, new OpenAI({ apiKey, ...(baseURL ? { baseURL } : {}) }));
+  }
+  return clients.get(key);
+}
+
+function isConfiguredKey(apiKey) {
+  return !!apiKey && apiKey !== 'sk-your-openai-api-key-here';
+}
+
+/**
+ * Provider backed by a chat completions endpoint
+ */
+function createChatProvider(name, client, config, { jsonMode = true } = {}) {
+  return {
+    name,
+    model: config.model,
+    async complete({ messages, temperature = config.temperature, json = true }) {
+      const response = await client.chat.completions.create({
+        model: config.model,
+        messages,
+        temperature,
+        ...(json && jsonMode ? { response_format: { type: 'json_object' } } : {})
+      });
+
+      return {
+        content: response.choices[0].message.content,
+        usage: {
+          promptTokens: response.usage?.prompt_tokens || 0,
+          completionTokens: response.usage?.completion_tokens || 0,
+          totalTokens: response.usage?.total_tokens || 0
+        }
+      };
+    }
+  };
+}
+
+/**
+ * OpenAI, with the organization's key or OPENAI_API_KEY. Null when no key is configured.
+ */
+function createOpenAIProvider(config) {
+  const apiKey = isConfiguredKey(config.apiKey) ? config.apiKey : process.env.OPENAI_API_KEY;
+  if (!isConfiguredKey(apiKey)) return null;
+  return createChatProvider('openai', getClient(apiKey), config);
+}
+
+/**
+ * Any server that speaks the OpenAI chat completions API (vLLM, Ollama,
+ * LM Studio, llama.cpp server...). Needs a base URL and a model name.
+ * An organization's own base URL is only called with its own key; LLM_API_KEY
+ * is only sent to LLM_BASE_URL. Null when neither is configured.
+ * Set LLM_JSON_MODE=false for servers that reject response_format.
+ */
+function createOpenAICompatibleProvider(config) {
+  if (!config.model) return null;
+
+  let baseURL;
+  let apiKey;
+  if (config.baseUrl) {
+    if (!config.apiKey) return null;
+    baseURL = config.baseUrl;
+    apiKey = config.apiKey;
+  } else {
+    baseURL = process.env.LLM_BASE_URL;
+    if (!baseURL) return null;
+    // Local servers usually ignore the key, but the client library requires one
+    apiKey = config.apiKey || process.env.LLM_API_KEY || 'not-needed';
+  }
+
+  return createChatProvider('openai_compatible', getClient(apiKey, baseURL), config, {
+    jsonMode: process.env.LLM_JSON_MODE !== 'false'
+  });
+}
+
+module.exports = {
+  isConfiguredKey,
+  createOpenAIProvider,
+  createOpenAICompatibleProvider
+};
@@ -0,0 +1,62 @@
+/**
+ * Model pricing
+ * USD per million prompt/completion tokens, used to estimate what each AI call cost.
+ * AI_MODEL_PRICING (JSON, same shape) adds or overrides entries, e.g. for
+ * self-hosted models: {"llama3.1": {"prompt": 0, "completion": 0}}
+ */
+
+const MODEL_PRICING = {
+  'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+  'gpt-4o': { prompt: 2.5, completion: 10 },
+  'gpt-4.1-nano': { prompt: 0.1, completion: 0.4 },
+  'gpt-4.1-mini': { prompt: 0.4, completion: 1.6 },
+  'gpt-4.1': { prompt: 2, completion: 8 },
+  'gpt-4-turbo': { prompt: 10, completion: 30 },
+  'gpt-3.5-turbo': { prompt: 0.5, completion: 1.5 },
+  'o3-mini': { prompt: 1.1, completion: 4.4 },
+  'o4-mini': { prompt: 1.1, completion: 4.4 }
+};
+
+function loadPricing() {
+  if (!process.env.AI_MODEL_PRICING) return MODEL_PRICING;
+  try {
+    return { ...MODEL_PRICING, ...JSON.parse(process.env.AI_MODEL_PRICING) };
+  } catch (error) {
+    console.error('Invalid AI_MODEL_PRICING, using built-in prices:', error.message);
+    return MODEL_PRICING;
+  }
+}
+
+const pricing = loadPricing();
+
+/**
+ * Price entry for a model. Dated snapshots ("gpt-4o-mini-2024-07-18") use the
+ * entry with the longest matching prefix.
+ */
+function getModelPricing(model) {
+  if (!model) return null;
+  if (pricing[model]) return pricing[model];
+
+  const prefix = Object.keys(pricing)
+    .filter(name => model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? pricing[prefix] : null;
+}
+
+/**
+ * Estimated USD cost of a call, or null when the model has no price on file
+ */
+function estimateCost(model, usage = {}) {
+  const price = getModelPricing(model);
+  if (!price) return null;
+
+  const cost = ((usage.promptTokens || 0) * price.prompt +
+    (usage.completionTokens || 0) * price.completion) / 1000000;
+  return Math.round(cost * 1000000) / 1000000;
+}
+
+module.exports = {
+  MODEL_PRICING,
+  getModelPricing,
+  estimateCost
+};
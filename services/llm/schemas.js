@@ -0,0 +1,146 @@
+/**
+ * Output schemas for each AI task (see utils/schema for the field types).
+ * refine(value, context) adds checks that need the task's context, such as
+ * the vendor ids a comparison may refer to.
+ */
+
+const { TASKS } = require('./tasks');
+const { CONFIDENCE_LEVELS, REVIEWED_FIELDS } = require('../../utils/fieldEvidence');
+
+const text = { type: 'string' };
+const textList = { type: 'array', items: { type: 'string' } };
+
+// How sure the model is of a field, and the text it was read from
+const evidence = {
+  type: 'object',
+  properties: {
+    confidence: { type: 'enum', values: CONFIDENCE_LEVELS },
+    source: text
+  }
+};
+
+const SCHEMAS = {
+  [TASKS.RFP_PARSING]: {
+    type: 'object',
+    properties: {
+      title: { type: 'string', required: true },
+      description: text,
+      budget: { type: 'number', min: 0 },
+      currency: { type: 'currency' },
+      deadline: { type: 'date' },
+      deliveryDays: { type: 'days', min: 0 },
+      items: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', required: true },
+            quantity: { type: 'number', min: 0, default: 1 },
+            specifications: text
+          }
+        }
+      },
+      requirements: {
+        type: 'object',
+        default: () => ({ additionalTerms: [] }),
+        properties: {
+          paymentTerms: text,
+          warranty: text,
+          deliveryLocation: text,
+          additionalTerms: textList
+        }
+      }
+    }
+  },
+
+  [TASKS.PROPOSAL_PARSING]: {
+    type: 'object',
+    properties: {
+      currency: { type: 'currency' },
+      totalPrice: { type: 'number', min: 0 },
+      itemPricing: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            itemName: { type: 'string', required: true },
+            quantity: { type: 'number', min: 0 },
+            unitPrice: { type: 'number', min: 0 },
+            totalPrice: { type: 'number', min: 0 },
+            notes: text
+          }
+        }
+      },
+      deliveryTimeline: text,
+      deliveryDays: { type: 'days', min: 0 },
+      paymentTerms: text,
+      warranty: text,
+      validityPeriod: text,
+      conditions: textList,
+      notes: text,
+      fieldEvidence: {
+        type: 'object',
+        default: () => ({}),
+        properties: Object.fromEntries(REVIEWED_FIELDS.map(field => [field.key, evidence]))
+      }
+    }
+  },
+
+  [TASKS.COMPARISON]: {
+    type: 'object',
+    properties: {
+      comparison: {
+        type: 'object',
+        required: true,
+        properties: {
+          summary: { type: 'string', required: true },
+          priceAnalysis: text,
+          deliveryAnalysis: text,
+          termsAnalysis: text
+        }
+      },
+      vendors: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            vendorId: { type: 'string', required: true },
+            pros: textList,
+            cons: textList,
+            summary: text
+          }
+        }
+      },
+      recommendation: {
+        type: 'object',
+        required: true,
+        properties: {
+          reasoning: { type: 'string', required: true },
+          risks: textList,
+          alternativeOption: text
+        }
+      }
+    },
+    // Narratives must be about the vendors that were scored
+    refine(value, { vendorIds = [] } = {}) {
+      const known = new Set(vendorIds.map(String));
+      return (value.vendors || [])
+        .map((vendor, i) => (vendor.vendorId && !known.has(vendor.vendorId)
+          ? `vendors[${i}].vendorId: '${vendor.vendorId}' is not one of the compared vendors (${[...known].join(', ')})`
+          : null))
+        .filter(Boolean);
+    }
+  },
+
+  [TASKS.EMAIL_GENERATION]: {
+    type: 'object',
+    properties: {
+      subject: { type: 'string', required: true },
+      body: { type: 'string', required: true }
+    }
+  }
+};
+
+module.exports = {
+  SCHEMAS
+};
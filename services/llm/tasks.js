@@ -0,0 +1,20 @@
+// The AI tasks that can each be given their own provider, model and temperature
+const TASKS = {
+  RFP_PARSING: 'rfpParsing',
+  PROPOSAL_PARSING: 'proposalParsing',
+  COMPARISON: 'comparison',
+  EMAIL_GENERATION: 'emailGeneration'
+};
+
+// Lower temperatures for extraction, a little more freedom for prose
+const TASK_DEFAULTS = {
+  rfpParsing: { temperature: 0.3 },
+  proposalParsing: { temperature: 0.3 },
+  comparison: { temperature: 0.4 },
+  emailGeneration: { temperature: 0.5 }
+};
+
+module.exports = {
+  TASKS,
+  TASK_DEFAULTS
+};
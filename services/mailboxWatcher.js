@@ -0,0 +1,226 @@
+const os = require('os');
+const MailboxState = require('../models/MailboxState');
+const Organization = require('../models/Organization');
+const RFP = require('../models/RFP');
+const emailService = require('./emailService');
+const jobQueue = require('./jobQueue');
+const proposalIntakeService = require('./proposalIntakeService');
+const { systemActor } = require('./activityService');
+const { detectClarification } = require('../utils/clarificationDetector');
+const { JOB_TYPES } = require('../jobs');
+
+const watcherId = `${os.hostname()}:${process.pid}`;
+
+// A poll holding the lock longer than this is assumed to belong to a dead process
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
+let running = false;
+let pollTimer = null;
+
+/**
+ * Atomically lock an organization's mailbox state, creating it on first use.
+ * Returns null if another process is polling the same inbox.
+ */
+async function claimMailbox(organizationId) {
+  const now = new Date();
+  try {
+    return await MailboxState.findOneAndUpdate(
+      {
+        organization: organizationId,
+        $or: [
+          { lockedAt: null },
+          { lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+        ]
+      },
+      { $set: { lockedAt: now, lockedBy: watcherId } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    // The upsert collides with the existing, locked state document
+    if (error.code === 11000) return null;
+    throw error;
+  }
+}
+
+/**
+ * Earliest date worth scanning when there is no UID checkpoint:
+ * when the oldest open round was sent out
+ */
+async function getBaselineDate(organizationId) {
+  const openRFPs = await RFP.find({
+    organization: organizationId,
+    status: { $in: proposalIntakeService.OPEN_STATUSES }
+  });
+
+  const dates = openRFPs.map(rfp => new Date(rfp.getRound(rfp.currentRound)?.openedAt || rfp.sentAt || rfp.createdAt));
+  return dates.length > 0 ? new Date(Math.min(...dates)) : new Date();
+}
+
+/**
+ * File one routed email: unmatched mail goes to triage (unless it came from
+ * the shared inbox), questions become clarifications and the rest are filed
+ * as proposals (queued for parsing when the organization auto-parses).
+ * Counts go into summary; RFPs that got a proposal are collected in updatedRFPs.
+ */
+async function fileEmail(email, routing, { organization, actor, sharedInbox }, summary, updatedRFPs) {
+  if (!routing.matched) {
+    // The shared inbox holds every organization's mail; only what matched is ours
+    if (sharedInbox) return;
+    await proposalIntakeService.sendToTriage(email, organization._id, routing);
+    summary.triaged++;
+    return;
+  }
+
+  // Questions about the RFP wait for a buyer's answer instead of being parsed
+  const detected = detectClarification(email);
+  if (detected.isClarification) {
+    const { action } = await proposalIntakeService.ingestClarification(email, {
+      rfp: routing.rfp,
+      vendor: routing.vendor,
+      round: routing.round,
+      actor,
+      source: 'mailbox',
+      detected
+    });
+    if (action === 'created') summary.clarifications++;
+    return;
+  }
+
+  const { action, proposal } = await proposalIntakeService.ingestEmail(email, {
+    rfp: routing.rfp,
+    vendor: routing.vendor,
+    round: routing.round,
+    actor,
+    source: 'mailbox'
+  });
+  if (action === 'duplicate') return;
+
+  if (action === 'created') summary.proposalsCreated++;
+  if (action === 'revised') summary.proposalsRevised++;
+  updatedRFPs.set(routing.rfp._id.toString(), routing.rfp);
+
+  if (organization.settings.email?.autoParse) {
+    await jobQueue.enqueue(
+      JOB_TYPES.PARSE_PROPOSAL,
+      { proposalId: proposal._id.toString(), revision: proposal.revision },
+      { organization: organization._id }
+    );
+  }
+}
+
+/**
+ * Fetch new mail for one organization and file each vendor reply under its RFP
+ */
+async function pollOrganization(organization) {
+  const state = await claimMailbox(organization._id);
+  if (!state) return null;
+
+  const actor = systemActor(organization._id);
+  const sharedInbox = !emailService.hasOwnMailbox(organization.settings.email);
+  const summary = { emailsProcessed: 0, proposalsCreated: 0, proposalsRevised: 0, triaged: 0, clarifications: 0, failed: 0 };
+
+  try {
+    const { emails, uidValidity, lastUid } = await emailService.fetchEmailsSinceUid({
+      lastUid: state.lastUid,
+      uidValidity: state.uidValidity,
+      since: await getBaselineDate(organization._id)
+    }, organization.settings.email);
+
+    const updatedRFPs = new Map();
+
+    for (const email of emails) {
+      summary.emailsProcessed++;
+
+      // One email that cannot be filed must not hold back the rest of the inbox:
+      // it goes to triage for a buyer and the checkpoint still moves past it
+      let routing = null;
+      try {
+        routing = await proposalIntakeService.routeEmail(email, organization._id);
+        await fileEmail(email, routing, { organization, actor, sharedInbox }, summary, updatedRFPs);
+      } catch (error) {
+        console.error(`Mailbox poll for organization ${organization._id}: email ${email.messageId || email.uid} failed:`, error.message);
+        summary.failed++;
+        if (sharedInbox && !routing?.matched) continue;
+        try {
+          await proposalIntakeService.sendToTriage(email, organization._id, { reason: 'processing_error', error: error.message });
+          summary.triaged++;
+        } catch (triageError) {
+          console.error(`Could not queue email ${email.messageId || email.uid} for triage:`, triageError.message);
+        }
+      }
+    }
+
+    for (const rfp of updatedRFPs.values()) {
+      try {
+        await proposalIntakeService.markResponsesReceived(rfp);
+      } catch (error) {
+        console.error(`Could not update status of RFP ${rfp._id}:`, error.message);
+      }
+    }
+
+    state.lastUid = lastUid;
+    state.uidValidity = uidValidity;
+    state.lastError = undefined;
+    for (const [key, count] of Object.entries(summary)) {
+      state.stats[key] += count;
+    }
+  } catch (error) {
+    console.error(`Mailbox poll for organization ${organization._id} failed:`, error.message);
+    state.lastError = error.message;
+  }
+
+  state.lastCheckedAt = new Date();
+  state.lockedAt = undefined;
+  state.lockedBy = undefined;
+  await state.save();
+
+  return summary;
+}
+
+/**
+ * Poll every organization that has inbox watching switched on
+ */
+async function pollAll() {
+  const organizations = await Organization.find({ isActive: true, 'settings.email.watchInbox': true });
+
+  for (const organization of organizations) {
+    if (!running) break;
+    await pollOrganization(organization);
+  }
+}
+
+/**
+ * Start polling inboxes in this process
+ */
+function startWatcher({ interval = parseInt(process.env.MAILBOX_POLL_INTERVAL_MS) || 60 * 1000 } = {}) {
+  if (running) return;
+  running = true;
+
+  const tick = async () => {
+    try {
+      await pollAll();
+    } catch (error) {
+      console.error('Mailbox watcher error:', error.message);
+    }
+    if (running) {
+      pollTimer = setTimeout(tick, interval);
+    }
+  };
+
+  console.log(`📬 Mailbox watcher ${watcherId} started (every ${Math.round(interval / 1000)}s)`);
+  tick();
+}
+
+/**
+ * Stop polling; a poll already in progress finishes on its own
+ */
+function stopWatcher() {
+  running = false;
+  clearTimeout(pollTimer);
+}
+
+module.exports = {
+  pollOrganization,
+  startWatcher,
+  stopWatcher
+};
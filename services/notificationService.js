@@ -0,0 +1,112 @@
+const emailService = require('./emailService');
+
+const rfpLink = (rfp) => `${process.env.FRONTEND_URL || 'http://localhost:3000'}/rfps/${rfp._id}`;
+
+const formatBudget = (rfp) => rfp.budget
+  ? `${rfp.currency || 'USD'} ${rfp.budget.toLocaleString()}`
+  : 'Not specified';
+
+/**
+ * Ask the approvers of a step to review an RFP
+ */
+async function notifyApprovers(rfp, step, approvers, emailSettings) {
+  const subject = `Approval required: ${rfp.title}`;
+  const results = [];
+
+  for (const approver of approvers) {
+    const body = `Hello ${approver.name},
+
+The following RFP is waiting for your approval (${step.name}):
+
+RFP: ${rfp.title}
+BUDGET: ${formatBudget(rfp)}
+ITEMS: ${rfp.items.map(item => `${item.name} x${item.quantity}`).join(', ') || 'Not specified'}
+APPROVALS NEEDED AT THIS LEVEL: ${step.requiredApprovals}
+
+Review it here: ${rfpLink(rfp)}
+
+Procurement Team`;
+
+    const result = await emailService.sendEmail(approver.email, subject, body, [], emailSettings);
+    results.push({ userId: approver._id, email: approver.email, sent: result.success, error: result.error });
+  }
+
+  return results;
+}
+
+/**
+ * Tell the submitter that an RFP was approved or sent back for changes
+ */
+async function notifyApprovalOutcome(rfp, submitter, outcome, comment, emailSettings) {
+  if (!submitter?.email) {
+    return { success: false, error: 'Submitter has no email address' };
+  }
+
+  const approved = outcome === 'approved';
+  const subject = approved
+    ? `RFP approved: ${rfp.title}`
+    : `Changes requested: ${rfp.title}`;
+
+  const body = `Hello ${submitter.name},
+
+${approved
+  ? 'Your RFP has been fully approved and can now be sent to vendors.'
+  : 'An approver has requested changes to your RFP before it can be approved.'}
+
+RFP: ${rfp.title}
+${comment ? `\nCOMMENT: ${comment}\n` : ''}
+View it here: ${rfpLink(rfp)}
+
+Procurement Team`;
+
+  return emailService.sendEmail(submitter.email, subject, body, [], emailSettings);
+}
+
+/**
+ * Tell the winning vendor they have been awarded the RFP
+ */
+async function notifyAward(rfp, vendor, proposal, emailSettings) {
+  const subject = `Award Notification: ${rfp.title}`;
+  const price = proposal.parsedData?.totalPrice;
+
+  const body = `Dear ${vendor.name},
+
+We are pleased to inform you that your proposal for "${rfp.title}" has been selected.
+${price ? `\nAWARDED AMOUNT: ${proposal.parsedData.currency || rfp.currency || 'USD'} ${price.toLocaleString()}` : ''}
+${proposal.parsedData?.deliveryTimeline ? `DELIVERY: ${proposal.parsedData.deliveryTimeline}\n` : ''}
+Our team will contact you shortly with a purchase order and next steps.
+
+Thank you for your participation.
+
+Best regards,
+Procurement Team`;
+
+  return emailService.sendEmail(vendor.email, subject, body, [], emailSettings);
+}
+
+/**
+ * Thank a non-selected vendor for responding
+ */
+async function notifyRegret(rfp, vendor, emailSettings) {
+  const subject = `Update on RFP: ${rfp.title}`;
+
+  const body = `Dear ${vendor.name},
+
+Thank you for taking the time to submit a proposal for "${rfp.title}".
+
+After careful evaluation, we have decided to proceed with another vendor for this requirement. This decision was not easy, and we appreciate the effort you put into your proposal.
+
+We value our relationship and look forward to inviting you to future opportunities.
+
+Best regards,
+Procurement Team`;
+
+  return emailService.sendEmail(vendor.email, subject, body, [], emailSettings);
+}
+
+module.exports = {
+  notifyApprovers,
+  notifyApprovalOutcome,
+  notifyAward,
+  notifyRegret
+};
@@ -0,0 +1,199 @@
+const PDFDocument = require('pdfkit');
+
+/**
+ * Render a PDFKit document to a Buffer
+ */
+function renderToBuffer(draw) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      draw(doc);
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+const formatMoney = (amount, currency) => amount != null
+  ? `${currency} ${Number(amount).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+  : '-';
+
+const formatDate = (date) => date ? new Date(date).toDateString() : '-';
+
+/**
+ * Draw a simple table. columns: [{ header, width, align, value(row) }]
+ */
+function drawTable(doc, columns, rows) {
+  const startX = doc.page.margins.left;
+  let y = doc.y;
+
+  const drawRow = (cells, bold) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    let x = startX;
+    let rowHeight = 0;
+    cells.forEach((cell, i) => {
+      const { width, align } = columns[i];
+      const height = doc.heightOfString(String(cell), { width: width - 6 });
+      doc.text(String(cell), x + 3, y + 4, { width: width - 6, align: align || 'left' });
+      rowHeight = Math.max(rowHeight, height + 8);
+      x += width;
+    });
+    y += rowHeight;
+    doc.moveTo(startX, y).lineTo(x, y).strokeColor('#cccccc').stroke();
+
+    if (y > doc.page.height - doc.page.margins.bottom - 40) {
+      doc.addPage();
+      y = doc.page.margins.top;
+    }
+  };
+
+  drawRow(columns.map(c => c.header), true);
+  rows.forEach(row => drawRow(columns.map(c => c.value(row)), false));
+
+  doc.x = startX;
+  doc.y = y + 10;
+}
+
+/**
+ * Generate a purchase order PDF
+ */
+function generatePurchaseOrderPDF(po, { organization, vendor, rfp }) {
+  return renderToBuffer(doc => {
+    doc.font('Helvetica-Bold').fontSize(20).text('PURCHASE ORDER', { align: 'right' });
+    doc.font('Helvetica').fontSize(10)
+      .text(`PO Number: ${po.poNumber}`, { align: 'right' })
+      .text(`Issue Date: ${formatDate(po.issuedAt)}`, { align: 'right' })
+      .text(`Status: ${po.status.replace(/_/g, ' ')}`, { align: 'right' });
+
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(11).text('Buyer');
+    doc.font('Helvetica').fontSize(10).text(organization?.name || 'Procurement Team');
+
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(11).text('Vendor');
+    doc.font('Helvetica').fontSize(10)
+      .text(vendor?.company || vendor?.name || '-')
+      .text(vendor?.email || '');
+
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(11).text('Reference');
+    doc.font('Helvetica').fontSize(10).text(`RFP: ${rfp?.title || '-'}`);
+
+    doc.moveDown();
+    drawTable(doc, [
+      { header: '#', width: 25, value: row => row.index },
+      { header: 'Item', width: 200, value: row => row.itemName + (row.notes ? `\n${row.notes}` : '') },
+      { header: 'Qty', width: 50, align: 'right', value: row => row.quantity ?? '-' },
+      { header: 'Unit Price', width: 110, align: 'right', value: row => formatMoney(row.unitPrice, po.currency) },
+      { header: 'Total', width: 110, align: 'right', value: row => formatMoney(row.totalPrice, po.currency) }
+    ], po.items.map((item, i) => ({ ...item.toObject?.() ?? item, index: i + 1 })));
+
+    doc.font('Helvetica-Bold').fontSize(11)
+      .text(`Total: ${formatMoney(po.totalAmount, po.currency)}`, { align: 'right' });
+
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(11).text('Terms');
+    doc.font('Helvetica').fontSize(10)
+      .text(`Payment Terms: ${po.paymentTerms || '-'}`)
+      .text(`Delivery: ${po.deliveryTimeline || (po.deliveryDays ? `${po.deliveryDays} days` : '-')}`)
+      .text(`Expected Delivery Date: ${formatDate(po.expectedDeliveryDate)}`)
+      .text(`Delivery Location: ${po.deliveryLocation || '-'}`)
+      .text(`Warranty: ${po.warranty || '-'}`);
+
+    if (po.notes) {
+      doc.moveDown();
+      doc.font('Helvetica-Bold').fontSize(11).text('Notes');
+      doc.font('Helvetica').fontSize(10).text(po.notes);
+    }
+
+    doc.moveDown(2);
+    doc.font('Helvetica').fontSize(8).fillColor('#666666')
+      .text('Please acknowledge receipt of this purchase order by replying to this email.', { align: 'center' });
+  });
+}
+
+/**
+ * Generate the RFP document sent to vendors: items, specifications, terms and deadline.
+ * round: the pricing round being sent (BAFO rounds show their own deadline and instructions)
+ */
+function generateRFPPDF(rfp, { organization, round } = {}) {
+  return renderToBuffer(doc => {
+    const isBafo = round?.type === 'bafo';
+    const deadline = (isBafo && round.deadline) || rfp.deadline;
+
+    doc.font('Helvetica-Bold').fontSize(20).text(isBafo ? 'BEST AND FINAL OFFER REQUEST' : 'REQUEST FOR PROPOSAL', { align: 'right' });
+    doc.font('Helvetica').fontSize(10)
+      .text(rfp.title, { align: 'right' })
+      .text(`Reference: ${rfp.replyToken ? `RFP-${rfp.replyToken}` : rfp._id}`, { align: 'right' })
+      .text(`Issued: ${formatDate(round?.openedAt || rfp.sentAt || new Date())}`, { align: 'right' });
+
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(11).text('Issued by');
+    doc.font('Helvetica').fontSize(10).text(organization?.name || 'Procurement Team');
+
+    if (rfp.description) {
+      doc.moveDown(0.5);
+      doc.font('Helvetica-Bold').fontSize(11).text('Description');
+      doc.font('Helvetica').fontSize(10).text(rfp.description);
+    }
+
+    if (isBafo && round.instructions) {
+      doc.moveDown(0.5);
+      doc.font('Helvetica-Bold').fontSize(11).text(`Round ${round.number} Instructions`);
+      doc.font('Helvetica').fontSize(10).text(round.instructions);
+    }
+
+    doc.moveDown();
+    drawTable(doc, [
+      { header: '#', width: 25, value: row => row.index },
+      { header: 'Item', width: 150, value: row => row.name },
+      { header: 'Specifications', width: 250, value: row => row.specifications || '-' },
+      { header: 'Qty', width: 70, align: 'right', value: row => row.quantity ?? '-' }
+    ], rfp.items.map((item, i) => ({ ...item.toObject?.() ?? item, index: i + 1 })));
+
+    doc.font('Helvetica-Bold').fontSize(11).text('Terms');
+    doc.font('Helvetica').fontSize(10)
+      .text(`Currency: ${rfp.currency || 'USD'}`)
+      .text(`Required Delivery: ${rfp.deliveryDays ? `within ${rfp.deliveryDays} days` : '-'}`)
+      .text(`Delivery Location: ${rfp.requirements?.deliveryLocation || '-'}`)
+      .text(`Payment Terms: ${rfp.requirements?.paymentTerms || '-'}`)
+      .text(`Warranty: ${rfp.requirements?.warranty || '-'}`);
+
+    const additionalTerms = rfp.requirements?.additionalTerms || [];
+    if (additionalTerms.length > 0) {
+      doc.moveDown(0.5);
+      doc.font('Helvetica-Bold').fontSize(11).text('Additional Terms');
+      doc.font('Helvetica').fontSize(10).list(additionalTerms);
+    }
+
+    // Answers already published to vendors are part of the RFP
+    const clarifications = (rfp.clarificationBulletins || []).flatMap(bulletin => bulletin.entries);
+    if (clarifications.length > 0) {
+      doc.moveDown(0.5);
+      doc.font('Helvetica-Bold').fontSize(11).text('Clarifications');
+      clarifications.forEach((entry, i) => {
+        doc.font('Helvetica-Bold').fontSize(10).text(`Q${i + 1}. ${entry.question}`);
+        doc.font('Helvetica').fontSize(10).text(entry.answer).moveDown(0.3);
+      });
+    }
+
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(11).text(`Response Deadline: ${formatDate(deadline)}`);
+
+    doc.moveDown(2);
+    doc.font('Helvetica').fontSize(8).fillColor('#666666')
+      .text('Please reply to the email this document came with and return the attached pricing sheet with your unit prices.', { align: 'center' });
+  });
+}
+
+module.exports = {
+  generatePurchaseOrderPDF,
+  generateRFPPDF
+};
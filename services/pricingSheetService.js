@@ -0,0 +1,79 @@
+const ExcelJS = require('exceljs');
+const { titleToFilename } = require('./attachmentService');
+
+// Header labels are the ones utils/pricingSheetParser recognises, so returned sheets parse cleanly
+const COLUMNS = [
+  { header: 'Item Description', key: 'name', width: 36 },
+  { header: 'Specifications', key: 'specifications', width: 48 },
+  { header: 'Qty', key: 'quantity', width: 10 },
+  { header: 'Unit Price', key: 'unitPrice', width: 16 },
+  { header: 'Line Total', key: 'lineTotal', width: 18 },
+  { header: 'Notes', key: 'notes', width: 36 }
+];
+
+/**
+ * Generate a blank XLSX pricing sheet pre-filled with the RFP's line items.
+ * The vendor fills in unit prices (and tax/shipping); totals are spreadsheet formulas.
+ * Returns a Buffer.
+ */
+async function generatePricingSheet(rfp, vendor) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Pricing');
+  const moneyFormat = `"${rfp.currency || 'USD'}" #,##0.00`;
+
+  sheet.addRow([`Pricing sheet: ${rfp.title}`]).font = { bold: true, size: 13 };
+  sheet.addRow([`Reference: ${rfp.replyToken ? `RFP-${rfp.replyToken}` : rfp._id}`, `Vendor: ${vendor?.company || vendor?.name || ''}`]);
+  sheet.addRow([`Currency: ${rfp.currency || 'USD'}`, 'Fill in the Unit Price column (and tax/shipping if applicable) and return this file.']);
+  sheet.addRow([]);
+
+  const headerRow = sheet.addRow(COLUMNS.map(c => c.header));
+  headerRow.font = { bold: true };
+  headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE8EEF7' } };
+  sheet.columns = COLUMNS.map(({ key, width }) => ({ key, width }));
+
+  const firstItemRow = headerRow.number + 1;
+  rfp.items.forEach((item, i) => {
+    const rowNumber = firstItemRow + i;
+    const row = sheet.addRow([
+      item.name,
+      item.specifications || '',
+      item.quantity ?? 1,
+      null,
+      { formula: `C${rowNumber}*D${rowNumber}` },
+      ''
+    ]);
+    row.getCell(4).numFmt = moneyFormat;
+    row.getCell(5).numFmt = moneyFormat;
+    row.getCell(2).alignment = { wrapText: true, vertical: 'top' };
+  });
+
+  const lastItemRow = firstItemRow + rfp.items.length - 1;
+  const summaryRow = (label, value) => {
+    const row = sheet.addRow([label, '', '', '', value]);
+    row.font = { bold: true };
+    row.getCell(5).numFmt = moneyFormat;
+    return row.number;
+  };
+
+  sheet.addRow([]);
+  const subtotalRow = summaryRow('Subtotal', {
+    formula: rfp.items.length > 0 ? `SUM(E${firstItemRow}:E${lastItemRow})` : '0'
+  });
+  const taxRow = summaryRow('Tax', null);
+  const shippingRow = summaryRow('Shipping', null);
+  summaryRow('Total', { formula: `E${subtotalRow}+E${taxRow}+E${shippingRow}` });
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * File name for a vendor's pricing sheet
+ */
+function getPricingSheetFilename(rfp) {
+  return `Pricing-Sheet-${titleToFilename(rfp.title)}.xlsx`;
+}
+
+module.exports = {
+  generatePricingSheet,
+  getPricingSheetFilename
+};
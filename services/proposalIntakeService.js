@@ -0,0 +1,272 @@
+const Proposal = require('../models/Proposal');
+const RFP = require('../models/RFP');
+const Vendor = require('../models/Vendor');
+const TriageEmail = require('../models/TriageEmail');
+const Clarification = require('../models/Clarification');
+const attachmentService = require('./attachmentService');
+const { logActivity } = require('./activityService');
+const { extractReplyTokens } = require('../utils/replyToken');
+const { detectClarification, anonymizeQuestion } = require('../utils/clarificationDetector');
+
+// RFPs that are out with vendors and can still receive quotes
+const OPEN_STATUSES = ['sent', 'responses_received', 'evaluated'];
+
+/**
+ * Whether an email has already been stored on a proposal (as any revision)
+ */
+function hasEmail(proposal, emailData) {
+  const versions = [proposal, ...proposal.revisions];
+  if (emailData.emailMessageId && versions.some(v => v.emailMessageId === emailData.emailMessageId)) {
+    return true;
+  }
+  return versions.some(v =>
+    v.emailBody === emailData.emailBody &&
+    new Date(v.emailDate).getTime() === new Date(emailData.emailDate).getTime()
+  );
+}
+
+/**
+ * Store a vendor email as a new proposal for the round, or as a new revision
+ * of the vendor's existing proposal.
+ * actor: the user (or system actor) the change is attributed to
+ * Returns { action: 'created' | 'revised' | 'duplicate', proposal }
+ */
+async function ingestEmail(email, { rfp, vendor, round, actor, source = 'email' }) {
+  const emailData = {
+    emailSubject: email.subject,
+    emailBody: email.text || email.html,
+    emailFrom: email.fromAddress,
+    emailDate: email.date,
+    emailMessageId: email.messageId
+  };
+
+  const proposalQuery = {
+    rfpId: rfp._id,
+    organization: rfp.organization,
+    vendorId: vendor._id,
+    round
+  };
+  const existingProposal = await Proposal.findOne(proposalQuery);
+
+  if (existingProposal && hasEmail(existingProposal, emailData)) {
+    return { action: 'duplicate', proposal: existingProposal };
+  }
+
+  // Only write attachment files once we know the email is new
+  emailData.attachments = await attachmentService.saveEmailAttachments(rfp.organization, email.attachments);
+
+  if (!existingProposal) {
+    const proposal = new Proposal({
+      organization: rfp.organization,
+      rfpId: rfp._id,
+      vendorId: vendor._id,
+      round,
+      ...emailData,
+      status: 'received',
+      createdBy: actor?._id,
+      updatedBy: actor?._id
+    });
+
+    try {
+      await proposal.save();
+    } catch (error) {
+      // Another check of the inbox filed this vendor's proposal for the round
+      // first (one proposal per vendor and round): this email revises it
+      if (error.code !== 11000) throw error;
+      const filedProposal = await Proposal.findOne(proposalQuery);
+      if (!filedProposal) throw error;
+      if (hasEmail(filedProposal, emailData)) {
+        return { action: 'duplicate', proposal: filedProposal };
+      }
+      return reviseProposal(filedProposal, emailData, actor, source);
+    }
+
+    await logActivity(actor, 'proposal.received', 'Proposal', proposal._id, { source });
+    return { action: 'created', proposal };
+  }
+
+  return reviseProposal(existingProposal, emailData, actor, source);
+}
+
+/**
+ * A later email from the same vendor is a revised quote
+ */
+async function reviseProposal(proposal, emailData, actor, source) {
+  proposal.addRevision(emailData);
+  proposal.updatedBy = actor?._id;
+  await proposal.save();
+  await logActivity(actor, 'proposal.revised', 'Proposal', proposal._id, {
+    source,
+    revision: proposal.revision
+  });
+  return { action: 'revised', proposal };
+}
+
+/**
+ * Store a vendor email as a clarification question on the RFP.
+ * detected: the detectClarification result, when the caller already has it
+ * Returns { action: 'created' | 'duplicate', clarification }
+ */
+async function ingestClarification(email, { rfp, vendor, round, actor, source = 'email', detected }) {
+  const emailBody = email.text || email.html;
+
+  const duplicateQuery = email.messageId
+    ? { organization: rfp.organization, emailMessageId: email.messageId }
+    : { organization: rfp.organization, rfp: rfp._id, vendor: vendor._id, emailBody, emailDate: email.date };
+  const existing = await Clarification.findOne(duplicateQuery);
+  if (existing) {
+    return { action: 'duplicate', clarification: existing };
+  }
+
+  const { questions, body } = detected || detectClarification(email);
+  const question = anonymizeQuestion(questions.length > 0 ? questions.join('\n') : body, vendor);
+
+  const clarification = await Clarification.create({
+    organization: rfp.organization,
+    rfp: rfp._id,
+    vendor: vendor._id,
+    round,
+    emailSubject: email.subject,
+    emailBody,
+    emailFrom: email.fromAddress,
+    emailDate: email.date,
+    emailMessageId: email.messageId,
+    questions,
+    question,
+    source,
+    createdBy: actor?._id
+  });
+
+  await logActivity(actor, 'clarification.received', 'Clarification', clarification._id, {
+    rfp: rfp._id,
+    source
+  });
+  return { action: 'created', clarification };
+}
+
+/**
+ * Mark an RFP as having responses once the first proposal comes in
+ */
+async function markResponsesReceived(rfp) {
+  if (rfp.status === 'sent') {
+    rfp.status = 'responses_received';
+    await rfp.save();
+  }
+}
+
+/**
+ * Work out which RFP and round an inbound email answers, in order of confidence:
+ *   thread - In-Reply-To/References points at an RFP email we sent
+ *   token  - the RFP's reply token is in a plus-addressed recipient or the subject
+ *   sender - the sender is a vendor invited to exactly one open RFP
+ * Returns { matched: true, rfp, vendor, round, matchedBy }, or
+ * { matched: false, reason, vendor, candidates } when the email needs triage.
+ */
+async function routeEmail(email, organizationId) {
+  const fromAddress = (email.fromAddress || '').toLowerCase();
+  const sender = fromAddress
+    ? await Vendor.findOne({ organization: organizationId, email: fromAddress })
+    : null;
+
+  const unmatched = (reason, candidates = []) => ({
+    matched: false,
+    reason,
+    vendor: sender,
+    candidates: candidates.map(rfp => rfp._id)
+  });
+  const matched = (rfp, vendor, round, matchedBy) => (
+    OPEN_STATUSES.includes(rfp.status)
+      ? { matched: true, rfp, vendor, round, matchedBy }
+      : unmatched('rfp_closed', [rfp])
+  );
+
+  // Replies to one of our RFP emails: the delivery tells us the vendor and round,
+  // even when someone else at the vendor answers
+  const threadIds = [email.inReplyTo, ...(email.references || [])].filter(Boolean);
+  if (threadIds.length > 0) {
+    const rfp = await RFP.findOne({ organization: organizationId, 'rounds.deliveries.messageId': { $in: threadIds } });
+    if (rfp) {
+      for (const round of rfp.rounds) {
+        const delivery = round.deliveries.find(d => threadIds.includes(d.messageId));
+        if (!delivery) continue;
+        const vendor = await Vendor.findOne({ _id: delivery.vendor, organization: organizationId });
+        if (vendor) return matched(rfp, vendor, round.number, 'thread');
+      }
+    }
+
+    // Replies to a clarification bulletin belong to the round that is open
+    const bulletinRfp = await RFP.findOne({
+      organization: organizationId,
+      'clarificationBulletins.deliveries.messageId': { $in: threadIds }
+    });
+    if (bulletinRfp) {
+      const delivery = bulletinRfp.clarificationBulletins
+        .flatMap(bulletin => bulletin.deliveries)
+        .find(d => threadIds.includes(d.messageId));
+      const vendor = await Vendor.findOne({ _id: delivery.vendor, organization: organizationId });
+      if (vendor) return matched(bulletinRfp, vendor, bulletinRfp.currentRound, 'thread');
+    }
+  }
+
+  const tokens = extractReplyTokens(email);
+  if (tokens.length > 0) {
+    const rfp = await RFP.findOne({ organization: organizationId, replyToken: { $in: tokens } });
+    if (rfp) {
+      // The reply is filed under the open round, so the sender must be invited to it
+      // (a vendor left off a BAFO shortlist goes to triage instead)
+      const invited = sender && rfp.getRoundVendorIds(rfp.currentRound).includes(sender._id.toString());
+      if (!invited) return unmatched('unknown_sender', [rfp]);
+      return matched(rfp, sender, rfp.currentRound, 'token');
+    }
+  }
+
+  if (!sender) return unmatched('no_match');
+
+  const openRFPs = await RFP.find({ organization: organizationId, status: { $in: OPEN_STATUSES } });
+  const candidates = openRFPs.filter(rfp =>
+    rfp.getRoundVendorIds(rfp.currentRound).includes(sender._id.toString())
+  );
+
+  if (candidates.length === 1) {
+    return matched(candidates[0], sender, candidates[0].currentRound, 'sender');
+  }
+  return unmatched(candidates.length > 1 ? 'ambiguous' : 'no_match', candidates);
+}
+
+/**
+ * Queue an unmatched email for a buyer to file by hand.
+ * An email already in the queue (same Message-ID) is returned unchanged.
+ */
+async function sendToTriage(email, organizationId, routing) {
+  if (email.messageId) {
+    const existing = await TriageEmail.findOne({ organization: organizationId, messageId: email.messageId });
+    if (existing) return existing;
+  }
+
+  return TriageEmail.create({
+    organization: organizationId,
+    messageId: email.messageId,
+    subject: email.subject,
+    from: email.from,
+    fromAddress: email.fromAddress,
+    to: email.to,
+    date: email.date,
+    text: email.text,
+    html: email.html || undefined,
+    attachments: await attachmentService.saveEmailAttachments(organizationId, email.attachments, 'triage'),
+    reason: routing.reason,
+    error: routing.error,
+    vendor: routing.vendor?._id,
+    candidateRfps: routing.candidates
+  });
+}
+
+module.exports = {
+  OPEN_STATUSES,
+  hasEmail,
+  ingestEmail,
+  ingestClarification,
+  markResponsesReceived,
+  routeEmail,
+  sendToTriage
+};
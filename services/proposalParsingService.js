@@ -0,0 +1,141 @@
+const fs = require('fs/promises');
+const RFP = require('../models/RFP');
+const aiService = require('./aiService');
+const correctionService = require('./correctionService');
+const attachmentService = require('./attachmentService');
+const { parsePricingSheet } = require('../utils/pricingSheetParser');
+const { normalizeCurrency, detectCurrency, dollarFor } = require('../utils/currency');
+const { assessParsedData } = require('../utils/fieldEvidence');
+
+/**
+ * Read line-item pricing from the first CSV/XLSX attachment that looks like a pricing sheet
+ * options.dollar: currency a bare "$" in the sheet stands for
+ */
+async function parsePricingAttachments(proposal, options = {}) {
+  for (const attachment of proposal.attachments) {
+    const name = attachment.originalName || attachment.filename;
+    const type = attachmentService.getFileType(attachment.mimeType, name);
+    if (!attachment.path || !['csv', 'xlsx'].includes(type)) continue;
+
+    try {
+      const buffer = await fs.readFile(attachmentService.resolvePath(attachment.path));
+      const sheet = await parsePricingSheet(buffer, type, options);
+      if (sheet) return { attachment: name, ...sheet };
+    } catch (error) {
+      console.error(`Error reading pricing sheet ${name}:`, error.message);
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse a proposal's email and attached documents into structured data and save it.
+ * Prices from a pricing sheet take precedence over what the AI read from the text.
+ * Each reviewed field gets a confidence and source; a low-confidence or conflicting
+ * field leaves the proposal in needs_review until a buyer confirms it.
+ */
+async function parseProposal(proposal, organization) {
+  const attachments = proposal.attachments
+    .filter(att => att.parsedContent)
+    .map(att => ({ name: att.originalName || att.filename, text: att.parsedContent }));
+
+  if (!proposal.emailBody && attachments.length === 0) {
+    throw new Error('No email body or readable attachments to parse');
+  }
+
+  const rfp = await RFP.findById(proposal.rfpId, 'title description items currency');
+  const rfpContext = rfp ? 
+    `${rfp.title}: ${rfp.description || ''}` : 
+    'Unknown RFP';
+
+  // Earlier buyer corrections, this vendor's first, teach the parser its quoting habits
+  const vendorId = proposal.vendorId?._id || proposal.vendorId;
+  const corrections = await correctionService.getExamples(organization._id, vendorId);
+
+  const parseResult = await aiService.parseVendorProposal(
+    proposal.emailBody,
+    proposal.emailSubject || '',
+    rfpContext,
+    organization.settings.ai,
+    attachments,
+    corrections,
+    {
+      organization: organization._id,
+      rfp: proposal.rfpId,
+      proposal: proposal._id,
+      vendor: vendorId
+    }
+  );
+
+  if (!parseResult.success) {
+    throw new Error(parseResult.error || 'Failed to parse proposal');
+  }
+
+  const rfpCurrency = rfp?.currency || 'USD';
+  const dollar = dollarFor(rfpCurrency);
+  const sheet = await parsePricingAttachments(proposal, { dollar });
+  const { fieldEvidence: reported = {}, ...parsed } = parseResult.data;
+
+  // Quote currency: the pricing sheet's, then the AI's, then whatever the text shows
+  // (a bare "$" read as the buyer's own dollar), and finally the currency the RFP asked for
+  const quoteText = [proposal.emailBody, ...attachments.map(att => att.text)].join('\n');
+  const aiCurrency = !parseResult.usedFallback && normalizeCurrency(parsed.currency);
+  const detectedCurrency = detectCurrency(quoteText, { dollar });
+  const currency = (sheet && sheet.currency) || aiCurrency || detectedCurrency || rfpCurrency;
+
+  if (sheet && sheet.currency) {
+    reported.currency = { confidence: 'high', source: `${sheet.attachment} (pricing sheet)`, verified: true };
+  } else if (!aiCurrency && detectedCurrency) {
+    reported.currency = { confidence: 'medium', source: 'currency of the amounts in the quote', verified: true };
+  } else if (!aiCurrency) {
+    reported.currency = { confidence: 'low', reason: 'not stated; assumed the RFP currency' };
+  }
+
+  if (sheet) {
+    reported.totalPrice = {
+      confidence: sheet.issues.length > 0 ? 'medium' : 'high',
+      source: `${sheet.attachment} (pricing sheet)`,
+      verified: true,
+      reason: sheet.issues.length > 0 ? `${sheet.issues.length} arithmetic issue(s) in the pricing sheet` : null
+    };
+  }
+
+  const parsedData = sheet
+    ? {
+      ...parsed,
+      itemPricing: sheet.itemPricing,
+      totalPrice: sheet.totalPrice,
+      subtotal: sheet.subtotal,
+      tax: sheet.tax,
+      shipping: sheet.shipping,
+      discount: sheet.discount,
+      pricingSource: 'sheet',
+      pricingIssues: sheet.issues
+    }
+    : { ...parsed, pricingSource: 'ai' };
+  parsedData.currency = currency;
+
+  // The figure the email itself gives is checked against the sheet's total
+  const assessment = assessParsedData(parsedData, reported, quoteText, {
+    dollar,
+    statedTotal: sheet ? parsed.totalPrice : null
+  });
+  parsedData.fieldEvidence = assessment.fields;
+
+  proposal.parsedData = parsedData;
+  proposal.isParsingComplete = true;
+  proposal.status = assessment.needsReview ? 'needs_review' : 'parsed';
+  proposal.review = assessment.needsReview ? { reasons: assessment.reasons } : undefined;
+  await proposal.save();
+
+  return {
+    ...parseResult,
+    data: parsedData,
+    pricingSheet: sheet ? { attachment: sheet.attachment, issues: sheet.issues.length } : null,
+    review: { needsReview: assessment.needsReview, reasons: assessment.reasons }
+  };
+}
+
+module.exports = {
+  parseProposal
+};
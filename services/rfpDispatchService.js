@@ -0,0 +1,376 @@
+const fs = require('fs/promises');
+const RFP = require('../models/RFP');
+const Vendor = require('../models/Vendor');
+const Proposal = require('../models/Proposal');
+const aiService = require('./aiService');
+const emailService = require('./emailService');
+const attachmentService = require('./attachmentService');
+const notificationService = require('./notificationService');
+const pdfService = require('./pdfService');
+const pricingSheetService = require('./pricingSheetService');
+const { permanentError } = require('./jobQueue');
+const { tagSubject, buildReplyAddress } = require('../utils/replyToken');
+
+/**
+ * Generate the email for one vendor: the RFP invitation for round 1,
+ * a BAFO request referencing the vendor's last quote for later rounds
+ */
+async function generateRoundEmail(rfp, round, vendor, organization) {
+  const audit = { organization: rfp.organization, rfp: rfp._id, vendor: vendor._id };
+  if (round.type !== 'bafo') {
+    return aiService.generateRFPEmail(rfp, vendor.name, organization.settings.ai, audit);
+  }
+
+  const previousProposal = await Proposal.findOne({
+    rfpId: rfp._id,
+    organization: rfp.organization,
+    vendorId: vendor._id,
+    round: { $lt: round.number }
+  }).sort({ round: -1 });
+
+  return aiService.generateBAFOEmail(rfp, vendor.name, round, previousProposal, organization.settings.ai, audit);
+}
+
+/**
+ * Documents every vendor in the round receives: files uploaded to the RFP
+ * and a generated RFP document. Uploaded files missing from disk are skipped.
+ */
+async function buildRoundAttachments(rfp, round, organization) {
+  const attachments = [];
+
+  for (const attachment of rfp.attachments) {
+    try {
+      const filePath = attachmentService.resolvePath(attachment.path);
+      await fs.access(filePath);
+      attachments.push({ filename: attachment.originalName || attachment.filename, path: filePath });
+    } catch (error) {
+      console.error(`RFP ${rfp._id} attachment ${attachment.originalName} is unavailable:`, error.message);
+    }
+  }
+
+  attachments.push({
+    filename: `RFP-${attachmentService.titleToFilename(rfp.title)}.pdf`,
+    content: await pdfService.generateRFPPDF(rfp, { organization, round }),
+    contentType: 'application/pdf'
+  });
+
+  return attachments;
+}
+
+/**
+ * Store one vendor's delivery on the RFP as soon as it is known, so a job that
+ * fails or dies later never emails that vendor again.
+ * listPath: the deliveries array, with an array filter named "list" when it
+ * sits inside another array (e.g. rounds.$[list].deliveries); listFilter: that
+ * filter, or null
+ */
+async function recordDelivery(rfp, listPath, listFilter, deliveries, delivery) {
+  const existing = deliveries.find(d => d.vendor.equals(delivery.vendor));
+
+  if (existing) {
+    const fields = Object.fromEntries(Object.entries(delivery).map(([key, value]) => [`${listPath}.$[delivery].${key}`, value]));
+    await RFP.updateOne(
+      { _id: rfp._id, organization: rfp.organization },
+      { $set: fields },
+      { arrayFilters: [listFilter, { 'delivery.vendor': delivery.vendor }].filter(Boolean) }
+    );
+    existing.set(delivery);
+  } else {
+    await RFP.updateOne(
+      { _id: rfp._id, organization: rfp.organization },
+      { $push: { [listPath]: delivery } },
+      listFilter ? { arrayFilters: [listFilter] } : {}
+    );
+    deliveries.push(delivery);
+  }
+}
+
+/**
+ * Email every vendor invited to a round who has not received it yet.
+ * Each delivery is recorded on the round as it happens, so a retried job only
+ * emails the vendors that failed before. Throws if any vendor could not be emailed.
+ */
+async function sendRoundEmails(rfpId, roundNumber, organization) {
+  const rfp = await RFP.findOne({ _id: rfpId, organization: organization._id });
+  if (!rfp) {
+    throw permanentError('RFP not found');
+  }
+
+  const round = rfp.getRound(roundNumber);
+  if (!round) {
+    throw permanentError(`Round ${roundNumber} has not been opened`);
+  }
+
+  // Persist the reply token before any email carries it
+  if (!rfp.replyToken) {
+    rfp.ensureReplyToken();
+    await rfp.save();
+  }
+
+  const emailSettings = organization.settings.email || {};
+  const replyTo = emailSettings.plusAddressing
+    ? buildReplyAddress(emailService.resolveEmailConfig(emailSettings).user, rfp.replyToken)
+    : undefined;
+
+  const vendors = await Vendor.find(
+    { _id: { $in: round.vendors }, organization: organization._id },
+    'name email company'
+  );
+
+  const roundAttachments = await buildRoundAttachments(rfp, round, organization);
+
+  const results = [];
+  for (const vendor of vendors) {
+    const existing = round.deliveries.find(d => d.vendor.equals(vendor._id));
+    if (existing?.status === 'sent') {
+      results.push({ vendorId: vendor._id, vendorName: vendor.name, email: vendor.email, sent: true, skipped: true });
+      continue;
+    }
+
+    let delivery;
+    try {
+      // Generate personalized email content using AI
+      const emailResult = await generateRoundEmail(rfp, round, vendor, organization);
+
+      if (emailResult.success) {
+        // Each vendor gets a pricing sheet with their name on it to fill in and return
+        const attachments = [
+          ...roundAttachments,
+          {
+            filename: pricingSheetService.getPricingSheetFilename(rfp),
+            content: await pricingSheetService.generatePricingSheet(rfp, vendor),
+            contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+          }
+        ];
+
+        const sendResult = await emailService.sendEmail(
+          vendor.email,
+          tagSubject(emailResult.data.subject, rfp.replyToken),
+          emailResult.data.body,
+          attachments,
+          emailSettings,
+          { messageId: emailService.generateMessageId(emailSettings), replyTo }
+        );
+        delivery = {
+          vendor: vendor._id,
+          status: sendResult.success ? 'sent' : 'failed',
+          messageId: sendResult.messageId,
+          error: sendResult.error,
+          attemptedAt: new Date()
+        };
+      } else {
+        delivery = {
+          vendor: vendor._id,
+          status: 'failed',
+          error: 'Failed to generate email content',
+          attemptedAt: new Date()
+        };
+      }
+    } catch (error) {
+      delivery = { vendor: vendor._id, status: 'failed', error: error.message, attemptedAt: new Date() };
+    }
+
+    await recordDelivery(rfp, 'rounds.$[list].deliveries', { 'list.number': round.number }, round.deliveries, delivery);
+
+    results.push({
+      vendorId: vendor._id,
+      vendorName: vendor.name,
+      email: vendor.email,
+      sent: delivery.status === 'sent',
+      error: delivery.error
+    });
+  }
+
+  const failed = results.filter(r => !r.sent);
+  if (failed.length > 0) {
+    throw new Error(`${failed.length} of ${results.length} vendor emails failed: ${failed.map(r => r.email).join(', ')}`);
+  }
+
+  return results;
+}
+
+/**
+ * The bulletin email: every question and answer, without who asked
+ */
+function buildBulletinBody(rfp, bulletin, vendor) {
+  const entries = bulletin.entries
+    .map((entry, i) => `QUESTION ${i + 1}:\n${entry.question}\n\nANSWER:\n${entry.answer}`)
+    .join('\n\n');
+
+  return `Dear ${vendor.name},
+
+The following questions about "${rfp.title}" have been raised by vendors. Questions are shared without the name of the vendor who asked, and the answers apply to every proposal.
+${bulletin.message ? `\n${bulletin.message}\n` : ''}
+${entries}
+
+Please take these answers into account in your proposal.
+
+Best regards,
+Procurement Team`;
+}
+
+/**
+ * Email a clarification bulletin to every vendor it was published to.
+ * Each delivery is recorded on the bulletin as it happens, so a retried job only
+ * emails the vendors that failed before. Throws if any vendor could not be emailed.
+ */
+async function sendClarificationBulletin(rfpId, bulletinNumber, organization) {
+  const rfp = await RFP.findOne({ _id: rfpId, organization: organization._id });
+  if (!rfp) {
+    throw permanentError('RFP not found');
+  }
+
+  const bulletin = rfp.getClarificationBulletin(bulletinNumber);
+  if (!bulletin) {
+    throw permanentError(`Clarification bulletin ${bulletinNumber} not found`);
+  }
+
+  if (!rfp.replyToken) {
+    rfp.ensureReplyToken();
+    await rfp.save();
+  }
+
+  const emailSettings = organization.settings.email || {};
+  const replyTo = emailSettings.plusAddressing
+    ? buildReplyAddress(emailService.resolveEmailConfig(emailSettings).user, rfp.replyToken)
+    : undefined;
+  const subject = tagSubject(`Clarifications ${bulletin.number}: ${rfp.title}`, rfp.replyToken);
+
+  const vendors = await Vendor.find(
+    { _id: { $in: bulletin.vendors }, organization: organization._id },
+    'name email company'
+  );
+
+  const results = [];
+  for (const vendor of vendors) {
+    const existing = bulletin.deliveries.find(d => d.vendor.equals(vendor._id));
+    if (existing?.status === 'sent') {
+      results.push({ vendorId: vendor._id, vendorName: vendor.name, email: vendor.email, sent: true, skipped: true });
+      continue;
+    }
+
+    const sendResult = await emailService.sendEmail(
+      vendor.email,
+      subject,
+      buildBulletinBody(rfp, bulletin, vendor),
+      [],
+      emailSettings,
+      { messageId: emailService.generateMessageId(emailSettings), replyTo }
+    );
+    const delivery = {
+      vendor: vendor._id,
+      status: sendResult.success ? 'sent' : 'failed',
+      messageId: sendResult.messageId,
+      error: sendResult.error,
+      attemptedAt: new Date()
+    };
+
+    await recordDelivery(rfp, 'clarificationBulletins.$[list].deliveries', { 'list.number': bulletin.number }, bulletin.deliveries, delivery);
+
+    results.push({
+      vendorId: vendor._id,
+      vendorName: vendor.name,
+      email: vendor.email,
+      sent: delivery.status === 'sent',
+      error: delivery.error
+    });
+  }
+
+  const failed = results.filter(r => !r.sent);
+  if (failed.length > 0) {
+    throw new Error(`${failed.length} of ${results.length} clarification emails failed: ${failed.map(r => r.email).join(', ')}`);
+  }
+
+  return results;
+}
+
+/**
+ * Email the award to the winning vendor and a regret to every other vendor
+ * that responded. Each notification is recorded on the award as it happens, so
+ * a retried job only emails the vendors that failed before. Throws if any
+ * vendor could not be emailed.
+ */
+async function sendAwardNotifications(rfpId, organization) {
+  const rfp = await RFP.findOne({ _id: rfpId, organization: organization._id });
+  if (!rfp) {
+    throw permanentError('RFP not found');
+  }
+
+  if (!rfp.award?.proposal) {
+    throw permanentError('RFP has not been awarded');
+  }
+
+  const winningProposal = await Proposal.findOne({ _id: rfp.award.proposal, organization: organization._id })
+    .populate('vendorId', 'name email company');
+  if (!winningProposal?.vendorId) {
+    throw permanentError('Winning proposal not found');
+  }
+
+  const otherProposals = await Proposal.find({
+    rfpId: rfp._id,
+    organization: organization._id,
+    _id: { $ne: winningProposal._id }
+  }).populate('vendorId', 'name email company');
+
+  // The winner, then each other responding vendor once
+  const recipients = [{ vendor: winningProposal.vendorId, kind: 'award' }];
+  const seen = new Set([winningProposal.vendorId._id.toString()]);
+  for (const proposal of otherProposals) {
+    const vendor = proposal.vendorId;
+    if (!vendor || seen.has(vendor._id.toString())) continue;
+    seen.add(vendor._id.toString());
+    recipients.push({ vendor, kind: 'regret' });
+  }
+
+  const emailSettings = organization.settings.email || {};
+
+  const results = [];
+  for (const { vendor, kind } of recipients) {
+    const existing = rfp.award.notifications.find(n => n.vendor.equals(vendor._id));
+    if (existing?.status === 'sent') {
+      results.push({ vendorId: vendor._id, vendorName: vendor.name, email: vendor.email, type: kind, sent: true, skipped: true });
+      continue;
+    }
+
+    let notification;
+    try {
+      const sendResult = kind === 'award'
+        ? await notificationService.notifyAward(rfp, vendor, winningProposal, emailSettings)
+        : await notificationService.notifyRegret(rfp, vendor, emailSettings);
+      notification = {
+        vendor: vendor._id,
+        kind,
+        status: sendResult.success ? 'sent' : 'failed',
+        messageId: sendResult.messageId,
+        error: sendResult.error,
+        attemptedAt: new Date()
+      };
+    } catch (error) {
+      notification = { vendor: vendor._id, kind, status: 'failed', error: error.message, attemptedAt: new Date() };
+    }
+
+    await recordDelivery(rfp, 'award.notifications', null, rfp.award.notifications, notification);
+
+    results.push({
+      vendorId: vendor._id,
+      vendorName: vendor.name,
+      email: vendor.email,
+      type: kind,
+      sent: notification.status === 'sent',
+      error: notification.error
+    });
+  }
+
+  const failed = results.filter(r => !r.sent);
+  if (failed.length > 0) {
+    throw new Error(`${failed.length} of ${results.length} award notifications failed: ${failed.map(r => r.email).join(', ')}`);
+  }
+
+  return results;
+}
+
+module.exports = {
+  sendRoundEmails,
+  sendClarificationBulletin,
+  sendAwardNotifications
+};
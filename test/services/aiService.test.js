@@ -0,0 +1,103 @@
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const llm = require('../../services/llm');
+const aiService = require('../../services/aiService');
+
+// No organization in the audit context, so nothing is written to the database
+const MOCK = { provider: 'mock' };
+
+describe('parseVendorProposal with the mock provider', () => {
+  afterEach(() => llm.setMockRecordings({}));
+
+  test('answers from the rule-based parser when nothing is recorded', async () => {
+    const result = await aiService.parseVendorProposal(
+      'Total: $12,500. Delivery in 3 weeks. Payment terms: Net 30.', 'Quote', 'Office chairs', MOCK
+    );
+
+    assert.equal(result.success, true);
+    assert.equal(result.provider, 'mock');
+    assert.equal(result.usedFallback, undefined);
+    assert.equal(result.data.totalPrice, 12500);
+    assert.equal(result.data.currency, 'USD');
+    assert.equal(result.data.deliveryDays, 21);
+    assert.equal(result.data.paymentTerms, 'Net 30');
+    assert.equal(result.data.fieldEvidence.totalPrice.confidence, 'high');
+  });
+
+  test('reads quotes from attachments after the body', async () => {
+    const result = await aiService.parseVendorProposal(
+      'Please find our quote attached.', 'Quote', 'Desks', MOCK,
+      [{ name: 'quote.pdf', text: 'Grand Total: €9,000.00' }]
+    );
+
+    assert.equal(result.data.totalPrice, 9000);
+    assert.equal(result.data.currency, 'EUR');
+  });
+
+  test('returns a recorded reply, coerced to the schema', async () => {
+    llm.setMockRecordings({
+      proposalParsing: { currency: 'EUR', totalPrice: '9,000', itemPricing: [], deliveryDays: '14 days', conditions: [] }
+    });
+
+    const result = await aiService.parseVendorProposal('Total 9000 EUR', 'Quote', 'Desks', MOCK);
+
+    assert.equal(result.success, true);
+    assert.equal(result.attempts, 1);
+    assert.equal(result.data.totalPrice, 9000);
+    assert.equal(result.data.deliveryDays, 14);
+  });
+
+  test('uses a recording only when the email contains its match text', async () => {
+    llm.setMockRecordings({
+      proposalParsing: [{ match: 'Acme', response: { currency: 'USD', totalPrice: 1 } }]
+    });
+
+    const other = await aiService.parseVendorProposal('Total: $12,500.', 'Quote', 'Desks', MOCK);
+    const matched = await aiService.parseVendorProposal('Acme total: $12,500.', 'Quote', 'Desks', MOCK);
+
+    assert.equal(other.data.totalPrice, 12500);
+    assert.equal(matched.data.totalPrice, 1);
+  });
+
+  test('falls back to the rule-based parser when every reply is invalid', async () => {
+    llm.setMockRecordings({ proposalParsing: 'not json' });
+
+    const result = await aiService.parseVendorProposal('Total: $12,500.', 'Quote', 'Desks', MOCK);
+
+    assert.equal(result.success, true);
+    assert.equal(result.usedFallback, true);
+    assert.equal(result.data.totalPrice, 12500);
+    assert.equal(result.data.notes, 'Parsed using fallback parser');
+  });
+});
+
+describe('parseRFPFromNaturalLanguage with the mock provider', () => {
+  test('reads the budget and delivery days', async () => {
+    const result = await aiService.parseRFPFromNaturalLanguage(
+      'We need 10 desks, budget $15,000, delivery within 30 days', MOCK
+    );
+
+    assert.equal(result.success, true);
+    assert.equal(result.provider, 'mock');
+    assert.equal(result.data.budget, 15000);
+    assert.equal(result.data.currency, 'USD');
+    assert.equal(result.data.deliveryDays, 30);
+  });
+});
+
+describe('resolveTaskConfig', () => {
+  test('a task override wins over the organization default', () => {
+    const settings = { provider: 'openai', model: 'gpt-4o', tasks: { proposalParsing: { provider: 'mock', temperature: 0 } } };
+
+    const parsing = llm.resolveTaskConfig(settings, 'proposalParsing');
+    assert.equal(parsing.provider, 'mock');
+    assert.equal(parsing.temperature, 0);
+    // The organization's model belongs to its default provider only
+    assert.equal(parsing.model, null);
+
+    const comparison = llm.resolveTaskConfig(settings, 'comparison');
+    assert.equal(comparison.provider, 'openai');
+    assert.equal(comparison.model, 'gpt-4o');
+    assert.equal(comparison.temperature, 0.4);
+  });
+});
@@ -0,0 +1,86 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { detectClarification, extractQuestions, stripReply, anonymizeQuestion } = require('../../utils/clarificationDetector');
+
+describe('detectClarification', () => {
+  test('finds a question after a greeting', () => {
+    const result = detectClarification({
+      subject: 'Question about RFP',
+      text: 'Hello team, could you confirm whether installation is included?\n\nThanks,\nJohn'
+    });
+
+    assert.equal(result.isClarification, true);
+    assert.deepEqual(result.questions, ['Could you confirm whether installation is included?']);
+  });
+
+  test('ignores the quoted history of a reply', () => {
+    const result = detectClarification({
+      subject: 'Re: RFP',
+      text: 'Is on-site installation required?\n\nOn Mon, Jan 5, 2026 at 10:00 Buyer wrote:\n> Please send your quote?'
+    });
+
+    assert.equal(result.isClarification, true);
+    assert.deepEqual(result.questions, ['Is on-site installation required?']);
+  });
+
+  test('treats emails with prices as quotes', () => {
+    assert.equal(detectClarification({ subject: 'Re: RFP', text: 'Our price is $4,500. Can you confirm the delivery address?' }).isClarification, false);
+    assert.equal(detectClarification({ subject: 'Re: RFP', text: 'Total 48000 (excl. GST). Could you confirm PO date?' }).isClarification, false);
+  });
+
+  test('treats emails with attachments as quotes', () => {
+    const result = detectClarification({
+      subject: 'Quote',
+      text: 'Is delivery to site included?',
+      attachments: [{ filename: 'quote.pdf' }]
+    });
+
+    assert.equal(result.isClarification, false);
+  });
+
+  test('needs a question or a question subject', () => {
+    assert.equal(detectClarification({ subject: 'Re: RFP', text: 'We will send our quote on Monday.' }).isClarification, false);
+  });
+});
+
+describe('extractQuestions', () => {
+  test('keeps question phrases and drops polite closings', () => {
+    const questions = extractQuestions('Let us know if you have any questions?\nPlease clarify whether the chairs need arms.');
+
+    assert.deepEqual(questions, ['Please clarify whether the chairs need arms.']);
+  });
+
+  test('splits numbered questions', () => {
+    const questions = extractQuestions('1. What is the delivery address?\n2) Is assembly required?');
+
+    assert.deepEqual(questions, ['What is the delivery address?', 'Is assembly required?']);
+  });
+});
+
+describe('stripReply', () => {
+  test('cuts quoted lines and the signature', () => {
+    assert.equal(stripReply('Question one?\n> quoted\nRegards,\nJane'), 'Question one?');
+  });
+});
+
+describe('anonymizeQuestion', () => {
+  const vendor = { name: 'John Smith', company: 'Acme Furniture Ltd', email: 'john.smith@acme.com' };
+
+  test('removes the vendor, its contact and contact details', () => {
+    const question = anonymizeQuestion(
+      'John Smith from Acme Furniture asks: can Acme Furniture Ltd deliver on weekends? Call +1 555 123 4567 or john.smith@acme.com',
+      vendor
+    );
+
+    assert.equal(question, '[vendor] from [vendor] asks: can [vendor] deliver on weekends? Call [vendor] or [vendor]');
+  });
+
+  test('leaves single words of a name alone', () => {
+    const question = anonymizeQuestion(
+      'Can the Sales Office confirm delivery to our head office?',
+      { name: 'Office Sales Team', company: 'Office Sales Ltd', email: 'sales@office.com' }
+    );
+
+    assert.equal(question, 'Can the Sales Office confirm delivery to our head office?');
+  });
+});
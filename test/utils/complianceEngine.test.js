@@ -0,0 +1,100 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { STATUS, paymentDays, warrantyMonths, getRequirements, evaluateProposal } = require('../../utils/complianceEngine');
+
+const RFP = {
+  items: [{ _id: 'laptop', name: 'Laptop', quantity: 10 }],
+  budget: 10000,
+  deliveryDays: 30,
+  requirements: {
+    paymentTerms: 'Net 30',
+    warranty: '2 years',
+    deliveryLocation: 'Main office, Springfield',
+    additionalTerms: ['Installation included', 'On-site training']
+  }
+};
+
+describe('paymentDays', () => {
+  test('reads net days and treats advance payment as zero', () => {
+    assert.equal(paymentDays('Net 45'), 45);
+    assert.equal(paymentDays('30 days from invoice'), 30);
+    assert.equal(paymentDays('100% advance'), 0);
+    assert.equal(paymentDays('by arrangement'), null);
+  });
+});
+
+describe('warrantyMonths', () => {
+  test('converts years and number words to months', () => {
+    assert.equal(warrantyMonths('two years'), 24);
+    assert.equal(warrantyMonths('18 months'), 18);
+    assert.equal(warrantyMonths('a year'), 12);
+    assert.equal(warrantyMonths('standard'), null);
+  });
+});
+
+describe('getRequirements', () => {
+  test('lists only what the RFP specifies', () => {
+    assert.deepEqual(getRequirements(RFP).map(r => r.key), [
+      'items', 'budget', 'deliveryDays', 'paymentTerms', 'warranty', 'deliveryLocation', 'additionalTerms.0', 'additionalTerms.1'
+    ]);
+    assert.deepEqual(getRequirements({ budget: 500 }).map(r => r.key), ['budget']);
+  });
+});
+
+describe('evaluateProposal', () => {
+  const proposal = {
+    parsedData: {
+      totalPrice: 9500,
+      deliveryDays: 35,
+      paymentTerms: 'Net 45',
+      warranty: '12 months',
+      itemPricing: [{ itemName: 'Laptops', quantity: 10, unitPrice: 950 }],
+      conditions: ['Installation included at no extra cost', 'On-site training is not included']
+    }
+  };
+
+  test('checks each requirement with its evidence', () => {
+    const evaluation = evaluateProposal(RFP, proposal, 'We will deliver to your main office in Springfield.');
+    const byKey = Object.fromEntries(evaluation.results.map(r => [r.key, r]));
+
+    assert.equal(byKey.items.status, STATUS.MET);
+    assert.equal(byKey.budget.status, STATUS.MET);
+    // Within the delivery tolerance
+    assert.equal(byKey.deliveryDays.status, STATUS.PARTIAL);
+    // Longer payment terms favour the buyer
+    assert.equal(byKey.paymentTerms.status, STATUS.MET);
+    assert.equal(byKey.warranty.status, STATUS.PARTIAL);
+    assert.equal(byKey.deliveryLocation.status, STATUS.MET);
+    assert.equal(byKey.deliveryLocation.evidence, 'We will deliver to your main office in Springfield.');
+    assert.equal(byKey['additionalTerms.0'].status, STATUS.MET);
+    assert.equal(byKey['additionalTerms.1'].status, STATUS.NOT_MET);
+
+    assert.equal(evaluation.status, 'non_compliant');
+    assert.deepEqual(evaluation.notMet, ['On-site training']);
+  });
+
+  test('is compliant when every requirement is met', () => {
+    const evaluation = evaluateProposal({ budget: 1000 }, { parsedData: { totalPrice: 1000 } });
+
+    assert.equal(evaluation.status, 'compliant');
+    assert.deepEqual(evaluation.notMet, []);
+  });
+
+  test('fails quotes far over budget and ex works delivery', () => {
+    const evaluation = evaluateProposal(
+      { budget: 1000, requirements: { deliveryLocation: 'Springfield warehouse' } },
+      { parsedData: { totalPrice: 1200 } },
+      'Prices are ex works Shelbyville.'
+    );
+
+    assert.deepEqual(evaluation.notMet, ['Within budget', 'Delivery location']);
+    assert.equal(evaluation.results[0].evidence, 'Quoted USD 1,200 against a budget of USD 1,000 (20% over)');
+  });
+
+  test('needs review when the proposal does not say', () => {
+    const evaluation = evaluateProposal({ deliveryDays: 30, requirements: { warranty: '1 year' } }, { parsedData: {} });
+
+    assert.deepEqual(evaluation.results.map(r => r.status), [STATUS.UNKNOWN, STATUS.UNKNOWN]);
+    assert.equal(evaluation.status, 'needs_review');
+  });
+});
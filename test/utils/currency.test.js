@@ -0,0 +1,74 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeCurrency, parseMoney, detectCurrency, dollarFor, formatMoney } = require('../../utils/currency');
+
+describe('normalizeCurrency', () => {
+  test('accepts codes, symbols and currency words', () => {
+    assert.equal(normalizeCurrency('eur'), 'EUR');
+    assert.equal(normalizeCurrency('€'), 'EUR');
+    assert.equal(normalizeCurrency('Rs.'), 'INR');
+    assert.equal(normalizeCurrency('euros'), 'EUR');
+  });
+
+  test('reads a bare $ as the given dollar currency', () => {
+    assert.equal(normalizeCurrency('$'), 'USD');
+    assert.equal(normalizeCurrency('$', { dollar: 'CAD' }), 'CAD');
+  });
+
+  test('returns null for anything else', () => {
+    assert.equal(normalizeCurrency('XYZ'), null);
+    assert.equal(normalizeCurrency(''), null);
+    assert.equal(normalizeCurrency(undefined), null);
+  });
+});
+
+describe('parseMoney', () => {
+  test('reads prefixed and suffixed amounts', () => {
+    assert.deepEqual(parseMoney('USD 1,250.50'), [{ amount: 1250.5, currency: 'USD', text: 'USD 1,250.50' }]);
+    assert.deepEqual(parseMoney('1.234,56 €'), [{ amount: 1234.56, currency: 'EUR', text: '1.234,56 €' }]);
+  });
+
+  test('reads lakh and crore grouping', () => {
+    assert.equal(parseMoney('₹12,50,000')[0].amount, 1250000);
+    assert.equal(parseMoney('INR 1,25,00,000.50')[0].amount, 12500000.5);
+  });
+
+  test('returns every amount in order', () => {
+    assert.deepEqual(parseMoney('$1,200 - $1,500').map(m => m.amount), [1200, 1500]);
+  });
+
+  test('ignores numbers without a currency marker', () => {
+    assert.deepEqual(parseMoney('Qty 20, delivery in 30 days'), []);
+  });
+});
+
+describe('detectCurrency', () => {
+  test('prefers an explicit statement', () => {
+    assert.equal(detectCurrency('Prices quoted in EUR. Shipping $50'), 'EUR');
+  });
+
+  test('otherwise picks the currency most amounts are in', () => {
+    assert.equal(detectCurrency('Chairs £4,000, desks £2,000, freight $100'), 'GBP');
+  });
+
+  test('returns null without currency markers', () => {
+    assert.equal(detectCurrency('Total 5000'), null);
+  });
+});
+
+describe('dollarFor', () => {
+  test('keeps dollar currencies and defaults the rest to USD', () => {
+    assert.equal(dollarFor('CAD'), 'CAD');
+    assert.equal(dollarFor('INR'), 'USD');
+  });
+});
+
+describe('formatMoney', () => {
+  test('prefixes the currency code', () => {
+    assert.equal(formatMoney(1234.5, 'EUR'), `EUR ${(1234.5).toLocaleString(undefined, { maximumFractionDigits: 2 })}`);
+  });
+
+  test('returns null without an amount', () => {
+    assert.equal(formatMoney(null, 'USD'), null);
+  });
+});
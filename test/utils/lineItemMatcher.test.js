@@ -0,0 +1,100 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { similarity, matchLineItems, compareLineItems } = require('../../utils/lineItemMatcher');
+
+const RFP_ITEMS = [
+  { _id: 'laptop', name: 'Laptop', quantity: 10 },
+  { _id: 'chair', name: 'Office Chair', quantity: 20 },
+  { _id: 'monitor', name: 'Monitor 27in', quantity: 10 }
+];
+
+const QUOTED = [
+  { itemName: 'Laptops', quantity: 10, unitPrice: 1000, totalPrice: 10000 },
+  { itemName: 'Chair, office', quantity: 15, totalPrice: 3000 },
+  { itemName: 'Extended warranty', quantity: 1, unitPrice: 500 }
+];
+
+describe('similarity', () => {
+  test('scores plurals and reordered words as close', () => {
+    assert.ok(similarity('Laptops', 'laptop') > 0.9);
+    assert.ok(similarity('Chair, office', 'Office Chair') >= 0.9);
+  });
+
+  test('scores unrelated names low', () => {
+    assert.ok(similarity('Laptop', 'Stapler') < 0.6);
+    assert.equal(similarity('', 'Laptop'), 0);
+  });
+});
+
+describe('matchLineItems', () => {
+  test('pairs similar names and reports missing and extra items', () => {
+    const { matches, missing, extra } = matchLineItems(RFP_ITEMS, QUOTED);
+
+    assert.deepEqual(matches.map(m => [m.rfpItemId, m.quotedItemName, m.matchedBy]), [
+      ['laptop', 'Laptops', 'fuzzy'],
+      ['chair', 'Chair, office', 'fuzzy']
+    ]);
+    assert.deepEqual(missing, [{ rfpItemId: 'monitor', rfpItemName: 'Monitor 27in', requestedQuantity: 10 }]);
+    assert.deepEqual(extra.map(e => e.itemName), ['Extended warranty']);
+  });
+
+  test('derives the unit price from the total and flags a different quantity', () => {
+    const chair = matchLineItems(RFP_ITEMS, QUOTED).matches.find(m => m.rfpItemId === 'chair');
+
+    assert.equal(chair.unitPrice, 200);
+    assert.equal(chair.quantityMismatch, true);
+  });
+
+  test('applies buyer overrides before matching by name', () => {
+    const { matches, missing, excluded } = matchLineItems(RFP_ITEMS, QUOTED, [
+      { quotedItemName: 'Extended warranty', rfpItemId: 'monitor' },
+      { quotedItemName: 'laptops', rfpItemId: null }
+    ]);
+
+    assert.deepEqual(matches.map(m => [m.rfpItemId, m.quotedItemName, m.matchedBy]), [
+      ['monitor', 'Extended warranty', 'manual'],
+      ['chair', 'Chair, office', 'fuzzy']
+    ]);
+    assert.deepEqual(missing.map(m => m.rfpItemId), ['laptop']);
+    assert.deepEqual(excluded, ['Laptops']);
+  });
+});
+
+describe('compareLineItems', () => {
+  const { items, vendors } = compareLineItems(RFP_ITEMS, [
+    { vendorId: 'a', vendorName: 'Vendor A', itemPricing: QUOTED },
+    {
+      vendorId: 'b',
+      vendorName: 'Vendor B',
+      itemPricing: [
+        { itemName: 'Laptop', quantity: 10, unitPrice: 900 },
+        { itemName: 'Office chair', quantity: 20, unitPrice: 250 },
+        { itemName: 'Monitor 27in', quantity: 10, unitPrice: 300 }
+      ]
+    }
+  ]);
+
+  test('compares unit prices per RFP item', () => {
+    const laptop = items.find(item => item.rfpItemId === 'laptop');
+
+    assert.equal(laptop.lowestUnitPrice, 900);
+    assert.deepEqual(laptop.lowestPriceVendorIds, ['b']);
+    assert.deepEqual(laptop.quotes.map(q => q.differencePercent), [11.11, 0]);
+    assert.deepEqual(items.find(item => item.rfpItemId === 'chair').quotes.map(q => q.status), ['quantity_mismatch', 'quoted']);
+  });
+
+  test('prices items a vendor left out at the highest quote', () => {
+    const [a, b] = vendors;
+
+    assert.equal(a.likeForLikeTotal, 14000);
+    assert.equal(a.imputedAmount, 3000);
+    assert.equal(a.normalizedTotal, 17000);
+    assert.equal(a.coverage, 0.67);
+    assert.equal(a.isComplete, false);
+    assert.deepEqual(a.missingItems, ['Monitor 27in']);
+    assert.deepEqual(a.extraItems, ['Extended warranty']);
+
+    assert.equal(b.normalizedTotal, 17000);
+    assert.equal(b.isComplete, true);
+  });
+});
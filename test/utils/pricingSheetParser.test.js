@@ -0,0 +1,108 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { toNumber, parseCsv, parsePricingSheet } = require('../../utils/pricingSheetParser');
+
+function csv(...lines) {
+  return Buffer.from(lines.join('\n'));
+}
+
+describe('toNumber', () => {
+  test('reads amounts with symbols, separators and codes', () => {
+    assert.equal(toNumber('$1,200.50'), 1200.5);
+    assert.equal(toNumber('1.234,56'), 1234.56);
+    assert.equal(toNumber('12,50,000'), 1250000);
+    assert.equal(toNumber('EUR 99'), 99);
+  });
+
+  test('reads bracketed amounts as negative', () => {
+    assert.equal(toNumber('(300)'), -300);
+  });
+
+  test('returns null for text', () => {
+    assert.equal(toNumber('n/a'), null);
+    assert.equal(toNumber(''), null);
+  });
+});
+
+describe('parseCsv', () => {
+  test('detects the delimiter and unquotes fields', () => {
+    assert.deepEqual(parseCsv('a;b;c\n"x;y";"say ""hi""";3\r\n'), [['a', 'b', 'c'], ['x;y', 'say "hi"', '3']]);
+  });
+});
+
+describe('parsePricingSheet', () => {
+  test('reads items and summary rows below a header that is not on the first row', async () => {
+    const sheet = await parsePricingSheet(csv(
+      'Vendor: Acme',
+      '',
+      'Item,Qty,Unit Price (EUR),Line Total,Notes',
+      'Office chair,20,"1.250,00","25.000,00",Black',
+      'Desk,10,400,4000,',
+      'Assembly,,,500,',
+      'Subtotal,,,29500',
+      'VAT,,,5605',
+      'Shipping,,,100',
+      'Discount,,,(205)',
+      'Grand Total,,,35000'
+    ), 'csv');
+
+    assert.equal(sheet.headerRow, 3);
+    assert.equal(sheet.currency, 'EUR');
+    assert.deepEqual(sheet.itemPricing, [
+      { itemName: 'Office chair', quantity: 20, unitPrice: 1250, totalPrice: 25000, notes: 'Black' },
+      { itemName: 'Desk', quantity: 10, unitPrice: 400, totalPrice: 4000 },
+      { itemName: 'Assembly', quantity: null, unitPrice: null, totalPrice: 500 }
+    ]);
+    assert.equal(sheet.subtotal, 29500);
+    assert.equal(sheet.tax, 5605);
+    assert.equal(sheet.shipping, 100);
+    // Discounts are subtracted whichever sign the vendor used
+    assert.equal(sheet.discount, 205);
+    assert.equal(sheet.totalPrice, 35000);
+    assert.deepEqual(sheet.issues, []);
+  });
+
+  test('reports line totals and totals that do not add up', async () => {
+    const sheet = await parsePricingSheet(csv(
+      'Item,Qty,Unit Price,Total',
+      'Desk,10,400,4100',
+      'Total,,,5000'
+    ), 'csv');
+
+    assert.deepEqual(sheet.issues.map(issue => [issue.type, issue.expected, issue.actual]), [
+      ['line_total', 4000, 4100],
+      ['total', 4100, 5000]
+    ]);
+    // The vendor's stated total is what they quoted
+    assert.equal(sheet.totalPrice, 5000);
+    assert.equal(sheet.computedTotal, 4100);
+  });
+
+  test('fills in missing line totals', async () => {
+    const sheet = await parsePricingSheet(csv('Product,Quantity,Price', 'Laptop,3,999.99'), 'csv');
+
+    assert.equal(sheet.itemPricing[0].totalPrice, 2999.97);
+    assert.equal(sheet.totalPrice, 2999.97);
+  });
+
+  test('returns null for a sheet without prices', async () => {
+    assert.equal(await parsePricingSheet(csv('Item,Qty,Unit Price,Total', 'Chair,20,,'), 'csv'), null);
+    assert.equal(await parsePricingSheet(csv('Name,Email', 'Jane,jane@example.com'), 'csv'), null);
+  });
+
+  test('uses the first workbook sheet with a pricing header', async () => {
+    const workbook = new ExcelJS.Workbook();
+    workbook.addWorksheet('Cover').addRow(['Quote for RFP-12']);
+    const pricing = workbook.addWorksheet('Pricing');
+    pricing.addRow(['Description', 'Quantity', 'Price each', 'Amount']);
+    pricing.addRow(['Laptop', 5, 1000, { formula: 'B2*C2', result: 5000 }]);
+    pricing.addRow(['Total', '', '', { formula: 'D2', result: 5000 }]);
+
+    const sheet = await parsePricingSheet(Buffer.from(await workbook.xlsx.writeBuffer()), 'xlsx');
+
+    assert.equal(sheet.sheet, 'Pricing');
+    assert.deepEqual(sheet.itemPricing, [{ itemName: 'Laptop', quantity: 5, unitPrice: 1000, totalPrice: 5000 }]);
+    assert.equal(sheet.totalPrice, 5000);
+  });
+});
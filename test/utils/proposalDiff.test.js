@@ -0,0 +1,54 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { diffParsedData } = require('../../utils/proposalDiff');
+
+describe('diffParsedData', () => {
+  test('reports numeric changes with the difference', () => {
+    const changes = diffParsedData({ totalPrice: 10000, currency: 'USD' }, { totalPrice: 9000, currency: 'USD' });
+
+    assert.deepEqual(changes, [{
+      field: 'totalPrice',
+      label: 'Total price',
+      from: 10000,
+      to: 9000,
+      changeType: 'changed',
+      difference: -1000,
+      differencePercent: -10
+    }]);
+  });
+
+  test('reports added and removed fields and conditions', () => {
+    const changes = diffParsedData(
+      { warranty: '1 year', conditions: ['Prices valid 30 days'] },
+      { paymentTerms: 'Net 30', warranty: '', conditions: ['Prices valid 60 days'] }
+    );
+
+    assert.deepEqual(changes.map(c => [c.field, c.changeType, c.from, c.to]), [
+      ['paymentTerms', 'added', null, 'Net 30'],
+      ['warranty', 'removed', '1 year', null],
+      ['conditions', 'removed', 'Prices valid 30 days', null],
+      ['conditions', 'added', null, 'Prices valid 60 days']
+    ]);
+  });
+
+  test('matches items by name regardless of case and spacing', () => {
+    const changes = diffParsedData(
+      { itemPricing: [{ itemName: 'Office  Chair', quantity: 20, unitPrice: 250 }, { itemName: 'Desk', quantity: 10 }] },
+      { itemPricing: [{ itemName: 'office chair', quantity: 20, unitPrice: 200 }, { itemName: 'Lamp', quantity: 10 }] }
+    );
+
+    assert.deepEqual(changes.map(c => [c.field, c.changeType]), [
+      ['itemPricing.Office  Chair.unitPrice', 'changed'],
+      ['itemPricing.Desk', 'removed'],
+      ['itemPricing.Lamp', 'added']
+    ]);
+    assert.equal(changes[0].differencePercent, -20);
+  });
+
+  test('finds nothing between equal versions', () => {
+    const data = { totalPrice: 500, deliveryDays: 14, itemPricing: [{ itemName: 'Desk', quantity: 1 }], conditions: ['FOB'] };
+
+    assert.deepEqual(diffParsedData(data, { ...data, totalPrice: '500' }), []);
+    assert.deepEqual(diffParsedData(null, undefined), []);
+  });
+});
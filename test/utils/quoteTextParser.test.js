@@ -0,0 +1,107 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseQuoteText, normalizePaymentTerms } = require('../../utils/quoteTextParser');
+
+describe('parseQuoteText', () => {
+  test('reads several priced items from one sentence', () => {
+    const quote = parseQuoteText('We can supply 50 laptops at $1,200 each and 20 monitors @ $300 per unit');
+
+    assert.deepEqual(quote.itemPricing, [
+      { itemName: 'laptops', quantity: 50, unitPrice: 1200, totalPrice: 60000 },
+      { itemName: 'monitors', quantity: 20, unitPrice: 300, totalPrice: 6000 }
+    ]);
+    assert.equal(quote.currency, 'USD');
+    // No total stated: the line items are summed
+    assert.equal(quote.totalPrice, 66000);
+    assert.equal(quote.evidence.totalPrice.confidence, 'medium');
+  });
+
+  test('reads the summary lines of a quote', () => {
+    const quote = parseQuoteText([
+      '- 10 x Laptop @ $1,150 each',
+      'Subtotal: $11,500',
+      'Sales tax (8%): $920',
+      'Shipping: $150',
+      'Grand Total: $12,570'
+    ].join('\n'));
+
+    assert.equal(quote.subtotal, 11500);
+    assert.equal(quote.tax, 920);
+    assert.equal(quote.shipping, 150);
+    assert.equal(quote.totalPrice, 12570);
+    assert.equal(quote.evidence.totalPrice.confidence, 'high');
+  });
+
+  test('splits a total from the charges added to it', () => {
+    const quote = parseQuoteText('Total cost is $12,500 plus $500 shipping');
+
+    assert.equal(quote.totalPrice, 12500);
+    assert.equal(quote.shipping, 500);
+    assert.deepEqual(quote.itemPricing, []);
+  });
+
+  test('takes "Our quote:" as the total, not an item', () => {
+    const quote = parseQuoteText('Our quote: $48,000. Delivery 30 days, net 30.');
+
+    assert.equal(quote.totalPrice, 48000);
+    assert.deepEqual(quote.itemPricing, []);
+    assert.equal(quote.deliveryDays, 30);
+    assert.equal(quote.paymentTerms, 'Net 30');
+  });
+
+  test('scales k and M amounts at medium confidence', () => {
+    const quote = parseQuoteText('Price: $45k for the lot');
+
+    assert.equal(quote.totalPrice, 45000);
+    assert.equal(quote.evidence.totalPrice.confidence, 'medium');
+  });
+
+  test('reads lakh-grouped totals', () => {
+    const quote = parseQuoteText('Grand total: ₹12,50,000');
+
+    assert.equal(quote.totalPrice, 1250000);
+    assert.equal(quote.currency, 'INR');
+  });
+
+  test('reads table rows', () => {
+    const quote = parseQuoteText([
+      '| Item | Qty | Unit Price | Total |',
+      '|------|-----|-----------|-------|',
+      '| Office chair | 20 | €250.00 | €5,000.00 |',
+      '| Desk | 10 | €400.00 | €4,000.00 |',
+      '| Total | | | €9,000.00 |'
+    ].join('\n'));
+
+    assert.equal(quote.currency, 'EUR');
+    assert.equal(quote.totalPrice, 9000);
+    assert.deepEqual(quote.itemPricing.map(item => [item.itemName, item.quantity, item.unitPrice]), [
+      ['Office chair', 20, 250],
+      ['Desk', 10, 400]
+    ]);
+  });
+
+  test('converts delivery weeks to days', () => {
+    assert.equal(parseQuoteText('Delivery in 3 weeks.').deliveryDays, 21);
+  });
+
+  test('returns empty fields for text without a quote', () => {
+    const quote = parseQuoteText('');
+
+    assert.equal(quote.totalPrice, null);
+    assert.equal(quote.currency, null);
+    assert.deepEqual(quote.itemPricing, []);
+    assert.deepEqual(quote.evidence, {});
+  });
+});
+
+describe('normalizePaymentTerms', () => {
+  test('writes common terms the same way', () => {
+    assert.equal(normalizePaymentTerms('net 30'), 'Net 30');
+    assert.equal(normalizePaymentTerms('2/10 net 30'), '2/10 Net 30');
+    assert.equal(normalizePaymentTerms('cash on delivery'), 'Cash on delivery');
+  });
+
+  test('returns null for text without payment terms', () => {
+    assert.equal(normalizePaymentTerms('Delivery within 2 weeks'), null);
+  });
+});
@@ -0,0 +1,82 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validate } = require('../../utils/schema');
+const { SCHEMAS } = require('../../services/llm/schemas');
+const { TASKS } = require('../../services/llm/tasks');
+
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    total: { type: 'number', min: 0 },
+    days: { type: 'days' },
+    quantity: { type: 'integer' },
+    due: { type: 'date' },
+    confirmed: { type: 'boolean' },
+    currency: { type: 'currency' },
+    kind: { type: 'enum', values: ['goods', 'services'] },
+    tags: { type: 'array', items: { type: 'string' } },
+    name: { type: 'string', required: true },
+    count: { type: 'number', default: 5 }
+  }
+};
+
+describe('validate', () => {
+  test('converts values that can be read safely', () => {
+    const { valid, value, errors } = validate(SCHEMA, {
+      total: '$12,500',
+      days: '2-3 weeks',
+      quantity: '4.6',
+      due: '2026-03-01',
+      confirmed: 'yes',
+      currency: '€',
+      kind: 'Goods',
+      tags: 'urgent',
+      name: ' Acme ',
+      unknown: true
+    });
+
+    assert.equal(valid, true);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(value, {
+      total: 12500,
+      // The longer end of a range
+      days: 21,
+      quantity: 5,
+      due: new Date('2026-03-01'),
+      confirmed: true,
+      currency: 'EUR',
+      kind: 'goods',
+      // A lone value where a list was asked for
+      tags: ['urgent'],
+      name: 'Acme',
+      count: 5
+    });
+  });
+
+  test('reports each invalid field and nulls it', () => {
+    const { valid, value, errors } = validate(SCHEMA, { total: -1, days: 'soon', confirmed: 'maybe', kind: 'other', name: '' });
+
+    assert.equal(valid, false);
+    assert.deepEqual(errors, [
+      'total: must be at least 0',
+      'days: expected days, got "soon"',
+      'confirmed: expected boolean, got "maybe"',
+      'kind: must be one of goods, services',
+      'name: is required'
+    ]);
+    assert.equal(value.days, null);
+    assert.deepEqual(value.tags, []);
+  });
+
+  test('rejects a reply that is not an object', () => {
+    assert.deepEqual(validate(SCHEMA, 'not json'), { valid: false, value: null, errors: ['value: must be an object'] });
+  });
+
+  test('names the path of errors in nested items', () => {
+    const { value, errors } = validate(SCHEMAS[TASKS.RFP_PARSING], { title: 'Desks', items: [{ name: 'Desk' }, { quantity: 2 }] });
+
+    assert.deepEqual(errors, ['items[1].name: is required']);
+    assert.equal(value.items[0].quantity, 1);
+    assert.deepEqual(value.requirements, { additionalTerms: [] });
+  });
+});
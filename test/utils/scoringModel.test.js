@@ -0,0 +1,93 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_CRITERIA, validateCriteria, scoreProposals, toProposalScores } = require('../../utils/scoringModel');
+
+const RFP = { deliveryDays: 30, requirements: { warranty: '2 years', paymentTerms: 'Net 30' } };
+
+const PROPOSALS = [
+  {
+    _id: 'p1',
+    vendorId: { _id: 'acme', name: 'Acme' },
+    parsedData: { totalPrice: 10000, deliveryDays: 30, warranty: '2 years', paymentTerms: 'Net 30' }
+  },
+  {
+    _id: 'p2',
+    vendorId: { _id: 'bolt', name: 'Bolt' },
+    parsedData: { totalPrice: 8000, deliveryDays: 60, warranty: '1 year', paymentTerms: 'Net 15' }
+  }
+];
+
+function scores(vendor) {
+  return Object.fromEntries(vendor.breakdown.map(b => [b.key, b.score]));
+}
+
+describe('validateCriteria', () => {
+  test('accepts the default criteria', () => {
+    assert.equal(validateCriteria(DEFAULT_CRITERIA), null);
+  });
+
+  test('rejects empty, unknown, repeated and unweighted criteria', () => {
+    assert.equal(validateCriteria([]), 'At least one evaluation criterion is required');
+    assert.match(validateCriteria([{ key: 'colour', weight: 1 }]), /^Unknown criterion 'colour'/);
+    assert.equal(validateCriteria([{ key: 'price', weight: 1 }, { key: 'price', weight: 2 }]), "Criterion 'price' is listed more than once");
+    assert.equal(validateCriteria([{ key: 'price', weight: -1 }]), "Weight for 'price' must be a non-negative number");
+    assert.equal(validateCriteria([{ key: 'price', weight: 0 }]), 'At least one criterion must have a weight above zero');
+  });
+});
+
+describe('scoreProposals', () => {
+  test('scores each criterion against the requirement and weights the result', () => {
+    const { vendors } = scoreProposals(RFP, PROPOSALS);
+    const [acme, bolt] = vendors;
+
+    assert.deepEqual(scores(acme), { price: 80, delivery: 100, warranty: 100, paymentTerms: 100 });
+    assert.deepEqual(scores(bolt), { price: 100, delivery: 50, warranty: 50, paymentTerms: 50 });
+    assert.deepEqual(vendors.map(v => [v.vendorName, v.rank, v.overallScore]), [['Acme', 1, 90], ['Bolt', 2, 75]]);
+  });
+
+  test('does not recommend a non-compliant vendor', () => {
+    const { vendors, recommended } = scoreProposals(RFP, PROPOSALS, {
+      compliance: { vendors: [{ vendorId: 'acme', status: 'non_compliant' }] }
+    });
+
+    assert.equal(vendors[0].vendorName, 'Acme');
+    assert.deepEqual(recommended, { vendorId: 'bolt', vendorName: 'Bolt' });
+  });
+
+  test('breaks ties by name whatever the input order', () => {
+    const rfp = { evaluationCriteria: [{ key: 'price', weight: 1 }] };
+    const proposals = [
+      { _id: 'p2', vendorId: { _id: 'bolt', name: 'Bolt' }, parsedData: { totalPrice: 100 } },
+      { _id: 'p1', vendorId: { _id: 'acme', name: 'Acme' }, parsedData: { totalPrice: 100 } }
+    ];
+
+    assert.deepEqual(scoreProposals(rfp, proposals).vendors.map(v => v.vendorName), ['Acme', 'Bolt']);
+  });
+
+  test('prices on the like-for-like total and scores item coverage', () => {
+    const rfp = {
+      items: [{ _id: 'item', name: 'Laptop' }],
+      evaluationCriteria: [{ key: 'price', weight: 1 }, { key: 'itemCoverage', weight: 1 }]
+    };
+    const [vendor] = scoreProposals(rfp, [PROPOSALS[0]], {
+      lineItems: { vendors: [{ vendorId: 'acme', normalizedTotal: 12000, coverage: 0.5 }] }
+    }).vendors;
+
+    assert.equal(vendor.price, 12000);
+    assert.equal(vendor.breakdown[0].explanation, '12,000 vs lowest 12,000 (like-for-like total)');
+    assert.deepEqual(scores(vendor), { price: 100, itemCoverage: 50 });
+    assert.equal(vendor.overallScore, 75);
+  });
+});
+
+describe('toProposalScores', () => {
+  test('averages warranty and payment terms into the terms score', () => {
+    const [, bolt] = scoreProposals(RFP, PROPOSALS).vendors;
+    const stored = toProposalScores(bolt);
+
+    assert.equal(stored.priceScore, 100);
+    assert.equal(stored.deliveryScore, 50);
+    assert.equal(stored.termsScore, 50);
+    assert.equal(stored.overallScore, 75);
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Clarification Detector
+ * Tells vendor questions about an open RFP ("is on-site installation required?")
+ * apart from quotes, and prepares them for sharing with every invited vendor:
+ * the quoted reply and signature are cut and anything naming the vendor who
+ * asked is removed.
+ */
+
+const { parseQuoteText } = require('./quoteTextParser');
+
+// Subjects vendors give questions: "Question about RFP", "Clarification request"
+const QUESTION_SUBJECT = /\b(questions?|clarifications?|clarify|quer(y|ies)|inquiry|enquiry)\b/i;
+
+// Sentences that ask something without a question mark
+const QUESTION_PHRASE = new RegExp('^(?:(?:also|and|finally|additionally|lastly|first(?:ly)?|second(?:ly)?)\\s*,?\\s*)?(?:' + [
+  '(?:please\\s+)?(?:could|can|would|will)\\s+you\\s+(?:please\\s+)?(?:clarify|confirm|advise|let\\s+us\\s+know|explain|specify|share|provide)\\b',
+  '(?:please\\s+)?(?:clarify|confirm|advise)\\s+(?:whether|if|what|which|how|when|where)\\b',
+  '(?:we|i)\\s+(?:would\\s+like\\s+to|need\\s+to|want\\s+to)\\s+(?:ask|confirm|clarify|understand|know)\\b',
+  '(?:we|i)\\s+(?:have|had)\\s+(?:a|one|some|a\\s+few|few|two|three)\\s+(?:quick\\s+)?questions?\\b'
+].join('|') + ')', 'i');
+
+// Polite closings that end in "?" but ask nothing about the RFP
+const CLOSING_QUESTION = /\b(?:let\s+(?:us|me)\s+know\s+if\s+you\s+have\s+any\s+questions|any\s+(?:other\s+)?questions|how\s+are\s+you|hope\s+you(?:'re|\s+are)\s+well)\b/i;
+
+// Where a reply's quoted history starts
+const QUOTED_HISTORY = /^(?:on\s.{5,200}\swrote:?|-{2,}\s*original message\s*-{2,}|from:\s.+|_{5,})\s*$/i;
+
+// Where the sender's signature starts
+const SIGN_OFF = /^(?:--\s*|(?:best|kind|warm)?\s*regards,?|best,?|thanks?(?:\s+you)?(?:\s+in\s+advance)?[,!.]?|many\s+thanks[,!.]?|cheers,?|sincerely,?|yours\s+(?:sincerely|faithfully|truly),?)$/i;
+
+const EMAIL_ADDRESS = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+const PHONE_NUMBER = /\+?\(?\d[\d\s().-]{7,}\d/g;
+const URL = /\b(?:https?:\/\/|www\.)[^\s,;]*[^\s,;.]/gi;
+// "Hello, ", "Dear Procurement Team, " in front of a question; a line with nothing else is dropped
+const GREETING_PREFIX = /^(?:hi|hello|hey|dear|good\s+(?:morning|afternoon|evening)|greetings)\b[^,!:?\n]{0,40}[,!:]\s*/i;
+const GREETING_ONLY = /^(?:hi|hello|hey|dear|good\s+(?:morning|afternoon|evening)|greetings)\b[^?.]{0,40}$/i;
+
+// A price stated without a currency marker: "Total 48000 (excl. GST)", "Unit price: 1,250.00"
+const BARE_PRICE = /\b(?:(?:grand\s+|sub[\s-]*)?total|price|cost|amount|quote[d]?|rate)\b[^.?\n\d]{0,20}\d[\d,.]*\d/i;
+
+// Legal suffixes dropped to find the name a company goes by ("Acme Furniture Ltd" -> "Acme Furniture")
+const COMPANY_SUFFIX = /[\s,]+(?:ltd|limited|inc|incorporated|llc|llp|plc|corp|corporation|co|company|gmbh|pvt|private|pty|s\.?a|bv)\.?$/i;
+
+const REDACTED = '[vendor]';
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function htmlToText(html) {
+  return String(html || '')
+    .replace(/<(br|\/p|\/div|\/li)[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * The vendor's own words: quoted reply lines, the quoted history and the signature removed
+ */
+function stripReply(text) {
+  const lines = [];
+  for (const line of String(text || '').split('\n')) {
+    const trimmed = line.trim();
+    if (QUOTED_HISTORY.test(trimmed) && lines.some(l => l.trim())) break;
+    if (SIGN_OFF.test(trimmed) && lines.some(l => l.trim())) break;
+    if (trimmed.startsWith('>')) continue;
+    lines.push(line);
+  }
+  return lines.join('\n').trim();
+}
+
+/**
+ * The questions asked in a text: sentences ending in "?" or opening with
+ * "could you confirm", "please clarify whether" and the like
+ */
+function extractQuestions(text) {
+  return sentencesOf(text)
+    .filter(sentence => (sentence.endsWith('?') || QUESTION_PHRASE.test(sentence)) && !CLOSING_QUESTION.test(sentence));
+}
+
+/**
+ * Sentences of a text with list markers and greetings removed
+ */
+function sentencesOf(text) {
+  return String(text || '')
+    .split('\n')
+    .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)]|q\d*[:.)])\s*/i, '').trim())
+    .filter(line => line && !GREETING_ONLY.test(line))
+    .map(line => line.replace(GREETING_PREFIX, '').replace(/^[a-z]/, letter => letter.toUpperCase()))
+    .flatMap(line => line.split(/(?<=[.!?])\s+(?=[A-Z0-9])/))
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Whether a text quotes prices: amounts with a currency, priced line items,
+ * or a bare figure on a total/price statement (questions about prices do not count)
+ */
+function quotesPrices(body, options) {
+  const quote = parseQuoteText(body, options);
+  if (quote.totalPrice !== null || quote.itemPricing.length > 0) return true;
+  return sentencesOf(body).some(sentence => !sentence.endsWith('?') && BARE_PRICE.test(sentence));
+}
+
+/**
+ * Whether a vendor email asks about the RFP rather than quoting for it.
+ * Emails with attachments or with prices in them are quotes; the rest are
+ * questions when they ask something or say so in the subject.
+ * Returns { isClarification, questions, body }
+ */
+function detectClarification(email, options = {}) {
+  const body = stripReply(email.text || htmlToText(email.html));
+  const questions = extractQuestions(body);
+  const notClarification = { isClarification: false, questions, body };
+
+  if ((email.attachments || []).length > 0) return notClarification;
+
+  if (quotesPrices(body, options)) return notClarification;
+
+  const asked = questions.length > 0 || QUESTION_SUBJECT.test(email.subject || '');
+  return { isClarification: asked && body.length > 0, questions, body };
+}
+
+/**
+ * A question as other vendors will read it: contact details, links and the
+ * names of the vendor who asked (vendor: { name, company, email }) replaced.
+ * Only whole names are replaced, so ordinary words that happen to be part of
+ * a name ("Office" in "Office Supplies Ltd") stay in the question.
+ */
+function anonymizeQuestion(text, vendor = {}) {
+  let anonymized = String(text || '')
+    .replace(EMAIL_ADDRESS, REDACTED)
+    .replace(URL, REDACTED)
+    .replace(PHONE_NUMBER, REDACTED);
+
+  const names = [vendor.company, vendor.company?.replace(COMPANY_SUFFIX, ''), vendor.name, vendor.email]
+    .filter(name => name && name.length > 2)
+    .sort((a, b) => b.length - a.length);
+  for (const name of names) {
+    anonymized = anonymized.replace(new RegExp(`\\b${escapeRegExp(name)}\\b`, 'gi'), REDACTED);
+  }
+
+  return anonymized
+    .replace(/\[vendor\](?:\s*\[vendor\])+/g, REDACTED)
+    .replace(/[ \t]+/g, ' ')
+    .trim();
+}
+
+module.exports = {
+  detectClarification,
+  extractQuestions,
+  stripReply,
+  anonymizeQuestion
+};
@@ -0,0 +1,283 @@
+/**
+ * Compliance Engine
+ * Checks a parsed proposal against each RFP requirement and records whether it
+ * is met, partially met, not met or unknown, with the evidence used.
+ */
+
+const { matchLineItems } = require('./lineItemMatcher');
+
+const STATUS = {
+  MET: 'met',
+  PARTIAL: 'partially_met',
+  NOT_MET: 'not_met',
+  UNKNOWN: 'unknown'
+};
+
+// Quotes up to this far over budget or the delivery window count as partially met
+const BUDGET_TOLERANCE = 0.1;
+const DELIVERY_TOLERANCE = 0.25;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'for', 'to', 'in', 'on', 'at', 'by', 'with', 'must', 'should',
+  'be', 'is', 'are', 'will', 'all', 'any', 'per', 'from', 'as', 'vendor', 'supplier', 'required', 'include', 'includes'
+]);
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// A sentence that addresses a requirement only to decline it
+const NEGATION = /\b(not|cannot|can't|unable to|excluded|excludes|exclusive of)\b/i;
+
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, ten: 10, twelve: 12 };
+
+// Crude stemming so "certified" matches "certification" and "installed" matches "installation"
+function stem(word) {
+  return word.length > 6 ? word.slice(0, 6) : word.replace(/s$/, '');
+}
+
+function keywords(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9%]+/g, ' ')
+    .split(' ')
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+    .map(stem);
+}
+
+function sentences(text) {
+  return (text || '')
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Sentence of the proposal that shares the most keywords with a requirement
+ * Returns { sentence, coverage } where coverage is the share of keywords found
+ */
+function findEvidence(text, requirement) {
+  const wanted = [...new Set(keywords(requirement))];
+  if (wanted.length === 0) return { sentence: null, coverage: 0 };
+
+  let best = { sentence: null, coverage: 0 };
+  for (const sentence of sentences(text)) {
+    const words = new Set(keywords(sentence));
+    const found = wanted.filter(word => words.has(word)).length / wanted.length;
+    if (found > best.coverage) best = { sentence: sentence.slice(0, 300), coverage: found };
+  }
+  return best;
+}
+
+/**
+ * Payment terms as days until payment is due: "Net 45" -> 45, "30 days" -> 30,
+ * "100% advance" / "upfront" -> 0. Null when no figure can be read.
+ */
+function paymentDays(terms) {
+  const text = (terms || '').toLowerCase();
+  if (!text) return null;
+  const net = text.match(/net\s*(\d+)/) || text.match(/(\d+)\s*days?/);
+  if (net) return parseInt(net[1]);
+  if (/advance|upfront|up-front|prepay|in full on order|cash with order/.test(text)) return 0;
+  if (/on delivery|cod\b|upon receipt|due on receipt/.test(text)) return 0;
+  return null;
+}
+
+/**
+ * Warranty length in months: "2 years" -> 24, "18 months" -> 18
+ */
+function warrantyMonths(text) {
+  const value = (text || '').toLowerCase()
+    .replace(/\b(one|two|three|four|five|six|ten|twelve)\b/g, word => NUMBER_WORDS[word]);
+  const years = value.match(/(\d+(?:\.\d+)?)\s*(?:-\s*)?(?:years?|yrs?)/);
+  if (years) return parseFloat(years[1]) * 12;
+  const months = value.match(/(\d+)\s*(?:-\s*)?months?/);
+  if (months) return parseInt(months[1]);
+  if (/\ba\s*(?:-\s*)?year\b/.test(value)) return 12;
+  if (/lifetime/.test(value)) return 1200;
+  return null;
+}
+
+function result(status, expected, actual, evidence) {
+  return { status, expected, actual: actual ?? null, evidence: evidence || null };
+}
+
+function checkBudget(rfp, proposal) {
+  const total = proposal.parsedData?.totalPrice;
+  if (!total) return result(STATUS.UNKNOWN, rfp.budget, null, 'No total price found in the proposal');
+
+  // Amounts are in the RFP currency; say so when the quote was converted
+  const currency = rfp.currency || 'USD';
+  const conversion = proposal.currencyConversion;
+  const converted = conversion && conversion.from !== conversion.to
+    ? ` (quoted as ${conversion.from} ${conversion.originalTotal.toLocaleString()} at ${conversion.rate.toFixed(4)})`
+    : '';
+
+  const ratio = total / rfp.budget;
+  const evidence = `Quoted ${currency} ${total.toLocaleString()}${converted} against a budget of ${currency} ${rfp.budget.toLocaleString()}`;
+  if (ratio <= 1) return result(STATUS.MET, rfp.budget, total, evidence);
+  if (ratio <= 1 + BUDGET_TOLERANCE) {
+    return result(STATUS.PARTIAL, rfp.budget, total, `${evidence} (${round2((ratio - 1) * 100)}% over)`);
+  }
+  return result(STATUS.NOT_MET, rfp.budget, total, `${evidence} (${round2((ratio - 1) * 100)}% over)`);
+}
+
+function checkDelivery(rfp, proposal) {
+  const days = proposal.parsedData?.deliveryDays;
+  if (!days) {
+    return result(STATUS.UNKNOWN, rfp.deliveryDays, proposal.parsedData?.deliveryTimeline,
+      proposal.parsedData?.deliveryTimeline ? `Timeline "${proposal.parsedData.deliveryTimeline}" has no day count` : 'No delivery timeline found');
+  }
+
+  const evidence = `Delivery in ${days} days, ${rfp.deliveryDays} required`;
+  if (days <= rfp.deliveryDays) return result(STATUS.MET, rfp.deliveryDays, days, evidence);
+  if (days <= rfp.deliveryDays * (1 + DELIVERY_TOLERANCE)) return result(STATUS.PARTIAL, rfp.deliveryDays, days, evidence);
+  return result(STATUS.NOT_MET, rfp.deliveryDays, days, evidence);
+}
+
+function checkPaymentTerms(rfp, proposal, text) {
+  const required = rfp.requirements.paymentTerms;
+  const offered = proposal.parsedData?.paymentTerms;
+  if (!offered) {
+    const { sentence, coverage } = findEvidence(text, required);
+    return coverage >= 0.6
+      ? result(STATUS.PARTIAL, required, null, sentence)
+      : result(STATUS.UNKNOWN, required, null, 'No payment terms found in the proposal');
+  }
+
+  const requiredDays = paymentDays(required);
+  const offeredDays = paymentDays(offered);
+  if (requiredDays !== null && offeredDays !== null) {
+    // Longer terms favour the buyer, so anything at least as long meets the requirement
+    if (offeredDays >= requiredDays) return result(STATUS.MET, required, offered, `Vendor offers "${offered}"`);
+    if (offeredDays >= requiredDays / 2) return result(STATUS.PARTIAL, required, offered, `Vendor offers "${offered}", shorter than required`);
+    return result(STATUS.NOT_MET, required, offered, `Vendor offers "${offered}", much shorter than required`);
+  }
+
+  const { coverage } = findEvidence(offered, required);
+  if (coverage >= 0.8) return result(STATUS.MET, required, offered, `Vendor offers "${offered}"`);
+  return result(STATUS.UNKNOWN, required, offered, `Vendor offers "${offered}"; could not compare automatically`);
+}
+
+function checkWarranty(rfp, proposal) {
+  const required = rfp.requirements.warranty;
+  const offered = proposal.parsedData?.warranty;
+  if (!offered) return result(STATUS.UNKNOWN, required, null, 'No warranty found in the proposal');
+
+  const requiredMonths = warrantyMonths(required);
+  const offeredMonths = warrantyMonths(offered);
+  if (requiredMonths !== null && offeredMonths !== null) {
+    if (offeredMonths >= requiredMonths) return result(STATUS.MET, required, offered, `Vendor offers "${offered}"`);
+    return result(offeredMonths >= requiredMonths / 2 ? STATUS.PARTIAL : STATUS.NOT_MET, required, offered,
+      `Vendor offers "${offered}", shorter than required`);
+  }
+
+  const { coverage } = findEvidence(offered, required);
+  if (coverage >= 0.8) return result(STATUS.MET, required, offered, `Vendor offers "${offered}"`);
+  return result(STATUS.UNKNOWN, required, offered, `Vendor offers "${offered}"; could not compare automatically`);
+}
+
+function checkDeliveryLocation(rfp, proposal, text) {
+  const required = rfp.requirements.deliveryLocation;
+  const { sentence, coverage } = findEvidence(text, required);
+  if (coverage >= 0.6) return result(STATUS.MET, required, null, sentence);
+
+  // Quoting ex works / pickup means the buyer has to collect
+  const pickup = sentences(text).find(s => /\b(ex[\s-]?works|exw|pick[\s-]?up|collection only|fob)\b/i.test(s));
+  if (pickup) return result(STATUS.NOT_MET, required, null, pickup.slice(0, 300));
+
+  if (coverage > 0) return result(STATUS.PARTIAL, required, null, sentence);
+  return result(STATUS.UNKNOWN, required, null, 'Delivery location not confirmed in the proposal');
+}
+
+function checkAdditionalTerm(term, text) {
+  const { sentence, coverage } = findEvidence(text, term);
+  if (coverage >= 0.3 && NEGATION.test(sentence)) return result(STATUS.NOT_MET, term, null, sentence);
+  if (coverage >= 0.75) return result(STATUS.MET, term, null, sentence);
+  if (coverage >= 0.4) return result(STATUS.PARTIAL, term, null, sentence);
+  return result(STATUS.UNKNOWN, term, null, 'Not addressed in the proposal');
+}
+
+function checkItems(rfp, proposal) {
+  const quoted = proposal.parsedData?.itemPricing || [];
+  if (quoted.length === 0) {
+    return result(STATUS.UNKNOWN, rfp.items.length, null, 'No line items found in the proposal');
+  }
+
+  const { matches, missing } = matchLineItems(rfp.items, quoted, proposal.itemMatchOverrides || []);
+  const mismatched = matches.filter(m => m.quantityMismatch);
+  const problems = [
+    ...missing.map(m => `missing ${m.rfpItemName}`),
+    ...mismatched.map(m => `${m.rfpItemName}: ${m.quotedQuantity} quoted, ${m.requestedQuantity} requested`)
+  ];
+
+  const actual = `${matches.length} of ${rfp.items.length} items quoted`;
+  if (problems.length === 0) return result(STATUS.MET, rfp.items.length, actual, 'All requested items quoted at the requested quantities');
+  return result(matches.length > 0 ? STATUS.PARTIAL : STATUS.NOT_MET, rfp.items.length, actual, problems.join('; '));
+}
+
+/**
+ * The requirements an RFP actually specifies, in display order
+ */
+function getRequirements(rfp) {
+  const requirements = [];
+  const reqs = rfp.requirements || {};
+
+  if (rfp.items?.length > 0) requirements.push({ key: 'items', label: 'All items quoted', expected: `${rfp.items.length} items` });
+  if (rfp.budget) requirements.push({ key: 'budget', label: 'Within budget', expected: rfp.budget });
+  if (rfp.deliveryDays) requirements.push({ key: 'deliveryDays', label: 'Delivery time', expected: `${rfp.deliveryDays} days` });
+  if (reqs.paymentTerms) requirements.push({ key: 'paymentTerms', label: 'Payment terms', expected: reqs.paymentTerms });
+  if (reqs.warranty) requirements.push({ key: 'warranty', label: 'Warranty', expected: reqs.warranty });
+  if (reqs.deliveryLocation) requirements.push({ key: 'deliveryLocation', label: 'Delivery location', expected: reqs.deliveryLocation });
+  (reqs.additionalTerms || []).forEach((term, i) => {
+    requirements.push({ key: `additionalTerms.${i}`, label: term, expected: term });
+  });
+
+  return requirements;
+}
+
+/**
+ * Evaluate one proposal against every requirement of the RFP.
+ * text: the proposal's email body and extracted attachment text, searched for evidence
+ * Returns { status, results: [{ key, label, status, expected, actual, evidence }], notMet }
+ * where status is compliant, non_compliant or needs_review.
+ */
+function evaluateProposal(rfp, proposal, text = '') {
+  const searchText = [
+    text,
+    proposal.parsedData?.deliveryTimeline,
+    proposal.parsedData?.notes,
+    ...(proposal.parsedData?.conditions || [])
+  ].filter(Boolean).join('\n');
+
+  const results = getRequirements(rfp).map(requirement => {
+    let check;
+    switch (requirement.key) {
+      case 'items': check = checkItems(rfp, proposal); break;
+      case 'budget': check = checkBudget(rfp, proposal); break;
+      case 'deliveryDays': check = checkDelivery(rfp, proposal); break;
+      case 'paymentTerms': check = checkPaymentTerms(rfp, proposal, searchText); break;
+      case 'warranty': check = checkWarranty(rfp, proposal); break;
+      case 'deliveryLocation': check = checkDeliveryLocation(rfp, proposal, searchText); break;
+      default: check = checkAdditionalTerm(requirement.expected, searchText);
+    }
+    return { key: requirement.key, label: requirement.label, ...check };
+  });
+
+  const notMet = results.filter(r => r.status === STATUS.NOT_MET).map(r => r.label);
+  const uncertain = results.some(r => r.status === STATUS.PARTIAL || r.status === STATUS.UNKNOWN);
+
+  return {
+    status: notMet.length > 0 ? 'non_compliant' : uncertain ? 'needs_review' : 'compliant',
+    results,
+    notMet
+  };
+}
+
+module.exports = {
+  STATUS,
+  paymentDays,
+  warrantyMonths,
+  getRequirements,
+  evaluateProposal
+};
@@ -0,0 +1,118 @@
+/**
+ * Currency
+ * Detects which currency a quote is in and reads money amounts from text
+ * ("€12.500,00", "USD 1,200", "45,000 rupees", "₹12,50,000").
+ */
+
+const CURRENCY_CODES = [
+  'USD', 'EUR', 'GBP', 'INR', 'JPY', 'CNY', 'AUD', 'CAD', 'CHF', 'NZD', 'SGD', 'HKD',
+  'SEK', 'NOK', 'DKK', 'PLN', 'CZK', 'BRL', 'MXN', 'ZAR', 'AED', 'SAR', 'KRW', 'TRY'
+];
+
+// Longest first, so "A$" is not read as a bare "$"
+const SYMBOLS = [
+  ['US$', 'USD'], ['AU$', 'AUD'], ['CA$', 'CAD'], ['NZ$', 'NZD'], ['HK$', 'HKD'], ['R$', 'BRL'],
+  ['A$', 'AUD'], ['C$', 'CAD'], ['S$', 'SGD'], ['Rs.', 'INR'], ['Rs', 'INR'],
+  ['€', 'EUR'], ['£', 'GBP'], ['₹', 'INR'], ['¥', 'JPY'], ['₩', 'KRW'], ['$', 'USD']
+];
+
+const WORDS = [
+  [/^dollars?$/i, 'USD'], [/^euros?$/i, 'EUR'], [/^pounds?(\s*sterling)?$/i, 'GBP'],
+  [/^rupees?$/i, 'INR'], [/^yen$/i, 'JPY']
+];
+
+// A bare "$" means the local dollar when the buyer works in one of these
+const DOLLAR_CURRENCIES = ['USD', 'CAD', 'AUD', 'NZD', 'SGD', 'HKD'];
+
+const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Indian lakh/crore grouping ("12,50,000") first, then thousands groups, then plain numbers
+const AMOUNT = '\\d{1,2}(?:,\\d{2})+,\\d{3}(?:\\.\\d{1,2})?|\\d{1,3}(?:[,.\\s]\\d{3})+(?:[.,]\\d{1,2})?|\\d+(?:[.,]\\d{1,2})?';
+const PREFIX = `${SYMBOLS.map(([symbol]) => escape(symbol)).join('|')}|\\b(?:${CURRENCY_CODES.join('|')})\\b`;
+const SUFFIX = `€|\\b(?:${CURRENCY_CODES.join('|')}|dollars?|euros?|pounds?(?:\\s*sterling)?|rupees?|yen)\\b`;
+
+const MONEY_PATTERN = new RegExp(`(${PREFIX})\\s?(${AMOUNT})(?!\\d)|(?<![\\d.,])(${AMOUNT})\\s?(${SUFFIX})`, 'g');
+const STATED_PATTERN = new RegExp(`\\b(?:currency|prices?\\s+(?:are\\s+)?(?:quoted\\s+|shown\\s+|stated\\s+)?in|all\\s+amounts\\s+in)\\s*:?\\s*(${CURRENCY_CODES.join('|')})\\b`, 'i');
+
+/**
+ * ISO code for a code, symbol or currency word, or null
+ */
+function normalizeCurrency(value, { dollar = 'USD' } = {}) {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+  if (CURRENCY_CODES.includes(text.toUpperCase())) return text.toUpperCase();
+  if (text === '$') return dollar;
+  const symbol = SYMBOLS.find(([s]) => s === text);
+  if (symbol) return symbol[1];
+  const word = WORDS.find(([pattern]) => pattern.test(text));
+  return word ? word[1] : null;
+}
+
+/**
+ * Amount text to a number: "12,500.00", "12.500,00" and "12 500" are all 12500,
+ * "12,50,000" (lakh grouping) is 1250000
+ */
+function toAmount(text) {
+  let value = text.replace(/\s/g, '');
+  if (/^\d{1,3}(\.\d{3})+(,\d{1,2})?$/.test(value) || /^\d+,\d{1,2}$/.test(value)) {
+    value = value.replace(/\./g, '').replace(',', '.');
+  } else {
+    value = value.replace(/,/g, '');
+  }
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? null : number;
+}
+
+/**
+ * Every amount in the text that carries a currency marker.
+ * Returns [{ amount, currency, text }] in order of appearance.
+ * options.dollar: currency a bare "$" stands for (default USD)
+ */
+function parseMoney(text, options = {}) {
+  const results = [];
+  for (const match of String(text || '').matchAll(MONEY_PATTERN)) {
+    const [raw, prefix, prefixAmount, suffixAmount, suffix] = match;
+    const currency = normalizeCurrency(prefix || suffix, options);
+    const amount = toAmount(prefixAmount || suffixAmount);
+    if (currency && amount !== null) results.push({ amount, currency, text: raw.trim() });
+  }
+  return results;
+}
+
+/**
+ * The currency a quote is in: an explicit statement ("Currency: EUR",
+ * "prices are in GBP") wins, otherwise the currency most amounts are in.
+ * Returns null when the text has no currency markers.
+ */
+function detectCurrency(text, options = {}) {
+  const stated = String(text || '').match(STATED_PATTERN);
+  if (stated) return stated[1].toUpperCase();
+
+  const counts = new Map();
+  for (const { currency } of parseMoney(text, options)) {
+    counts.set(currency, (counts.get(currency) || 0) + 1);
+  }
+  if (counts.size === 0) return null;
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+}
+
+/**
+ * Currency a bare "$" most likely means for a buyer working in the given currency
+ */
+function dollarFor(currency) {
+  return DOLLAR_CURRENCIES.includes(currency) ? currency : 'USD';
+}
+
+function formatMoney(amount, currency) {
+  if (amount === null || amount === undefined) return null;
+  return `${currency} ${Number(amount).toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+}
+
+module.exports = {
+  CURRENCY_CODES,
+  normalizeCurrency,
+  parseMoney,
+  detectCurrency,
+  dollarFor,
+  formatMoney
+};
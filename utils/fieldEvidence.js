@@ -0,0 +1,172 @@
+/**
+ * Field Evidence
+ * How far each parsed proposal field can be trusted: a confidence level, the text
+ * it was read from and any conflict with other figures in the quote. A parser's own
+ * claims are checked against the quote text, so a "high" confidence value whose
+ * source cannot be found in the email or attachments is marked low.
+ */
+
+const { toNumber } = require('./pricingSheetParser');
+const { parseMoney } = require('./currency');
+
+const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+
+// Fields a buyer is asked to confirm when they look doubtful
+const REVIEWED_FIELDS = [
+  { key: 'totalPrice', label: 'Total price', numeric: true, required: true },
+  { key: 'currency', label: 'Currency' },
+  { key: 'deliveryDays', label: 'Delivery days' },
+  { key: 'paymentTerms', label: 'Payment terms' },
+  { key: 'warranty', label: 'Warranty' },
+  { key: 'validityPeriod', label: 'Validity period' }
+];
+
+// "Total: $12,500", "Grand total 12.500,00 EUR", "for a total of $9,800" (not line or subtotals)
+const TOTAL_LINE = /^\W*total\b|\bgrand\s+total\b|\btotal\s+(due|amount|price|cost|quote|quoted|of|is)\b/i;
+
+const NUMBER_PATTERN = /\d{1,2}(?:,\d{2})+,\d{3}(?:\.\d{1,2})?|\d{1,3}(?:[,.]\d{3})+(?:[.,]\d{1,2})?|\d+(?:[.,]\d{1,2})?/g;
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '';
+}
+
+function normalizeText(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// Amounts differing by less than 1% are the same figure (rounding, per-unit cents)
+function isClose(a, b) {
+  return Math.abs(a - b) <= Math.max(0.01, Math.abs(b) * 0.01);
+}
+
+function lowerOf(a, b) {
+  return CONFIDENCE_LEVELS.indexOf(a) >= CONFIDENCE_LEVELS.indexOf(b) ? a : b;
+}
+
+function numbersIn(text) {
+  return (String(text || '').match(NUMBER_PATTERN) || [])
+    .map(toNumber)
+    .filter(number => number !== null);
+}
+
+/**
+ * Amounts on lines labelled as a total, in the quote's currency
+ */
+function statedTotals(text, currency, options = {}) {
+  return String(text || '').split('\n')
+    .filter(line => TOTAL_LINE.test(line))
+    .flatMap(line => parseMoney(line, options)
+      .filter(money => !currency || money.currency === currency)
+      .map(money => ({ amount: money.amount, source: line.trim() })));
+}
+
+/**
+ * Sum of the quoted line items, or null unless every item has a total
+ */
+function itemsTotal(itemPricing = []) {
+  if (itemPricing.length === 0) return null;
+  const totals = itemPricing.map(item => (
+    item.totalPrice ?? (item.quantity != null && item.unitPrice != null ? item.quantity * item.unitPrice : null)
+  ));
+  if (totals.some(total => total === null || total === undefined)) return null;
+  return totals.reduce((sum, total) => sum + total, 0);
+}
+
+/**
+ * Figures elsewhere in the quote that disagree with the parsed total price
+ */
+function totalPriceConflicts(parsedData, text, options) {
+  const conflicts = [];
+  const total = parsedData.totalPrice;
+  if (isEmpty(total)) return conflicts;
+
+  const extras = (parsedData.tax || 0) + (parsedData.shipping || 0) - (parsedData.discount || 0);
+  const lineSum = parsedData.pricingSource === 'sheet' ? null : itemsTotal(parsedData.itemPricing);
+  if (lineSum !== null && !isClose(lineSum, total) && !isClose(lineSum + extras, total)) {
+    conflicts.push(`line items add up to ${Math.round(lineSum * 100) / 100}`);
+  }
+
+  if (!isEmpty(options.statedTotal) && !isClose(options.statedTotal, total)) {
+    conflicts.push(`the email states a total of ${options.statedTotal}`);
+  }
+
+  const others = [...new Set(statedTotals(text, parsedData.currency, options)
+    .map(stated => stated.amount)
+    .filter(amount => !isClose(amount, total)))];
+  if (others.length > 0) {
+    conflicts.push(`the quote also states a total of ${others.join(', ')}`);
+  }
+
+  return conflicts;
+}
+
+/**
+ * Check one field's reported confidence and source against the quote text
+ */
+function assessField(field, value, reported, text) {
+  let confidence = CONFIDENCE_LEVELS.includes(reported.confidence) ? reported.confidence : 'medium';
+  const source = reported.source ? String(reported.source).trim() : null;
+  const reasons = [];
+
+  if (!source) {
+    confidence = 'low';
+    if (!reported.reason) reasons.push('no source text given');
+  } else if (!reported.verified && !normalizeText(text).includes(normalizeText(source))) {
+    confidence = 'low';
+    reasons.push('source text not found in the email or attachments');
+  } else if (field.numeric && !numbersIn(source).some(number => isClose(number, value))) {
+    confidence = lowerOf(confidence, 'medium');
+    reasons.push(`${value} is not stated in the source text`);
+  }
+
+  if (reported.reason) reasons.push(reported.reason);
+  return { confidence, source, reasons };
+}
+
+/**
+ * Assess the reviewed fields of a parsed proposal.
+ * reported: { field: { confidence, source, reason, verified } } from the parser or the
+ *   pipeline (verified: the source is a document reference, not a quote of the text)
+ * text: email body plus extracted attachment text
+ * options.statedTotal: total the email/AI gave when a pricing sheet supplied the price
+ * options.dollar: currency a bare "$" stands for
+ * Returns { fields: [{ field, label, confidence, source, conflict, reason }], needsReview, reasons }
+ */
+function assessParsedData(parsedData, reported = {}, text = '', options = {}) {
+  const fields = [];
+
+  for (const field of REVIEWED_FIELDS) {
+    const value = parsedData[field.key];
+    if (isEmpty(value)) {
+      if (field.required) {
+        fields.push({ field: field.key, label: field.label, confidence: 'low', source: null, conflict: false, reason: 'not found in the quote' });
+      }
+      continue;
+    }
+
+    const assessed = assessField(field, value, reported[field.key] || {}, text);
+    const conflicts = field.key === 'totalPrice' ? totalPriceConflicts(parsedData, text, options) : [];
+
+    fields.push({
+      field: field.key,
+      label: field.label,
+      confidence: assessed.confidence,
+      source: assessed.source,
+      conflict: conflicts.length > 0,
+      reason: [...assessed.reasons, ...conflicts].join('; ') || null
+    });
+  }
+
+  const flagged = fields.filter(f => f.confidence === 'low' || f.conflict);
+  return {
+    fields,
+    needsReview: flagged.length > 0,
+    reasons: flagged.map(f => `${f.label}: ${f.reason || `${f.confidence} confidence`}`)
+  };
+}
+
+module.exports = {
+  CONFIDENCE_LEVELS,
+  REVIEWED_FIELDS,
+  assessParsedData
+};
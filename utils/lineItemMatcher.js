@@ -0,0 +1,252 @@
+/**
+ * Line Item Matcher
+ * Matches the items a vendor quoted to the items the RFP asked for, so vendors
+ * can be compared item by item and on a like-for-like total.
+ */
+
+// Below this similarity a quoted item is not considered the same as an RFP item
+const MATCH_THRESHOLD = 0.6;
+
+const STOP_WORDS = new Set(['a', 'an', 'the', 'and', 'of', 'for', 'with', 'x', 'pcs', 'pc', 'unit', 'units', 'nos']);
+
+function normalizeName(name) {
+  return (name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// Crude singular form so "Laptops" matches "Laptop"
+function stem(word) {
+  return word.length > 3 ? word.replace(/(es|s)$/, '') : word;
+}
+
+function tokens(name) {
+  return normalizeName(name).split(' ').filter(t => t && !STOP_WORDS.has(t)).map(stem);
+}
+
+function bigrams(text) {
+  const compact = text.replace(/\s+/g, '');
+  const result = [];
+  for (let i = 0; i < compact.length - 1; i++) result.push(compact.slice(i, i + 2));
+  return result;
+}
+
+/**
+ * Similarity of two item names between 0 and 1: the better of word overlap
+ * and character-bigram (Dice) similarity, so both reordered words and small
+ * spelling differences score well
+ */
+function similarity(a, b) {
+  const na = normalizeName(a);
+  const nb = normalizeName(b);
+  if (!na || !nb) return 0;
+  if (na === nb) return 1;
+
+  const ta = new Set(tokens(a));
+  const tb = new Set(tokens(b));
+  const sharedTokens = [...ta].filter(t => tb.has(t)).length;
+  // Overlap relative to the shorter name: "Laptop" vs "Dell Latitude Laptop 14in"
+  const tokenScore = ta.size && tb.size ? sharedTokens / Math.min(ta.size, tb.size) : 0;
+
+  const ba = bigrams(na);
+  const bb = bigrams(nb);
+  const pool = [...bb];
+  let sharedBigrams = 0;
+  for (const gram of ba) {
+    const index = pool.indexOf(gram);
+    if (index !== -1) {
+      sharedBigrams++;
+      pool.splice(index, 1);
+    }
+  }
+  const diceScore = ba.length + bb.length > 0 ? (2 * sharedBigrams) / (ba.length + bb.length) : 0;
+
+  // Token overlap alone overrates one shared generic word, so temper it slightly
+  return Math.max(tokenScore * 0.9, diceScore);
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Unit price of a quoted item, derived from its total when only that was given
+ */
+function getUnitPrice(quoted) {
+  if (quoted.unitPrice !== null && quoted.unitPrice !== undefined) return quoted.unitPrice;
+  if (quoted.totalPrice && quoted.quantity) return round2(quoted.totalPrice / quoted.quantity);
+  return null;
+}
+
+/**
+ * Match one proposal's quoted items to the RFP's items.
+ * overrides: [{ quotedItemName, rfpItemId }] set by a buyer; rfpItemId null marks
+ * the quoted item as not corresponding to any RFP item.
+ * Returns { matches, missing, extra } where each match pairs an RFP item with a quoted item.
+ */
+function matchLineItems(rfpItems = [], quotedItems = [], overrides = []) {
+  const matches = [];
+  const usedRfpItems = new Set();
+  const usedQuoted = new Set();
+  const excluded = new Set();
+
+  const addMatch = (rfpItem, quotedIndex, score, matchedBy) => {
+    const quoted = quotedItems[quotedIndex];
+    const requestedQuantity = rfpItem.quantity ?? 1;
+    const unitPrice = getUnitPrice(quoted);
+
+    matches.push({
+      rfpItemId: rfpItem._id,
+      rfpItemName: rfpItem.name,
+      requestedQuantity,
+      quotedItemName: quoted.itemName,
+      quotedQuantity: quoted.quantity ?? null,
+      unitPrice,
+      totalPrice: quoted.totalPrice ?? null,
+      similarity: round2(score),
+      matchedBy,
+      quantityMismatch: quoted.quantity !== null && quoted.quantity !== undefined && quoted.quantity !== requestedQuantity
+    });
+    usedRfpItems.add(rfpItem._id.toString());
+    usedQuoted.add(quotedIndex);
+  };
+
+  // Buyer decisions first
+  for (const override of overrides) {
+    const quotedIndex = quotedItems.findIndex((q, i) =>
+      !usedQuoted.has(i) && normalizeName(q.itemName) === normalizeName(override.quotedItemName)
+    );
+    if (quotedIndex === -1) continue;
+
+    if (!override.rfpItemId) {
+      usedQuoted.add(quotedIndex);
+      excluded.add(quotedIndex);
+      continue;
+    }
+    const rfpItem = rfpItems.find(item => item._id.toString() === override.rfpItemId.toString());
+    if (rfpItem && !usedRfpItems.has(rfpItem._id.toString())) {
+      addMatch(rfpItem, quotedIndex, similarity(rfpItem.name, quotedItems[quotedIndex].itemName), 'manual');
+    }
+  }
+
+  // Then the most similar remaining pairs, best first, each item used once
+  const candidates = [];
+  rfpItems.forEach(rfpItem => {
+    if (usedRfpItems.has(rfpItem._id.toString())) return;
+    quotedItems.forEach((quoted, quotedIndex) => {
+      if (usedQuoted.has(quotedIndex)) return;
+      const score = similarity(rfpItem.name, quoted.itemName);
+      if (score >= MATCH_THRESHOLD) candidates.push({ rfpItem, quotedIndex, score });
+    });
+  });
+  candidates.sort((a, b) => b.score - a.score);
+
+  for (const { rfpItem, quotedIndex, score } of candidates) {
+    if (usedRfpItems.has(rfpItem._id.toString()) || usedQuoted.has(quotedIndex)) continue;
+    addMatch(rfpItem, quotedIndex, score, score === 1 ? 'exact' : 'fuzzy');
+  }
+
+  return {
+    matches,
+    missing: rfpItems
+      .filter(item => !usedRfpItems.has(item._id.toString()))
+      .map(item => ({ rfpItemId: item._id, rfpItemName: item.name, requestedQuantity: item.quantity ?? 1 })),
+    extra: quotedItems
+      .filter((q, i) => !usedQuoted.has(i))
+      .map(q => ({ itemName: q.itemName, quantity: q.quantity ?? null, unitPrice: q.unitPrice ?? null, totalPrice: q.totalPrice ?? null })),
+    // Quoted items a buyer marked as not matching any RFP item
+    excluded: quotedItems
+      .filter((q, i) => excluded.has(i))
+      .map(q => q.itemName)
+  };
+}
+
+/**
+ * Compare line items across the proposals of a round.
+ * proposals: [{ vendorId, vendorName, itemPricing, overrides }]
+ *
+ * The like-for-like total prices every RFP item at the requested quantity and
+ * the vendor's unit price. Items a vendor did not quote are filled in at the
+ * highest unit price any other vendor quoted, so leaving items out never makes
+ * a quote look cheaper; those amounts are reported as imputed.
+ */
+function compareLineItems(rfpItems = [], proposals = []) {
+  const vendorMatches = proposals.map(p => ({
+    vendorId: p.vendorId,
+    vendorName: p.vendorName,
+    ...matchLineItems(rfpItems, p.itemPricing || [], p.overrides || [])
+  }));
+
+  const items = rfpItems.map(rfpItem => {
+    const id = rfpItem._id.toString();
+    const quotes = vendorMatches.map(v => {
+      const match = v.matches.find(m => m.rfpItemId.toString() === id);
+      return {
+        vendorId: v.vendorId,
+        vendorName: v.vendorName,
+        status: !match ? 'missing' : match.quantityMismatch ? 'quantity_mismatch' : 'quoted',
+        quotedItemName: match?.quotedItemName ?? null,
+        quotedQuantity: match?.quotedQuantity ?? null,
+        unitPrice: match?.unitPrice ?? null,
+        matchedBy: match?.matchedBy ?? null
+      };
+    });
+
+    const prices = quotes.map(q => q.unitPrice).filter(p => p !== null);
+    const lowest = prices.length > 0 ? Math.min(...prices) : null;
+
+    return {
+      rfpItemId: rfpItem._id,
+      name: rfpItem.name,
+      requestedQuantity: rfpItem.quantity ?? 1,
+      lowestUnitPrice: lowest,
+      highestUnitPrice: prices.length > 0 ? Math.max(...prices) : null,
+      lowestPriceVendorIds: quotes.filter(q => q.unitPrice === lowest && lowest !== null).map(q => q.vendorId),
+      quotes: quotes.map(q => ({
+        ...q,
+        // How far above the cheapest quote this vendor is, in percent
+        differencePercent: q.unitPrice !== null && lowest ? round2(((q.unitPrice - lowest) / lowest) * 100) : null
+      }))
+    };
+  });
+
+  const vendors = vendorMatches.map(v => {
+    let quotedTotal = 0;
+    let imputedTotal = 0;
+    let pricedItems = 0;
+
+    for (const item of items) {
+      const quote = item.quotes.find(q => q.vendorId.toString() === v.vendorId.toString());
+      if (quote.unitPrice !== null) {
+        quotedTotal += quote.unitPrice * item.requestedQuantity;
+        pricedItems++;
+      } else if (item.highestUnitPrice !== null) {
+        imputedTotal += item.highestUnitPrice * item.requestedQuantity;
+      }
+    }
+
+    return {
+      vendorId: v.vendorId,
+      vendorName: v.vendorName,
+      missingItems: v.missing.map(m => m.rfpItemName),
+      extraItems: v.extra.map(e => e.itemName),
+      quantityMismatches: v.matches
+        .filter(m => m.quantityMismatch)
+        .map(m => ({ item: m.rfpItemName, requested: m.requestedQuantity, quoted: m.quotedQuantity })),
+      coverage: rfpItems.length > 0 ? round2(pricedItems / rfpItems.length) : null,
+      likeForLikeTotal: round2(quotedTotal),
+      imputedAmount: round2(imputedTotal),
+      normalizedTotal: round2(quotedTotal + imputedTotal),
+      isComplete: pricedItems === rfpItems.length
+    };
+  });
+
+  return { items, vendors };
+}
+
+module.exports = {
+  similarity,
+  matchLineItems,
+  compareLineItems
+};
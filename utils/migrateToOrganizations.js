@@ -0,0 +1,53 @@
+/**
+ * Organization Migration Script
+ * Moves data created before multi-tenancy into a default organization and
+ * replaces the old global unique index on vendor emails
+ * Usage: node utils/migrateToOrganizations.js ["Organization Name"]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
+const RFP = require('../models/RFP');
+const Vendor = require('../models/Vendor');
+const Proposal = require('../models/Proposal');
+const User = require('../models/User');
+const ActivityLog = require('../models/ActivityLog');
+
+async function migrate() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/rfp_management');
+    console.log('Connected to MongoDB');
+
+    const name = process.argv[2] || 'Default Organization';
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+    let organization = await Organization.findOne({ slug });
+    if (!organization) {
+      organization = await Organization.create({ name, slug });
+      console.log(`Created organization '${name}'`);
+    }
+
+    const unscoped = { organization: { $exists: false } };
+    for (const Model of [RFP, Vendor, Proposal, User, ActivityLog]) {
+      const result = await Model.updateMany(unscoped, { $set: { organization: organization._id } });
+      console.log(`  - ${Model.modelName}: ${result.modifiedCount} documents assigned`);
+    }
+
+    // Vendor emails used to be unique globally; they are now unique per organization
+    const indexes = await Vendor.collection.indexes();
+    if (indexes.some(index => index.name === 'email_1')) {
+      await Vendor.collection.dropIndex('email_1');
+      console.log('Dropped global unique index on vendor email');
+    }
+    await Vendor.syncIndexes();
+
+    console.log('\n✅ Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating data:', error);
+    process.exit(1);
+  }
+}
+
+migrate();
@@ -0,0 +1,349 @@
+const { detectCurrency, normalizeCurrency } = require('./currency');
+
+/**
+ * Pricing Sheet Parser
+ * Reads a vendor's CSV/XLSX pricing sheet without the LLM: finds the header row,
+ * maps columns to itemPricing fields, picks out subtotal/tax/total rows and
+ * checks the arithmetic.
+ */
+
+// Checked in order, so the more specific patterns claim a column first
+const COLUMN_PATTERNS = [
+  { field: 'unitPrice', pattern: /\b(unit\s*(price|cost|rate)|price\s*(per|\/)\s*(unit|each|item)|rate|price\s*each|each)\b/ },
+  { field: 'totalPrice', pattern: /\b(line\s*total|total\s*(price|cost|amount)?|amount|extended(\s*price)?|ext\.?\s*price|subtotal)\b/ },
+  { field: 'quantity', pattern: /\b(qty|quantity|units|count|no\.?\s*of\s*units)\b/ },
+  { field: 'itemName', pattern: /\b(item|description|product|service|name|article|part)\b/ },
+  { field: 'notes', pattern: /\b(notes?|remarks?|comments?)\b/ },
+  { field: 'unitPrice', pattern: /\b(price|cost)\b/ }
+];
+
+// Rows that summarize the sheet rather than quote an item
+const SUMMARY_PATTERNS = [
+  { key: 'subtotal', pattern: /^sub[\s-]*total\b/ },
+  { key: 'tax', pattern: /\b(tax|vat|gst|hst|sales\s*tax)\b/ },
+  { key: 'shipping', pattern: /\b(shipping|freight|delivery\s*(charge|fee|cost)s?|handling)\b/ },
+  { key: 'discount', pattern: /\b(discount|rebate)\b/ },
+  { key: 'total', pattern: /^(grand\s*)?total\b|\btotal\s*(due|amount|price|cost|quote)\b/ }
+];
+
+const HEADER_SCAN_ROWS = 25;
+
+// Differences below a cent (or 0.1% on large amounts) are rounding, not errors
+function isClose(a, b) {
+  return Math.abs(a - b) <= Math.max(0.01, Math.abs(b) * 0.001);
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function normalizeHeader(value) {
+  return String(value ?? '').toLowerCase().replace(/[^a-z0-9./\s]+/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Convert a cell to a number: handles currency symbols, thousands separators,
+ * "1.234,56" style decimals and (negative) amounts. Returns null for text.
+ */
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (value === null || value === undefined) return null;
+
+  let text = String(value).trim();
+  if (!text) return null;
+
+  const negative = /^\(.*\)$/.test(text) || /^-/.test(text);
+  text = text.replace(/[$€£¥₹]|\bRs\.?|\b[A-Z]{3}\b/g, '').replace(/[()\s-]/g, '');
+  if (!/^[\d.,]+$/.test(text)) return null;
+
+  // Lakh grouping ("12,50,000") keeps its commas as separators, like thousands groups
+  if (/^\d{1,2}(,\d{2})+,\d{3}(\.\d+)?$/.test(text)) {
+    text = text.replace(/,/g, '');
+  } else if (/^\d{1,3}(\.\d{3})+(,\d+)?$/.test(text) || /^\d+,\d{1,2}$/.test(text)) {
+    text = text.replace(/\./g, '').replace(',', '.');
+  } else {
+    text = text.replace(/,/g, '');
+  }
+
+  const number = parseFloat(text);
+  if (Number.isNaN(number)) return null;
+  return negative ? -number : number;
+}
+
+/**
+ * Split CSV text into rows. Detects comma, semicolon or tab delimiters and
+ * handles quoted fields with embedded delimiters, quotes and newlines.
+ */
+function parseCsv(text) {
+  const content = String(text || '').replace(/^﻿/, '');
+  const firstLine = content.split(/\r?\n/)[0] || '';
+  const delimiter = [',', ';', '\t']
+    .map(d => ({ d, count: firstLine.split(d).length }))
+    .sort((a, b) => b.count - a.count)[0].d;
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Plain value of an ExcelJS cell: formula results, rich text and hyperlinks are unwrapped
+ */
+function cellValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().split('T')[0];
+  if (typeof value === 'object') {
+    if ('result' in value) return cellValue(value.result);
+    if (value.richText) return value.richText.map(r => r.text).join('');
+    if ('text' in value) return value.text;
+    return '';
+  }
+  return value;
+}
+
+/**
+ * Read every sheet of an XLSX workbook as rows of plain values
+ */
+async function readWorkbook(buffer) {
+  const ExcelJS = require('exceljs');
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const sheets = [];
+  workbook.eachSheet(sheet => {
+    const rows = [];
+    sheet.eachRow({ includeEmpty: true }, row => {
+      rows.push(row.values.slice(1).map(cellValue));
+    });
+    sheets.push({ name: sheet.name, rows });
+  });
+  return sheets;
+}
+
+/**
+ * Map header cells to itemPricing fields. Returns { field: columnIndex }
+ */
+function mapColumns(row) {
+  const columns = {};
+  const headers = row.map(normalizeHeader);
+
+  for (const { field, pattern } of COLUMN_PATTERNS) {
+    if (columns[field] !== undefined) continue;
+    const index = headers.findIndex((header, i) =>
+      header && pattern.test(header) && !Object.values(columns).includes(i)
+    );
+    if (index !== -1) columns[field] = index;
+  }
+
+  return columns;
+}
+
+/**
+ * First row that names the item column and at least two of quantity, unit price and total
+ */
+function findHeaderRow(rows) {
+  for (let i = 0; i < Math.min(rows.length, HEADER_SCAN_ROWS); i++) {
+    const columns = mapColumns(rows[i]);
+    const pricingColumns = ['quantity', 'unitPrice', 'totalPrice'].filter(f => columns[f] !== undefined);
+    if (columns.itemName !== undefined && pricingColumns.length >= 2) {
+      return { index: i, columns };
+    }
+  }
+  return null;
+}
+
+function getSummaryKey(row) {
+  const labels = row.filter(cell => typeof cell === 'string' && cell.trim() && toNumber(cell) === null);
+  for (const label of labels.map(normalizeHeader)) {
+    const match = SUMMARY_PATTERNS.find(({ pattern }) => pattern.test(label));
+    if (match) return match.key;
+  }
+  return null;
+}
+
+/**
+ * Currency named in the header row: "Unit Price (EUR)", "Total €"
+ */
+function getHeaderCurrency(row, options) {
+  for (const cell of row) {
+    const match = String(cell ?? '').match(/\b[A-Z]{3}\b|[€£₹¥$]/);
+    const currency = match && normalizeCurrency(match[0], options);
+    if (currency) return currency;
+  }
+  return null;
+}
+
+/**
+ * Amount on a summary row: the total column if filled, otherwise the last number in the row
+ */
+function getSummaryAmount(row, columns) {
+  const fromTotal = columns.totalPrice !== undefined ? toNumber(row[columns.totalPrice]) : null;
+  if (fromTotal !== null) return fromTotal;
+  const numbers = row.map(toNumber).filter(n => n !== null);
+  return numbers.length > 0 ? numbers[numbers.length - 1] : null;
+}
+
+/**
+ * Parse the rows of one sheet. Returns null if no pricing header is found.
+ * options.dollar: currency a bare "$" stands for (default USD)
+ */
+function parsePricingRows(rows, options = {}) {
+  const header = findHeaderRow(rows);
+  if (!header) return null;
+
+  const { columns } = header;
+  const itemPricing = [];
+  const summary = {};
+  const issues = [];
+
+  for (let i = header.index + 1; i < rows.length; i++) {
+    const row = rows[i] || [];
+    const rowNumber = i + 1;
+    if (row.every(cell => String(cell ?? '').trim() === '')) continue;
+
+    const itemName = String(row[columns.itemName] ?? '').trim();
+    const quantity = columns.quantity !== undefined ? toNumber(row[columns.quantity]) : null;
+    const unitPrice = columns.unitPrice !== undefined ? toNumber(row[columns.unitPrice]) : null;
+
+    // Summary rows have a label and an amount but no quantity or unit price
+    const summaryKey = quantity === null && unitPrice === null ? getSummaryKey(row) : null;
+    if (summaryKey) {
+      const amount = getSummaryAmount(row, columns);
+      if (amount !== null) {
+        // Discounts are subtracted whichever sign the vendor used
+        summary[summaryKey] = summaryKey === 'discount' ? Math.abs(amount) : amount;
+      }
+      continue;
+    }
+
+    let totalPrice = columns.totalPrice !== undefined ? toNumber(row[columns.totalPrice]) : null;
+
+    // Section headings and free-text lines carry no pricing
+    if (!itemName || (quantity === null && unitPrice === null && totalPrice === null)) continue;
+
+    if (quantity !== null && unitPrice !== null) {
+      const expected = round2(quantity * unitPrice);
+      if (totalPrice === null) {
+        totalPrice = expected;
+      } else if (!isClose(totalPrice, expected)) {
+        issues.push({
+          type: 'line_total',
+          row: rowNumber,
+          itemName,
+          expected,
+          actual: totalPrice,
+          message: `${itemName}: ${quantity} x ${unitPrice} = ${expected}, but the sheet says ${totalPrice}`
+        });
+      }
+    }
+
+    const item = { itemName, quantity, unitPrice, totalPrice };
+    if (columns.notes !== undefined && String(row[columns.notes] ?? '').trim()) {
+      item.notes = String(row[columns.notes]).trim();
+    }
+    itemPricing.push(item);
+  }
+
+  // A sheet returned without any prices (e.g. our blank template) tells us nothing
+  if (!itemPricing.some(item => item.unitPrice !== null || item.totalPrice !== null)) return null;
+
+  const itemsTotal = round2(itemPricing.reduce((sum, item) => sum + (item.totalPrice || 0), 0));
+
+  if (summary.subtotal !== undefined && !isClose(summary.subtotal, itemsTotal)) {
+    issues.push({
+      type: 'subtotal',
+      expected: itemsTotal,
+      actual: summary.subtotal,
+      message: `Line items add up to ${itemsTotal}, but the subtotal is ${summary.subtotal}`
+    });
+  }
+
+  const subtotal = summary.subtotal ?? itemsTotal;
+  const computedTotal = round2(subtotal + (summary.tax || 0) + (summary.shipping || 0) - (summary.discount || 0));
+
+  if (summary.total !== undefined && !isClose(summary.total, computedTotal)) {
+    issues.push({
+      type: 'total',
+      expected: computedTotal,
+      actual: summary.total,
+      message: `Subtotal, tax, shipping and discount come to ${computedTotal}, but the total is ${summary.total}`
+    });
+  }
+
+  return {
+    headerRow: header.index + 1,
+    // From headers like "Unit Price (EUR)" or amounts typed as "€1,200"; null if the sheet never says
+    currency: getHeaderCurrency(rows[header.index], options) ||
+      detectCurrency(rows.flat().filter(cell => typeof cell === 'string').join('\n'), options),
+    itemPricing,
+    subtotal,
+    tax: summary.tax ?? null,
+    shipping: summary.shipping ?? null,
+    discount: summary.discount ?? null,
+    // The vendor's stated total is what they quoted, even when it does not add up
+    totalPrice: summary.total ?? computedTotal,
+    computedTotal,
+    issues
+  };
+}
+
+/**
+ * Parse a CSV or XLSX pricing sheet. type is 'csv' or 'xlsx'.
+ * For workbooks, the first sheet with a pricing header is used.
+ * Returns null when the file does not look like a pricing sheet.
+ */
+async function parsePricingSheet(buffer, type, options = {}) {
+  const sheets = type === 'xlsx'
+    ? await readWorkbook(buffer)
+    : [{ name: null, rows: parseCsv(buffer.toString('utf8')) }];
+
+  for (const sheet of sheets) {
+    const result = parsePricingRows(sheet.rows, options);
+    if (result) return { sheet: sheet.name, ...result };
+  }
+  return null;
+}
+
+module.exports = {
+  toNumber,
+  parseCsv,
+  readWorkbook,
+  parsePricingRows,
+  parsePricingSheet
+};
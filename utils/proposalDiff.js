@@ -0,0 +1,141 @@
+/**
+ * Proposal Diff
+ * Field-by-field comparison of two versions of a proposal's parsed data
+ */
+
+const FIELDS = [
+  { key: 'currency', label: 'Currency' },
+  { key: 'totalPrice', label: 'Total price', numeric: true },
+  { key: 'deliveryDays', label: 'Delivery days', numeric: true },
+  { key: 'deliveryTimeline', label: 'Delivery timeline' },
+  { key: 'paymentTerms', label: 'Payment terms' },
+  { key: 'warranty', label: 'Warranty' },
+  { key: 'validityPeriod', label: 'Validity period' },
+  { key: 'notes', label: 'Notes' }
+];
+
+const ITEM_FIELDS = [
+  { key: 'quantity', label: 'Quantity', numeric: true },
+  { key: 'unitPrice', label: 'Unit price', numeric: true },
+  { key: 'totalPrice', label: 'Total price', numeric: true },
+  { key: 'notes', label: 'Notes' }
+];
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '';
+}
+
+/**
+ * Compare a single value and return a change entry, or null if unchanged
+ */
+function diffValue(field, from, to, label, numeric) {
+  if (isEmpty(from) && isEmpty(to)) return null;
+  if (!isEmpty(from) && !isEmpty(to) && String(from) === String(to)) return null;
+
+  const change = {
+    field,
+    label,
+    from: isEmpty(from) ? null : from,
+    to: isEmpty(to) ? null : to,
+    changeType: isEmpty(from) ? 'added' : isEmpty(to) ? 'removed' : 'changed'
+  };
+
+  if (numeric && change.changeType === 'changed') {
+    change.difference = to - from;
+    change.differencePercent = from !== 0
+      ? Math.round(((to - from) / from) * 10000) / 100
+      : null;
+  }
+
+  return change;
+}
+
+function normalizeItemName(name) {
+  return (name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Compare item pricing lists, matching items by name
+ */
+function diffItemPricing(fromItems = [], toItems = []) {
+  const changes = [];
+  const toByName = new Map(toItems.map(item => [normalizeItemName(item.itemName), item]));
+  const seen = new Set();
+
+  for (const fromItem of fromItems) {
+    const name = normalizeItemName(fromItem.itemName);
+    const toItem = toByName.get(name);
+    seen.add(name);
+
+    if (!toItem) {
+      changes.push({
+        field: `itemPricing.${fromItem.itemName}`,
+        label: `Item: ${fromItem.itemName}`,
+        from: fromItem,
+        to: null,
+        changeType: 'removed'
+      });
+      continue;
+    }
+
+    for (const { key, label, numeric } of ITEM_FIELDS) {
+      const change = diffValue(
+        `itemPricing.${fromItem.itemName}.${key}`,
+        fromItem[key],
+        toItem[key],
+        `${fromItem.itemName} - ${label}`,
+        numeric
+      );
+      if (change) changes.push(change);
+    }
+  }
+
+  for (const toItem of toItems) {
+    if (!seen.has(normalizeItemName(toItem.itemName))) {
+      changes.push({
+        field: `itemPricing.${toItem.itemName}`,
+        label: `Item: ${toItem.itemName}`,
+        from: null,
+        to: toItem,
+        changeType: 'added'
+      });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Diff two parsedData objects. Returns a list of changes.
+ */
+function diffParsedData(fromData, toData) {
+  const from = fromData || {};
+  const to = toData || {};
+  const changes = [];
+
+  for (const { key, label, numeric } of FIELDS) {
+    const change = diffValue(key, from[key], to[key], label, numeric);
+    if (change) changes.push(change);
+  }
+
+  const fromConditions = from.conditions || [];
+  const toConditions = to.conditions || [];
+  for (const condition of fromConditions) {
+    if (!toConditions.includes(condition)) {
+      changes.push({ field: 'conditions', label: 'Condition', from: condition, to: null, changeType: 'removed' });
+    }
+  }
+  for (const condition of toConditions) {
+    if (!fromConditions.includes(condition)) {
+      changes.push({ field: 'conditions', label: 'Condition', from: null, to: condition, changeType: 'added' });
+    }
+  }
+
+  changes.push(...diffItemPricing(from.itemPricing, to.itemPricing));
+
+  return changes;
+}
+
+module.exports = {
+  diffParsedData
+};
@@ -0,0 +1,566 @@
+/**
+ * Quote Text Parser
+ * Rule-based reading of a vendor quote written as plain text (an email body or the
+ * text extracted from an attached document), so proposals can be parsed without an
+ * AI provider. Reads line items from text tables and from lines such as
+ * "10 x Laptop @ $1,200 each", labelled totals, delivery, payment terms, warranty,
+ * validity and conditions. Every value comes with the line it was read from.
+ */
+
+const { parseMoney, detectCurrency } = require('./currency');
+const { toNumber, parsePricingRows } = require('./pricingSheetParser');
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, eighteen: 18, twenty: 20, thirty: 30, sixty: 60, ninety: 90
+};
+const NUMBER_WORD_PATTERN = new RegExp(`\\b(${Object.keys(NUMBER_WORDS).join('|')})\\b`, 'gi');
+
+// Amounts on these lines describe the vendor, not the quote
+const IGNORED_CONTEXT = /\b(revenue|turnover|annual sales|insur(ed|ance)|liability|coverage|indemnity|capital|net worth|founded|employees|credit limit|bond)\b/i;
+
+// Labelled summary amounts, checked in order (a "Total incl. tax" line is a total)
+const SUMMARY_LINES = [
+  { key: 'subtotal', pattern: /\bsub[\s-]*total\b/i },
+  { key: 'total', pattern: /\bgrand\s+total\b|^\W*total\b|\btotal\s+(due|amount|price|cost|quote|quoted|of|is|payable)\b|\b(quote|order|contract)\s+total\b|^\W*(?:(?:our|the|my)\s+)?(?:quote|quotation|quoted\s+(?:price|amount)|price|offer|bid)\s*(?:is\b|:|-)/i },
+  { key: 'tax', pattern: /\b(tax|vat|gst|hst)\b/i },
+  { key: 'shipping', pattern: /\b(shipping|freight|delivery\s*(charge|fee|cost)s?|handling)\b/i },
+  { key: 'discount', pattern: /\b(discount|rebate)\b/i }
+];
+
+const QUANTITY_PATTERNS = [
+  /\b(?:qty|quantity)\s*[:\-=]?\s*(\d+(?:\.\d+)?)/i,
+  /(?:^|[\s(])(\d+(?:\.\d+)?)\s*(?:x|×)\s+(?=\S)/i,
+  /\S\s*(?:x|×)\s*(\d+)\b(?!\s*(?:mm|cm|in|"|'))/i,
+  /\b(\d+(?:\.\d+)?)\s*(?:units?|pcs|pieces|nos|ea|sets?|licen[cs]es|seats|users|boxes|packs|each)\b/i,
+  /^\s*(?:[-*•]\s*)?(\d+)\s+(?=[A-Za-z])/
+];
+// "supply 50 laptops at $1,200 each": a count before a word, read only when the clause has a unit price
+const COUNT_BEFORE_NOUN = /(?:^|[\s(])(\d+(?:\.\d+)?)\s+(?!(?:days?|weeks?|months?|years?|hours?|percent)\b)(?=[A-Za-z])/i;
+
+// "$45k", "€1.2M", "₹12 lakh"
+const AMOUNT_SCALE = /^\s?(k|thousand|mn|m|million|lakhs?|crores?)\b/i;
+const SCALES = { k: 1e3, thousand: 1e3, m: 1e6, mn: 1e6, million: 1e6, lakh: 1e5, lakhs: 1e5, crore: 1e7, crores: 1e7 };
+
+// Where one clause of a line ends and the next begins: "…each and 20 monitors…", "…$12,500 plus $500 shipping"
+const CLAUSE_SEPARATOR = /(;\s*|,\s+(?:and\s+)?|\s+and\s+|\s+plus\s+)/i;
+// Words around an amount that do not name anything: "$60,000 total", "$1,200 each"
+const AMOUNT_WORDS = /\b(each|ea|apiece|per\s+\w+|unit\s*(price|cost|rate)?|price|line\s*total|total|qty|quantity|at|for|all|only|in|is|of|x)\b|[@=×]/gi;
+
+// Payment terms that would read as a delivery time: "net 30", "30 days from invoice", "payment within 30 days"
+const PAYMENT_FRAGMENT = /\bnet\s*[-:]?\s*\d+(?:\s*days?)?(?:\s*(?:eom|end of month))?|\b\d+\s*days?\s*net\b|\b\d+\s*days?\s*(?:from|after|of)\s*(?:the\s+)?(?:date\s+of\s+)?invoice\w*|\bpayment\b[^,.;]*/gi;
+
+// "$1,200 each", "$1,200 per unit", "$1,200/unit"
+const UNIT_SUFFIX = /^\s*(?:each|ea\b|apiece|per\s+(?:unit|piece|item|pc|license|licence|seat|user|set|box|pack)|\/\s*(?:unit|ea|each|pc|piece|item|license|licence|seat|user))/i;
+// "@ $1,200", "at $1,200", "unit price: $1,200"
+const UNIT_PREFIX = /(?:@|\bat|unit\s*(?:price|cost|rate)\s*[:\-]?|price\s*per\s*(?:unit|item)\s*[:\-]?|each\s*[:\-]?)\s*$/i;
+// "= $12,000", "total: $12,000", "for $12,000"
+const TOTAL_PREFIX = /(?:=|\b(?:line\s*)?total\s*[:\-]?|\bfor(?:\s+all)?|\bamount\s*[:\-]?)\s*$/i;
+
+const DURATION = /(\d+(?:\.\d+)?)(?:\s*(?:-|–|to)\s*(\d+(?:\.\d+)?))?\s*(business|working|calendar)?\s*(days?|weeks?|wks?|months?)\b/i;
+const DELIVERY_CONTEXT = /\b(deliver(y|ed|ing|s)?|lead[\s-]*time|ship(ping|ped|s)?|dispatch(ed)?|turn[\s-]*around|eta|aro|installation)\b/i;
+const PAYMENT_CONTEXT = /\b(payment|terms|net\s*\d+|invoice|advance|deposit|upfront|up-front|cod|cash on delivery|due on receipt|prepay(ment)?|letter of credit|l\/c|eom)\b/i;
+const WARRANTY_CONTEXT = /\b(warrant(y|ies|ied)|guarantee(d)?)\b/i;
+const VALIDITY_CONTEXT = /\b(valid(ity)?|expires?|expiry|held\s+(firm\s+)?for|good\s+for|offer\s+stands)\b/i;
+const CONDITION_CONTEXT = /\b(subject to|excludes?|excluding|not included|does not include|minimum order|moq|assum(es|ing)|contingent|provided that|exclusive of|plus applicable)\b/i;
+
+const DATE = /(?:[A-Z][a-z]+\.?\s+\d{1,2}(?:st|nd|rd|th)?,?\s*\d{4}|\d{1,2}(?:st|nd|rd|th)?\s+[A-Z][a-z]+,?\s+\d{4}|\d{4}-\d{2}-\d{2}|\d{1,2}[/.]\d{1,2}[/.]\d{2,4})/;
+
+// Greetings, "we can supply the" and labels in front of an item name
+const LEADING_FILLER = /^\s*(?:(?:hi|hello|dear\s+\w+|greetings)\b[\s,!]*)?(?:(?:we|i)\s+(?:can|will|could|would|are\s+pleased\s+to|are\s+happy\s+to)?\s*(?:supply|provide|offer|quote|deliver|sell)\s+)?(?:(?:quote|quotation|item|product|description|offer)\s*:\s*)?(?:(?:the|a|an|our)\s+)?/i;
+// Where a prose item name ends: "the printers, depending on model"
+const CLAUSE_BREAK = /[,;]|\s+(?:depending|which|that|if|subject)\b/i;
+
+const MAX_CONDITIONS = 5;
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function wordsToNumbers(text) {
+  return text.replace(NUMBER_WORD_PATTERN, word => NUMBER_WORDS[word.toLowerCase()]);
+}
+
+function plural(count, unit) {
+  return `${count} ${unit}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Split a text-table line into cells: pipes, tabs or runs of two or more spaces.
+ * Returns null for ordinary prose.
+ */
+function splitCells(line) {
+  let cells;
+  if (line.includes('|')) cells = line.split('|');
+  else if (line.includes('\t')) cells = line.split('\t');
+  else cells = line.split(/\s{2,}/);
+
+  cells = cells.map(cell => cell.trim());
+  if (cells[0] === '') cells.shift();
+  if (cells[cells.length - 1] === '') cells.pop();
+  return cells.length >= 3 ? cells : null;
+}
+
+/**
+ * Line items from the first text table with a pricing header
+ * ("Item | Qty | Unit Price | Total"), with its subtotal/tax/total rows
+ */
+function parseTextTables(lines, options) {
+  let block = [];
+  const blocks = [];
+
+  for (const line of lines) {
+    if (/^\s*\|?\s*:?-{3,}/.test(line)) continue;
+    const cells = splitCells(line);
+    if (cells) {
+      block.push(cells);
+    } else if (block.length > 0) {
+      blocks.push(block);
+      block = [];
+    }
+  }
+  if (block.length > 0) blocks.push(block);
+
+  for (const rows of blocks.filter(b => b.length >= 2)) {
+    const table = parsePricingRows(rows, options);
+    if (table) return table;
+  }
+  return null;
+}
+
+/**
+ * Amounts on a line in the quote currency, with where they sit in the line,
+ * the upper end of ranges ("$1,100 - $1,300", "$1,100-1,300") and
+ * "k"/"M"/"lakh" suffixes applied ("$45k" is 45000, marked scaled)
+ */
+function lineAmounts(line, currency, options) {
+  const amounts = [];
+  let cursor = 0;
+  let rangeEnd = 0;
+
+  for (const money of parseMoney(line, options)) {
+    const index = line.indexOf(money.text, cursor);
+    let end = index + money.text.length;
+    cursor = end;
+    // The upper end of a range already read
+    if (index < rangeEnd || (currency && money.currency !== currency)) continue;
+
+    let amount = { amount: money.amount, text: money.text, index };
+    const range = line.slice(end).match(/^\s*(?:-|–|to)\s*(?:[^\d\s]{1,3}\s?)?([\d][\d.,]*)/);
+    const upper = range ? toNumber(range[1]) : null;
+    if (upper !== null && upper > money.amount) {
+      rangeEnd = end + range[0].length;
+      end = rangeEnd;
+      amount = { amount: upper, low: money.amount, text: line.slice(index, rangeEnd), index };
+    }
+
+    const scale = line.slice(end).match(AMOUNT_SCALE);
+    if (scale) {
+      const factor = SCALES[scale[1].toLowerCase()];
+      amount = {
+        ...amount,
+        amount: round2(amount.amount * factor),
+        ...(amount.low !== undefined && { low: round2(amount.low * factor) }),
+        text: line.slice(index, end + scale[0].length),
+        scaled: true
+      };
+      cursor = rangeEnd = end + scale[0].length;
+    }
+    amounts.push(amount);
+  }
+  return amounts;
+}
+
+/**
+ * Whether a clause names something besides its amounts ("20 monitors @ $300"),
+ * rather than only qualifying them ("$60,000 total")
+ */
+function namesSomething(text, amounts) {
+  if (SUMMARY_LINES.some(({ pattern }) => pattern.test(text))) return true;
+  let rest = text;
+  for (const amount of amounts) rest = rest.replace(amount.text, ' ');
+  return /[a-z]{2,}/i.test(rest.replace(AMOUNT_WORDS, ' '));
+}
+
+/**
+ * Split a line into clauses that each quote one thing:
+ * "50 laptops at $1,200 each and 20 monitors @ $300 per unit" gives two.
+ * Parts without an amount stay with the clause they describe.
+ * Returns [{ text, amounts }]
+ */
+function splitClauses(line, currency, options) {
+  const parts = line.split(CLAUSE_SEPARATOR);
+  const clauses = [];
+  let pending = '';
+
+  for (let i = 0; i < parts.length; i += 2) {
+    const separator = i > 0 ? parts[i - 1] : '';
+    const part = parts[i];
+    const amounts = lineAmounts(part, currency, options);
+    const last = clauses[clauses.length - 1];
+
+    if (amounts.length === 0) {
+      // Leading description joins the next clause; trailing remarks stay with the last one
+      pending += (pending ? separator : '') + part;
+      continue;
+    }
+    if (last && !pending && !namesSomething(part, amounts)) {
+      last.text += separator + part;
+      continue;
+    }
+    clauses.push({ text: pending ? pending + separator + part : part });
+    pending = '';
+  }
+
+  if (clauses.length === 0) return [{ text: line, amounts: [] }];
+  if (pending) clauses[clauses.length - 1].text += ', ' + pending;
+  return clauses.map(clause => ({ text: clause.text, amounts: lineAmounts(clause.text, currency, options) }));
+}
+
+/**
+ * One quoted item from a prose clause, or null if it does not look like one
+ */
+function parseItemLine(line, amounts) {
+  if (amounts.length === 0) return null;
+
+  let withoutAmounts = line;
+  for (const amount of amounts) withoutAmounts = withoutAmounts.replace(amount.text, ' '.repeat(amount.text.length));
+
+  let unit = null;
+  let total = null;
+  for (const amount of amounts) {
+    const before = line.slice(0, amount.index);
+    const after = line.slice(amount.index + amount.text.length);
+    if (!unit && (UNIT_SUFFIX.test(after) || UNIT_PREFIX.test(before))) unit = amount;
+    else if (!total && TOTAL_PREFIX.test(before)) total = amount;
+  }
+  const rest = amounts.filter(a => a !== unit && a !== total);
+  if (!total && rest.length > 0) total = rest[rest.length - 1];
+  if (!unit && rest.length > 1) unit = rest[0];
+  // A line total is never below the unit price
+  if (unit && total && total.amount < unit.amount) total = null;
+
+  let quantity = null;
+  let quantityText = null;
+  for (const pattern of unit ? [...QUANTITY_PATTERNS, COUNT_BEFORE_NOUN] : QUANTITY_PATTERNS) {
+    const match = withoutAmounts.match(pattern);
+    if (match) {
+      quantity = parseFloat(match[1]);
+      quantityText = match[0];
+      break;
+    }
+  }
+
+  // Prose only counts as an item line with a quantity, a per-unit price or a list/label layout
+  const listLike = /^\s*(?:[-*•]|\d+[.)])\s+/.test(line) || /^[^:$€£₹]{2,60}:\s*\S/.test(line);
+  if (quantity === null && !unit && !listLike) return null;
+
+  let name = withoutAmounts;
+  if (quantityText) name = name.replace(quantityText, ' ');
+  name = name
+    .replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '')
+    .replace(LEADING_FILLER, '')
+    .split(CLAUSE_BREAK)[0]
+    .replace(/\/\s*(unit|ea|each|pc|piece|item|license|licence|seat|user)\b/gi, ' ')
+    .replace(/\b(each|ea|apiece|per\s+(unit|piece|item|pc|license|licence|seat|user|set|box|pack)|unit\s*(price|cost|rate)|price|line\s*total|total|qty|quantity|at|for|@|x|×)\b/gi, ' ')
+    .replace(/[@=×:|/()\-–,]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s.!?;]+|[\s.!?;]+$/g, '');
+
+  if (!/[a-z]{2,}/i.test(name) || name.split(' ').length > 10) return null;
+
+  const notes = [unit, total].filter(a => a && a.low !== undefined)
+    .map(a => `Quoted as a range (${a.text})`);
+
+  let unitPrice = unit ? unit.amount : null;
+  let totalPrice = total ? total.amount : null;
+  if (unitPrice !== null && quantity !== null && totalPrice === null) totalPrice = round2(unitPrice * quantity);
+  if (unitPrice === null && totalPrice !== null && quantity) unitPrice = round2(totalPrice / quantity);
+
+  const item = { itemName: name, quantity, unitPrice, totalPrice };
+  if (notes.length > 0) item.notes = notes.join('; ');
+  return item;
+}
+
+/**
+ * Delivery in days: "2-3 weeks" takes the longer end, business days become calendar days
+ */
+function parseDelivery(lines) {
+  // Payment terms are cut out of a line first, so "delivery 30 days, net 30" still counts
+  const line = lines.find(l => {
+    const text = l.replace(PAYMENT_FRAGMENT, ' ');
+    return DURATION.test(text) && DELIVERY_CONTEXT.test(text) && !WARRANTY_CONTEXT.test(l) && !VALIDITY_CONTEXT.test(l);
+  });
+  if (!line) return null;
+
+  const match = line.replace(PAYMENT_FRAGMENT, ' ').match(DURATION);
+  const amount = parseFloat(match[2] || match[1]);
+  const unit = match[4].toLowerCase();
+  let days = unit.startsWith('w') ? amount * 7 : unit.startsWith('m') ? amount * 30 : amount;
+  if (/business|working/i.test(match[3] || '')) days = Math.ceil(days * 7 / 5);
+
+  return {
+    deliveryDays: Math.round(days),
+    deliveryTimeline: match[0].trim(),
+    source: line,
+    confidence: match[2] ? 'medium' : 'high'
+  };
+}
+
+/**
+ * Payment terms in a form the rest of the system understands:
+ * "Net 30", "2/10 Net 30", "Net 45 EOM", "50% advance, balance on delivery",
+ * "Due on receipt", "Cash on delivery", "100% advance", "Letter of credit at sight"
+ */
+function normalizePaymentTerms(line) {
+  const text = wordsToNumbers(line);
+  let match;
+
+  if ((match = text.match(/(\d+(?:\.\d+)?)\s*%?\s*\/\s*(\d+)\s*,?\s*net\s*(\d+)/i))) {
+    return `${match[1]}/${match[2]} Net ${match[3]}`;
+  }
+  if ((match = text.match(/\bnet\s*[-:]?\s*(\d+)(?:\s*days?)?(\s*(?:eom|end of month))?/i) ||
+      text.match(/\b(\d+)\s*days?\s*net\b()/i))) {
+    return `Net ${match[1]}${match[2] ? ' EOM' : ''}`;
+  }
+  if ((match = text.match(/(\d+)\s*%\s*(?:advance|upfront|up-front|deposit|down\s*payment|(?:with|on)\s+(?:order|po|signing))/i))) {
+    if (match[1] === '100') return '100% advance';
+    const balance = text.match(/\b(?:balance|remainder|remaining\s+\d+\s*%)\s+(?:due\s+|payable\s+)?((?:on|upon|within|after|before)\s+[^.;,]+)/i);
+    return `${match[1]}% advance${balance ? `, balance ${balance[1].trim().toLowerCase()}` : ''}`;
+  }
+  if ((match = text.match(/(\d+)\s*days?\s*(?:from|after|of)\s*(?:the\s+)?(?:date\s+of\s+)?(?:receipt\s+of\s+)?invoice/i) ||
+      text.match(/within\s+(\d+)\s*days?\s*(?:of|from|after)\s*(?:the\s+)?invoic/i))) {
+    return `Net ${match[1]}`;
+  }
+  if ((match = text.match(/(\d+)\s*days?\s*(?:from|after|of)\s*(?:the\s+)?(delivery|shipment|receipt of goods)/i))) {
+    return `${match[1]} days from ${match[2].toLowerCase()}`;
+  }
+  if (/\b(due|payable)\s+(up)?on\s+receipt\b|\bupon\s+receipt\b/i.test(text)) return 'Due on receipt';
+  if (/\bcod\b|cash\s+on\s+delivery|payment\s+(up)?on\s+delivery/i.test(text)) return 'Cash on delivery';
+  if (/payment\s+in\s+advance|\bprepaid\b|\bprepayment\b|cash\s+with\s+order|\bcwo\b|full\s+payment\s+(up\s*front|with\s+order)/i.test(text)) {
+    return '100% advance';
+  }
+  if (/letter\s+of\s+credit|\bl\/c\b/i.test(text)) {
+    return `Letter of credit${/at\s+sight/i.test(text) ? ' at sight' : ''}`;
+  }
+
+  // Anything else after a "Payment terms:" label is kept as written
+  match = line.match(/payment\s*terms?\s*[:\-]\s*(.+)$/i);
+  return match ? match[1].trim().replace(/\.$/, '').slice(0, 120) : null;
+}
+
+function parsePaymentTerms(lines) {
+  const labelled = lines.filter(line => /payment\s*terms?|terms\s+of\s+payment/i.test(line));
+  const others = lines.filter(line => PAYMENT_CONTEXT.test(line) && !labelled.includes(line));
+
+  for (const line of [...labelled, ...others]) {
+    const paymentTerms = normalizePaymentTerms(line);
+    if (paymentTerms) {
+      return { paymentTerms, source: line, confidence: labelled.includes(line) ? 'high' : 'medium' };
+    }
+  }
+  return null;
+}
+
+function parseWarranty(lines) {
+  for (const line of lines.filter(l => WARRANTY_CONTEXT.test(l))) {
+    const text = wordsToNumbers(line);
+    const match = text.match(/(\d+(?:\.\d+)?)[\s-]*(years?|yrs?|months?|mos?)\b/i);
+    if (match) {
+      const unit = /^y/i.test(match[2]) ? 'year' : 'month';
+      return { warranty: `${plural(parseFloat(match[1]), unit)} warranty`, source: line, confidence: 'high' };
+    }
+    if (/lifetime/i.test(text)) return { warranty: 'Lifetime warranty', source: line, confidence: 'high' };
+    if (/\b(a|one)[\s-]*year\b/i.test(line)) return { warranty: '1 year warranty', source: line, confidence: 'high' };
+  }
+  return null;
+}
+
+/**
+ * How long the quote is valid: "30 days" or "Until March 31, 2026"
+ */
+function parseValidity(lines) {
+  for (const line of lines.filter(l => VALIDITY_CONTEXT.test(l) && !WARRANTY_CONTEXT.test(l))) {
+    const text = wordsToNumbers(line);
+    const duration = text.match(DURATION);
+    if (duration) {
+      const unit = duration[4].toLowerCase().startsWith('w') ? 'week' : duration[4].toLowerCase().startsWith('m') ? 'month' : 'day';
+      return { validityPeriod: plural(parseFloat(duration[2] || duration[1]), unit), source: line, confidence: 'high' };
+    }
+    const date = line.match(DATE);
+    if (date) return { validityPeriod: `Until ${date[0]}`, source: line, confidence: 'high' };
+  }
+  return null;
+}
+
+// How much text may sit between a summary label and its amount: "Total cost is $12,500", "$500 shipping"
+const LABEL_REACH = 25;
+
+function gapLength(text) {
+  return text.replace(/[\s|:=\-–]+/g, ' ').trim().length;
+}
+
+/**
+ * The amount a summary label refers to: the first one right after the label,
+ * else the one right before it
+ */
+function labelledAmount(clause, pattern, amounts) {
+  const label = clause.match(pattern);
+  const labelEnd = label.index + label[0].length;
+  return amounts.find(a => a.index >= labelEnd && gapLength(clause.slice(labelEnd, a.index)) <= LABEL_REACH) ||
+    [...amounts].reverse().find(a => a.index + a.text.length <= label.index &&
+      gapLength(clause.slice(a.index + a.text.length, label.index)) <= LABEL_REACH) ||
+    null;
+}
+
+/**
+ * The summary figure a clause states, as { key, amount }, or null.
+ * "Price: $1,200 each" is a unit price, not the quote total.
+ */
+function summaryAmount(clause, amounts) {
+  const match = SUMMARY_LINES.find(({ pattern }) => pattern.test(clause));
+  if (!match || amounts.length === 0) return null;
+
+  const found = labelledAmount(clause, match.pattern, amounts);
+  if (!found || (match.key === 'total' && UNIT_SUFFIX.test(clause.slice(found.index + found.text.length)))) return null;
+  return { key: match.key, amount: found };
+}
+
+/**
+ * Subtotal, total, tax, shipping and discount, read one clause at a time so
+ * "Total cost is $12,500 plus $500 shipping" gives both the total and the shipping
+ */
+function parseSummary(lines, currency, options) {
+  const summary = {};
+  for (const line of lines) {
+    if (IGNORED_CONTEXT.test(line)) continue;
+
+    for (const { text: clause, amounts } of splitClauses(line, currency, options)) {
+      const stated = summaryAmount(clause, amounts);
+      if (!stated) continue;
+      const { key, amount: found } = stated;
+
+      const entry = {
+        amount: key === 'discount' ? Math.abs(found.amount) : found.amount,
+        source: line,
+        grand: /grand\s+total/i.test(clause),
+        scaled: !!found.scaled
+      };
+      // A grand total beats any earlier total; otherwise the last one stated wins
+      if (key === 'total') {
+        summary.totals = [...(summary.totals || []), entry];
+        if (summary.total?.grand && !entry.grand) continue;
+      }
+      summary[key] = entry;
+    }
+  }
+  return summary;
+}
+
+/**
+ * Parse quote text. Returns the parsedData fields plus
+ * evidence: { field: { confidence, source, reason } } for the fields it filled.
+ * options.dollar: currency a bare "$" stands for (default USD)
+ */
+function parseQuoteText(text, options = {}) {
+  const content = String(text || '');
+  // Sentences, so one-paragraph emails are read a statement at a time
+  const lines = content.split(/\r?\n/)
+    .flatMap(line => line.split(/(?<=[.!?])\s+(?=[A-Z0-9])/))
+    .map(line => line.trim())
+    .filter(Boolean);
+  const evidence = {};
+
+  const currency = detectCurrency(content, options);
+  if (currency) {
+    const first = lines.filter(l => !IGNORED_CONTEXT.test(l))
+      .flatMap(l => parseMoney(l, options))
+      .find(m => m.currency === currency);
+    evidence.currency = first
+      ? { confidence: 'medium', source: first.text }
+      : { confidence: 'high', source: lines.find(l => l.toUpperCase().includes(currency)) };
+  }
+
+  // Line items: a text table if there is one, otherwise item-like lines
+  const table = parseTextTables(content.split(/\r?\n/), options);
+  let itemPricing = table ? table.itemPricing : [];
+  if (!table) {
+    for (const line of lines) {
+      if (IGNORED_CONTEXT.test(line)) continue;
+      for (const clause of splitClauses(line, currency, options)) {
+        if (summaryAmount(clause.text, clause.amounts)) continue;
+        if (DELIVERY_CONTEXT.test(clause.text) && DURATION.test(clause.text)) continue;
+        const item = parseItemLine(clause.text, clause.amounts);
+        if (item) itemPricing.push(item);
+      }
+    }
+  }
+
+  const summary = parseSummary(lines, currency, options);
+  const extras = (summary.tax?.amount || 0) + (summary.shipping?.amount || 0) - (summary.discount?.amount || 0);
+  const itemsTotal = itemPricing.length > 0 && itemPricing.every(item => item.totalPrice !== null)
+    ? round2(itemPricing.reduce((sum, item) => sum + item.totalPrice, 0))
+    : null;
+
+  // Total: as stated, else built up from the subtotal or the line items; never the largest figure
+  let totalPrice = null;
+  if (summary.total) {
+    totalPrice = summary.total.amount;
+    const distinct = new Set(summary.totals.map(t => t.amount));
+    evidence.totalPrice = { confidence: distinct.size > 1 || summary.total.scaled ? 'medium' : 'high', source: summary.total.source };
+    if (summary.total.scaled) evidence.totalPrice.reason = 'total written with a k/M suffix';
+  } else if (table && table.totalPrice !== null) {
+    totalPrice = table.totalPrice;
+    evidence.totalPrice = { confidence: 'medium', source: 'pricing table in the quote', verified: true, reason: 'no total stated; added up the pricing table' };
+  } else if (summary.subtotal) {
+    totalPrice = round2(summary.subtotal.amount + extras);
+    evidence.totalPrice = { confidence: 'medium', source: summary.subtotal.source, reason: 'no total stated; subtotal plus tax, shipping and discount' };
+  } else if (itemsTotal !== null) {
+    totalPrice = round2(itemsTotal + extras);
+    evidence.totalPrice = { confidence: 'medium', source: 'line items in the quote', verified: true, reason: 'no total stated; sum of the line items' };
+  } else {
+    const amounts = lines.filter(l => !IGNORED_CONTEXT.test(l)).flatMap(l => lineAmounts(l, currency, options)
+      .map(a => ({ ...a, line: l })));
+    if (new Set(amounts.map(a => a.amount)).size === 1) {
+      totalPrice = amounts[0].amount;
+      evidence.totalPrice = { confidence: 'low', source: amounts[0].line, reason: 'no total stated; the only amount in the quote' };
+    }
+  }
+
+  const delivery = parseDelivery(lines);
+  const payment = parsePaymentTerms(lines);
+  const warranty = parseWarranty(lines);
+  const validity = parseValidity(lines);
+
+  if (delivery) evidence.deliveryDays = { confidence: delivery.confidence, source: delivery.source };
+  if (payment) evidence.paymentTerms = { confidence: payment.confidence, source: payment.source };
+  if (warranty) evidence.warranty = { confidence: warranty.confidence, source: warranty.source };
+  if (validity) evidence.validityPeriod = { confidence: validity.confidence, source: validity.source };
+
+  const conditions = lines
+    .filter(line => CONDITION_CONTEXT.test(line))
+    .slice(0, MAX_CONDITIONS)
+    .map(line => line.slice(0, 200));
+
+  return {
+    currency,
+    totalPrice,
+    itemPricing,
+    subtotal: summary.subtotal?.amount ?? table?.subtotal ?? null,
+    tax: summary.tax?.amount ?? table?.tax ?? null,
+    shipping: summary.shipping?.amount ?? table?.shipping ?? null,
+    discount: summary.discount?.amount ?? table?.discount ?? null,
+    deliveryTimeline: delivery ? delivery.deliveryTimeline : null,
+    deliveryDays: delivery ? delivery.deliveryDays : null,
+    paymentTerms: payment ? payment.paymentTerms : null,
+    warranty: warranty ? warranty.warranty : null,
+    validityPeriod: validity ? validity.validityPeriod : null,
+    conditions,
+    evidence
+  };
+}
+
+module.exports = {
+  normalizePaymentTerms,
+  parseQuoteText
+};
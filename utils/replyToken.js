@@ -0,0 +1,48 @@
+/**
+ * Reply Tokens
+ * Each RFP has a short token that is added to the subject of outgoing emails
+ * ("[RFP-1a2b3c4d5e]") and, when enabled, to a plus-addressed Reply-To
+ * ("buyer+rfp-1a2b3c4d5e@example.com"). Vendor replies usually keep one of the two.
+ */
+
+const SUBJECT_TAG = /\[RFP-([a-f0-9]{6,20})\]/gi;
+const PLUS_ADDRESS = /\+rfp-([a-f0-9]{6,20})@/gi;
+
+/**
+ * Append the RFP tag to a subject unless it is already there
+ */
+function tagSubject(subject, token) {
+  const tag = `[RFP-${token}]`;
+  return (subject || '').includes(tag) ? subject : `${subject || ''} ${tag}`.trim();
+}
+
+/**
+ * Plus-addressed variant of the mailbox address: user@domain -> user+rfp-<token>@domain
+ */
+function buildReplyAddress(address, token) {
+  const [local, domain] = (address || '').split('@');
+  if (!local || !domain) return null;
+  return `${local.split('+')[0]}+rfp-${token}@${domain}`;
+}
+
+function collect(pattern, text) {
+  return Array.from((text || '').matchAll(pattern), match => match[1].toLowerCase());
+}
+
+/**
+ * All reply tokens found in an inbound email's recipients and subject
+ */
+function extractReplyTokens(email) {
+  const tokens = [
+    ...(email.recipients || []).flatMap(address => collect(PLUS_ADDRESS, address)),
+    ...collect(PLUS_ADDRESS, email.to),
+    ...collect(SUBJECT_TAG, email.subject)
+  ];
+  return [...new Set(tokens)];
+}
+
+module.exports = {
+  tagSubject,
+  buildReplyAddress,
+  extractReplyTokens
+};
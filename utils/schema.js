@@ -0,0 +1,130 @@
+/**
+ * Schema
+ * Minimal validator for untrusted JSON (AI replies): checks each field against a
+ * declared type and converts what can be converted safely ("$12,500" -> 12500,
+ * "3 weeks" -> 21 days, "2026-03-01" -> Date). Anything else is reported as an error.
+ *
+ * Field types: string, number, integer, days, date, boolean, currency, enum (values),
+ * array (items), object (properties). Options: required, nullable (default true),
+ * min, max, default.
+ */
+
+const { toNumber } = require('./pricingSheetParser');
+const { normalizeCurrency } = require('./currency');
+
+const DAY_UNITS = [
+  { pattern: /\bweeks?\b/, days: 7 },
+  { pattern: /\bmonths?\b/, days: 30 },
+  { pattern: /\bdays?\b/, days: 1 }
+];
+
+function isEmpty(value) {
+  return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+}
+
+function coerceNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : undefined;
+  if (typeof value !== 'string') return undefined;
+  const number = toNumber(value);
+  return number === null ? undefined : number;
+}
+
+// "21", "3 weeks", "2-3 weeks" (the longer end), "1 month" -> days
+function coerceDays(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? Math.round(value) : undefined;
+  if (typeof value !== 'string') return undefined;
+
+  const match = value.toLowerCase().match(/(\d+(?:\.\d+)?)(?:\s*(?:-|to)\s*(\d+(?:\.\d+)?))?\s*([a-z\s]*)/);
+  if (!match) return undefined;
+  const amount = parseFloat(match[2] || match[1]);
+  const unit = match[3].trim();
+  if (!unit) return Math.round(amount);
+  const known = DAY_UNITS.find(u => u.pattern.test(unit));
+  return known ? Math.round(amount * known.days) : undefined;
+}
+
+function coerceDate(value) {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? undefined : value;
+  if (typeof value !== 'string' && typeof value !== 'number') return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+const COERCERS = {
+  string: value => (typeof value === 'string' ? value.trim() : typeof value === 'number' ? String(value) : undefined),
+  number: coerceNumber,
+  integer: value => {
+    const number = coerceNumber(value);
+    return number === undefined ? undefined : Math.round(number);
+  },
+  days: coerceDays,
+  date: coerceDate,
+  boolean: value => {
+    if (typeof value === 'boolean') return value;
+    if (value === 'true' || value === 'yes') return true;
+    if (value === 'false' || value === 'no') return false;
+    return undefined;
+  },
+  currency: value => normalizeCurrency(value) || undefined
+};
+
+/**
+ * Validate and coerce a value against a field definition.
+ * Returns { value, errors: ['path: message'] }
+ */
+function check(field, value, path, errors) {
+  const label = path || 'value';
+
+  if (isEmpty(value)) {
+    if (field.default !== undefined) return typeof field.default === 'function' ? field.default() : field.default;
+    if (field.required || field.nullable === false) errors.push(`${label}: is required`);
+    return field.type === 'array' ? [] : null;
+  }
+
+  if (field.type === 'object') {
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      errors.push(`${label}: must be an object`);
+      return null;
+    }
+    const result = {};
+    for (const [key, child] of Object.entries(field.properties || {})) {
+      result[key] = check(child, value[key], path ? `${path}.${key}` : key, errors);
+    }
+    return result;
+  }
+
+  if (field.type === 'array') {
+    // A lone value where a list was asked for is a list of one
+    const list = Array.isArray(value) ? value : [value];
+    return list.map((item, i) => check(field.items, item, `${label}[${i}]`, errors));
+  }
+
+  if (field.type === 'enum') {
+    const match = field.values.find(v => String(v).toLowerCase() === String(value).trim().toLowerCase());
+    if (match === undefined) errors.push(`${label}: must be one of ${field.values.join(', ')}`);
+    return match ?? null;
+  }
+
+  const coerced = COERCERS[field.type](value);
+  if (coerced === undefined) {
+    errors.push(`${label}: expected ${field.type}, got ${JSON.stringify(value).slice(0, 60)}`);
+    return null;
+  }
+  if (field.min !== undefined && coerced < field.min) errors.push(`${label}: must be at least ${field.min}`);
+  if (field.max !== undefined && coerced > field.max) errors.push(`${label}: must be at most ${field.max}`);
+  return coerced;
+}
+
+/**
+ * Validate data against an object schema ({ type: 'object', properties }).
+ * Unknown keys are dropped. Returns { valid, value, errors }.
+ */
+function validate(schema, data) {
+  const errors = [];
+  const value = check(schema, data, '', errors);
+  return { valid: errors.length === 0, value, errors };
+}
+
+module.exports = {
+  validate
+};
@@ -0,0 +1,279 @@
+/**
+ * Scoring Model
+ * Deterministic weighted scoring of proposals against an RFP's evaluation criteria.
+ * Every criterion scores 0-100 with a documented rule, so the same proposals and
+ * weights always produce the same ranking.
+ */
+
+const { paymentDays, warrantyMonths, STATUS } = require('./complianceEngine');
+
+const CRITERIA = {
+  price: {
+    label: 'Price',
+    description: 'Lowest like-for-like total scores 100; others score lowest / their total x 100'
+  },
+  delivery: {
+    label: 'Delivery',
+    description: 'Delivering within the required days scores 100; later scores required / quoted days x 100. Without a requirement, fastest / quoted days x 100'
+  },
+  warranty: {
+    label: 'Warranty',
+    description: 'Meeting the required warranty length scores 100; shorter scores offered / required months x 100. Without a requirement, offered / longest x 100'
+  },
+  paymentTerms: {
+    label: 'Payment terms',
+    description: 'Payment due at least as late as required scores 100; earlier scores offered / required days x 100. Without a requirement, offered / longest x 100. Terms that cannot be read score 50'
+  },
+  compliance: {
+    label: 'Compliance',
+    description: 'Share of requirements met; partially met and unknown count half'
+  },
+  itemCoverage: {
+    label: 'Item coverage',
+    description: 'Share of RFP items quoted'
+  }
+};
+
+const DEFAULT_CRITERIA = [
+  { key: 'price', weight: 50 },
+  { key: 'delivery', weight: 20 },
+  { key: 'warranty', weight: 15 },
+  { key: 'paymentTerms', weight: 15 }
+];
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function clamp(score) {
+  return round2(Math.max(0, Math.min(100, score)));
+}
+
+/**
+ * Returns an error message for invalid criteria, or null
+ */
+function validateCriteria(criteria) {
+  if (!Array.isArray(criteria) || criteria.length === 0) return 'At least one evaluation criterion is required';
+
+  const seen = new Set();
+  for (const criterion of criteria) {
+    if (!CRITERIA[criterion?.key]) {
+      return `Unknown criterion '${criterion?.key}'. Valid criteria: ${Object.keys(CRITERIA).join(', ')}`;
+    }
+    if (seen.has(criterion.key)) return `Criterion '${criterion.key}' is listed more than once`;
+    seen.add(criterion.key);
+    if (typeof criterion.weight !== 'number' || !(criterion.weight >= 0)) {
+      return `Weight for '${criterion.key}' must be a non-negative number`;
+    }
+  }
+
+  if (criteria.every(c => c.weight === 0)) return 'At least one criterion must have a weight above zero';
+  return null;
+}
+
+/**
+ * The RFP's criteria, or the defaults when none are configured
+ */
+function getCriteria(rfp) {
+  const criteria = rfp.evaluationCriteria?.length > 0 ? rfp.evaluationCriteria : DEFAULT_CRITERIA;
+  return criteria.map(({ key, weight }) => ({ key, label: CRITERIA[key].label, weight }));
+}
+
+// Score relative to a target where higher values are better (warranty months, payment days)
+function scoreAgainstTarget(value, required, best, unit) {
+  if (required) {
+    return {
+      score: clamp(required === 0 ? 100 : (value / required) * 100),
+      explanation: `${value} ${unit} offered, ${required} required`
+    };
+  }
+  return {
+    score: clamp(best > 0 ? (value / best) * 100 : 100),
+    explanation: `${value} ${unit} offered, best offer ${best}`
+  };
+}
+
+function scorePrice(vendor, field) {
+  if (!vendor.price) {
+    const explanation = vendor.missingRate ? `No ${vendor.missingRate} exchange rate on file` : 'No price quoted';
+    return { score: 0, value: null, explanation };
+  }
+  return {
+    score: clamp((field.lowestPrice / vendor.price) * 100),
+    value: vendor.price,
+    explanation: `${vendor.price.toLocaleString()} vs lowest ${field.lowestPrice.toLocaleString()}${vendor.priceIsNormalized ? ' (like-for-like total)' : ''}`
+  };
+}
+
+function scoreDelivery(vendor, field, rfp) {
+  const days = vendor.deliveryDays;
+  if (!days) return { score: 0, value: null, explanation: 'No delivery time quoted' };
+  if (rfp.deliveryDays) {
+    return {
+      score: clamp(days <= rfp.deliveryDays ? 100 : (rfp.deliveryDays / days) * 100),
+      value: days,
+      explanation: `${days} days quoted, ${rfp.deliveryDays} required`
+    };
+  }
+  return {
+    score: clamp((field.fastestDelivery / days) * 100),
+    value: days,
+    explanation: `${days} days quoted, fastest ${field.fastestDelivery}`
+  };
+}
+
+function scoreWarranty(vendor, field, rfp) {
+  if (!vendor.warranty) return { score: 0, value: null, explanation: 'No warranty offered' };
+  if (vendor.warrantyMonths === null) return { score: 50, value: vendor.warranty, explanation: `Warranty "${vendor.warranty}" could not be measured` };
+  const required = warrantyMonths(rfp.requirements?.warranty);
+  return { value: vendor.warranty, ...scoreAgainstTarget(vendor.warrantyMonths, required, field.longestWarranty, 'months') };
+}
+
+function scorePaymentTerms(vendor, field, rfp) {
+  if (!vendor.paymentTerms) return { score: 0, value: null, explanation: 'No payment terms stated' };
+  if (vendor.paymentDays === null) return { score: 50, value: vendor.paymentTerms, explanation: `Terms "${vendor.paymentTerms}" could not be measured` };
+  const required = paymentDays(rfp.requirements?.paymentTerms);
+  return { value: vendor.paymentTerms, ...scoreAgainstTarget(vendor.paymentDays, required, field.longestPayment, 'days') };
+}
+
+function scoreCompliance(vendor) {
+  const results = vendor.compliance?.results ? Object.values(vendor.compliance.results) : [];
+  if (results.length === 0) return { score: 100, value: null, explanation: 'No requirements to check' };
+
+  const points = results.reduce((sum, r) => sum + (r.status === STATUS.MET ? 1 : r.status === STATUS.NOT_MET ? 0 : 0.5), 0);
+  const met = results.filter(r => r.status === STATUS.MET).length;
+  return {
+    score: clamp((points / results.length) * 100),
+    value: vendor.compliance.status,
+    explanation: `${met} of ${results.length} requirements met`
+  };
+}
+
+function scoreItemCoverage(vendor) {
+  if (vendor.coverage === null) return { score: 100, value: null, explanation: 'RFP has no line items' };
+  return {
+    score: clamp(vendor.coverage * 100),
+    value: vendor.coverage,
+    explanation: `${Math.round(vendor.coverage * 100)}% of RFP items quoted`
+  };
+}
+
+const SCORERS = {
+  price: scorePrice,
+  delivery: scoreDelivery,
+  warranty: scoreWarranty,
+  paymentTerms: scorePaymentTerms,
+  compliance: scoreCompliance,
+  itemCoverage: scoreItemCoverage
+};
+
+/**
+ * Score proposals (populated with vendorId) against the RFP's weighted criteria.
+ * context: { lineItems, compliance } from the line-item and compliance analyses; the
+ * like-for-like total is used for price when available.
+ * Returns { criteria, vendors: [{ vendorId, vendorName, proposalId, rank, overallScore, breakdown }], recommended }
+ * with vendors sorted best first. recommended is the best vendor that is not non-compliant.
+ */
+function scoreProposals(rfp, proposals, context = {}) {
+  const criteria = getCriteria(rfp);
+  const totalWeight = criteria.reduce((sum, c) => sum + c.weight, 0);
+  const lineItemsByVendor = new Map((context.lineItems?.vendors || []).map(v => [String(v.vendorId), v]));
+  const complianceByVendor = new Map((context.compliance?.vendors || []).map(v => [String(v.vendorId), v]));
+
+  const vendors = proposals.map(p => {
+    const vendorId = p.vendorId._id || p.vendorId;
+    const lineItems = lineItemsByVendor.get(String(vendorId));
+    const parsed = p.parsedData || {};
+    const normalized = lineItems?.normalizedTotal > 0 ? lineItems.normalizedTotal : null;
+
+    return {
+      vendorId,
+      vendorName: p.vendorId.name || 'Unknown Vendor',
+      proposalId: p._id,
+      price: normalized || parsed.totalPrice || null,
+      priceIsNormalized: !!normalized,
+      // Quote currency with no exchange rate to the RFP currency
+      missingRate: p.currencyConversion?.rate === null ? p.currencyConversion.from : null,
+      deliveryDays: parsed.deliveryDays || null,
+      warranty: parsed.warranty || null,
+      warrantyMonths: warrantyMonths(parsed.warranty),
+      paymentTerms: parsed.paymentTerms || null,
+      paymentDays: paymentDays(parsed.paymentTerms),
+      compliance: complianceByVendor.get(String(vendorId)) || null,
+      coverage: rfp.items?.length > 0 ? (lineItems ? lineItems.coverage : 0) : null
+    };
+  });
+
+  const field = {
+    lowestPrice: Math.min(...vendors.map(v => v.price).filter(Boolean)),
+    fastestDelivery: Math.min(...vendors.map(v => v.deliveryDays).filter(Boolean)),
+    longestWarranty: Math.max(0, ...vendors.map(v => v.warrantyMonths).filter(m => m !== null)),
+    longestPayment: Math.max(0, ...vendors.map(v => v.paymentDays).filter(d => d !== null))
+  };
+
+  const scored = vendors.map(vendor => {
+    const breakdown = criteria.map(criterion => {
+      const { score, value, explanation } = SCORERS[criterion.key](vendor, field, rfp);
+      return {
+        key: criterion.key,
+        label: criterion.label,
+        weight: criterion.weight,
+        score,
+        weightedScore: round2((score * criterion.weight) / totalWeight),
+        value: value ?? null,
+        explanation
+      };
+    });
+
+    return {
+      vendorId: vendor.vendorId,
+      vendorName: vendor.vendorName,
+      proposalId: vendor.proposalId,
+      complianceStatus: vendor.compliance?.status || null,
+      overallScore: round2(breakdown.reduce((sum, b) => sum + b.weightedScore, 0)),
+      price: vendor.price,
+      breakdown
+    };
+  });
+
+  // Ties go to the cheaper quote, then alphabetically, so the order never depends on input order
+  scored.sort((a, b) =>
+    b.overallScore - a.overallScore ||
+    (a.price || Infinity) - (b.price || Infinity) ||
+    a.vendorName.localeCompare(b.vendorName)
+  );
+  scored.forEach((vendor, i) => { vendor.rank = i + 1; });
+
+  const recommended = scored.find(v => v.complianceStatus !== 'non_compliant') || scored[0] || null;
+
+  return {
+    criteria: criteria.map(c => ({ ...c, description: CRITERIA[c.key].description })),
+    vendors: scored,
+    recommended: recommended ? { vendorId: recommended.vendorId, vendorName: recommended.vendorName } : null
+  };
+}
+
+/**
+ * Per-vendor scores in the shape stored on Proposal.scores
+ */
+function toProposalScores(vendor) {
+  const byKey = Object.fromEntries(vendor.breakdown.map(b => [b.key, b.score]));
+  const terms = ['warranty', 'paymentTerms'].filter(key => byKey[key] !== undefined).map(key => byKey[key]);
+
+  return {
+    priceScore: byKey.price ?? null,
+    deliveryScore: byKey.delivery ?? null,
+    termsScore: terms.length > 0 ? round2(terms.reduce((a, b) => a + b, 0) / terms.length) : null,
+    overallScore: vendor.overallScore,
+    breakdown: vendor.breakdown
+  };
+}
+
+module.exports = {
+  CRITERIA,
+  DEFAULT_CRITERIA,
+  validateCriteria,
+  getCriteria,
+  scoreProposals,
+  toProposalScores
+};
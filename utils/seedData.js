@@ -1,11 +1,14 @@
 /**
  * Seed Data Script
  * Run this to populate the database with sample vendors for testing
+ * Vendors are created in the organization given by SEED_ORGANIZATION (slug),
+ * which is created if it does not exist (default: demo)
  * Usage: node utils/seedData.js
  */
 
 require('dotenv').config();
 const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
 const Vendor = require('../models/Vendor');
 
 const sampleVendors = [
@@ -76,12 +79,21 @@ async function seedDatabase() {
     await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/rfp_management');
     console.log('Connected to MongoDB');
 
+    const slug = process.env.SEED_ORGANIZATION || 'demo';
+    let organization = await Organization.findOne({ slug });
+    if (!organization) {
+      organization = await Organization.create({ name: 'Demo Organization', slug });
+      console.log(`Created organization '${slug}'`);
+    }
+
     // Clear existing vendors
-    await Vendor.deleteMany({});
+    await Vendor.deleteMany({ organization: organization._id });
     console.log('Cleared existing vendors');
 
     // Insert sample vendors
-    const vendors = await Vendor.insertMany(sampleVendors);
+    const vendors = await Vendor.insertMany(
+      sampleVendors.map(v => ({ ...v, organization: organization._id }))
+    );
     console.log(`Inserted ${vendors.length} sample vendors`);
 
     console.log('\nSample vendors created:');
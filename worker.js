@@ -0,0 +1,31 @@
+/**
+ * Standalone job worker
+ * Runs background jobs and the mailbox watcher without the HTTP server, so
+ * workers can be scaled separately. Start the API with JOB_WORKER=false when using this.
+ * Usage: node worker.js
+ */
+
+const dotenv = require('dotenv');
+const connectDB = require('./config/db');
+
+dotenv.config();
+
+const jobQueue = require('./services/jobQueue');
+const mailboxWatcher = require('./services/mailboxWatcher');
+const { registerJobHandlers } = require('./jobs');
+
+connectDB().then(() => {
+  registerJobHandlers();
+  jobQueue.startWorker();
+  mailboxWatcher.startWatcher();
+});
+
+const shutdown = () => {
+  console.log('Stopping job worker...');
+  jobQueue.stopWorker();
+  mailboxWatcher.stopWatcher();
+  setTimeout(() => process.exit(0), 1000);
+};
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);